@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+/**
+ * Discord Amazon Rekognition Bot - Command-Line Batch Analysis
+ *
+ * Analyzes local image files with the bot's pipeline, for bulk work that
+ * does not belong in Discord:
+ *
+ *   rekognition-cli analyze <files or directories...> [--features=labels,text]
+ *     [--format=json|csv] [--out-dir=<dir> | --combined=<file>]
+ *     [--concurrency=<n>] [--resume] [--backend=rekognition|mock]
+ *
+ * Reads AWS credentials and other settings from .env like the bot. Exit
+ * codes: 0 all images analyzed, 1 error, 2 some images failed. See
+ * lib/batchAnalysis.js.
+ *
+ * Version: 1.0.0
+ * Author: gl0bal01
+ */
+
+require('dotenv').config();
+
+// Progress goes to the console; keep the bot's logs to warnings unless asked
+process.env.LOG_LEVEL ??= 'warn';
+process.env.LOG_FORMAT ??= 'text';
+
+const { EXIT_ERROR, EXIT_IMAGES_FAILED, parseCliOptions, expandInputs, runBatch } = require('../lib/batchAnalysis');
+
+const USAGE = 'Usage: rekognition-cli analyze <files or directories...> [--features=labels,text] [--format=json|csv] ' +
+  '[--out-dir=<dir> | --combined=<file>] [--concurrency=<n>] [--resume] [--backend=rekognition|mock]';
+
+if (process.argv.includes('--help') || process.argv.includes('-h')) {
+  console.log(USAGE);
+  process.exit(0);
+}
+
+let options;
+try {
+  options = parseCliOptions(process.argv.slice(2));
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  console.error(USAGE);
+  process.exit(EXIT_ERROR);
+}
+
+// The backend is created on first use, so this still picks it
+if (options.backend) process.env.VISION_BACKEND = options.backend;
+
+(async () => {
+  const files = await expandInputs(options.inputs);
+  if (files.length === 0) {
+    console.error('❌ No images found.');
+    process.exit(EXIT_ERROR);
+  }
+
+  console.log(`🔍 Analyzing ${files.length} image(s): ${options.features.join(', ')}` +
+    ` (${process.env.VISION_BACKEND === 'mock' ? 'mock backend' : 'AWS Rekognition'}, ${options.concurrency} at a time)`);
+  if (options.resume) console.log('⏭️  Resuming: images already done are skipped.');
+  console.log('');
+
+  const exitCode = await runBatch({ files, options });
+
+  if (exitCode === EXIT_IMAGES_FAILED) {
+    console.error('❌ Some images failed. Run again with --resume to retry only those.');
+  }
+  process.exit(exitCode);
+})().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(EXIT_ERROR);
+});
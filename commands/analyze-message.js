@@ -0,0 +1,179 @@
+/**
+ * File: analyze-message.js
+ * Description: Message context-menu command that analyzes every image in a message
+ *
+ * Right-click a message > Apps > "Analyze images in this message" runs the
+ * same pipeline as /rekognition analyze (using the server's default features)
+ * on each image attachment and embed image, and replies with one embed per image.
+ * Face analysis and celebrity recognition are skipped when the requester or the
+ * message author opted out of face processing (see lib/privacy.js).
+ */
+
+const {
+    ContextMenuCommandBuilder,
+    ApplicationCommandType,
+    AttachmentBuilder,
+    EmbedBuilder,
+    PermissionFlagsBits
+} = require('discord.js');
+
+const { getUserMessage } = require('../lib/errors');
+const { processUploadedImage, processImageUrl, describeImage } = require('../lib/imageInput');
+const { collectMessageImages } = require('../lib/messageImages');
+const { getGuildConfig, resolveFeatures } = require('../lib/guildConfig');
+const { getAccessRules, getAccessContext, checkAccess, describeDenial } = require('../lib/accessControl');
+const { getTranslator } = require('../lib/i18n');
+const { FACE_FEATURES, isOptedOut, findFaceProcessingRefusal } = require('../lib/privacy');
+const { collectAnalysisBoxes } = require('../lib/annotate');
+const {
+    runAnalyses,
+    createAnalysisEmbed,
+    addAdjustmentsField,
+    createAnnotatedAttachment,
+    createAnalysisReport
+} = require('../lib/analysis');
+const { checkCooldown } = require('../lib/requestLimits');
+const { getJobQueue, guardInteraction } = require('../lib/jobQueue');
+const { recordError } = require('../lib/metrics');
+const { logger, footerWithRequestId, withRequestIdNote } = require('../lib/logger');
+const { getTempDir, scheduleCleanup } = require('../lib/tempFiles');
+
+// Each image sends up to two files (image + report); Discord allows 10 per message
+const MAX_IMAGES_PER_MESSAGE = 5;
+
+// --- Command definition ---
+
+module.exports = {
+    data: new ContextMenuCommandBuilder()
+        .setName('Analyze images in this message')
+        .setType(ApplicationCommandType.Message)
+        .setDefaultMemberPermissions(PermissionFlagsBits.SendMessages)
+        .setDMPermission(false),
+
+    // Exported for testing
+    _test: { collectMessageImages, MAX_IMAGES_PER_MESSAGE },
+
+    async execute(interaction) {
+        const config = getGuildConfig(interaction.guildId);
+        const t = getTranslator(interaction, config);
+
+        // Same access rules as /rekognition analyze; features the member may not use are skipped
+        const access = getAccessRules(interaction.guildId);
+        const denial = checkAccess(access, getAccessContext(interaction), 'analyze', resolveFeatures(config, null));
+        const deniedFeatures = denial?.type === 'feature' ? denial.deniedFeatures : [];
+        if (denial && (denial.type !== 'feature' || resolveFeatures(config, null).length === deniedFeatures.length)) {
+            return interaction.reply({ content: describeDenial(denial, t), ephemeral: true });
+        }
+
+        // Per-user rate limiting (shared with /rekognition)
+        const remaining = checkCooldown(interaction.user.id, config.cooldownSeconds * 1000);
+        if (remaining > 0) {
+            return interaction.reply({ content: t('limits.cooldown', { seconds: remaining }), ephemeral: true });
+        }
+
+        const images = collectMessageImages(interaction.targetMessage);
+        if (images.length === 0) {
+            return interaction.reply({ content: t('validation.noImages'), ephemeral: true });
+        }
+
+        // Opted-out requesters and message authors, and avatars of opted-out members, get no face processing
+        const urls = images.map(image => image.url).filter(Boolean);
+        const declineFaces = Boolean(findFaceProcessingRefusal(interaction.user.id, urls)) ||
+            isOptedOut(interaction.targetMessage.author?.id);
+        const features = resolveFeatures(config, null)
+            .filter(feature => !deniedFeatures.includes(feature))
+            .filter(feature => !(declineFaces && FACE_FEATURES.includes(feature)));
+        if (features.length === 0) {
+            return interaction.reply({ content: t('validation.noFeatures'), ephemeral: true });
+        }
+
+        // Global concurrency limit: requests wait in the job queue, unless it is full too
+        const queue = getJobQueue();
+        if (queue.isFull()) {
+            return interaction.reply({ content: t('limits.busy'), ephemeral: true });
+        }
+
+        await interaction.deferReply();
+
+        const requestFiles = []; // Track files for per-request cleanup
+
+        try {
+            await queue.run(
+                interaction.guildId,
+                // Past the job's deadline, late replies must not replace the timeout message
+                signal => handleAnalyzeMessage(guardInteraction(interaction, signal), images, features, config, requestFiles, t),
+                { onPosition: (position, total) => interaction.editReply(t('limits.queued', { position, total })) }
+            );
+        } catch (error) {
+            logger.error('Analyze message command failed', { error });
+            recordError(error);
+            try {
+                await interaction.editReply({ content: withRequestIdNote(getUserMessage(error, t), t) });
+            } catch (editError) {
+                logger.error('Failed to edit reply', { error: editError });
+            }
+        } finally {
+            scheduleCleanup(requestFiles);
+        }
+    },
+};
+
+// --- Handler ---
+
+async function handleAnalyzeMessage(interaction, images, features, config, requestFiles, t) {
+    const selected = images.slice(0, MAX_IMAGES_PER_MESSAGE);
+    const title = number => t('analysis.numberedTitle', { number, total: selected.length });
+
+    await interaction.editReply(t('progress.analyzingMessage', {
+        images: selected.length,
+        count: features.length,
+        features: features.join(', ')
+    }));
+
+    const tempDir = getTempDir();
+    const embeds = [];
+    const files = [];
+
+    for (const [i, image] of selected.entries()) {
+        const number = i + 1;
+        try {
+            const input = image.attachment
+                ? await processUploadedImage(image.attachment, tempDir, `msg${number}`, requestFiles)
+                : await processImageUrl(image.url, tempDir, `msg${number}`, requestFiles);
+
+            const { results, cachedFeatures } = await runAnalyses(input.buffer, features, config);
+            const reportPath = await createAnalysisReport(results, input.description, tempDir, requestFiles);
+            const annotatedAttachment = await createAnnotatedAttachment(
+                input.buffer, collectAnalysisBoxes(results), `annotated_${number}.jpg`
+            );
+
+            const embed = createAnalysisEmbed(
+                results, describeImage(input, t), input.attachment, annotatedAttachment, cachedFeatures, t
+            );
+            embed.setTitle(title(number));
+            addAdjustmentsField(embed, input.adjustments, t);
+            embeds.push(embed);
+
+            files.push(new AttachmentBuilder(reportPath, { name: `analysis_report_${number}.json` }));
+            files.push(annotatedAttachment || input.attachment);
+        } catch (error) {
+            // One unreadable image should not hide the results for the others
+            logger.warn('Analyze message image failed', { image: number, error });
+            recordError(error);
+            embeds.push(new EmbedBuilder()
+                .setTitle(title(number))
+                .setDescription(getUserMessage(error, t))
+                .setColor(0xED4245)
+                .setTimestamp()
+                .setFooter({ text: footerWithRequestId('Powered by AWS Rekognition', t) }));
+        }
+    }
+
+    const skipped = images.length - selected.length;
+    let content = t('done.messageAnalysis', { url: interaction.targetMessage.url });
+    if (skipped > 0) {
+        content += `\n${t('results.imagesSkipped', { max: MAX_IMAGES_PER_MESSAGE, skipped })}`;
+    }
+
+    await interaction.editReply({ content, embeds, files });
+}
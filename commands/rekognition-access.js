@@ -0,0 +1,154 @@
+/**
+ * File: rekognition-access.js
+ * Description: Admin command to decide who may use /rekognition, and in which channels
+ *
+ * Rules are persisted by lib/accessControl.js. A subcommand or feature without
+ * a rule is open to everyone; `allow` creates the rule and adds a role or user
+ * to it, `reset` removes it again.
+ */
+
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits, ChannelType } = require('discord.js');
+const { FEATURE_NAMES } = require('../lib/guildConfig');
+const {
+    SUBCOMMAND_TARGETS,
+    FEATURE_TARGETS,
+    getAccessRules,
+    allowAccess,
+    revokeAccess,
+    resetAccess,
+    setChannelAllowed
+} = require('../lib/accessControl');
+
+function targetName(target) {
+    if (target.startsWith('feature:')) return `Feature: ${FEATURE_NAMES[target.slice('feature:'.length)]}`;
+    return `/rekognition ${target}`;
+}
+
+const TARGET_CHOICES = [...SUBCOMMAND_TARGETS, ...FEATURE_TARGETS].map(target => ({ name: targetName(target), value: target }));
+
+function addTargetOption(subcommand) {
+    return subcommand.addStringOption(option =>
+        option.setName('target')
+            .setDescription('Subcommand or analysis feature')
+            .setRequired(true)
+            .addChoices(...TARGET_CHOICES));
+}
+
+function addMemberOptions(subcommand, verb) {
+    return subcommand
+        .addRoleOption(option =>
+            option.setName('role')
+                .setDescription(`Role to ${verb}`)
+                .setRequired(false))
+        .addUserOption(option =>
+            option.setName('user')
+                .setDescription(`Member to ${verb}`)
+                .setRequired(false));
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('rekognition-access')
+        .setDescription('Control who may use /rekognition in this server, and where')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('show')
+                .setDescription('Show the current access rules'))
+        .addSubcommand(subcommand => {
+            subcommand
+                .setName('allow')
+                .setDescription('Allow a role or member to use a subcommand or feature (everyone else is denied)');
+            addTargetOption(subcommand);
+            return addMemberOptions(subcommand, 'allow');
+        })
+        .addSubcommand(subcommand => {
+            subcommand
+                .setName('revoke')
+                .setDescription('Remove a role or member from a subcommand or feature rule');
+            addTargetOption(subcommand);
+            return addMemberOptions(subcommand, 'remove');
+        })
+        .addSubcommand(subcommand =>
+            addTargetOption(subcommand
+                .setName('reset')
+                .setDescription('Remove the rule for a subcommand or feature, opening it to everyone')))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('channel')
+                .setDescription('Choose the channels /rekognition answers in (none chosen = every channel)')
+                .addChannelOption(option =>
+                    option.setName('channel')
+                        .setDescription('Text channel')
+                        .setRequired(true)
+                        .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement, ChannelType.GuildForum))
+                .addBooleanOption(option =>
+                    option.setName('allowed')
+                        .setDescription('Whether /rekognition answers in this channel')
+                        .setRequired(true)))
+        .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+        .setDMPermission(false),
+
+    async execute(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+        const guildId = interaction.guildId;
+        let access;
+
+        try {
+            if (subcommand === 'allow' || subcommand === 'revoke') {
+                const target = interaction.options.getString('target');
+                const members = {
+                    roleId: interaction.options.getRole('role')?.id ?? null,
+                    userId: interaction.options.getUser('user')?.id ?? null
+                };
+
+                if (!members.roleId && !members.userId) {
+                    return interaction.reply({
+                        content: 'ℹ️ **Nothing Changed**\nChoose a role, a member, or both.',
+                        ephemeral: true
+                    });
+                }
+                access = subcommand === 'allow'
+                    ? await allowAccess(guildId, target, members)
+                    : await revokeAccess(guildId, target, members);
+            } else if (subcommand === 'reset') {
+                access = await resetAccess(guildId, interaction.options.getString('target'));
+            } else if (subcommand === 'channel') {
+                const channel = interaction.options.getChannel('channel');
+                access = await setChannelAllowed(guildId, channel.id, interaction.options.getBoolean('allowed'));
+            } else {
+                access = getAccessRules(guildId);
+            }
+        } catch (error) {
+            if (error instanceof RangeError) {
+                return interaction.reply({ content: `❌ **Invalid Rule**\n${error.message}`, ephemeral: true });
+            }
+            throw error;
+        }
+
+        return interaction.reply({ embeds: [createAccessEmbed(access)], ephemeral: true });
+    },
+
+    // Exported for testing
+    _test: { createAccessEmbed, TARGET_CHOICES },
+};
+
+function describeRule(rule) {
+    const members = [...rule.roleIds.map(id => `<@&${id}>`), ...rule.userIds.map(id => `<@${id}>`)];
+    return members.length > 0 ? members.join(', ') : 'Nobody (administrators only)';
+}
+
+function createAccessEmbed(access) {
+    const rules = Object.entries(access.rules)
+        .map(([target, rule]) => `**${targetName(target)}:** ${describeRule(rule)}`);
+    const channels = access.channelIds.map(id => `<#${id}>`).join(', ');
+
+    return new EmbedBuilder()
+        .setTitle('🔒 Rekognition Access Rules')
+        .setColor(0xFF9900)
+        .setTimestamp()
+        .setFooter({ text: 'Powered by AWS Rekognition' })
+        .addFields(
+            { name: 'Channels', value: channels || 'Every channel', inline: false },
+            { name: 'Restricted', value: rules.join('\n') || 'Nothing: every subcommand and feature is open to everyone', inline: false }
+        );
+}
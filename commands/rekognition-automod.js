@@ -0,0 +1,150 @@
+/**
+ * File: rekognition-automod.js
+ * Description: Admin command to configure passive image moderation
+ *
+ * Chooses which channels are watched, the confidence threshold at which a
+ * moderation label triggers, what happens to a flagged message and where
+ * reports are posted. Scanning itself lives in lib/autoModeration.js and only
+ * runs when the bot is started with AUTOMOD_ENABLED=true.
+ */
+
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits, ChannelType } = require('discord.js');
+const {
+    MIN_THRESHOLD,
+    getPolicy,
+    updatePolicy,
+    watchChannel,
+    unwatchChannel
+} = require('../lib/autoModeration');
+
+const WATCHABLE_CHANNEL_TYPES = [ChannelType.GuildText, ChannelType.GuildAnnouncement, ChannelType.GuildForum];
+
+const ACTION_DESCRIPTIONS = {
+    log: 'Report to the log channel',
+    delete: 'Delete the message and report it',
+    spoiler: 'Re-post images behind a spoiler and report it'
+};
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('rekognition-automod')
+        .setDescription('Configure automatic moderation of images posted in this server')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('watch')
+                .setDescription('Scan every image posted in a channel')
+                .addChannelOption(option =>
+                    option.setName('channel')
+                        .setDescription('Channel to watch (threads inside it are included)')
+                        .setRequired(true)
+                        .addChannelTypes(...WATCHABLE_CHANNEL_TYPES)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('unwatch')
+                .setDescription('Stop scanning images in a channel')
+                .addChannelOption(option =>
+                    option.setName('channel')
+                        .setDescription('Channel to stop watching')
+                        .setRequired(true)
+                        .addChannelTypes(...WATCHABLE_CHANNEL_TYPES)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('policy')
+                .setDescription('Set what happens when an image is flagged')
+                .addStringOption(option =>
+                    option.setName('action')
+                        .setDescription('Action to take on flagged messages')
+                        .setRequired(false)
+                        .addChoices(
+                            { name: 'Log only', value: 'log' },
+                            { name: 'Delete message', value: 'delete' },
+                            { name: 'Re-post behind spoiler', value: 'spoiler' }
+                        ))
+                .addNumberOption(option =>
+                    option.setName('threshold')
+                        .setDescription(`Minimum label confidence to act on (${MIN_THRESHOLD}-100, default: 80)`)
+                        .setRequired(false)
+                        .setMinValue(MIN_THRESHOLD)
+                        .setMaxValue(100))
+                .addChannelOption(option =>
+                    option.setName('log_channel')
+                        .setDescription('Channel where moderation reports are posted')
+                        .setRequired(false)
+                        .addChannelTypes(ChannelType.GuildText)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('status')
+                .setDescription('Show the current auto-moderation settings'))
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .setDMPermission(false),
+
+    async execute(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+        const guildId = interaction.guildId;
+
+        if (subcommand === 'watch') {
+            const channel = interaction.options.getChannel('channel');
+            await watchChannel(guildId, channel.id);
+            return interaction.reply({
+                content: `👁️ Now scanning images posted in <#${channel.id}>.`,
+                ephemeral: true
+            });
+        }
+
+        if (subcommand === 'unwatch') {
+            const channel = interaction.options.getChannel('channel');
+            await unwatchChannel(guildId, channel.id);
+            return interaction.reply({
+                content: `🙈 No longer scanning images in <#${channel.id}>.`,
+                ephemeral: true
+            });
+        }
+
+        if (subcommand === 'policy') {
+            const changes = {};
+            const action = interaction.options.getString('action');
+            const threshold = interaction.options.getNumber('threshold');
+            const logChannel = interaction.options.getChannel('log_channel');
+
+            if (action) changes.action = action;
+            if (threshold !== null) changes.threshold = threshold;
+            if (logChannel) changes.logChannelId = logChannel.id;
+
+            const policy = await updatePolicy(guildId, changes);
+            return interaction.reply({ embeds: [createPolicyEmbed(policy)], ephemeral: true });
+        }
+
+        return interaction.reply({ embeds: [createPolicyEmbed(getPolicy(guildId))], ephemeral: true });
+    },
+};
+
+function createPolicyEmbed(policy) {
+    const embed = new EmbedBuilder()
+        .setTitle('🛡️ Auto-Moderation Settings')
+        .setColor(0xFF9900)
+        .setTimestamp()
+        .setFooter({ text: 'Powered by AWS Rekognition' })
+        .addFields(
+            {
+                name: 'Watched Channels',
+                value: policy.channelIds.map(id => `<#${id}>`).join(', ') || 'None',
+                inline: false
+            },
+            { name: 'Action', value: ACTION_DESCRIPTIONS[policy.action], inline: true },
+            { name: 'Threshold', value: `${policy.threshold}%`, inline: true },
+            { name: 'Log Channel', value: policy.logChannelId ? `<#${policy.logChannelId}>` : 'Not set', inline: true }
+        );
+
+    const warnings = [];
+    if (process.env.AUTOMOD_ENABLED !== 'true') {
+        warnings.push('Passive scanning is disabled on this bot instance (`AUTOMOD_ENABLED` is not set).');
+    }
+    if (!policy.logChannelId && policy.action === 'log') {
+        warnings.push('No log channel is set, so flagged images will not be reported anywhere.');
+    }
+    if (warnings.length > 0) {
+        embed.setDescription(warnings.map(warning => `⚠️ ${warning}`).join('\n'));
+    }
+
+    return embed;
+}
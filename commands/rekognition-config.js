@@ -0,0 +1,192 @@
+/**
+ * File: rekognition-config.js
+ * Description: Admin command to view and change per-server /rekognition settings
+ *
+ * Settings are persisted by lib/guildConfig.js; anything not overridden here
+ * uses the built-in defaults.
+ */
+
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const {
+    ANALYSIS_FEATURES,
+    FEATURE_NAMES,
+    SETTINGS,
+    getGuildConfig,
+    updateGuildConfig,
+    setFeatureEnabled,
+    resetGuildConfig
+} = require('../lib/guildConfig');
+
+// Slash option name -> guild setting key
+const OPTION_SETTINGS = {
+    max_labels: 'maxLabels',
+    label_confidence: 'labelMinConfidence',
+    moderation_confidence: 'moderationMinConfidence',
+    compare_similarity: 'compareSimilarity',
+    cooldown: 'cooldownSeconds',
+    default_features: 'defaultFeatures',
+    label_filter: 'labelFilter',
+    label_categories: 'labelCategoryFilter',
+    language: 'locale'
+};
+
+// Shown in each language's own name, so members can find theirs
+const LANGUAGE_NAMES = {
+    auto: 'Discord language of each user',
+    en: 'English',
+    fr: 'Français',
+    de: 'Deutsch'
+};
+
+function addRangeOption(subcommand, optionName, description) {
+    const setting = SETTINGS[OPTION_SETTINGS[optionName]];
+    const addOption = setting.type === 'integer'
+        ? subcommand.addIntegerOption.bind(subcommand)
+        : subcommand.addNumberOption.bind(subcommand);
+
+    return addOption(option =>
+        option.setName(optionName)
+            .setDescription(`${description} (${setting.min}-${setting.max}, default: ${setting.default})`)
+            .setRequired(false)
+            .setMinValue(setting.min)
+            .setMaxValue(setting.max));
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('rekognition-config')
+        .setDescription('Configure /rekognition for this server')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('show')
+                .setDescription('Show the current settings'))
+        .addSubcommand(subcommand => {
+            subcommand
+                .setName('set')
+                .setDescription('Change one or more settings');
+            addRangeOption(subcommand, 'max_labels', 'Maximum labels returned per image');
+            addRangeOption(subcommand, 'label_confidence', 'Minimum label confidence');
+            addRangeOption(subcommand, 'moderation_confidence', 'Minimum moderation label confidence');
+            addRangeOption(subcommand, 'compare_similarity', 'Default face similarity threshold');
+            addRangeOption(subcommand, 'cooldown', 'Per-user cooldown in seconds');
+            return subcommand
+                .addStringOption(option =>
+                    option.setName('default_features')
+                        .setDescription('Features run when /rekognition analyze is used without a choice')
+                        .setRequired(false)
+                        .addChoices(
+                            { name: 'All Features', value: 'all' },
+                            ...ANALYSIS_FEATURES.map(feature => ({ name: FEATURE_NAMES[feature], value: feature }))
+                        ))
+                .addStringOption(option =>
+                    option.setName('label_filter')
+                        .setDescription('Labels to keep, or -Label to leave out, comma-separated (none to clear)')
+                        .setRequired(false)
+                        .setMaxLength(1000))
+                .addStringOption(option =>
+                    option.setName('label_categories')
+                        .setDescription('Label categories to keep, or -Category to leave out (none to clear)')
+                        .setRequired(false)
+                        .setMaxLength(1000))
+                .addStringOption(option =>
+                    option.setName('language')
+                        .setDescription('Language of /rekognition replies (default: each user\'s Discord language)')
+                        .setRequired(false)
+                        .addChoices(...SETTINGS.locale.choices.map(locale => ({ name: LANGUAGE_NAMES[locale], value: locale }))));
+        })
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('feature')
+                .setDescription('Turn an analysis feature on or off')
+                .addStringOption(option =>
+                    option.setName('feature')
+                        .setDescription('Analysis feature')
+                        .setRequired(true)
+                        .addChoices(...ANALYSIS_FEATURES.map(feature => ({ name: FEATURE_NAMES[feature], value: feature }))))
+                .addBooleanOption(option =>
+                    option.setName('enabled')
+                        .setDescription('Whether members may use this feature')
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('reset')
+                .setDescription('Restore every setting to its default'))
+        .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+        .setDMPermission(false),
+
+    async execute(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+        const guildId = interaction.guildId;
+        let config;
+
+        try {
+            if (subcommand === 'set') {
+                const changes = {};
+                for (const [optionName, key] of Object.entries(OPTION_SETTINGS)) {
+                    const value = interaction.options.get(optionName)?.value;
+                    if (value !== undefined && value !== null) changes[key] = value;
+                }
+
+                if (Object.keys(changes).length === 0) {
+                    return interaction.reply({
+                        content: 'ℹ️ **Nothing Changed**\nProvide at least one setting to change.',
+                        ephemeral: true
+                    });
+                }
+                config = await updateGuildConfig(guildId, changes);
+            } else if (subcommand === 'feature') {
+                const feature = interaction.options.getString('feature');
+                const enabled = interaction.options.getBoolean('enabled');
+                config = await setFeatureEnabled(guildId, feature, enabled);
+            } else if (subcommand === 'reset') {
+                config = await resetGuildConfig(guildId);
+            } else {
+                config = getGuildConfig(guildId);
+            }
+        } catch (error) {
+            if (error instanceof RangeError) {
+                return interaction.reply({ content: `❌ **Invalid Setting**\n${error.message}`, ephemeral: true });
+            }
+            throw error;
+        }
+
+        return interaction.reply({ embeds: [createConfigEmbed(config)], ephemeral: true });
+    },
+
+    // Exported for testing
+    _test: { createConfigEmbed },
+};
+
+// Embed field values are limited to 1024 characters
+function filterValue(filter) {
+    if (!filter) return 'None';
+    return filter.length > 1024 ? `${filter.slice(0, 1020)} ...` : filter;
+}
+
+function createConfigEmbed(config) {
+    const features = ANALYSIS_FEATURES
+        .map(feature => `${config.disabledFeatures.includes(feature) ? '❌' : '✅'} ${FEATURE_NAMES[feature]}`)
+        .join('\n');
+
+    return new EmbedBuilder()
+        .setTitle('⚙️ Rekognition Settings')
+        .setColor(0xFF9900)
+        .setTimestamp()
+        .setFooter({ text: 'Powered by AWS Rekognition' })
+        .addFields(
+            { name: 'Max Labels', value: String(config.maxLabels), inline: true },
+            { name: 'Label Confidence', value: `${config.labelMinConfidence}%`, inline: true },
+            { name: 'Moderation Confidence', value: `${config.moderationMinConfidence}%`, inline: true },
+            { name: 'Compare Similarity', value: `${config.compareSimilarity}%`, inline: true },
+            { name: 'Cooldown', value: `${config.cooldownSeconds}s`, inline: true },
+            {
+                name: 'Default Features',
+                value: config.defaultFeatures === 'all' ? 'All Features' : FEATURE_NAMES[config.defaultFeatures],
+                inline: true
+            },
+            { name: 'Language', value: LANGUAGE_NAMES[config.locale] ?? config.locale, inline: true },
+            { name: 'Label Filter', value: filterValue(config.labelFilter), inline: true },
+            { name: 'Label Categories', value: filterValue(config.labelCategoryFilter), inline: true },
+            { name: 'Features', value: features, inline: false }
+        );
+}
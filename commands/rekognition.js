@@ -4,245 +4,389 @@
  *
  * This command provides comprehensive image analysis capabilities including:
  * - Object and scene detection
- * - Text extraction (OCR)
+ * - Text extraction (OCR), with full-text output and reading-order paragraphs
  * - Face analysis with demographics and emotions
- * - Celebrity recognition
+ * - Celebrity recognition, with per-face detail and reference links
  * - Content moderation
  * - Face comparison between images
+ * - Face clustering: who appears in which of several photos
+ * - Face anonymization (blur or pixelate faces and text)
+ * - Per-server face collections (index, search, list, delete)
+ * - Annotated image output with bounding boxes for detected items
+ * - Replies in the user's Discord language (English, French, German; see lib/i18n.js)
+ * - Per-server access rules for roles, members and channels (see lib/accessControl.js)
+ * - Opt-out of face processing and deletion of stored data (see lib/privacy.js)
+ * - Message links and web pages as image URLs (see lib/messageImages.js, lib/imageInput.js)
  *
  * Version: 1.0.0
  * Author: gl0bal01
  */
 
 const { SlashCommandBuilder, EmbedBuilder, AttachmentBuilder, PermissionFlagsBits } = require('discord.js');
-const axios = require('axios');
 const fsp = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
-const { URL } = require('url');
-const dns = require('dns');
-const http = require('http');
-const https = require('https');
-const net = require('net');
-const { promisify } = require('util');
 
-const dnsLookup = promisify(dns.lookup);
-
-// Import AWS SDK v3 modules
+const { UserFacingError, getUserMessage } = require('../lib/errors');
+const { getTranslator, localizations, localizeCommand } = require('../lib/i18n');
 const {
-    RekognitionClient,
-    DetectLabelsCommand,
-    DetectTextCommand,
-    DetectFacesCommand,
-    DetectModerationLabelsCommand,
-    RecognizeCelebritiesCommand,
-    CompareFacesCommand
-} = require('@aws-sdk/client-rekognition');
-
-// Lazy-initialized AWS Rekognition client (uses default credential provider chain)
-let rekognitionClient = null;
-
-function getRekognitionClient() {
-    if (!rekognitionClient) {
-        rekognitionClient = new RekognitionClient({
-            region: process.env.AWS_REGION || 'us-east-1',
-        });
-    }
-    return rekognitionClient;
-}
+    isValidImageBuffer,
+    isPrivateIP,
+    isPrivateIPv4,
+    validateAndResolveUrl,
+    createPinnedAgent,
+    isValidUrl,
+    sanitizeExtension,
+    processUploadedImage,
+    processImageUrl,
+    describeImage
+} = require('../lib/imageInput');
+const { parseMessageLink, processMessageLink } = require('../lib/messageImages');
+const { getCollectionBackend, collectionIdForGuild, isValidLabel } = require('../lib/faceCollections');
+const { getAccessRules, getAccessContext, checkAccess, describeDenial } = require('../lib/accessControl');
+const {
+    FACE_FEATURES,
+    isOptedOut,
+    setOptedOut,
+    getPrivacyStatus,
+    recordIndexedFace,
+    findFaceProcessingRefusal,
+    forgetUser
+} = require('../lib/privacy');
+const {
+    DEFAULT_GUILD_CONFIG,
+    getGuildConfig,
+    isFeatureEnabled,
+    resolveFeatures
+} = require('../lib/guildConfig');
+const {
+    collectAnalysisBoxes,
+    collectComparisonBoxes,
+    collectPpeBoxes,
+    collectCelebrityBoxes
+} = require('../lib/annotate');
+const {
+    escapeMarkdown,
+    runAnalyses,
+    compareImages,
+    createAnalysisEmbed,
+    addAdjustmentsField,
+    createAnnotatedAttachment,
+    createAnalysisReport,
+    createComparisonReport
+} = require('../lib/analysis');
+const { MAX_FILTER_NAMES, normalizeLabelFilter } = require('../lib/labels');
+const { EQUIPMENT_TYPES, DEFAULT_MIN_CONFIDENCE, evaluateCompliance, detectPpe, createPpeEmbed } = require('../lib/ppe');
+const {
+    OCR_MODES,
+    parseRegion,
+    buildTextFilters,
+    detectOcrText,
+    extractText,
+    createTextFile,
+    createOcrEmbeds
+} = require('../lib/ocr');
+const { replyWithPages } = require('../lib/pagination');
+const { recognizeCelebrityDetails, createCelebrityEmbed, createCelebrityReport } = require('../lib/celebrities');
+const {
+    MIN_CLUSTER_IMAGES,
+    MAX_CLUSTER_IMAGES,
+    clusterImages,
+    formatPlan,
+    createClusterEmbed,
+    createClusterCsv,
+    createClusterReport
+} = require('../lib/faceClustering');
+const { ANONYMIZE_METHODS, MAX_OUTPUT_BYTES, detectAnonymizeRegions, anonymizeImage, createAnonymizeEmbed } = require('../lib/anonymize');
+const { checkCooldown } = require('../lib/requestLimits');
+const { getJobQueue, guardInteraction } = require('../lib/jobQueue');
+const { recordError } = require('../lib/metrics');
+const { logger, footerWithRequestId, withRequestIdNote } = require('../lib/logger');
+const { getTempDir, scheduleCleanup } = require('../lib/tempFiles');
 
-// --- Per-user rate limiting ---
-const cooldowns = new Map();
-const COOLDOWN_MS = 5000;
+// --- Input validation (called before deferReply for ephemeral errors) ---
 
-// --- Image validation ---
-const ALLOWED_IMAGE_EXTENSIONS = new Set(['.jpg', '.jpeg', '.png', '.gif', '.bmp', '.webp']);
-const MAX_URL_LENGTH = 2048;
-const MAX_DOWNLOAD_BYTES = 10 * 1024 * 1024; // 10MB
-const MAX_CONCURRENT_REQUESTS = 10; // Global concurrency limit
-let activeRequests = 0;
+// Validators return the error message in the language of `t`, or null
+const englishTranslator = getTranslator();
 
-function isValidImageBuffer(buffer) {
-    if (!buffer || buffer.length < 12) return false;
+function validateImageInput(interaction, t = englishTranslator) {
+    const imageUrl = interaction.options.getString('url');
+    const uploadedImage = interaction.options.getAttachment('image');
 
-    // JPEG: FF D8 FF
-    if (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) return true;
-    // PNG: 89 50 4E 47
-    if (buffer[0] === 0x89 && buffer[1] === 0x50 && buffer[2] === 0x4E && buffer[3] === 0x47) return true;
-    // GIF: 47 49 46
-    if (buffer[0] === 0x47 && buffer[1] === 0x49 && buffer[2] === 0x46) return true;
-    // BMP: 42 4D + valid file size in bytes 2-5 (little-endian, must be > 26 for minimal BMP header)
-    if (buffer[0] === 0x42 && buffer[1] === 0x4D) {
-        const fileSize = buffer.readUInt32LE(2);
-        return fileSize > 26 && fileSize <= MAX_DOWNLOAD_BYTES;
+    if (!imageUrl && !uploadedImage) {
+        return t('validation.inputRequired');
     }
-    // WebP: RIFF....WEBP (bytes 0-3 = RIFF, bytes 8-11 = WEBP)
-    if (buffer[0] === 0x52 && buffer[1] === 0x49 && buffer[2] === 0x46 && buffer[3] === 0x46 &&
-        buffer[8] === 0x57 && buffer[9] === 0x45 && buffer[10] === 0x42 && buffer[11] === 0x50) return true;
-
-    return false;
+    if (imageUrl && !isValidUrl(imageUrl)) {
+        return t('validation.invalidUrl');
+    }
+    return null;
 }
 
-// --- SSRF protection ---
+function validateAnalyzeInputs(interaction, config = DEFAULT_GUILD_CONFIG, t = englishTranslator) {
+    const featureOption = interaction.options.getString('features');
 
-function isPrivateIPv4(ip) {
-    const parts = ip.split('.').map(Number);
-    if (parts.length !== 4 || parts.some(p => isNaN(p))) return true;
+    const inputError = validateImageInput(interaction, t);
+    if (inputError) return inputError;
 
-    return (
-        parts[0] === 127 ||                                         // Loopback
-        parts[0] === 10 ||                                          // 10.0.0.0/8
-        (parts[0] === 172 && parts[1] >= 16 && parts[1] <= 31) ||  // 172.16.0.0/12
-        (parts[0] === 192 && parts[1] === 168) ||                   // 192.168.0.0/16
-        (parts[0] === 169 && parts[1] === 254) ||                   // Link-local / AWS metadata
-        parts[0] === 0 ||                                            // 0.0.0.0/8
-        (parts[0] === 100 && parts[1] >= 64 && parts[1] <= 127) || // Carrier-grade NAT
-        (parts[0] === 198 && parts[1] >= 18 && parts[1] <= 19)     // Benchmarking
-    );
-}
-
-function isPrivateIP(ip) {
-    // IPv4
-    if (!ip.includes(':')) return isPrivateIPv4(ip);
-
-    // IPv6 loopback
-    if (ip === '::1' || ip === '0:0:0:0:0:0:0:1') return true;
-    // IPv6 link-local, unique local
-    if (ip.startsWith('fe80:') || ip.startsWith('fc00:') || ip.startsWith('fd00:')) return true;
-    // IPv4-mapped IPv6: ::ffff:x.x.x.x
-    if (ip.startsWith('::ffff:')) {
-        const v4 = ip.slice(7);
-        if (net.isIPv4(v4)) return isPrivateIPv4(v4);
-        return true; // Malformed — block
-    }
-    // IPv4-compatible IPv6 (deprecated): ::x.x.x.x
-    if (ip.startsWith('::') && ip.includes('.')) {
-        const v4 = ip.slice(2);
-        if (net.isIPv4(v4)) return isPrivateIPv4(v4);
-        return true;
-    }
-    // 6to4: 2002:XXYY:ZZWW:: encodes IPv4 XX.YY.ZZ.WW
-    if (ip.startsWith('2002:')) {
-        const hex = ip.split(':')[1];
-        if (hex && hex.length <= 4) {
-            const num = parseInt(hex, 16);
-            const a = (num >> 8) & 0xFF;
-            const b = num & 0xFF;
-            const hex2 = ip.split(':')[2] || '0';
-            const num2 = parseInt(hex2, 16);
-            const c = (num2 >> 8) & 0xFF;
-            const d = num2 & 0xFF;
-            return isPrivateIPv4(`${a}.${b}.${c}.${d}`);
-        }
-        return true;
+    if (featureOption && featureOption !== 'all' && !isFeatureEnabled(config, featureOption)) {
+        return t('validation.featureDisabled');
     }
-    // Teredo: 2001:0000:... (Teredo prefix)
-    if (ip.startsWith('2001:0000:') || ip.startsWith('2001:0:')) return true;
-    // :: (unspecified address, equivalent to 0.0.0.0)
-    if (ip === '::') return true;
-
-    return false;
-}
-
-async function validateAndResolveUrl(url) {
-    const urlObj = new URL(url);
-    const hostname = urlObj.hostname;
-
-    // Block direct IP addresses that are private (hostnames go through DNS check below)
-    if (net.isIP(hostname) && isPrivateIP(hostname)) {
-        throw new UserFacingError('URLs pointing to private or internal network addresses are not allowed.');
+    if (resolveFeatures(config, featureOption).length === 0) {
+        return t('validation.noFeatures');
     }
 
     try {
-        const { address, family } = await dnsLookup(hostname);
-        if (isPrivateIP(address)) {
-            throw new UserFacingError('URLs pointing to private or internal network addresses are not allowed.');
-        }
-        return { address, family };
-    } catch (err) {
-        if (err instanceof UserFacingError) throw err;
-        throw new UserFacingError('Could not resolve the URL hostname.');
+        normalizeLabelFilter(interaction.options.getString('categories'));
+    } catch (error) {
+        if (!(error instanceof RangeError)) throw error;
+        return t('validation.invalidLabelFilter', { max: MAX_FILTER_NAMES });
     }
+    return null;
 }
 
-// Pin resolved IP to prevent DNS rebinding between validation and request
-function createPinnedAgent(protocol, address, family) {
-    const Agent = protocol === 'https:' ? https.Agent : http.Agent;
-    return new Agent({
-        lookup: (_hostname, _options, cb) => cb(null, address, family)
-    });
+// Slash option name -> DetectProtectiveEquipment equipment type
+const PPE_OPTIONS = {
+    require_face_cover: 'FACE_COVER',
+    require_hand_cover: 'HAND_COVER',
+    require_head_cover: 'HEAD_COVER'
+};
+
+// Equipment set to True is required; when none is, everything not set to False is
+function getRequiredEquipment(interaction) {
+    const choices = Object.fromEntries(Object.entries(PPE_OPTIONS)
+        .map(([optionName, type]) => [type, interaction.options.getBoolean(optionName)]));
+    const selected = EQUIPMENT_TYPES.filter(type => choices[type] === true);
+    return selected.length > 0 ? selected : EQUIPMENT_TYPES.filter(type => choices[type] !== false);
 }
 
-// --- Error types ---
+function validatePpeInputs(interaction, t = englishTranslator) {
+    const inputError = validateImageInput(interaction, t);
+    if (inputError) return inputError;
 
-class UserFacingError extends Error {
-    constructor(message) {
-        super(message);
-        this.name = 'UserFacingError';
+    if (getRequiredEquipment(interaction).length === 0) {
+        return t('validation.nothingToCheck');
     }
+    return null;
 }
 
-// --- URL / extension helpers ---
+function validateOcrInputs(interaction, t = englishTranslator) {
+    const inputError = validateImageInput(interaction, t);
+    if (inputError) return inputError;
 
-function isValidUrl(url) {
-    if (!url || url.length > MAX_URL_LENGTH) return false;
-    try {
-        const parsedUrl = new URL(url);
-        return ['http:', 'https:'].includes(parsedUrl.protocol);
-    } catch {
-        return false;
+    const region = interaction.options.getString('region');
+    if (region && !parseRegion(region)) {
+        return t('validation.invalidRegion');
     }
+    return null;
 }
 
-function escapeMarkdown(text) {
-    return String(text).replace(/([*_`~|\\>])/g, '\\$1');
-}
+function validateCelebrityInputs(interaction, config = DEFAULT_GUILD_CONFIG, t = englishTranslator) {
+    const inputError = validateImageInput(interaction, t);
+    if (inputError) return inputError;
 
-function sanitizeExtension(urlPathname) {
-    const ext = path.extname(urlPathname).toLowerCase();
-    return ALLOWED_IMAGE_EXTENSIONS.has(ext) ? ext : '.jpg';
+    if (!isFeatureEnabled(config, 'celebrities')) {
+        return t('validation.celebritiesDisabled');
+    }
+    return null;
 }
 
-// --- Input validation (called before deferReply for ephemeral errors) ---
+function validateAnonymizeInputs(interaction, t = englishTranslator) {
+    const inputError = validateImageInput(interaction, t);
+    if (inputError) return inputError;
 
-function validateAnalyzeInputs(interaction) {
-    const imageUrl = interaction.options.getString('url');
-    const uploadedImage = interaction.options.getAttachment('image');
+    const keepUrl = interaction.options.getString('keep_url');
+    if (keepUrl && !isValidUrl(keepUrl)) {
+        return t('validation.invalidReferenceUrl');
+    }
+    return null;
+}
 
-    if (!imageUrl && !uploadedImage) {
-        return '📷 **Input Required**\nPlease provide either an image URL or upload an image file.';
+// image1 ... image10, in option order
+function getClusterAttachments(interaction) {
+    return Array.from({ length: MAX_CLUSTER_IMAGES }, (_, i) => interaction.options.getAttachment(`image${i + 1}`))
+        .filter(Boolean);
+}
+
+function validateClusterInputs(interaction, t = englishTranslator) {
+    const attachments = getClusterAttachments(interaction);
+    if (attachments.length < MIN_CLUSTER_IMAGES) {
+        return t('validation.moreImagesRequired', { count: MIN_CLUSTER_IMAGES });
     }
-    if (imageUrl && !isValidUrl(imageUrl)) {
-        return '🔗 **Invalid URL**\nPlease provide a valid image URL (http:// or https://, max 2048 characters).';
+    if (attachments.some(attachment => !attachment.contentType?.startsWith('image/'))) {
+        return t('validation.invalidFileType');
     }
     return null;
 }
 
-function validateCompareInputs(interaction) {
+function validateCompareInputs(interaction, t = englishTranslator) {
     const sourceUrl = interaction.options.getString('source_url');
     const sourceAttachment = interaction.options.getAttachment('source_image');
     const targetUrl = interaction.options.getString('target_url');
     const targetAttachment = interaction.options.getAttachment('target_image');
 
     if (!sourceUrl && !sourceAttachment) {
-        return '📷 **Source Image Required**\nPlease provide either a source image URL or upload a source image.';
+        return t('validation.sourceRequired');
     }
     if (!targetUrl && !targetAttachment) {
-        return '📷 **Target Image Required**\nPlease provide either a target image URL or upload a target image.';
+        return t('validation.targetRequired');
     }
     if (sourceUrl && !isValidUrl(sourceUrl)) {
-        return '🔗 **Invalid Source URL**\nPlease provide a valid image URL (http:// or https://).';
+        return t('validation.invalidSourceUrl');
     }
     if (targetUrl && !isValidUrl(targetUrl)) {
-        return '🔗 **Invalid Target URL**\nPlease provide a valid image URL (http:// or https://).';
+        return t('validation.invalidTargetUrl');
     }
     return null;
 }
 
+function validateCollectionInputs(interaction, t = englishTranslator) {
+    const subcommand = interaction.options.getSubcommand();
+
+    if (['create', 'index', 'delete'].includes(subcommand) &&
+        !interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+        return t('validation.permissionRequired');
+    }
+
+    if (subcommand === 'index' || subcommand === 'search') {
+        const error = validateAnalyzeInputs(interaction, DEFAULT_GUILD_CONFIG, t);
+        if (error) return error;
+    }
+
+    if (subcommand === 'index' && !isValidLabel(interaction.options.getString('label'))) {
+        return t('validation.invalidLabel');
+    }
+
+    if (subcommand === 'delete') {
+        const label = interaction.options.getString('label');
+        const faceId = interaction.options.getString('face_id');
+        if (!label && !faceId) {
+            return t('validation.deleteInputRequired');
+        }
+        if (label && !isValidLabel(label)) {
+            return t('validation.invalidLabel');
+        }
+    }
+    return null;
+}
+
+// --- Access rules (checked before anything else, see lib/accessControl.js) ---
+
+// "analyze", "collection index": the names used by access rules
+function commandTarget(interaction) {
+    const group = interaction.options.getSubcommandGroup(false);
+    const subcommand = interaction.options.getSubcommand();
+    return group ? `${group} ${subcommand}` : subcommand;
+}
+
+/**
+ * Apply the server's access rules. Resolves to { error, config }: error is the
+ * denial message or null. When analyze runs "all features", features the member
+ * may not use are added to config.disabledFeatures instead of denying the request.
+ */
+function checkCommandAccess(interaction, config, t = englishTranslator) {
+    const target = commandTarget(interaction);
+    const featureOption = interaction.options.getString('features');
+
+    let features = [];
+    if (target === 'analyze') features = resolveFeatures(config, featureOption);
+    if (target === 'celebrity') features = ['celebrities'];
+
+    const denial = checkAccess(getAccessRules(interaction.guildId), getAccessContext(interaction), target, features);
+    if (!denial) return { error: null, config };
+
+    const runsAllFeatures = target === 'analyze' && (featureOption || config.defaultFeatures) === 'all';
+    if (denial.type === 'feature' && runsAllFeatures && denial.deniedFeatures.length < features.length) {
+        return { error: null, config: { ...config, disabledFeatures: [...config.disabledFeatures, ...denial.deniedFeatures] } };
+    }
+    return { error: describeDenial(denial, t), config };
+}
+
+// --- Biometric consent (see lib/privacy.js) ---
+
+// Options that take an image URL, which may be someone's avatar
+const URL_OPTIONS = ['url', 'source_url', 'target_url', 'keep_url'];
+const FACE_SUBCOMMANDS = ['compare', 'cluster', 'celebrity', 'collection index', 'collection search'];
+
+function processesFaces(interaction, config) {
+    const target = commandTarget(interaction);
+    if (target === 'analyze') {
+        return resolveFeatures(config, interaction.options.getString('features')).some(feature => FACE_FEATURES.includes(feature));
+    }
+    // Faces to keep visible are compared with every face in the image
+    if (target === 'anonymize') {
+        return Boolean(interaction.options.getString('keep_url') || interaction.options.getAttachment('keep_image'));
+    }
+    return FACE_SUBCOMMANDS.includes(target);
+}
+
+/**
+ * Refuse face processing for members who opted out, for their avatars and for
+ * images they posted (`authorIds`, from message links). Resolves to
+ * { error, config } like checkCommandAccess(); analyze of all features skips
+ * face analysis and celebrity recognition instead.
+ */
+function checkCommandConsent(interaction, config, t = englishTranslator, authorIds = []) {
+    const target = commandTarget(interaction);
+    const featureOption = interaction.options.getString('features');
+    if (!processesFaces(interaction, config)) return { error: null, config };
+
+    const urls = URL_OPTIONS.map(name => interaction.options.getString(name)).filter(Boolean);
+    let refusal = findFaceProcessingRefusal(interaction.user.id, urls);
+    if (!refusal && target === 'collection index' && isOptedOut(interaction.options.getUser('member')?.id)) refusal = 'member';
+    if (!refusal && authorIds.some(isOptedOut)) refusal = 'author';
+    if (!refusal) return { error: null, config };
+
+    const otherFeatures = resolveFeatures(config, featureOption).filter(feature => !FACE_FEATURES.includes(feature));
+    if (target === 'analyze' && (featureOption || config.defaultFeatures) === 'all' && otherFeatures.length > 0) {
+        return { error: null, config: { ...config, disabledFeatures: [...config.disabledFeatures, ...FACE_FEATURES] } };
+    }
+    return { error: t(`privacy.refused.${refusal}`), config };
+}
+
+// Who posted an image from a message link is only known once it is fetched, so handlers check it then
+function checkAuthorConsent(interaction, images, config = DEFAULT_GUILD_CONFIG, t = englishTranslator) {
+    const authorIds = images.map(image => image?.authorId).filter(Boolean);
+    if (authorIds.length === 0) return config;
+
+    const consent = checkCommandConsent(interaction, config, t, authorIds);
+    if (consent.error) throw new UserFacingError(consent.error);
+    return consent.config;
+}
+
+// Always answered, before access rules, cooldown and queue: opting out must never be blocked
+async function handlePrivacy(interaction, subcommand, t) {
+    const userId = interaction.user.id;
+
+    if (subcommand === 'optout' || subcommand === 'optin') {
+        await setOptedOut(userId, subcommand === 'optout');
+        return interaction.reply({ content: t(`privacy.${subcommand}`), ephemeral: true });
+    }
+
+    if (subcommand === 'forget') {
+        await interaction.deferReply({ ephemeral: true });
+        try {
+            const guildIds = [...interaction.client.guilds.cache.keys()];
+            await interaction.editReply(t('privacy.forgotten', await forgetUser(userId, { guildIds })));
+        } catch (error) {
+            logger.error('Deleting user data failed', { error });
+            await handleError(interaction, error, t);
+        }
+        return;
+    }
+
+    const status = getPrivacyStatus(userId);
+    const date = status.optedOutAt && `<t:${Math.floor(Date.parse(status.optedOutAt) / 1000)}:D>`;
+    return interaction.reply({
+        content: t(status.optedOut ? 'privacy.statusOptedOut' : 'privacy.statusOptedIn', { date, faces: status.indexedFaces }),
+        ephemeral: true
+    });
+}
+
 // --- Command definition ---
 
 module.exports = {
-    data: new SlashCommandBuilder()
+    // Name and description localizations come from the locales/ catalogs
+    data: localizeCommand(new SlashCommandBuilder()
         .setName('rekognition')
         .setDescription('Analyze images and compare faces using AWS Rekognition')
         .addSubcommand(subcommand =>
@@ -268,7 +412,12 @@ module.exports = {
                             { name: 'Face Analysis', value: 'faces' },
                             { name: 'Content Moderation', value: 'moderation' },
                             { name: 'Celebrity Recognition', value: 'celebrities' }
-                        )))
+                        ))
+                .addStringOption(option =>
+                    option.setName('categories')
+                        .setDescription('Label categories to keep, or -Category to leave out (e.g. Animals and Pets, -Text and Documents)')
+                        .setRequired(false)
+                        .setMaxLength(1000)))
         .addSubcommand(subcommand =>
             subcommand
                 .setName('compare')
@@ -291,164 +440,635 @@ module.exports = {
                         .setRequired(false))
                 .addNumberOption(option =>
                     option.setName('similarity')
-                        .setDescription('Minimum similarity threshold (0-100, default: 80)')
+                        .setDescription('Minimum similarity threshold (0-100, default: server setting)')
                         .setRequired(false)
                         .setMinValue(0)
                         .setMaxValue(100)))
+        .addSubcommand(subcommand => {
+            subcommand
+                .setName('cluster')
+                .setDescription('Find the same people across several photos');
+            for (let i = 1; i <= MAX_CLUSTER_IMAGES; i++) {
+                subcommand.addAttachmentOption(option =>
+                    option.setName(`image${i}`)
+                        .setDescription(`Photo ${i}`)
+                        .setDescriptionLocalizations(localizations('commands.options.photo.description', { number: i }))
+                        .setRequired(i <= MIN_CLUSTER_IMAGES));
+            }
+            return subcommand.addNumberOption(option =>
+                option.setName('similarity')
+                    .setDescription('Minimum similarity threshold (0-100, default: server setting)')
+                    .setRequired(false)
+                    .setMinValue(0)
+                    .setMaxValue(100));
+        })
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('ppe')
+                .setDescription('Check people in an image for face, hand and head protective equipment')
+                .addStringOption(option =>
+                    option.setName('url')
+                        .setDescription('URL of the image to check')
+                        .setRequired(false))
+                .addAttachmentOption(option =>
+                    option.setName('image')
+                        .setDescription('Upload an image to check')
+                        .setRequired(false))
+                .addBooleanOption(option =>
+                    option.setName('require_face_cover')
+                        .setDescription('Require a face cover (default: all equipment is required)')
+                        .setRequired(false))
+                .addBooleanOption(option =>
+                    option.setName('require_hand_cover')
+                        .setDescription('Require hand covers (default: all equipment is required)')
+                        .setRequired(false))
+                .addBooleanOption(option =>
+                    option.setName('require_head_cover')
+                        .setDescription('Require a head cover (default: all equipment is required)')
+                        .setRequired(false))
+                .addNumberOption(option =>
+                    option.setName('confidence')
+                        .setDescription(`Minimum detection confidence (50-100, default: ${DEFAULT_MIN_CONFIDENCE})`)
+                        .setDescriptionLocalizations(localizations(
+                            'commands.rekognition.ppe.confidence.description', { default: DEFAULT_MIN_CONFIDENCE }
+                        ))
+                        .setRequired(false)
+                        .setMinValue(50)
+                        .setMaxValue(100)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('ocr')
+                .setDescription('Extract all text from an image')
+                .addStringOption(option =>
+                    option.setName('url')
+                        .setDescription('URL of the image to read')
+                        .setRequired(false))
+                .addAttachmentOption(option =>
+                    option.setName('image')
+                        .setDescription('Upload an image to read')
+                        .setRequired(false))
+                .addStringOption(option =>
+                    option.setName('mode')
+                        .setDescription('How to lay out the text (default: lines)')
+                        .setRequired(false)
+                        .addChoices(
+                            { name: 'Lines', value: 'lines' },
+                            { name: 'Words (with geometry in the .txt file)', value: 'words' },
+                            { name: 'Paragraphs (reading order)', value: 'paragraphs' }
+                        ))
+                .addNumberOption(option =>
+                    option.setName('confidence')
+                        .setDescription('Minimum word confidence (0-100)')
+                        .setRequired(false)
+                        .setMinValue(0)
+                        .setMaxValue(100))
+                .addNumberOption(option =>
+                    option.setName('min_word_height')
+                        .setDescription('Minimum word height in percent of the image height (0-100)')
+                        .setRequired(false)
+                        .setMinValue(0)
+                        .setMaxValue(100))
+                .addStringOption(option =>
+                    option.setName('region')
+                        .setDescription('Only read this area: left,top,width,height in percent (e.g. 0,50,100,50)')
+                        .setRequired(false)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('celebrity')
+                .setDescription('Recognize celebrities with per-face details and reference links')
+                .addStringOption(option =>
+                    option.setName('url')
+                        .setDescription('URL of the image to check')
+                        .setRequired(false))
+                .addAttachmentOption(option =>
+                    option.setName('image')
+                        .setDescription('Upload an image to check')
+                        .setRequired(false)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('anonymize')
+                .setDescription('Blur or pixelate every face in an image so it can be shared safely')
+                .addStringOption(option =>
+                    option.setName('url')
+                        .setDescription('URL of the image to anonymize')
+                        .setRequired(false))
+                .addAttachmentOption(option =>
+                    option.setName('image')
+                        .setDescription('Upload an image to anonymize')
+                        .setRequired(false))
+                .addStringOption(option =>
+                    option.setName('method')
+                        .setDescription('How to hide faces (default: blur)')
+                        .setRequired(false)
+                        .addChoices(
+                            { name: 'Blur', value: 'blur' },
+                            { name: 'Pixelate', value: 'pixelate' }
+                        ))
+                .addBooleanOption(option =>
+                    option.setName('redact_text')
+                        .setDescription('Also hide detected text, such as license plates or name tags')
+                        .setRequired(false))
+                .addStringOption(option =>
+                    option.setName('keep_url')
+                        .setDescription('URL of a photo of a face to leave visible')
+                        .setRequired(false))
+                .addAttachmentOption(option =>
+                    option.setName('keep_image')
+                        .setDescription('Upload a photo of a face to leave visible')
+                        .setRequired(false)))
+        .addSubcommandGroup(group =>
+            group
+                .setName('collection')
+                .setDescription('Index and search known faces for this server')
+                .addSubcommand(subcommand =>
+                    subcommand
+                        .setName('create')
+                        .setDescription('Create the face collection for this server'))
+                .addSubcommand(subcommand =>
+                    subcommand
+                        .setName('index')
+                        .setDescription('Add a labelled face to the collection')
+                        .addStringOption(option =>
+                            option.setName('label')
+                                .setDescription('Name for this face (letters, numbers, _ . - :)')
+                                .setRequired(true)
+                                .setMaxLength(100))
+                        .addStringOption(option =>
+                            option.setName('url')
+                                .setDescription('URL of an image containing the face')
+                                .setRequired(false))
+                        .addAttachmentOption(option =>
+                            option.setName('image')
+                                .setDescription('Upload an image containing the face')
+                                .setRequired(false))
+                        .addUserOption(option =>
+                            option.setName('member')
+                                .setDescription('Member this face belongs to if not you (they can remove it with /rekognition privacy forget)')
+                                .setRequired(false)))
+                .addSubcommand(subcommand =>
+                    subcommand
+                        .setName('search')
+                        .setDescription('Search the collection for the largest face in an image')
+                        .addStringOption(option =>
+                            option.setName('url')
+                                .setDescription('URL of the image to search with')
+                                .setRequired(false))
+                        .addAttachmentOption(option =>
+                            option.setName('image')
+                                .setDescription('Upload an image to search with')
+                                .setRequired(false))
+                        .addNumberOption(option =>
+                            option.setName('similarity')
+                                .setDescription('Minimum similarity threshold (0-100, default: server setting)')
+                                .setRequired(false)
+                                .setMinValue(0)
+                                .setMaxValue(100)))
+                .addSubcommand(subcommand =>
+                    subcommand
+                        .setName('list')
+                        .setDescription('List the labels indexed in the collection'))
+                .addSubcommand(subcommand =>
+                    subcommand
+                        .setName('delete')
+                        .setDescription('Remove faces from the collection by label or face ID')
+                        .addStringOption(option =>
+                            option.setName('label')
+                                .setDescription('Delete every face with this label')
+                                .setRequired(false))
+                        .addStringOption(option =>
+                            option.setName('face_id')
+                                .setDescription('Delete a single face by its ID')
+                                .setRequired(false))))
+        .addSubcommandGroup(group =>
+            group
+                .setName('privacy')
+                .setDescription('Choose whether the bot may process your face')
+                .addSubcommand(subcommand =>
+                    subcommand
+                        .setName('optout')
+                        .setDescription('Refuse face processing of your images and avatar'))
+                .addSubcommand(subcommand =>
+                    subcommand
+                        .setName('optin')
+                        .setDescription('Allow face processing of your images and avatar again'))
+                .addSubcommand(subcommand =>
+                    subcommand
+                        .setName('status')
+                        .setDescription('Show your choice and what is stored about you'))
+                .addSubcommand(subcommand =>
+                    subcommand
+                        .setName('forget')
+                        .setDescription('Delete everything stored about you')))
         .setDefaultMemberPermissions(PermissionFlagsBits.SendMessages)
-        .setDMPermission(false),
+        .setDMPermission(false)),
 
     // Exported for testing
-    _test: { isPrivateIP, isPrivateIPv4, isValidImageBuffer, isValidUrl, sanitizeExtension, UserFacingError, createPinnedAgent, validateAndResolveUrl },
+    _test: { isPrivateIP, isPrivateIPv4, isValidImageBuffer, isValidUrl, sanitizeExtension, UserFacingError, createPinnedAgent, validateAndResolveUrl, validateAnalyzeInputs, validateCollectionInputs, validatePpeInputs, validateOcrInputs, validateCelebrityInputs, validateClusterInputs, validateAnonymizeInputs, getRequiredEquipment, checkCommandAccess, checkCommandConsent },
 
     async execute(interaction) {
+        const guildConfig = getGuildConfig(interaction.guildId);
+        const t = getTranslator(interaction, guildConfig);
+
+        if (interaction.options.getSubcommandGroup(false) === 'privacy') {
+            return handlePrivacy(interaction, interaction.options.getSubcommand(), t);
+        }
+
+        // Denied requests never reach the cooldown
+        const { error: accessError, config: allowedConfig } = checkCommandAccess(interaction, guildConfig, t);
+        if (accessError) {
+            return interaction.reply({ content: accessError, ephemeral: true });
+        }
+
+        // Biometric consent is checked ahead of any download or analysis
+        const { error: consentError, config } = checkCommandConsent(interaction, allowedConfig, t);
+        if (consentError) {
+            return interaction.reply({ content: consentError, ephemeral: true });
+        }
+
         // Per-user rate limiting
-        const userId = interaction.user.id;
-        const now = Date.now();
-        const lastUse = cooldowns.get(userId);
-        if (lastUse && now - lastUse < COOLDOWN_MS) {
-            const remaining = Math.ceil((COOLDOWN_MS - (now - lastUse)) / 1000);
+        const remaining = checkCooldown(interaction.user.id, config.cooldownSeconds * 1000);
+        if (remaining > 0) {
             return interaction.reply({
-                content: `⏳ Please wait ${remaining} second(s) before using this command again.`,
+                content: t('limits.cooldown', { seconds: remaining }),
                 ephemeral: true
             });
         }
-        cooldowns.set(userId, now);
-
-        // Prune stale cooldown entries periodically
-        if (cooldowns.size > 100) {
-            for (const [key, time] of cooldowns) {
-                if (now - time > COOLDOWN_MS) cooldowns.delete(key);
-            }
-        }
 
+        const subcommandGroup = interaction.options.getSubcommandGroup(false);
         const subcommand = interaction.options.getSubcommand();
 
         // Validate inputs before deferring (allows ephemeral error responses)
-        const validationError = subcommand === 'analyze'
-            ? validateAnalyzeInputs(interaction)
-            : validateCompareInputs(interaction);
+        let validationError;
+        if (subcommandGroup === 'collection') {
+            validationError = validateCollectionInputs(interaction, t);
+        } else if (subcommand === 'analyze') {
+            validationError = validateAnalyzeInputs(interaction, config, t);
+        } else if (subcommand === 'ppe') {
+            validationError = validatePpeInputs(interaction, t);
+        } else if (subcommand === 'ocr') {
+            validationError = validateOcrInputs(interaction, t);
+        } else if (subcommand === 'celebrity') {
+            validationError = validateCelebrityInputs(interaction, config, t);
+        } else if (subcommand === 'cluster') {
+            validationError = validateClusterInputs(interaction, t);
+        } else if (subcommand === 'anonymize') {
+            validationError = validateAnonymizeInputs(interaction, t);
+        } else {
+            validationError = validateCompareInputs(interaction, t);
+        }
 
         if (validationError) {
             return interaction.reply({ content: validationError, ephemeral: true });
         }
 
-        // Global concurrency limit
-        if (activeRequests >= MAX_CONCURRENT_REQUESTS) {
+        // Global concurrency limit: requests wait in the job queue, unless it is full too
+        const queue = getJobQueue();
+        if (queue.isFull()) {
             return interaction.reply({
-                content: '⏳ The bot is currently processing too many requests. Please try again in a moment.',
+                content: t('limits.busy'),
                 ephemeral: true
             });
         }
-        activeRequests++;
 
         await interaction.deferReply();
 
-        const tempDir = path.join(__dirname, '..', 'temp');
+        const tempDir = getTempDir();
         const requestFiles = []; // Track files for per-request cleanup
 
         try {
-            if (subcommand === 'analyze') {
-                await handleAnalyze(interaction, tempDir, requestFiles);
-            } else if (subcommand === 'compare') {
-                await handleCompare(interaction, tempDir, requestFiles);
-            }
+            await queue.run(interaction.guildId, async signal => {
+                // Past the job's deadline, late replies must not replace the timeout message
+                const guarded = guardInteraction(interaction, signal);
+                if (subcommandGroup === 'collection') {
+                    await handleCollection(guarded, subcommand, tempDir, requestFiles, config, t);
+                } else if (subcommand === 'analyze') {
+                    await handleAnalyze(guarded, tempDir, requestFiles, config, t);
+                } else if (subcommand === 'compare') {
+                    await handleCompare(guarded, tempDir, requestFiles, config, t);
+                } else if (subcommand === 'ppe') {
+                    await handlePpe(guarded, tempDir, requestFiles, t);
+                } else if (subcommand === 'ocr') {
+                    await handleOcr(guarded, tempDir, requestFiles, t);
+                } else if (subcommand === 'celebrity') {
+                    await handleCelebrity(guarded, tempDir, requestFiles, config, t);
+                } else if (subcommand === 'cluster') {
+                    await handleCluster(guarded, tempDir, requestFiles, config, t);
+                } else if (subcommand === 'anonymize') {
+                    await handleAnonymize(guarded, tempDir, requestFiles, config, t);
+                }
+            }, {
+                onPosition: (position, total) => interaction.editReply(t('limits.queued', { position, total }))
+            });
         } catch (error) {
-            console.error('Rekognition command error:', error);
-            await handleError(interaction, error);
+            logger.error('Rekognition command failed', { subcommand, error });
+            await handleError(interaction, error, t);
         } finally {
-            activeRequests--;
-            setTimeout(() => cleanupFiles(requestFiles), 10000);
+            scheduleCleanup(requestFiles);
         }
     },
 };
 
 // --- Subcommand handlers ---
 
-async function handleAnalyze(interaction, tempDir, requestFiles) {
-    const imageUrl = interaction.options.getString('url');
-    const uploadedImage = interaction.options.getAttachment('image');
-    const featureOption = interaction.options.getString('features') || 'all';
-
-    let imageBuffer;
-    let sourceDescription;
-    let imageAttachment = null;
+async function handleAnalyze(interaction, tempDir, requestFiles, requestConfig, t) {
+    const featureOption = interaction.options.getString('features');
+    const categoryOption = interaction.options.getString('categories');
 
-    if (uploadedImage) {
-        const result = await processUploadedImage(uploadedImage, tempDir, '', requestFiles);
-        imageBuffer = result.buffer;
-        sourceDescription = result.description;
-        imageAttachment = result.attachment;
-    } else {
-        const result = await processImageUrl(imageUrl, tempDir, '', requestFiles);
-        imageBuffer = result.buffer;
-        sourceDescription = result.description;
-        imageAttachment = result.attachment;
-    }
+    const image = await resolveImageInput(interaction, tempDir, '', requestFiles);
+    const consentConfig = checkAuthorConsent(interaction, [image], requestConfig, t);
+    // The categories option replaces the server's default category filter
+    const config = categoryOption
+        ? { ...consentConfig, labelCategoryFilter: normalizeLabelFilter(categoryOption) }
+        : consentConfig;
+    const {
+        buffer: imageBuffer,
+        description: sourceDescription,
+        attachment: imageAttachment,
+        adjustments
+    } = image;
 
-    const features = featureOption === 'all'
-        ? ['labels', 'text', 'faces', 'moderation', 'celebrities']
-        : [featureOption];
+    const features = resolveFeatures(config, featureOption);
 
-    await interaction.editReply(`🔍 **Analyzing Image**\nRunning ${features.length} analysis feature(s): ${features.join(', ')}...`);
+    await interaction.editReply(t('progress.analyzing', { count: features.length, features: features.join(', ') }));
 
-    const results = await runAnalyses(imageBuffer, features);
+    const { results, cachedFeatures } = await runAnalyses(imageBuffer, features, config);
 
     const reportPath = await createAnalysisReport(results, sourceDescription, tempDir, requestFiles);
 
-    const embed = createAnalysisEmbed(results, sourceDescription, imageAttachment);
+    const annotatedAttachment = await createAnnotatedAttachment(
+        imageBuffer, collectAnalysisBoxes(results), 'annotated.jpg'
+    );
+
+    const embed = createAnalysisEmbed(
+        results, describeImage(image, t), imageAttachment, annotatedAttachment, cachedFeatures, t
+    );
+    addAdjustmentsField(embed, adjustments, t);
+
+    logger.info('Image analyzed', {
+        features,
+        cachedFeatures,
+        failedFeatures: features.filter(feature => results[feature]?.error)
+    });
 
     const files = [new AttachmentBuilder(reportPath, { name: 'analysis_report.json' })];
-    if (imageAttachment) files.push(imageAttachment);
+    if (annotatedAttachment) {
+        files.push(annotatedAttachment);
+    } else if (imageAttachment) {
+        files.push(imageAttachment);
+    }
 
     await interaction.editReply({
-        content: '✅ **Analysis Complete!** Results are shown below with detailed JSON report attached.',
+        content: t('done.analysis'),
         embeds: [embed],
         files: files
     });
 }
 
-async function handleCompare(interaction, tempDir, requestFiles) {
+async function handlePpe(interaction, tempDir, requestFiles, t) {
+    const requiredTypes = getRequiredEquipment(interaction);
+    const minConfidence = interaction.options.getNumber('confidence') ?? DEFAULT_MIN_CONFIDENCE;
+
+    const image = await resolveImageInput(interaction, tempDir, '', requestFiles);
+    const {
+        buffer: imageBuffer,
+        description: sourceDescription,
+        attachment: imageAttachment,
+        adjustments
+    } = image;
+
+    await interaction.editReply(t('progress.ppe'));
+
+    const { response, cached } = await detectPpe(imageBuffer, requiredTypes, minConfidence);
+    const evaluation = evaluateCompliance(response, requiredTypes, minConfidence);
+
+    const reportPath = await createAnalysisReport(
+        { ppe: response, compliance: evaluation }, sourceDescription, tempDir, requestFiles, 'ppe_compliance_check'
+    );
+
+    const annotatedAttachment = await createAnnotatedAttachment(
+        imageBuffer, collectPpeBoxes(evaluation), 'ppe_annotated.jpg'
+    );
+
+    const embed = createPpeEmbed(evaluation, describeImage(image, t), imageAttachment, annotatedAttachment, cached, t);
+    addAdjustmentsField(embed, adjustments, t);
+
+    logger.info('PPE checked', { requiredTypes, minConfidence, cached, ...evaluation.summary });
+
+    const files = [new AttachmentBuilder(reportPath, { name: 'ppe_report.json' })];
+    if (annotatedAttachment) {
+        files.push(annotatedAttachment);
+    } else if (imageAttachment) {
+        files.push(imageAttachment);
+    }
+
+    await interaction.editReply({
+        content: t('done.ppe'),
+        embeds: [embed],
+        files: files
+    });
+}
+
+async function handleOcr(interaction, tempDir, requestFiles, t) {
+    const mode = interaction.options.getString('mode') ?? OCR_MODES[0];
+    const region = interaction.options.getString('region');
+    const filters = buildTextFilters({
+        minConfidence: interaction.options.getNumber('confidence'),
+        minWordHeight: interaction.options.getNumber('min_word_height'),
+        region: region ? parseRegion(region) : null
+    });
+
+    const image = await resolveImageInput(interaction, tempDir, '', requestFiles);
+    const { buffer: imageBuffer, attachment: imageAttachment, adjustments } = image;
+
+    await interaction.editReply(t('progress.ocr'));
+
+    const { response, cached } = await detectOcrText(imageBuffer, filters);
+    const ocr = extractText(response, mode);
+
+    const textPath = path.join(tempDir, `ocr_${crypto.randomBytes(4).toString('hex')}.txt`);
+    await fsp.writeFile(textPath, createTextFile(ocr));
+    requestFiles.push(textPath);
+
+    const annotatedAttachment = await createAnnotatedAttachment(
+        imageBuffer, collectAnalysisBoxes({ text: response }), 'ocr_annotated.jpg'
+    );
+
+    const embeds = createOcrEmbeds(ocr, filters, describeImage(image, t), imageAttachment, annotatedAttachment, cached, t);
+    addAdjustmentsField(embeds[0], adjustments, t);
+
+    logger.info('Text extracted', {
+        mode,
+        cached,
+        lines: ocr.lines.length,
+        words: ocr.words.length,
+        mayBeIncomplete: ocr.mayBeIncomplete
+    });
+
+    const files = [new AttachmentBuilder(textPath, { name: mode === 'words' ? 'ocr_words.tsv.txt' : 'ocr_text.txt' })];
+    if (annotatedAttachment) {
+        files.push(annotatedAttachment);
+    } else if (imageAttachment) {
+        files.push(imageAttachment);
+    }
+
+    await replyWithPages(interaction, embeds, {
+        content: t('done.ocr'),
+        files
+    }, { t });
+}
+
+async function handleCelebrity(interaction, tempDir, requestFiles, config, t) {
+    const image = await resolveImageInput(interaction, tempDir, '', requestFiles);
+    checkAuthorConsent(interaction, [image], config, t);
+    const {
+        buffer: imageBuffer,
+        description: sourceDescription,
+        attachment: imageAttachment,
+        adjustments
+    } = image;
+
+    await interaction.editReply(t('progress.celebrities'));
+
+    const details = await recognizeCelebrityDetails(imageBuffer);
+
+    const reportPath = await createAnalysisReport(
+        createCelebrityReport(details), sourceDescription, tempDir, requestFiles, 'celebrity_recognition'
+    );
+
+    const annotatedAttachment = await createAnnotatedAttachment(
+        imageBuffer, collectCelebrityBoxes(details.response), 'celebrities_annotated.jpg'
+    );
+
+    const embed = createCelebrityEmbed(details, describeImage(image, t), imageAttachment, annotatedAttachment, t);
+    addAdjustmentsField(embed, adjustments, t);
+
+    logger.info('Celebrities recognized', {
+        cached: details.cached,
+        celebrityIds: details.celebrities.map(celebrity => celebrity.id),
+        unrecognized: details.unrecognizedCount
+    });
+
+    const files = [new AttachmentBuilder(reportPath, { name: 'celebrity_report.json' })];
+    if (annotatedAttachment) {
+        files.push(annotatedAttachment);
+    } else if (imageAttachment) {
+        files.push(imageAttachment);
+    }
+
+    await interaction.editReply({
+        content: t('done.celebrities'),
+        embeds: [embed],
+        files: files
+    });
+}
+
+async function handleAnonymize(interaction, tempDir, requestFiles, config, t) {
+    const method = interaction.options.getString('method') ?? ANONYMIZE_METHODS[0];
+    const redactText = interaction.options.getBoolean('redact_text') ?? false;
+    const keepUrl = interaction.options.getString('keep_url');
+    const keepAttachment = interaction.options.getAttachment('keep_image');
+
+    const image = await resolveImageInput(interaction, tempDir, '', requestFiles);
+
+    let reference = null;
+    if (keepAttachment || keepUrl) {
+        reference = keepAttachment
+            ? await processUploadedImage(keepAttachment, tempDir, 'keep', requestFiles)
+            : await resolveUrlImage(interaction, keepUrl, tempDir, 'keep', requestFiles);
+    }
+    checkAuthorConsent(interaction, [image, reference], config, t);
+
+    await interaction.editReply(t(redactText ? 'progress.anonymizingText' : 'progress.anonymizing'));
+
+    const selection = await detectAnonymizeRegions(image.buffer, {
+        redactText,
+        reference: reference?.buffer ?? null,
+        similarity: config.compareSimilarity
+    });
+    // Regions are hidden on the original so the result keeps its resolution,
+    // unless that would be too large to upload
+    let anonymized = await anonymizeImage(image.original ?? image.buffer, selection.regions, { method });
+    if (anonymized && anonymized.buffer.length > MAX_OUTPUT_BYTES && image.original) {
+        anonymized = await anonymizeImage(image.buffer, selection.regions, { method });
+    }
+
+    logger.info('Image anonymized', {
+        method,
+        redactText,
+        keptReference: Boolean(reference),
+        hiddenFaces: selection.hiddenFaces,
+        keptFaces: selection.keptFaces,
+        textRegions: selection.textRegions
+    });
+
+    if (!anonymized) {
+        return await interaction.editReply({
+            content: selection.keptFaces > 0
+                ? t('results.nothingToHideKept')
+                : t(redactText ? 'results.nothingToHideText' : 'results.nothingToHide')
+        });
+    }
+
+    const outputAttachment = new AttachmentBuilder(anonymized.buffer, {
+        name: anonymized.format === 'png' ? 'anonymized.png' : 'anonymized.jpg',
+        description: t('results.anonymizedDescription')
+    });
+    const embed = createAnonymizeEmbed(selection, method, describeImage(image, t), outputAttachment, t);
+    addAdjustmentsField(embed, image.adjustments, t);
+
+    await interaction.editReply({
+        content: t('done.anonymize'),
+        embeds: [embed],
+        files: [outputAttachment]
+    });
+}
+
+async function handleCompare(interaction, tempDir, requestFiles, config, t) {
     const sourceUrl = interaction.options.getString('source_url');
     const sourceAttachment = interaction.options.getAttachment('source_image');
     const targetUrl = interaction.options.getString('target_url');
     const targetAttachment = interaction.options.getAttachment('target_image');
-    const similarityThreshold = interaction.options.getNumber('similarity') || 80;
+    const similarityThreshold = interaction.options.getNumber('similarity') ?? config.compareSimilarity;
 
-    await interaction.editReply(`🔄 **Preparing Face Comparison**\nSimilarity threshold: ${similarityThreshold}%`);
+    await interaction.editReply(t('progress.preparingComparison', { threshold: similarityThreshold }));
 
     try {
         const sourceResult = sourceAttachment
             ? await processUploadedImage(sourceAttachment, tempDir, 'source', requestFiles)
-            : await processImageUrl(sourceUrl, tempDir, 'source', requestFiles);
+            : await resolveUrlImage(interaction, sourceUrl, tempDir, 'source', requestFiles);
 
         const targetResult = targetAttachment
             ? await processUploadedImage(targetAttachment, tempDir, 'target', requestFiles)
-            : await processImageUrl(targetUrl, tempDir, 'target', requestFiles);
+            : await resolveUrlImage(interaction, targetUrl, tempDir, 'target', requestFiles);
+        checkAuthorConsent(interaction, [sourceResult, targetResult], config, t);
 
-        await interaction.editReply('🔍 **Comparing Faces**\nAnalyzing facial features and calculating similarity...');
+        await interaction.editReply(t('progress.comparing'));
 
-        // Pass threshold directly — AWS expects 0-100, user input is already 0-100
-        const comparisonResult = await compareFaces(
-            sourceResult.buffer,
-            targetResult.buffer,
-            similarityThreshold
-        );
+        const comparisonResult = await compareImages(sourceResult.buffer, targetResult.buffer, similarityThreshold);
 
         const reportPath = await createComparisonReport(
             comparisonResult, sourceResult.description, targetResult.description, tempDir, requestFiles
         );
 
+        const boxes = collectComparisonBoxes(comparisonResult);
+        const sourceAnnotated = await createAnnotatedAttachment(sourceResult.buffer, boxes.source, 'source_annotated.jpg');
+        const targetAnnotated = await createAnnotatedAttachment(targetResult.buffer, boxes.target, 'target_annotated.jpg');
+
         const embed = createComparisonEmbed(
-            comparisonResult, sourceResult.description, targetResult.description, similarityThreshold
+            comparisonResult, describeImage(sourceResult, t), describeImage(targetResult, t), similarityThreshold,
+            { source: sourceAnnotated, target: targetAnnotated }, t
         );
+        addAdjustmentsField(embed, sourceResult.adjustments, t, t('embeds.sourceAdjusted'));
+        addAdjustmentsField(embed, targetResult.adjustments, t, t('embeds.targetAdjusted'));
 
         const files = [new AttachmentBuilder(reportPath, { name: 'comparison_report.json' })];
-        if (sourceResult.attachment) files.push(sourceResult.attachment);
-        if (targetResult.attachment) files.push(targetResult.attachment);
+        const sourceFile = sourceAnnotated || sourceResult.attachment;
+        const targetFile = targetAnnotated || targetResult.attachment;
+        if (sourceFile) files.push(sourceFile);
+        if (targetFile) files.push(targetFile);
 
         await interaction.editReply({
-            content: '✅ **Face Comparison Complete!** Results are shown below with detailed report attached.',
+            content: t('done.comparison'),
             embeds: [embed],
             files: files
         });
@@ -456,287 +1076,295 @@ async function handleCompare(interaction, tempDir, requestFiles) {
     } catch (error) {
         if (error.name === 'InvalidParameterException' && error.message?.includes('no face')) {
             return await interaction.editReply({
-                content: '👤 **No Faces Detected**\nNo faces were found in one or both images. Please use images with clearly visible faces.'
+                content: t('results.noFacesCompare')
             });
         }
         throw error;
     }
 }
 
-// --- Image processing ---
+async function handleCluster(interaction, tempDir, requestFiles, config, t) {
+    const similarityThreshold = interaction.options.getNumber('similarity') ?? config.compareSimilarity;
+    const attachments = getClusterAttachments(interaction);
+    const imageNames = attachments.map((attachment, i) => path.basename(attachment.name || `image ${i + 1}`));
 
-async function processUploadedImage(attachment, tempDir, prefix, requestFiles) {
-    if (!attachment.contentType?.startsWith('image/')) {
-        throw new UserFacingError('Invalid file type. Please upload a valid image file (JPEG, PNG, etc.).');
+    await interaction.editReply(t('progress.preparingClustering', { count: attachments.length }));
+
+    const images = [];
+    for (const [i, attachment] of attachments.entries()) {
+        images.push(await processUploadedImage(attachment, tempDir, `cluster${i + 1}`, requestFiles));
     }
 
-    try {
-        // Restrict attachment downloads to Discord CDN origin
-        if (attachment.url && !attachment.url.startsWith('https://cdn.discordapp.com/')) {
-            throw new UserFacingError('Attachment URL does not originate from Discord CDN.');
+    await interaction.editReply(t('progress.detectingFaces', { count: images.length }));
+
+    // Progress edits are throttled; Discord rate-limits message edits
+    let planText = '';
+    let lastProgressAt = 0;
+    const result = await clusterImages(images.map(image => image.buffer), {
+        similarity: similarityThreshold,
+        onPlan: async plan => {
+            planText = t('progress.clusterPlan', { plan: formatPlan(plan, images.length, t) });
+            await interaction.editReply(planText);
+        },
+        onProgress: async (done, total) => {
+            if (done < total && Date.now() - lastProgressAt < 2000) return;
+            lastProgressAt = Date.now();
+            await interaction.editReply(`${planText}\n\n${t('progress.clusterComparing', { done, total })}`);
         }
+    });
+
+    logger.info('Faces clustered', {
+        images: images.length,
+        similarityThreshold,
+        comparisons: result.plan.comparisons,
+        skippedFaces: result.plan.skippedFaces,
+        people: result.clusters.length
+    });
 
-        const response = await axios.get(attachment.url, {
-            responseType: 'arraybuffer',
-            timeout: 15000,
-            maxContentLength: MAX_DOWNLOAD_BYTES,
-            maxBodyLength: MAX_DOWNLOAD_BYTES,
-            maxRedirects: 0 // No redirects from Discord CDN
+    if (result.clusters.length === 0) {
+        return await interaction.editReply({
+            content: t('results.noFacesCluster')
         });
+    }
 
-        const buffer = Buffer.from(response.data);
+    const reportPath = await createAnalysisReport(
+        createClusterReport(result, imageNames), `${images.length} uploaded images`, tempDir, requestFiles, 'face_clustering'
+    );
+    const csvPath = path.join(tempDir, `clusters_${crypto.randomBytes(4).toString('hex')}.csv`);
+    await fsp.writeFile(csvPath, createClusterCsv(result, imageNames));
+    requestFiles.push(csvPath);
 
-        if (!isValidImageBuffer(buffer)) {
-            throw new UserFacingError('File does not appear to be a valid image. Supported formats: JPEG, PNG, GIF, BMP, WebP.');
-        }
+    const embed = createClusterEmbed(result, imageNames, t);
+    images.forEach((image, i) => addAdjustmentsField(embed, image.adjustments, t, t('embeds.imageNumberAdjusted', { number: i + 1 })));
 
-        // Sanitize filename: use random ID + validated extension only (prevents path traversal)
-        const randomId = crypto.randomBytes(6).toString('hex');
-        const origExt = path.extname(path.basename(attachment.name || '')).toLowerCase();
-        const safeExt = ALLOWED_IMAGE_EXTENSIONS.has(origExt) ? origExt : '.jpg';
-        const fileName = `${prefix ? prefix + '_' : ''}${randomId}${safeExt}`;
-        const filePath = path.join(tempDir, fileName);
-
-        await fsp.writeFile(filePath, buffer);
-        requestFiles.push(filePath);
-
-        return {
-            buffer,
-            description: `uploaded ${prefix ? prefix + ' ' : ''}image (${path.basename(attachment.name || 'image')})`,
-            attachment: new AttachmentBuilder(filePath, {
-                name: fileName,
-                description: `${prefix ? prefix + ' ' : ''}Original image`
-            })
-        };
-    } catch (error) {
-        if (error instanceof UserFacingError) throw error;
-        throw new UserFacingError('Failed to process uploaded image. Please try again.');
-    }
+    await interaction.editReply({
+        content: t('done.clustering'),
+        embeds: [embed],
+        files: [
+            new AttachmentBuilder(reportPath, { name: 'cluster_report.json' }),
+            new AttachmentBuilder(csvPath, { name: 'face_clusters.csv' })
+        ]
+    });
 }
 
-async function processImageUrl(url, tempDir, prefix, requestFiles) {
-    // SSRF protection: resolve hostname, block private IPs, pin resolved address
-    const urlObj = new URL(url);
-    const { address, family } = await validateAndResolveUrl(url);
-    const agent = createPinnedAgent(urlObj.protocol, address, family);
-
-    const fileExtension = sanitizeExtension(urlObj.pathname);
-    const randomId = crypto.randomBytes(6).toString('hex');
-    const fileName = `${prefix ? prefix + '_' : ''}image_${randomId}${fileExtension}`;
-    const filePath = path.join(tempDir, fileName);
+async function handleCollection(interaction, subcommand, tempDir, requestFiles, config, t) {
+    const backend = getCollectionBackend();
+    const collectionId = collectionIdForGuild(interaction.guildId);
 
     try {
-        const response = await axios.get(url, {
-            responseType: 'arraybuffer',
-            timeout: 15000,
-            maxContentLength: MAX_DOWNLOAD_BYTES,
-            maxBodyLength: MAX_DOWNLOAD_BYTES,
-            maxRedirects: 5,
-            headers: { 'User-Agent': 'DiscordBot/1.0' },
-            httpAgent: agent,
-            httpsAgent: agent
-        });
-
-        if (!response.headers['content-type']?.startsWith('image/')) {
-            throw new UserFacingError('URL does not point to a valid image.');
-        }
-
-        const buffer = Buffer.from(response.data);
-
-        if (!isValidImageBuffer(buffer)) {
-            throw new UserFacingError('Downloaded content is not a valid image. Supported formats: JPEG, PNG, GIF, BMP, WebP.');
+        if (subcommand === 'create') {
+            await handleCollectionCreate(interaction, backend, collectionId, t);
+        } else if (subcommand === 'index') {
+            await handleCollectionIndex(interaction, backend, collectionId, tempDir, requestFiles, config, t);
+        } else if (subcommand === 'search') {
+            await handleCollectionSearch(interaction, backend, collectionId, tempDir, requestFiles, config, t);
+        } else if (subcommand === 'list') {
+            await handleCollectionList(interaction, backend, collectionId, t);
+        } else if (subcommand === 'delete') {
+            await handleCollectionDelete(interaction, backend, collectionId, t);
         }
-
-        await fsp.writeFile(filePath, buffer);
-        requestFiles.push(filePath);
-
-        return {
-            buffer,
-            description: url,
-            attachment: new AttachmentBuilder(filePath, {
-                name: fileName,
-                description: `${prefix ? prefix + ' ' : ''}Image from URL`
-            })
-        };
     } catch (error) {
-        if (error instanceof UserFacingError) throw error;
-        if (error.code === 'ECONNABORTED') {
-            throw new UserFacingError('Timeout while downloading image. Please try a different URL.');
+        if (error.name === 'ResourceNotFoundException') {
+            throw new UserFacingError(t('collection.notFound'));
+        }
+        if (error.name === 'InvalidParameterException' && error.message?.includes('no face')) {
+            throw new UserFacingError(t('collection.noFace'));
         }
-        throw new UserFacingError('Failed to download image. Please check the URL and try again.');
+        throw error;
     }
 }
 
-// --- Analysis orchestration ---
+async function handleCollectionCreate(interaction, backend, collectionId, t) {
+    const { created } = await backend.createCollection(collectionId);
+    await interaction.editReply(t(created ? 'collection.created' : 'collection.exists'));
+}
 
-async function runAnalyses(imageBuffer, features) {
-    const results = {};
-    const analyses = [];
+async function handleCollectionIndex(interaction, backend, collectionId, tempDir, requestFiles, config, t) {
+    const label = interaction.options.getString('label');
+    const image = await resolveImageInput(interaction, tempDir, '', requestFiles);
+    checkAuthorConsent(interaction, [image], config, t);
 
-    if (features.includes('labels')) {
-        analyses.push(
-            detectLabels(imageBuffer).then(data => results.labels = data).catch(() => results.labels = { error: 'Analysis failed' })
-        );
-    }
+    await interaction.editReply(t('progress.indexing', { label }));
 
-    if (features.includes('text')) {
-        analyses.push(
-            detectText(imageBuffer).then(data => results.text = data).catch(() => results.text = { error: 'Analysis failed' })
-        );
+    const indexed = await backend.indexFace(collectionId, image.buffer, label);
+    if (!indexed) {
+        throw new UserFacingError(t('collection.noIndexableFace'));
     }
 
-    if (features.includes('faces')) {
-        analyses.push(
-            detectFaces(imageBuffer).then(data => results.faces = data).catch(() => results.faces = { error: 'Analysis failed' })
-        );
-    }
+    // Without `member:` the face is assumed to be the requester's own
+    const subject = interaction.options.getUser('member') ?? interaction.user;
+    await recordIndexedFace(subject.id, interaction.guildId, indexed.faceId);
 
-    if (features.includes('moderation')) {
-        analyses.push(
-            detectModerationLabels(imageBuffer).then(data => results.moderation = data).catch(() => results.moderation = { error: 'Analysis failed' })
+    const embed = new EmbedBuilder()
+        .setTitle(t('embeds.faceIndexed'))
+        .setDescription(t('embeds.image', { image: escapeMarkdown(describeImage(image, t)) }))
+        .setColor(0xFF9900)
+        .setTimestamp()
+        .setFooter({ text: footerWithRequestId('Powered by AWS Rekognition', t) })
+        .addFields(
+            { name: t('embeds.label'), value: escapeMarkdown(indexed.label), inline: true },
+            { name: t('embeds.faceId'), value: `\`${indexed.faceId}\``, inline: true }
         );
-    }
 
-    if (features.includes('celebrities')) {
-        analyses.push(
-            recognizeCelebrities(imageBuffer).then(data => results.celebrities = data).catch(() => results.celebrities = { error: 'Analysis failed' })
-        );
-    }
+    if (image.attachment) embed.setThumbnail(`attachment://${image.attachment.name}`);
 
-    await Promise.all(analyses);
-    return results;
+    await interaction.editReply({
+        content: t('done.indexed'),
+        embeds: [embed],
+        files: image.attachment ? [image.attachment] : []
+    });
 }
 
-// --- Embed builders ---
+async function handleCollectionSearch(interaction, backend, collectionId, tempDir, requestFiles, config, t) {
+    const similarityThreshold = interaction.options.getNumber('similarity') ?? config.compareSimilarity;
+    const image = await resolveImageInput(interaction, tempDir, '', requestFiles);
+    checkAuthorConsent(interaction, [image], config, t);
 
-function createAnalysisEmbed(results, sourceDescription, imageAttachment) {
-    const embed = new EmbedBuilder()
-        .setTitle('🔍 AWS Rekognition Analysis')
-        .setDescription(`**Image:** ${escapeMarkdown(sourceDescription)}`)
-        .setColor(0xFF9900) // AWS orange
-        .setTimestamp()
-        .setFooter({ text: 'Powered by AWS Rekognition' });
+    await interaction.editReply(t('progress.searching', { threshold: similarityThreshold }));
 
-    if (imageAttachment) {
-        embed.setThumbnail(`attachment://${imageAttachment.name}`);
-    }
+    const matches = await backend.searchFaces(collectionId, image.buffer, {
+        threshold: similarityThreshold,
+        maxFaces: 10
+    });
 
-    if (results.labels?.Labels) {
-        const topLabels = results.labels.Labels
-            .sort((a, b) => b.Confidence - a.Confidence)
-            .slice(0, 8)
-            .map(label => `• ${label.Name} (${label.Confidence.toFixed(1)}%)`)
-            .join('\n');
+    const embed = new EmbedBuilder()
+        .setTitle(t('embeds.searchResults'))
+        .setDescription(`${t('embeds.similarityThreshold', { threshold: similarityThreshold })}\n` +
+            t('embeds.image', { image: escapeMarkdown(describeImage(image, t)) }))
+        .setColor(0xFF9900)
+        .setTimestamp()
+        .setFooter({ text: footerWithRequestId('Powered by AWS Rekognition', t) });
 
+    if (matches.length > 0) {
+        embed.addFields({
+            name: t('embeds.matches', { count: matches.length }),
+            value: matches
+                .map(match => `• ${escapeMarkdown(match.label)} (${match.similarity.toFixed(1)}%)`)
+                .join('\n'),
+            inline: false
+        });
+    } else {
         embed.addFields({
-            name: '🏷️ Objects & Scenes',
-            value: topLabels || 'No labels detected',
-            inline: true
+            name: t('embeds.noMatches'),
+            value: t('embeds.noIndexedMatches', { threshold: similarityThreshold }),
+            inline: false
         });
     }
 
-    if (results.text?.TextDetections) {
-        const allLines = results.text.TextDetections.filter(text => text.Type === 'LINE');
-        let textLines = allLines
-            .slice(0, 5)
-            .map(text => `• ${text.DetectedText}`)
-            .join('\n');
+    if (image.attachment) embed.setThumbnail(`attachment://${image.attachment.name}`);
 
-        if (textLines.length > 1020) {
-            const cutoff = textLines.lastIndexOf('\n', 1017);
-            textLines = textLines.slice(0, cutoff > 0 ? cutoff : 1017) + '\n...';
-        } else if (allLines.length > 5) {
-            textLines += '\n...';
-        }
+    await interaction.editReply({
+        content: t('done.search'),
+        embeds: [embed],
+        files: image.attachment ? [image.attachment] : []
+    });
+}
 
-        embed.addFields({
-            name: '📝 Detected Text',
-            value: textLines || 'No text detected',
-            inline: true
-        });
+async function handleCollectionList(interaction, backend, collectionId, t) {
+    const faces = await backend.listFaces(collectionId);
+
+    const counts = new Map();
+    for (const face of faces) {
+        counts.set(face.label, (counts.get(face.label) || 0) + 1);
     }
 
-    if (results.faces?.FaceDetails?.length > 0) {
-        const face = results.faces.FaceDetails[0];
-        let faceInfo = [];
+    const labels = [...counts].sort(([a], [b]) => a.localeCompare(b));
+    let listing = labels
+        .slice(0, 50)
+        .map(([label, count]) => t('embeds.collectionLabel', { label: escapeMarkdown(label), count }))
+        .join('\n');
+    if (labels.length > 50) listing += `\n${t('embeds.collectionMore', { count: labels.length - 50 })}`;
 
-        if (face.Gender) faceInfo.push(`Gender: ${face.Gender.Value} (${face.Gender.Confidence.toFixed(1)}%)`);
-        if (face.AgeRange) faceInfo.push(`Age: ${face.AgeRange.Low}-${face.AgeRange.High}`);
-        if (face.Emotions?.length > 0) {
-            const topEmotion = face.Emotions.sort((a, b) => b.Confidence - a.Confidence)[0];
-            faceInfo.push(`Emotion: ${topEmotion.Type} (${topEmotion.Confidence.toFixed(1)}%)`);
-        }
+    const embed = new EmbedBuilder()
+        .setTitle(t('embeds.collection'))
+        .setDescription(listing || t('embeds.collectionEmpty'))
+        .setColor(0xFF9900)
+        .setTimestamp()
+        .setFooter({ text: footerWithRequestId(t('embeds.collectionFooter', { faces: faces.length, labels: labels.length }), t) });
 
-        embed.addFields({
-            name: `👤 Faces (${results.faces.FaceDetails.length})`,
-            value: faceInfo.join('\n') || 'Face detected',
-            inline: false
-        });
-    }
+    await interaction.editReply({ content: '', embeds: [embed] });
+}
 
-    if (results.celebrities?.CelebrityFaces?.length > 0) {
-        const celebs = results.celebrities.CelebrityFaces
-            .slice(0, 3)
-            .map(celeb => `• ${celeb.Name} (${celeb.MatchConfidence.toFixed(1)}%)`)
-            .join('\n');
+async function handleCollectionDelete(interaction, backend, collectionId, t) {
+    const label = interaction.options.getString('label');
+    const faceId = interaction.options.getString('face_id');
 
-        embed.addFields({
-            name: '🌟 Celebrities',
-            value: celebs,
-            inline: false
-        });
+    let faceIds;
+    if (faceId) {
+        faceIds = [faceId];
+    } else {
+        const faces = await backend.listFaces(collectionId);
+        faceIds = faces.filter(face => face.label === label).map(face => face.faceId);
     }
 
-    if (results.moderation?.ModerationLabels?.length > 0) {
-        const modLabels = results.moderation.ModerationLabels
-            .slice(0, 5)
-            .map(label => `• ${label.Name} (${label.Confidence.toFixed(1)}%)`)
-            .join('\n');
+    const deleted = await backend.deleteFaces(collectionId, faceIds);
 
-        embed.addFields({
-            name: '⚠️ Content Moderation',
-            value: modLabels,
-            inline: false
-        });
-    }
+    await interaction.editReply(deleted.length > 0
+        ? t('collection.deleted', { count: deleted.length })
+        : t('collection.nothingDeleted'));
+}
 
-    return embed;
+// --- Image processing ---
+
+async function resolveImageInput(interaction, tempDir, prefix, requestFiles) {
+    const imageUrl = interaction.options.getString('url');
+    const uploadedImage = interaction.options.getAttachment('image');
+
+    return uploadedImage
+        ? await processUploadedImage(uploadedImage, tempDir, prefix, requestFiles)
+        : await resolveUrlImage(interaction, imageUrl, tempDir, prefix, requestFiles);
+}
+
+// An image URL option may also be a Discord message link, or a page with a preview image (see lib/imageInput.js)
+async function resolveUrlImage(interaction, url, tempDir, prefix, requestFiles) {
+    return parseMessageLink(url)
+        ? await processMessageLink(interaction, url, tempDir, prefix, requestFiles)
+        : await processImageUrl(url, tempDir, prefix, requestFiles);
 }
 
-function createComparisonEmbed(comparisonResult, sourceDesc, targetDesc, threshold) {
+// --- Embed builders ---
+
+function createComparisonEmbed(comparisonResult, sourceDesc, targetDesc, threshold, annotated = {}, t = englishTranslator) {
     const embed = new EmbedBuilder()
-        .setTitle('👥 Face Comparison Results')
+        .setTitle(t('embeds.comparisonResults'))
         .setColor(0xFF9900)
         .setTimestamp()
-        .setFooter({ text: 'Powered by AWS Rekognition' });
+        .setFooter({ text: footerWithRequestId('Powered by AWS Rekognition', t) });
 
     const matches = comparisonResult.FaceMatches || [];
     const unmatched = comparisonResult.UnmatchedFaces || [];
 
-    embed.setDescription(`**Similarity Threshold:** ${threshold}%\n**Source:** ${sourceDesc}\n**Target:** ${targetDesc}`);
+    embed.setDescription([
+        t('embeds.similarityThreshold', { threshold }),
+        t('embeds.source', { source: sourceDesc }),
+        t('embeds.target', { target: targetDesc })
+    ].join('\n'));
+
+    if (annotated.source) embed.setThumbnail(`attachment://${annotated.source.name}`);
+    if (annotated.target) embed.setImage(`attachment://${annotated.target.name}`);
 
     if (matches.length > 0) {
         const matchInfo = matches.map((match, i) =>
-            `Match ${i + 1}: ${match.Similarity.toFixed(1)}% similarity`
+            t('embeds.match', { number: i + 1, similarity: match.Similarity.toFixed(1) })
         ).join('\n');
 
         embed.addFields({
-            name: `✅ Matched Faces (${matches.length})`,
+            name: t('embeds.matchedFaces', { count: matches.length }),
             value: matchInfo,
             inline: false
         });
     } else {
         embed.addFields({
-            name: '❌ No Matches Found',
-            value: `No faces matched above the ${threshold}% threshold.`,
+            name: t('embeds.noMatches'),
+            value: t('embeds.noFacesMatched', { threshold }),
             inline: false
         });
     }
 
     if (unmatched.length > 0) {
         embed.addFields({
-            name: `ℹ️ Additional Faces (${unmatched.length})`,
-            value: `${unmatched.length} faces in target image did not match.`,
+            name: t('embeds.additionalFaces', { count: unmatched.length }),
+            value: t('embeds.unmatchedFaces', { count: unmatched.length }),
             inline: false
         });
     }
@@ -744,123 +1372,13 @@ function createComparisonEmbed(comparisonResult, sourceDesc, targetDesc, thresho
     return embed;
 }
 
-// --- Report generation ---
-
-async function createAnalysisReport(results, imageSource, tempDir, requestFiles) {
-    const report = {
-        meta: {
-            timestamp: new Date().toISOString(),
-            source: imageSource,
-            analysisType: 'comprehensive_image_analysis'
-        },
-        results: results
-    };
-
-    const reportPath = path.join(tempDir, `analysis_${crypto.randomBytes(4).toString('hex')}.json`);
-    await fsp.writeFile(reportPath, JSON.stringify(report, null, 2));
-    requestFiles.push(reportPath);
-    return reportPath;
-}
-
-async function createComparisonReport(comparisonResult, sourceDesc, targetDesc, tempDir, requestFiles) {
-    const report = {
-        meta: {
-            timestamp: new Date().toISOString(),
-            source: sourceDesc,
-            target: targetDesc,
-            analysisType: 'face_comparison'
-        },
-        results: comparisonResult
-    };
-
-    const reportPath = path.join(tempDir, `comparison_${crypto.randomBytes(4).toString('hex')}.json`);
-    await fsp.writeFile(reportPath, JSON.stringify(report, null, 2));
-    requestFiles.push(reportPath);
-    return reportPath;
-}
-
 // --- Error handling ---
 
-async function handleError(interaction, error) {
-    let message = '❌ **An error occurred while processing your request.** Please try again later.';
-
-    if (error instanceof UserFacingError) {
-        message = `❌ **Error:** ${error.message}`;
-    } else if (error.name === 'InvalidImageFormatException') {
-        message = '🖼️ **Invalid Image Format**\nPlease use JPEG or PNG format.';
-    } else if (error.name === 'ImageTooLargeException') {
-        message = '📏 **Image Too Large**\nMaximum size: 5MB for JPEG, 8MB for PNG.';
-    } else if (error.name === 'AccessDeniedException') {
-        message = '🔐 **Service Configuration Error**\nThe bot is not properly configured. Please contact the administrator.';
-    }
-
+async function handleError(interaction, error, t) {
+    recordError(error);
     try {
-        await interaction.editReply({ content: message });
+        await interaction.editReply({ content: withRequestIdNote(getUserMessage(error, t), t) });
     } catch (editError) {
-        console.error('Failed to edit reply:', editError);
+        logger.error('Failed to edit reply', { error: editError });
     }
 }
-
-// --- Per-request file cleanup (race-safe) ---
-
-async function cleanupFiles(filePaths) {
-    for (const filePath of filePaths) {
-        try {
-            await fsp.unlink(filePath);
-        } catch (err) {
-            if (err.code !== 'ENOENT') {
-                console.error('Cleanup error:', err);
-            }
-        }
-    }
-}
-
-// --- AWS Rekognition API functions ---
-
-async function detectLabels(imageBuffer) {
-    const command = new DetectLabelsCommand({
-        Image: { Bytes: imageBuffer },
-        MaxLabels: 50,
-        MinConfidence: 70
-    });
-    return await getRekognitionClient().send(command);
-}
-
-async function detectText(imageBuffer) {
-    const command = new DetectTextCommand({
-        Image: { Bytes: imageBuffer }
-    });
-    return await getRekognitionClient().send(command);
-}
-
-async function detectFaces(imageBuffer) {
-    const command = new DetectFacesCommand({
-        Image: { Bytes: imageBuffer },
-        Attributes: ['ALL']
-    });
-    return await getRekognitionClient().send(command);
-}
-
-async function detectModerationLabels(imageBuffer) {
-    const command = new DetectModerationLabelsCommand({
-        Image: { Bytes: imageBuffer },
-        MinConfidence: 50
-    });
-    return await getRekognitionClient().send(command);
-}
-
-async function recognizeCelebrities(imageBuffer) {
-    const command = new RecognizeCelebritiesCommand({
-        Image: { Bytes: imageBuffer }
-    });
-    return await getRekognitionClient().send(command);
-}
-
-async function compareFaces(sourceBuffer, targetBuffer, threshold) {
-    const command = new CompareFacesCommand({
-        SourceImage: { Bytes: sourceBuffer },
-        TargetImage: { Bytes: targetBuffer },
-        SimilarityThreshold: threshold
-    });
-    return await getRekognitionClient().send(command);
-}
@@ -1,27 +1,43 @@
 /**
  * Discord Amazon Rekognition Bot - Command Deployment Script
  * 
- * This script deploys slash commands to Discord.
+ * This script deploys slash and context-menu commands to Discord.
  * Run this script whenever you add, modify, or remove commands.
+ *
+ *   node deploy-commands.js [--dry-run] [--guild=<id>[,<id>...]] [--global] [--clear]
+ *
+ * Registered commands are fetched and diffed first; targets that are already
+ * up to date are skipped. Exit codes: 0 done or up to date, 1 error, 2 dry run
+ * found changes. See lib/commandDeploy.js.
  * 
  * Version: 1.0.0
  * Author: gl0bal01
  */
 
-const { REST, Routes } = require('discord.js');
+const { REST } = require('discord.js');
 const fs = require('node:fs');
 const path = require('node:path');
 require('dotenv').config();
+const { EXIT_ERROR, EXIT_CHANGES_PENDING, parseDeployOptions, deployCommands } = require('./lib/commandDeploy');
 
 // Validate environment variables before loading commands
 if (!process.env.DISCORD_TOKEN) {
   console.error('❌ DISCORD_TOKEN is required in environment variables!');
-  process.exit(1);
+  process.exit(EXIT_ERROR);
 }
 
 if (!process.env.CLIENT_ID) {
   console.error('❌ CLIENT_ID is required in environment variables!');
-  process.exit(1);
+  process.exit(EXIT_ERROR);
+}
+
+let options;
+try {
+  options = parseDeployOptions(process.argv.slice(2), process.env);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  console.error('Usage: node deploy-commands.js [--dry-run] [--guild=<id>[,<id>...]] [--global] [--clear]');
+  process.exit(EXIT_ERROR);
 }
 
 const commands = [];
@@ -47,63 +63,31 @@ for (const file of commandFiles) {
 // Initialize REST client
 const rest = new REST().setToken(process.env.DISCORD_TOKEN);
 
-// Deploy commands
+// Deploy commands: every target is compared with what is registered first,
+// and only written when something changed (see lib/commandDeploy.js)
 (async () => {
-  try {
-    console.log(`🚀 Started refreshing ${commands.length} application (/) commands.`);
-    console.log('');
-
-    const guildId = process.env.GUILD_ID;
-    let data;
+  console.log('');
+  if (options.clear) {
+    console.log(`🧹 Removing guild commands from ${options.guildIds.length} guild(s)...`);
+  } else if (options.guildIds.length > 0) {
+    console.log(`📍 Deploying ${commands.length} commands to ${options.guildIds.length} guild(s)`);
+    console.log('⚡ Guild deployment is instant and great for testing!');
+  } else {
+    console.log(`🌍 Deploying ${commands.length} commands globally...`);
+    console.log('⏰ Global deployment may take up to 1 hour to appear in all servers.');
+  }
+  if (options.dryRun) console.log('🔎 Dry run: nothing will be changed.');
+  console.log('');
 
-    if (guildId) {
-      // Deploy to specific guild (instant deployment for development)
-      console.log(`📍 Deploying commands to guild: ${guildId}`);
-      console.log('⚡ Guild deployment is instant and great for testing!');
-      
-      data = await rest.put(
-        Routes.applicationGuildCommands(process.env.CLIENT_ID, guildId),
-        { body: commands },
-      );
-    } else {
-      // Deploy globally (takes up to 1 hour to propagate)
-      console.log('🌍 Deploying commands globally...');
-      console.log('⏰ Global deployment may take up to 1 hour to appear in all servers.');
-      
-      data = await rest.put(
-        Routes.applicationCommands(process.env.CLIENT_ID),
-        { body: commands },
-      );
-    }
+  const exitCode = await deployCommands({ rest, clientId: process.env.CLIENT_ID, commands, options });
 
-    console.log('');
-    console.log(`✅ Successfully deployed ${data.length} application (/) commands!`);
-    
-    // List deployed commands
-    console.log('');
-    console.log('📋 Deployed commands:');
-    data.forEach(command => {
-      console.log(`   • /${command.name} - ${command.description}`);
-    });
-    
-    console.log('');
-    if (guildId) {
-      console.log('🎯 Commands are now available in your development server!');
-    } else {
-      console.log('🌐 Commands will be available globally within 1 hour.');
-    }
-    
-  } catch (error) {
-    console.error('❌ Error deploying commands:', error);
-    
-    if (error.code === 50001) {
-      console.error('💡 Make sure your bot has the "applications.commands" scope!');
-    } else if (error.code === 50013) {
-      console.error('💡 The bot lacks permission to create commands in this guild.');
-    } else if (error.status === 401) {
-      console.error('💡 Invalid bot token. Check your DISCORD_TOKEN environment variable.');
-    }
-    
-    process.exit(1);
+  console.log('');
+  if (exitCode === EXIT_ERROR) {
+    console.error('❌ Some targets could not be updated.');
+  } else if (exitCode === EXIT_CHANGES_PENDING) {
+    console.log('📝 Changes pending. Run again without --dry-run to apply them.');
+  } else {
+    console.log('✅ Done.');
   }
-})();
\ No newline at end of file
+  process.exit(exitCode);
+})();
@@ -11,33 +11,52 @@
 
 const fs = require('node:fs');
 const path = require('node:path');
-const { Client, Collection, Events, GatewayIntentBits, ActivityType } = require('discord.js');
+const { Client, Collection, Events, GatewayIntentBits, ActivityType, ApplicationCommandType } = require('discord.js');
 require('dotenv').config();
+const autoModeration = require('./lib/autoModeration');
+const { getJobQueue } = require('./lib/jobQueue');
+const { commandsTotal, recordError, setQueueStatsProvider } = require('./lib/metrics');
+const { startHealthServer } = require('./lib/healthServer');
+const { startApiServer } = require('./lib/apiServer');
+const { logger, createRequestId, runWithRequestId } = require('./lib/logger');
+
+// Passive image moderation needs message events, including the privileged
+// Message Content intent (required to see attachments)
+const automodEnabled = process.env.AUTOMOD_ENABLED === 'true';
 
 // Create Discord client with necessary intents
-const client = new Client({ 
-  intents: [
-    GatewayIntentBits.Guilds
-  ]
-});
+const intents = [GatewayIntentBits.Guilds];
+if (automodEnabled) {
+  intents.push(GatewayIntentBits.GuildMessages, GatewayIntentBits.MessageContent);
+}
 
-// Create commands collection
+const client = new Client({ intents });
+
+// Create commands collection, keyed by type and name: a slash command and a
+// context-menu command may share a name
 client.commands = new Collection();
+const commandKey = (type, name) => `${type}:${name}`;
+const COMMAND_TYPE_LABELS = {
+  [ApplicationCommandType.ChatInput]: 'slash',
+  [ApplicationCommandType.User]: 'user context menu',
+  [ApplicationCommandType.Message]: 'message context menu'
+};
 
 // Load commands from the commands directory
 const commandsPath = path.join(__dirname, 'commands');
 const commandFiles = fs.readdirSync(commandsPath).filter(file => file.endsWith('.js'));
 
-console.log('🔄 Loading commands...');
+logger.info('Loading commands');
 for (const file of commandFiles) {
   const filePath = path.join(commandsPath, file);
   const command = require(filePath);
   
   if ('data' in command && 'execute' in command) {
-    client.commands.set(command.data.name, command);
-    console.log(`✅ Loaded command: ${command.data.name}`);
+    const type = command.data.toJSON().type ?? ApplicationCommandType.ChatInput;
+    client.commands.set(commandKey(type, command.data.name), command);
+    logger.info('Loaded command', { command: command.data.name, type: COMMAND_TYPE_LABELS[type] });
   } else {
-    console.log(`⚠️  Command at ${filePath} is missing required "data" or "execute" property.`);
+    logger.warn('Command is missing required "data" or "execute" property', { file: filePath });
   }
 }
 
@@ -45,7 +64,7 @@ for (const file of commandFiles) {
 const tempDir = path.join(__dirname, 'temp');
 if (!fs.existsSync(tempDir)) {
   fs.mkdirSync(tempDir, { recursive: true });
-  console.log('📁 Created temporary files directory');
+  logger.info('Created temporary files directory', { dir: tempDir });
 } else {
   // Clean up orphaned temp files from previous runs
   const orphanedFiles = fs.readdirSync(tempDir);
@@ -53,16 +72,17 @@ if (!fs.existsSync(tempDir)) {
     try { fs.unlinkSync(path.join(tempDir, file)); } catch {}
   }
   if (orphanedFiles.length > 0) {
-    console.log(`🧹 Cleaned up ${orphanedFiles.length} orphaned temp file(s)`);
+    logger.info('Cleaned up orphaned temp files', { count: orphanedFiles.length });
   }
 }
 
 // Bot ready event
 client.once(Events.ClientReady, readyClient => {
-  console.log('🎯 Discord Amazon Rekognition Bot is ready!');
-  console.log(`📊 Logged in as: ${readyClient.user.tag}`);
-  console.log(`🌐 Serving ${readyClient.guilds.cache.size} servers`);
-  console.log(`👥 Connected to ${readyClient.users.cache.size} users`);
+  logger.info('Bot is ready', {
+    user: readyClient.user.tag,
+    guilds: readyClient.guilds.cache.size,
+    users: readyClient.users.cache.size
+  });
   
   // Set bot activity status
   client.user.setActivity('images with AWS Rekognition | /rekognition', {
@@ -70,22 +90,37 @@ client.once(Events.ClientReady, readyClient => {
   });
 });
 
-// Handle slash command interactions
-client.on(Events.InteractionCreate, async interaction => {
-  if (!interaction.isChatInputCommand()) return;
+// Handle slash and context-menu command interactions. Each interaction gets a
+// request ID that tags its log lines and is shown in the reply footer; the
+// user ID travels with it so cached results can be traced back to their requester.
+client.on(Events.InteractionCreate, interaction => runWithRequestId(createRequestId(), async () => {
+  if (!interaction.isChatInputCommand() && !interaction.isContextMenuCommand()) return;
 
-  const command = interaction.client.commands.get(interaction.commandName);
+  const command = interaction.client.commands.get(commandKey(interaction.commandType, interaction.commandName));
 
   if (!command) {
-    console.error(`❌ No command matching ${interaction.commandName} found.`);
+    logger.error('No matching command found', { command: interaction.commandName });
     return;
   }
 
+  const subcommand = interaction.isChatInputCommand()
+    ? [interaction.options.getSubcommandGroup(false), interaction.options.getSubcommand(false)].filter(Boolean).join(' ')
+    : '';
+  commandsTotal.inc({ command: interaction.commandName, subcommand });
+
+  const started = Date.now();
   try {
-    console.log(`📝 Executing command: ${interaction.commandName} by ${interaction.user.tag}`);
+    logger.info('Executing command', {
+      command: interaction.commandName,
+      subcommand,
+      userId: interaction.user.id,
+      guildId: interaction.guildId
+    });
     await command.execute(interaction);
+    logger.info('Command finished', { command: interaction.commandName, durationMs: Date.now() - started });
   } catch (error) {
-    console.error(`❌ Error executing command ${interaction.commandName}:`, error.message || error);
+    logger.error('Error executing command', { command: interaction.commandName, error });
+    recordError(error);
     
     const errorResponse = {
       content: '⚠️ There was an error while executing this command! Please try again or contact support.',
@@ -99,47 +134,90 @@ client.on(Events.InteractionCreate, async interaction => {
         await interaction.reply(errorResponse);
       }
     } catch (replyError) {
-      console.error('❌ Failed to send error message:', replyError);
+      logger.error('Failed to send error message', { error: replyError });
     }
   }
-});
+}, { userId: interaction.user.id }));
+
+// Scan images posted in watched channels
+if (automodEnabled) {
+  client.on(Events.MessageCreate, message => runWithRequestId(createRequestId(), () => {
+    autoModeration.handleMessage(message).catch(error => {
+      logger.error('Auto-moderation error', { error });
+    });
+  }));
+  logger.info('Auto-moderation enabled');
+}
 
 // Handle bot errors
 client.on('error', error => {
-  console.error('❌ Discord client error:', error);
+  logger.error('Discord client error', { error });
 });
 
 client.on('warn', warning => {
-  console.warn('⚠️ Discord client warning:', warning);
+  logger.warn('Discord client warning', { warning });
 });
 
 // Handle process errors
 process.on('unhandledRejection', error => {
-  console.error('❌ Unhandled promise rejection:', error);
+  logger.error('Unhandled promise rejection', { error });
 });
 
 process.on('uncaughtException', error => {
-  console.error('❌ Uncaught exception:', error);
+  logger.error('Uncaught exception', { error });
   client.destroy();
   process.exit(1);
 });
 
-// Graceful shutdown
-process.on('SIGINT', () => {
-  console.log('🛑 Received SIGINT, shutting down gracefully...');
-  client.destroy();
-  process.exit(0);
+// Optional health check and metrics endpoint (HEALTH_PORT)
+setQueueStatsProvider(() => getJobQueue().getStats());
+let healthServer = null;
+startHealthServer(client).then(server => {
+  healthServer = server;
+  if (server) logger.info('Health and metrics endpoint listening', { port: server.address().port });
+}).catch(error => {
+  logger.error('Failed to start health server', { error });
 });
 
-process.on('SIGTERM', () => {
-  console.log('🛑 Received SIGTERM, shutting down gracefully...');
+// Optional HTTP API for analyze and compare (API_PORT, API_TOKEN)
+let apiServer = null;
+startApiServer().then(server => {
+  apiServer = server;
+  if (server) logger.info('HTTP API listening', { address: server.address().address, port: server.address().port });
+}).catch(error => {
+  logger.error('Failed to start HTTP API', { error });
+});
+
+// Graceful shutdown: queued requests are told the bot is restarting, queued
+// auto-moderation scans are dropped, and running jobs of both queues get a few
+// seconds to finish before the client disconnects
+let shuttingDown = false;
+
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  logger.info('Shutting down gracefully', { signal });
+
+  const [requests, scans] = await Promise.all([getJobQueue().drain(), autoModeration.getScanQueue().drain()]);
+  if (requests > 0) {
+    logger.warn('Requests still running at shutdown', { count: requests });
+  }
+  if (scans > 0) {
+    logger.warn('Auto-moderation scans still running at shutdown', { count: scans });
+  }
+
+  apiServer?.close();
+  healthServer?.close();
   client.destroy();
   process.exit(0);
-});
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
 
 // Login to Discord
-console.log('🚀 Starting Discord Amazon Rekognition Bot...');
+logger.info('Starting Discord Amazon Rekognition Bot');
 client.login(process.env.DISCORD_TOKEN).catch(error => {
-  console.error('❌ Failed to login to Discord:', error);
+  logger.error('Failed to login to Discord', { error });
   process.exit(1);
 });
\ No newline at end of file
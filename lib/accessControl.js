@@ -0,0 +1,169 @@
+/**
+ * File: accessControl.js
+ * Description: Per-guild rules for who may use which parts of /rekognition, and where
+ *
+ * Rules are allow-lists. A target (a subcommand such as `celebrity` or
+ * `collection search`, or an analysis feature such as `feature:faces`) with no
+ * rule is open to everyone; once a rule exists, only the roles and users it
+ * lists may use it, even when the list is empty. Resetting the target removes
+ * the rule again. Feature rules apply to the `features` choices of
+ * /rekognition analyze, the "Analyze images in this message" context menu and,
+ * for `feature:celebrities`, /rekognition celebrity.
+ *
+ * The channel list limits where the bot answers at all (threads follow their
+ * parent channel); an empty list means every channel.
+ *
+ * Members with the Administrator permission are never restricted, so a rule
+ * cannot lock the admins out of the bot.
+ */
+
+const { PermissionFlagsBits } = require('discord.js');
+const { JsonStore } = require('./jsonStore');
+const { ANALYSIS_FEATURES } = require('./guildConfig');
+
+const SUBCOMMAND_TARGETS = [
+    'analyze', 'compare', 'cluster', 'ppe', 'ocr', 'celebrity', 'anonymize',
+    'collection create', 'collection index', 'collection search', 'collection list', 'collection delete'
+];
+const FEATURE_TARGETS = ANALYSIS_FEATURES.map(feature => `feature:${feature}`);
+const ACCESS_TARGETS = [...SUBCOMMAND_TARGETS, ...FEATURE_TARGETS];
+
+const DEFAULT_ACCESS_RULES = Object.freeze({ rules: {}, channelIds: [] });
+
+// --- Storage ---
+
+let accessStore = null;
+
+function getAccessStore() {
+    if (!accessStore) accessStore = new JsonStore('access-rules.json');
+    return accessStore;
+}
+
+function setAccessStore(store) {
+    accessStore = store;
+}
+
+function getAccessRules(guildId) {
+    const stored = guildId ? getAccessStore().get(guildId) : undefined;
+    return { ...DEFAULT_ACCESS_RULES, ...stored };
+}
+
+function assertTarget(target) {
+    if (!ACCESS_TARGETS.includes(target)) throw new RangeError(`Unknown access target: ${target}`);
+}
+
+async function saveAccessRules(guildId, access) {
+    return await getAccessStore().set(guildId, access);
+}
+
+// Add a role and/or user to the allow-list of `target`, creating the rule if needed
+async function allowAccess(guildId, target, { roleId = null, userId = null } = {}) {
+    assertTarget(target);
+    const access = getAccessRules(guildId);
+    const rule = access.rules[target] ?? { roleIds: [], userIds: [] };
+    const next = {
+        roleIds: roleId && !rule.roleIds.includes(roleId) ? [...rule.roleIds, roleId] : rule.roleIds,
+        userIds: userId && !rule.userIds.includes(userId) ? [...rule.userIds, userId] : rule.userIds
+    };
+    return await saveAccessRules(guildId, { ...access, rules: { ...access.rules, [target]: next } });
+}
+
+// Remove a role and/or user from the allow-list; the rule stays, so nobody else gains access
+async function revokeAccess(guildId, target, { roleId = null, userId = null } = {}) {
+    assertTarget(target);
+    const access = getAccessRules(guildId);
+    const rule = access.rules[target];
+    if (!rule) return access;
+    const next = {
+        roleIds: rule.roleIds.filter(id => id !== roleId),
+        userIds: rule.userIds.filter(id => id !== userId)
+    };
+    return await saveAccessRules(guildId, { ...access, rules: { ...access.rules, [target]: next } });
+}
+
+// Remove the rule: the target is open to everyone again
+async function resetAccess(guildId, target) {
+    assertTarget(target);
+    const access = getAccessRules(guildId);
+    const { [target]: _removed, ...rules } = access.rules;
+    return await saveAccessRules(guildId, { ...access, rules });
+}
+
+async function setChannelAllowed(guildId, channelId, allowed) {
+    const access = getAccessRules(guildId);
+    const channelIds = allowed
+        ? [...new Set([...access.channelIds, channelId])]
+        : access.channelIds.filter(id => id !== channelId);
+    return await saveAccessRules(guildId, { ...access, channelIds });
+}
+
+// --- Evaluation ---
+
+// Guild interactions carry either a GuildMember (roles.cache) or raw API data (roles: [id])
+function memberRoleIds(member) {
+    if (Array.isArray(member?.roles)) return member.roles;
+    return [...(member?.roles?.cache?.keys() ?? [])];
+}
+
+// Who is asking and where, as needed by checkAccess()
+function getAccessContext(interaction) {
+    return {
+        userId: interaction.user.id,
+        roleIds: memberRoleIds(interaction.member),
+        channelId: interaction.channelId ?? interaction.channel?.id ?? null,
+        parentChannelId: interaction.channel?.isThread?.() ? interaction.channel.parentId : null,
+        isAdmin: Boolean(interaction.memberPermissions?.has(PermissionFlagsBits.Administrator))
+    };
+}
+
+function isAllowedBy(rule, context) {
+    if (!rule) return true;
+    return rule.userIds.includes(context.userId) || context.roleIds.some(roleId => rule.roleIds.includes(roleId));
+}
+
+function isAllowedChannel(access, context) {
+    if (access.channelIds.length === 0) return true;
+    return access.channelIds.includes(context.channelId) || access.channelIds.includes(context.parentChannelId);
+}
+
+/**
+ * Check one request against the guild's rules. `target` is the subcommand
+ * (see SUBCOMMAND_TARGETS) and `features` the analysis features it would run.
+ * Returns null when allowed, otherwise { type: 'channel' | 'subcommand' |
+ * 'feature', ... } describing the first rule that denies it. Features the
+ * member may not use are listed in `deniedFeatures` so callers can skip them
+ * instead of refusing the whole request.
+ */
+function checkAccess(access, context, target, features = []) {
+    if (context.isAdmin) return null;
+    if (!isAllowedChannel(access, context)) return { type: 'channel', channelIds: access.channelIds };
+    if (!isAllowedBy(access.rules[target], context)) return { type: 'subcommand', target };
+
+    const deniedFeatures = features.filter(feature => !isAllowedBy(access.rules[`feature:${feature}`], context));
+    if (deniedFeatures.length > 0) return { type: 'feature', deniedFeatures };
+    return null;
+}
+
+// Denial message in the language of `t`
+function describeDenial(denial, t) {
+    if (denial.type === 'channel') {
+        return t('access.channel', { channels: denial.channelIds.map(id => `<#${id}>`).join(', ') });
+    }
+    if (denial.type === 'subcommand') return t('access.subcommand', { subcommand: denial.target });
+    return t('access.feature', { features: denial.deniedFeatures.map(feature => t(`features.${feature}`)).join(', ') });
+}
+
+module.exports = {
+    SUBCOMMAND_TARGETS,
+    FEATURE_TARGETS,
+    ACCESS_TARGETS,
+    getAccessRules,
+    setAccessStore,
+    allowAccess,
+    revokeAccess,
+    resetAccess,
+    setChannelAllowed,
+    getAccessContext,
+    checkAccess,
+    describeDenial
+};
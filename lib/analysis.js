@@ -0,0 +1,311 @@
+/**
+ * File: analysis.js
+ * Description: Image analysis pipeline shared by every command that analyzes images
+ *
+ * Runs the selected Rekognition features in parallel and turns the results
+ * into a Discord embed, an annotated image and a JSON report. Face comparison
+ * lives here too. Nothing in this file depends on the interaction: the
+ * Discord commands and the HTTP API (lib/apiServer.js) both start from image
+ * buffers and get the same results and reports.
+ */
+
+const { EmbedBuilder, AttachmentBuilder } = require('discord.js');
+const fsp = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { getVisionBackend } = require('./visionBackends');
+const { DEFAULT_GUILD_CONFIG } = require('./guildConfig');
+const { getFailureCode, getFailureReason } = require('./errors');
+const { analysisFeaturesTotal, recordError } = require('./metrics');
+const { logger, footerWithRequestId } = require('./logger');
+const { renderAnnotatedImage } = require('./annotate');
+const { getResultCache, hashImage } = require('./resultCache');
+const { getTranslator } = require('./i18n');
+const { buildLabelFilters, describeLabel, formatImageProperties } = require('./labels');
+
+function escapeMarkdown(text) {
+    return String(text).replace(/([*_`~|\\>])/g, '\\$1');
+}
+
+// Shorten to at most `maxLength` characters, marking the cut with an ellipsis
+function truncateText(text, maxLength) {
+    const value = String(text);
+    return value.length > maxLength ? `${value.slice(0, maxLength - 1)}…` : value;
+}
+
+// --- Feature runners ---
+
+// Each runner returns the parameters that affect its result (part of the
+// cache key) and the call that produces it
+const FEATURE_RUNNERS = {
+    labels: (backend, imageBuffer, config) => {
+        const params = {
+            maxLabels: config.maxLabels,
+            minConfidence: config.labelMinConfidence,
+            filters: buildLabelFilters({ labels: config.labelFilter, categories: config.labelCategoryFilter }),
+            imageProperties: true
+        };
+        return { params, run: () => backend.detectLabels(imageBuffer, params) };
+    },
+    text: (backend, imageBuffer) => ({ params: {}, run: () => backend.detectText(imageBuffer) }),
+    faces: (backend, imageBuffer) => ({ params: {}, run: () => backend.detectFaces(imageBuffer) }),
+    moderation: (backend, imageBuffer, config) => {
+        const params = { minConfidence: config.moderationMinConfidence };
+        return { params, run: () => backend.detectModerationLabels(imageBuffer, params) };
+    },
+    celebrities: (backend, imageBuffer) => ({ params: {}, run: () => backend.recognizeCelebrities(imageBuffer) })
+};
+
+/**
+ * Run the selected features in parallel, reusing cached results where possible.
+ * Resolves to { results, cachedFeatures }; a failed feature is reported as
+ * { error, code } in results, with a reason that is safe to show (in English;
+ * `code` picks the translation), and is never cached.
+ */
+async function runAnalyses(imageBuffer, features, config = DEFAULT_GUILD_CONFIG) {
+    const results = {};
+    const cachedFeatures = [];
+    const backend = getVisionBackend();
+    const cache = getResultCache();
+    const imageHash = cache ? hashImage(imageBuffer) : null;
+
+    await Promise.all(features.filter(feature => FEATURE_RUNNERS[feature]).map(async feature => {
+        const { params, run } = FEATURE_RUNNERS[feature](backend, imageBuffer, config);
+        analysisFeaturesTotal.inc({ feature });
+        try {
+            if (cache) {
+                const cacheParams = { ...params, backend: backend.name };
+                const { value, cached } = await cache.getOrCompute(imageHash, feature, cacheParams, run);
+                results[feature] = value;
+                if (cached) cachedFeatures.push(feature);
+            } else {
+                results[feature] = await run();
+            }
+        } catch (error) {
+            logger.warn('Analysis feature failed', { feature, error });
+            recordError(error);
+            results[feature] = { error: getFailureReason(error), code: getFailureCode(error) };
+        }
+    }));
+
+    return { results, cachedFeatures };
+}
+
+// --- Face comparison ---
+
+// CompareFaces of the largest face in `sourceBuffer` with the faces in `targetBuffer`
+async function compareImages(sourceBuffer, targetBuffer, similarityThreshold) {
+    // Pass threshold directly — AWS expects 0-100, user input is already 0-100
+    const comparison = await getVisionBackend().compareFaces(sourceBuffer, targetBuffer, similarityThreshold);
+
+    logger.info('Faces compared', {
+        similarityThreshold,
+        matches: comparison.FaceMatches?.length ?? 0,
+        unmatched: comparison.UnmatchedFaces?.length ?? 0
+    });
+    return comparison;
+}
+
+// --- Embed ---
+
+function cacheFooterNote(results, cachedFeatures, t) {
+    if (cachedFeatures.length === 0) return '';
+    return ` • ${t(cachedFeatures.length === Object.keys(results).length ? 'embeds.cached' : 'embeds.partlyCached')}`;
+}
+
+// `t` picks the language of titles and field names; detected names and labels stay as returned by AWS
+function createAnalysisEmbed(results, sourceDescription, imageAttachment, annotatedAttachment = null, cachedFeatures = [], t = getTranslator()) {
+    const embed = new EmbedBuilder()
+        .setTitle(t('analysis.title'))
+        .setDescription(t('embeds.image', { image: escapeMarkdown(sourceDescription) }))
+        .setColor(0xFF9900) // AWS orange
+        .setTimestamp()
+        .setFooter({ text: footerWithRequestId(`Powered by AWS Rekognition${cacheFooterNote(results, cachedFeatures, t)}`, t) });
+
+    // Boxes are unreadable at thumbnail size, so an annotated copy is shown full width
+    if (annotatedAttachment) {
+        embed.setImage(`attachment://${annotatedAttachment.name}`);
+    } else if (imageAttachment) {
+        embed.setThumbnail(`attachment://${imageAttachment.name}`);
+    }
+
+    if (results.labels?.Labels) {
+        const topLabels = results.labels.Labels
+            .sort((a, b) => b.Confidence - a.Confidence)
+            .slice(0, 8)
+            .map(label => `• ${describeLabel(label)}`)
+            .join('\n');
+
+        embed.addFields({
+            name: t('analysis.labels'),
+            value: topLabels || t('analysis.noLabels'),
+            inline: true
+        });
+    }
+
+    if (results.text?.TextDetections) {
+        const allLines = results.text.TextDetections.filter(text => text.Type === 'LINE');
+        let textLines = allLines
+            .slice(0, 5)
+            .map(text => `• ${text.DetectedText}`)
+            .join('\n');
+
+        if (textLines.length > 1020) {
+            const cutoff = textLines.lastIndexOf('\n', 1017);
+            textLines = textLines.slice(0, cutoff > 0 ? cutoff : 1017) + '\n...';
+        } else if (allLines.length > 5) {
+            textLines += '\n...';
+        }
+
+        embed.addFields({
+            name: t('analysis.text'),
+            value: textLines || t('analysis.noText'),
+            inline: true
+        });
+    }
+
+    const imageProperties = formatImageProperties(results.labels?.ImageProperties, t);
+    if (imageProperties) {
+        embed.addFields({
+            name: t('analysis.imageProperties'),
+            value: imageProperties,
+            inline: false
+        });
+    }
+
+    if (results.faces?.FaceDetails?.length > 0) {
+        const face = results.faces.FaceDetails[0];
+        let faceInfo = [];
+
+        if (face.Gender) faceInfo.push(t('analysis.gender', { value: face.Gender.Value, confidence: face.Gender.Confidence.toFixed(1) }));
+        if (face.AgeRange) faceInfo.push(t('analysis.age', { low: face.AgeRange.Low, high: face.AgeRange.High }));
+        if (face.Emotions?.length > 0) {
+            const topEmotion = face.Emotions.sort((a, b) => b.Confidence - a.Confidence)[0];
+            faceInfo.push(t('analysis.emotion', { value: topEmotion.Type, confidence: topEmotion.Confidence.toFixed(1) }));
+        }
+
+        embed.addFields({
+            name: t('analysis.faces', { count: results.faces.FaceDetails.length }),
+            value: faceInfo.join('\n') || t('analysis.faceDetected'),
+            inline: false
+        });
+    }
+
+    if (results.celebrities?.CelebrityFaces?.length > 0) {
+        const celebs = results.celebrities.CelebrityFaces
+            .slice(0, 3)
+            .map(celeb => `• ${celeb.Name} (${celeb.MatchConfidence.toFixed(1)}%)`)
+            .join('\n');
+
+        embed.addFields({
+            name: t('analysis.celebrities'),
+            value: celebs,
+            inline: false
+        });
+    }
+
+    if (results.moderation?.ModerationLabels?.length > 0) {
+        const modLabels = results.moderation.ModerationLabels
+            .slice(0, 5)
+            .map(label => `• ${label.Name} (${label.Confidence.toFixed(1)}%)`)
+            .join('\n');
+
+        embed.addFields({
+            name: t('analysis.moderation'),
+            value: modLabels,
+            inline: false
+        });
+    }
+
+    const failed = Object.entries(results).filter(([, result]) => result?.error);
+    if (failed.length > 0) {
+        embed.addFields({
+            name: t('analysis.failedFeatures'),
+            value: failed
+                .map(([feature, result]) => `• ${t(`features.${feature}`)}: ${result.code ? t(`failures.${result.code}`) : result.error}`)
+                .join('\n'),
+            inline: false
+        });
+    }
+
+    return embed;
+}
+
+// Tell the user when the analyzed image differs from the one they sent
+function addAdjustmentsField(embed, adjustments, t = getTranslator(), name = t('embeds.imageAdjusted')) {
+    if (!adjustments?.length) return embed;
+    return embed.addFields({
+        name,
+        value: adjustments.map(({ key, params }) => `• ${t(key, params)}`).join('\n'),
+        inline: false
+    });
+}
+
+// --- Annotated image ---
+
+async function createAnnotatedAttachment(imageBuffer, boxes, name) {
+    try {
+        const annotated = await renderAnnotatedImage(imageBuffer, boxes);
+        if (!annotated) return null;
+        return new AttachmentBuilder(annotated, { name, description: 'Image with detected items outlined' });
+    } catch (error) {
+        // Annotation is best-effort; the analysis itself already succeeded
+        logger.error('Failed to annotate image', { error });
+        return null;
+    }
+}
+
+// --- Report ---
+
+// The JSON reports attached in Discord and returned by the HTTP API
+function buildAnalysisReport(results, imageSource, analysisType = 'comprehensive_image_analysis') {
+    return {
+        meta: {
+            timestamp: new Date().toISOString(),
+            source: imageSource,
+            analysisType
+        },
+        results: results
+    };
+}
+
+function buildComparisonReport(comparisonResult, sourceDesc, targetDesc) {
+    return {
+        meta: {
+            timestamp: new Date().toISOString(),
+            source: sourceDesc,
+            target: targetDesc,
+            analysisType: 'face_comparison'
+        },
+        results: comparisonResult
+    };
+}
+
+async function writeReport(report, name, tempDir, requestFiles) {
+    const reportPath = path.join(tempDir, `${name}_${crypto.randomBytes(4).toString('hex')}.json`);
+    await fsp.writeFile(reportPath, JSON.stringify(report, null, 2));
+    requestFiles.push(reportPath);
+    return reportPath;
+}
+
+async function createAnalysisReport(results, imageSource, tempDir, requestFiles, analysisType = 'comprehensive_image_analysis') {
+    return await writeReport(buildAnalysisReport(results, imageSource, analysisType), 'analysis', tempDir, requestFiles);
+}
+
+async function createComparisonReport(comparisonResult, sourceDesc, targetDesc, tempDir, requestFiles) {
+    return await writeReport(buildComparisonReport(comparisonResult, sourceDesc, targetDesc), 'comparison', tempDir, requestFiles);
+}
+
+module.exports = {
+    escapeMarkdown,
+    truncateText,
+    runAnalyses,
+    compareImages,
+    createAnalysisEmbed,
+    addAdjustmentsField,
+    createAnnotatedAttachment,
+    buildAnalysisReport,
+    buildComparisonReport,
+    createAnalysisReport,
+    createComparisonReport
+};
@@ -0,0 +1,260 @@
+/**
+ * File: annotate.js
+ * Description: Draw Rekognition bounding boxes onto a copy of the analyzed image
+ *
+ * Rekognition reports every BoundingBox as ratios of the image size, so the
+ * image can be downscaled before drawing without converting coordinates.
+ * Rendering is pure JS (jimp) and works on headless hosts; any image jimp
+ * cannot decode simply produces no annotation.
+ */
+
+const { Jimp, loadFont, measureText } = require('jimp');
+const fonts = require('jimp/fonts');
+const { assertDecodableSize } = require('./imageNormalize');
+
+const MAX_RENDER_DIMENSION = 2048;
+const CAPTION_MAX_LENGTH = 32;
+
+const BOX_COLORS = {
+    face: 0xFF9900FF,       // AWS orange
+    label: 0x5865F2FF,      // Discord blurple
+    text: 0xEB459EFF,       // Pink
+    celebrity: 0x57F287FF,  // Green
+    match: 0x57F287FF,      // Green
+    unmatched: 0xED4245FF,  // Red
+    compliant: 0x57F287FF,  // Green
+    nonCompliant: 0xED4245FF, // Red
+    indeterminate: 0xFEE75CFF // Yellow
+};
+
+const fontCache = new Map();
+let fontLoader = loadFont;
+
+// Replaces jimp's loadFont (and clears loaded fonts); used by the tests
+function setFontLoader(loader) {
+    fontLoader = loader ?? loadFont;
+    fontCache.clear();
+}
+
+function getFont(fontPath) {
+    if (!fontCache.has(fontPath)) {
+        const font = fontLoader(fontPath).catch(error => {
+            fontCache.delete(fontPath);
+            throw error;
+        });
+        fontCache.set(fontPath, font);
+    }
+    return fontCache.get(fontPath);
+}
+
+// Letters that do not decompose into an ASCII letter and an accent
+const TRANSLITERATIONS = {
+    'ß': 'ss', 'Æ': 'AE', 'æ': 'ae', 'Œ': 'OE', 'œ': 'oe', 'Ø': 'O', 'ø': 'o', 'Đ': 'D', 'đ': 'd',
+    'Ł': 'L', 'ł': 'l', 'Þ': 'Th', 'þ': 'th', 'ı': 'i',
+    '‘': "'", '’': "'", '“': '"', '”': '"', '–': '-', '—': '-', '…': '...'
+};
+// Printed for characters the fonts cannot draw, which jimp would silently drop
+const CAPTION_FALLBACK_CHARACTER = '?';
+
+// The bitmap fonts only have printable ASCII: strip accents, transliterate, and replace the rest
+function toFontCharset(text) {
+    return text
+        .normalize('NFKD')
+        .replace(/\p{M}/gu, '')
+        .replace(/[^\x20-\x7E]/gu, char => TRANSLITERATIONS[char] ?? CAPTION_FALLBACK_CHARACTER);
+}
+
+function truncateCaption(text) {
+    const clean = toFontCharset(String(text).replace(/\s+/g, ' ').trim());
+    // The bitmap fonts are ASCII-only, so no ellipsis character
+    return clean.length > CAPTION_MAX_LENGTH ? `${clean.slice(0, CAPTION_MAX_LENGTH - 3)}...` : clean;
+}
+
+// --- Box collection ---
+
+function collectAnalysisBoxes(results) {
+    const boxes = [];
+
+    (results.labels?.Labels || []).forEach(label => {
+        (label.Instances || []).forEach(instance => {
+            if (instance.BoundingBox) {
+                boxes.push({ box: instance.BoundingBox, caption: label.Name, color: BOX_COLORS.label });
+            }
+        });
+    });
+
+    (results.text?.TextDetections || [])
+        .filter(text => text.Type === 'LINE' && text.Geometry?.BoundingBox)
+        .forEach(text => {
+            boxes.push({ box: text.Geometry.BoundingBox, caption: text.DetectedText, color: BOX_COLORS.text });
+        });
+
+    // Celebrity boxes replace the plain face box for the same face
+    const celebrities = results.celebrities?.CelebrityFaces || [];
+    celebrities.forEach(celeb => {
+        if (celeb.Face?.BoundingBox) {
+            boxes.push({ box: celeb.Face.BoundingBox, caption: celeb.Name, color: BOX_COLORS.celebrity });
+        }
+    });
+
+    (results.faces?.FaceDetails || []).forEach((face, i) => {
+        if (!face.BoundingBox) return;
+        const isCelebrity = celebrities.some(celeb => celeb.Face?.BoundingBox && boxOverlap(celeb.Face.BoundingBox, face.BoundingBox) > 0.5);
+        if (!isCelebrity) {
+            boxes.push({ box: face.BoundingBox, caption: `Face ${i + 1}`, color: BOX_COLORS.face });
+        }
+    });
+
+    return boxes;
+}
+
+function collectComparisonBoxes(comparisonResult) {
+    const source = [];
+    const target = [];
+
+    if (comparisonResult.SourceImageFace?.BoundingBox) {
+        source.push({ box: comparisonResult.SourceImageFace.BoundingBox, caption: 'Source', color: BOX_COLORS.face });
+    }
+
+    (comparisonResult.FaceMatches || []).forEach((match, i) => {
+        if (match.Face?.BoundingBox) {
+            target.push({
+                box: match.Face.BoundingBox,
+                caption: `Match ${i + 1}: ${match.Similarity.toFixed(1)}%`,
+                color: BOX_COLORS.match
+            });
+        }
+    });
+
+    (comparisonResult.UnmatchedFaces || []).forEach(face => {
+        if (face.BoundingBox) {
+            target.push({ box: face.BoundingBox, caption: 'No match', color: BOX_COLORS.unmatched });
+        }
+    });
+
+    return { source, target };
+}
+
+// Recognized celebrities by name and number, unrecognized faces in red
+function collectCelebrityBoxes(response) {
+    const boxes = (response.CelebrityFaces || [])
+        .filter(celeb => celeb.Face?.BoundingBox)
+        .map((celeb, i) => ({ box: celeb.Face.BoundingBox, caption: `${i + 1}. ${celeb.Name}`, color: BOX_COLORS.celebrity }));
+
+    (response.UnrecognizedFaces || []).forEach(face => {
+        if (face.BoundingBox) {
+            boxes.push({ box: face.BoundingBox, caption: 'Unrecognized', color: BOX_COLORS.unmatched });
+        }
+    });
+    return boxes;
+}
+
+// Persons from lib/ppe.js evaluateCompliance(), colored by compliance
+function collectPpeBoxes(evaluation) {
+    const colors = {
+        'compliant': BOX_COLORS.compliant,
+        'non-compliant': BOX_COLORS.nonCompliant,
+        'indeterminate': BOX_COLORS.indeterminate
+    };
+    return evaluation.persons
+        .filter(person => person.boundingBox)
+        .map((person, i) => ({
+            box: person.boundingBox,
+            caption: `Person ${i + 1}`,
+            color: colors[person.compliance]
+        }));
+}
+
+// Intersection over the smaller box, for de-duplicating boxes of the same face
+function boxOverlap(a, b) {
+    const width = Math.min(a.Left + a.Width, b.Left + b.Width) - Math.max(a.Left, b.Left);
+    const height = Math.min(a.Top + a.Height, b.Top + b.Height) - Math.max(a.Top, b.Top);
+    if (width <= 0 || height <= 0) return 0;
+    return (width * height) / Math.min(a.Width * a.Height, b.Width * b.Height);
+}
+
+// --- Rendering ---
+
+function toPixelRect(box, width, height) {
+    const clamp = (value, max) => Math.max(0, Math.min(max, Math.round(value)));
+    const left = clamp(box.Left * width, width - 1);
+    const top = clamp(box.Top * height, height - 1);
+    const right = clamp((box.Left + box.Width) * width, width - 1);
+    const bottom = clamp((box.Top + box.Height) * height, height - 1);
+    return { left, top, width: Math.max(1, right - left), height: Math.max(1, bottom - top) };
+}
+
+function fillRect(image, x, y, width, height, color) {
+    const { width: imageWidth, height: imageHeight } = image.bitmap;
+    const x0 = Math.max(0, x);
+    const y0 = Math.max(0, y);
+    const w = Math.min(imageWidth, x + width) - x0;
+    const h = Math.min(imageHeight, y + height) - y0;
+    if (w <= 0 || h <= 0) return;
+    image.scan(x0, y0, w, h, (_px, _py, idx) => {
+        image.bitmap.data.writeUInt32BE(color, idx);
+    });
+}
+
+function strokeRect(image, rect, color, thickness) {
+    fillRect(image, rect.left, rect.top, rect.width, thickness, color);
+    fillRect(image, rect.left, rect.top + rect.height - thickness, rect.width, thickness, color);
+    fillRect(image, rect.left, rect.top, thickness, rect.height, color);
+    fillRect(image, rect.left + rect.width - thickness, rect.top, thickness, rect.height, color);
+}
+
+/**
+ * Render boxes onto a copy of the image.
+ * Returns a JPEG buffer, or null when there is nothing to draw or the image
+ * cannot be decoded (or is too large to).
+ */
+async function renderAnnotatedImage(imageBuffer, boxes) {
+    if (boxes.length === 0) return null;
+
+    let image;
+    try {
+        assertDecodableSize(imageBuffer);
+        image = await Jimp.fromBuffer(imageBuffer);
+    } catch {
+        return null;
+    }
+
+    if (Math.max(image.bitmap.width, image.bitmap.height) > MAX_RENDER_DIMENSION) {
+        image.scaleToFit({ w: MAX_RENDER_DIMENSION, h: MAX_RENDER_DIMENSION });
+    }
+
+    const { width, height } = image.bitmap;
+    const thickness = Math.max(2, Math.round(Math.min(width, height) / 250));
+    const font = await getFont(width >= 1200 ? fonts.SANS_32_WHITE : fonts.SANS_16_WHITE);
+    const lineHeight = font.common.lineHeight;
+
+    for (const { box, caption, color } of boxes) {
+        const rect = toPixelRect(box, width, height);
+        strokeRect(image, rect, color, thickness);
+
+        if (caption) {
+            const text = truncateCaption(caption);
+            const textWidth = measureText(font, text);
+            // Place the caption above the box, or inside it when at the top edge
+            const captionY = rect.top >= lineHeight ? rect.top - lineHeight : rect.top;
+            const captionX = Math.min(rect.left, Math.max(0, width - textWidth - 6));
+            fillRect(image, captionX, captionY, textWidth + 6, lineHeight, color);
+            image.print({ font, x: captionX + 3, y: captionY, text });
+        }
+    }
+
+    return await image.getBuffer('image/jpeg', { quality: 85 });
+}
+
+module.exports = {
+    BOX_COLORS,
+    collectAnalysisBoxes,
+    collectComparisonBoxes,
+    collectPpeBoxes,
+    collectCelebrityBoxes,
+    renderAnnotatedImage,
+    setFontLoader,
+    boxOverlap,
+    toPixelRect,
+    _test: { boxOverlap, toPixelRect, truncateCaption }
+};
@@ -0,0 +1,175 @@
+/**
+ * File: anonymize.js
+ * Description: Blur or pixelate faces (and optionally text) in an image
+ *
+ * /rekognition anonymize runs DetectFaces and hides every face, so photos can
+ * be shared without identifying people. Faces matching a reference photo
+ * (CompareFaces) can be left visible, e.g. the person sharing the photo, and
+ * detected text lines such as license plates or name tags can be hidden too.
+ *
+ * Face boxes are padded a little, since Rekognition's boxes are tight and
+ * leave hair and ears visible. Rendering is pure JS (jimp) at the original
+ * resolution and format. If anything fails, no image is returned: a photo
+ * with faces left visible by mistake is worse than no photo.
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const { getVisionBackend } = require('./visionBackends');
+const { boxOverlap, toPixelRect } = require('./annotate');
+const { detectImageFormat, assertDecodableSize, decodeImage } = require('./imageNormalize');
+const { UserFacingError } = require('./errors');
+const { escapeMarkdown } = require('./analysis');
+const { footerWithRequestId } = require('./logger');
+const { getTranslator } = require('./i18n');
+
+const ANONYMIZE_METHODS = ['blur', 'pixelate'];
+const FACE_PADDING = 0.15; // Share of the face box added on every side
+const MATCH_OVERLAP = 0.5;
+const MAX_OUTPUT_BYTES = 10 * 1024 * 1024; // Discord's upload limit on servers without boosts
+
+// --- Region selection ---
+
+function padBox(box, padding = FACE_PADDING) {
+    const left = Math.max(0, box.Left - box.Width * padding);
+    const top = Math.max(0, box.Top - box.Height * padding);
+    const right = Math.min(1, box.Left + box.Width * (1 + padding));
+    const bottom = Math.min(1, box.Top + box.Height * (1 + padding));
+    return { Left: left, Top: top, Width: right - left, Height: bottom - top };
+}
+
+/**
+ * Decide what to hide. `faces` is a DetectFaces response, `comparison` an
+ * optional CompareFaces response whose matches stay visible, and `text` an
+ * optional DetectText response whose lines are hidden.
+ * Returns { regions, hiddenFaces, keptFaces, textRegions }.
+ */
+function selectRegions({ faces, comparison = null, text = null }) {
+    const matched = (comparison?.FaceMatches || [])
+        .map(match => match.Face?.BoundingBox)
+        .filter(Boolean);
+
+    const hidden = [];
+    let keptFaces = 0;
+    for (const face of faces.FaceDetails || []) {
+        if (!face.BoundingBox) continue;
+        if (matched.some(box => boxOverlap(box, face.BoundingBox) > MATCH_OVERLAP)) {
+            keptFaces++;
+        } else {
+            hidden.push(padBox(face.BoundingBox));
+        }
+    }
+
+    const textBoxes = (text?.TextDetections || [])
+        .filter(detection => detection.Type === 'LINE' && detection.Geometry?.BoundingBox)
+        .map(detection => detection.Geometry.BoundingBox);
+
+    return {
+        regions: [...hidden, ...textBoxes],
+        hiddenFaces: hidden.length,
+        keptFaces,
+        textRegions: textBoxes.length
+    };
+}
+
+// --- Rendering ---
+
+// Strength scales with the region, so small faces in a crowd are hidden as well as close-ups
+function obscureRegion(image, rect, method) {
+    const size = Math.max(6, Math.round(Math.min(rect.width, rect.height) / 8));
+    const area = { x: rect.left, y: rect.top, w: rect.width, h: rect.height };
+
+    if (method === 'pixelate') {
+        image.pixelate({ size, ...area });
+        return;
+    }
+
+    // Pixelating first removes the fine detail a blur alone can leave recoverable
+    const patch = image.clone().crop(area).pixelate(Math.max(2, Math.round(size / 2))).blur(size);
+    image.composite(patch, rect.left, rect.top);
+}
+
+/**
+ * Resolves to { buffer, format } with the anonymized image as JPEG for JPEG
+ * input and PNG otherwise, or null when there is nothing to hide. Regions
+ * are relative, so they fit the image at any resolution. Throws a
+ * UserFacingError when the image cannot be decoded or is too large to.
+ */
+async function anonymizeImage(imageBuffer, regions, { method = 'blur' } = {}) {
+    if (regions.length === 0) return null;
+
+    assertDecodableSize(imageBuffer);
+
+    let image;
+    try {
+        image = await decodeImage(imageBuffer);
+    } catch {
+        throw UserFacingError.fromCatalog('errors.anonymizeDecode');
+    }
+
+    const { width, height } = image.bitmap;
+    for (const box of regions) {
+        obscureRegion(image, toPixelRect(box, width, height), method);
+    }
+
+    return detectImageFormat(imageBuffer) === 'jpeg'
+        ? { buffer: await image.getBuffer('image/jpeg', { quality: 90 }), format: 'jpeg' }
+        : { buffer: await image.getBuffer('image/png'), format: 'png' };
+}
+
+// --- Detection ---
+
+/**
+ * Run the detections selectRegions() needs. `reference` is the buffer of a
+ * face to keep visible, or null; `similarity` its CompareFaces threshold.
+ */
+async function detectAnonymizeRegions(imageBuffer, { redactText = false, reference = null, similarity = 80 } = {}) {
+    const backend = getVisionBackend();
+
+    const [faces, text, comparison] = await Promise.all([
+        backend.detectFaces(imageBuffer),
+        redactText ? backend.detectText(imageBuffer) : null,
+        reference ? compareReference(backend, reference, imageBuffer, similarity) : null
+    ]);
+    return selectRegions({ faces, comparison, text });
+}
+
+async function compareReference(backend, reference, imageBuffer, similarity) {
+    try {
+        return await backend.compareFaces(reference, imageBuffer, similarity);
+    } catch (error) {
+        if (error.name === 'InvalidParameterException' && error.message?.includes('no face')) {
+            throw UserFacingError.fromCatalog('errors.noReferenceFace');
+        }
+        throw error;
+    }
+}
+
+// --- Embed ---
+
+function createAnonymizeEmbed(selection, method, sourceDescription, outputAttachment, t = getTranslator()) {
+    const embed = new EmbedBuilder()
+        .setTitle(t('anonymize.title'))
+        .setDescription(t('embeds.image', { image: escapeMarkdown(sourceDescription) }))
+        .setColor(0xFF9900)
+        .setTimestamp()
+        .setFooter({ text: footerWithRequestId('Powered by AWS Rekognition', t) })
+        .addFields(
+            { name: t('anonymize.facesHidden'), value: `${selection.hiddenFaces}`, inline: true },
+            { name: t('anonymize.facesKept'), value: `${selection.keptFaces}`, inline: true },
+            { name: t('anonymize.textHidden'), value: `${selection.textRegions}`, inline: true },
+            { name: t('anonymize.method'), value: t(`anonymize.methods.${method === 'pixelate' ? 'pixelate' : 'blur'}`), inline: true }
+        );
+
+    if (outputAttachment) embed.setImage(`attachment://${outputAttachment.name}`);
+    return embed;
+}
+
+module.exports = {
+    ANONYMIZE_METHODS,
+    MAX_OUTPUT_BYTES,
+    padBox,
+    selectRegions,
+    anonymizeImage,
+    detectAnonymizeRegions,
+    createAnonymizeEmbed
+};
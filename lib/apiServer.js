@@ -0,0 +1,355 @@
+/**
+ * File: apiServer.js
+ * Description: Optional token-authenticated HTTP API for image analysis and face comparison
+ *
+ * Started by index.js when API_PORT is set, so internal tools can use the
+ * same pipeline as /rekognition (lib/analysis.js) without going through
+ * Discord. Every request needs `Authorization: Bearer <API_TOKEN>`.
+ *
+ * - POST /v1/analyze  one image: a multipart file `image`, or `url`.
+ *                     Optional `features`: all (default) or a comma-separated
+ *                     list of labels, text, faces, moderation, celebrities
+ * - POST /v1/compare  multipart files `source` and `target`, or `source_url`
+ *                     and `target_url`. Optional `similarity` (0-100)
+ *
+ * URL fields can also be sent as a JSON body. Responses are the JSON reports
+ * the Discord commands attach (`meta` and `results`); errors are
+ * { error, requestId }. The request ID is also sent as X-Request-Id.
+ *
+ * URLs get the same SSRF checks, address pinning and size limit as in
+ * Discord, and avatars of members who opted out of face processing are
+ * refused for faces, celebrities and compare. Each client address may send
+ * API_RATE_LIMIT requests per minute; bodies are capped at MAX_BODY_BYTES.
+ * Jobs share the bot's job queue (lib/jobQueue.js), so API traffic takes
+ * turns with Discord servers instead of starving them.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const path = require('path');
+const { UserFacingError, CircuitOpenError, getFailureReason } = require('./errors');
+const { MAX_DOWNLOAD_BYTES, isValidUrl, processImageBuffer, processImageUrl } = require('./imageInput');
+const { runAnalyses, compareImages, buildAnalysisReport, buildComparisonReport } = require('./analysis');
+const { ANALYSIS_FEATURES, DEFAULT_GUILD_CONFIG } = require('./guildConfig');
+const { FACE_FEATURES, findFaceProcessingRefusal } = require('./privacy');
+const { getJobQueue } = require('./jobQueue');
+const { getTempDir, cleanupFiles } = require('./tempFiles');
+const { apiRequestsTotal, recordError } = require('./metrics');
+const { logger, createRequestId, runWithRequestId, getRequestId } = require('./logger');
+
+const DEFAULT_RATE_LIMIT = 30; // Requests per minute per client address
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+const MAX_BODY_BYTES = 2 * MAX_DOWNLOAD_BYTES + 1024 * 1024; // Two images plus form overhead
+const MIN_TOKEN_LENGTH = 16;
+const QUEUE_KEY = 'api'; // Takes turns with guilds in the job queue
+const QUEUE_RETRY_AFTER_SECONDS = 30; // Suggested wait when the queue is full or the bot restarts
+
+// An error with its HTTP status; the message is shown to the client
+class HttpError extends UserFacingError {
+    constructor(status, message, headers = {}) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.headers = headers;
+    }
+}
+
+// --- Rate limiting ---
+
+// Fixed one-minute windows per key (client address)
+class RateLimiter {
+    constructor({ limit = DEFAULT_RATE_LIMIT, windowMs = RATE_LIMIT_WINDOW_MS } = {}) {
+        this.limit = limit;
+        this.windowMs = windowMs;
+        this.windows = new Map(); // Key -> { start, count }
+    }
+
+    /**
+     * Count a request from `key` unless its window is used up.
+     * Returns the seconds left to wait, or 0 when the request is allowed.
+     */
+    take(key, now = Date.now()) {
+        let window = this.windows.get(key);
+        if (!window || now - window.start >= this.windowMs) {
+            window = { start: now, count: 0 };
+            this.windows.set(key, window);
+        }
+        if (window.count >= this.limit) {
+            return Math.ceil((window.start + this.windowMs - now) / 1000);
+        }
+        window.count++;
+
+        // Prune expired windows periodically
+        if (this.windows.size > 1000) {
+            for (const [windowKey, { start }] of this.windows) {
+                if (now - start >= this.windowMs) this.windows.delete(windowKey);
+            }
+        }
+        return 0;
+    }
+}
+
+// --- Request parsing ---
+
+function isAuthorized(req, token) {
+    const match = /^Bearer (.+)$/.exec(req.headers.authorization ?? '');
+    if (!match) return false;
+    // Hash both sides so the comparison is constant-time whatever the lengths
+    const given = crypto.createHash('sha256').update(match[1]).digest();
+    const expected = crypto.createHash('sha256').update(token).digest();
+    return crypto.timingSafeEqual(given, expected);
+}
+
+function readBody(req, maxBytes) {
+    if (Number(req.headers['content-length']) > maxBytes) {
+        return Promise.reject(new HttpError(413, `Request body is too large. The maximum is ${Math.floor(maxBytes / 1024 / 1024)}MB.`));
+    }
+
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > maxBytes) {
+                req.removeAllListeners('data');
+                req.resume(); // Discard the rest
+                reject(new HttpError(413, `Request body is too large. The maximum is ${Math.floor(maxBytes / 1024 / 1024)}MB.`));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Parse a multipart or JSON body into an object of fields: strings for text
+ * fields, { name, buffer } for files.
+ */
+async function parseFields(req, maxBytes) {
+    const contentType = req.headers['content-type'] ?? '';
+    const isJson = contentType.startsWith('application/json');
+    if (!isJson && !contentType.startsWith('multipart/form-data')) {
+        throw new HttpError(415, 'Send multipart/form-data or application/json.');
+    }
+    const body = await readBody(req, maxBytes);
+
+    if (isJson) {
+        let parsed;
+        try {
+            parsed = JSON.parse(body.toString('utf8') || '{}');
+        } catch {
+            throw new HttpError(400, 'The request body is not valid JSON.');
+        }
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+            throw new HttpError(400, 'The request body must be a JSON object.');
+        }
+        return Object.fromEntries(Object.entries(parsed).map(([name, value]) => [name, value == null ? null : String(value)]));
+    }
+
+    let form;
+    try {
+        form = await new Response(body, { headers: { 'content-type': contentType } }).formData();
+    } catch {
+        throw new HttpError(400, 'The multipart body could not be parsed.');
+    }
+    const fields = {};
+    for (const [name, value] of form) {
+        fields[name] = typeof value === 'string'
+            ? value
+            : { name: value.name, buffer: Buffer.from(await value.arrayBuffer()) };
+    }
+    return fields;
+}
+
+function parseFeatures(value) {
+    if (!value || value === 'all') return ANALYSIS_FEATURES;
+
+    const features = [...new Set(value.split(',').map(feature => feature.trim()).filter(Boolean))];
+    const unknown = features.filter(feature => !ANALYSIS_FEATURES.includes(feature));
+    if (unknown.length > 0 || features.length === 0) {
+        throw new HttpError(400, `Unknown features: ${unknown.join(', ') || value}. Use all, or any of ${ANALYSIS_FEATURES.join(', ')}.`);
+    }
+    return features;
+}
+
+function parseSimilarity(value) {
+    if (value == null || value === '') return DEFAULT_GUILD_CONFIG.compareSimilarity;
+    const similarity = Number(value);
+    if (!Number.isFinite(similarity) || similarity < 0 || similarity > 100) {
+        throw new HttpError(400, 'similarity must be a number from 0 to 100.');
+    }
+    return similarity;
+}
+
+// One image from a file field or a URL field
+async function readImageField(fields, fileField, urlField, tempDir, requestFiles) {
+    const file = fields[fileField];
+    const url = fields[urlField];
+
+    if (file && url) {
+        throw new HttpError(400, `Send either ${fileField} or ${urlField}, not both.`);
+    }
+    if (file) {
+        if (typeof file === 'string') throw new HttpError(400, `${fileField} must be a file.`);
+        return await processImageBuffer(file.buffer, `uploaded ${fileField} (${path.basename(file.name || fileField)})`);
+    }
+    if (url) {
+        if (!isValidUrl(url)) throw new HttpError(400, `${urlField} must be an http(s) URL of at most 2048 characters.`);
+        return await processImageUrl(url, tempDir, fileField, requestFiles);
+    }
+    throw new HttpError(400, `Missing image: send the ${fileField} file or ${urlField}.`);
+}
+
+// Opted-out members' avatars are refused for face processing, as in Discord
+function checkConsent(urls) {
+    if (findFaceProcessingRefusal(null, urls.filter(Boolean)) === 'avatar') {
+        throw new HttpError(403, 'This avatar belongs to a member who opted out of face processing.');
+    }
+}
+
+// --- Routes ---
+
+async function handleAnalyze(fields, { tempDir, requestFiles }) {
+    const features = parseFeatures(fields.features);
+    if (features.some(feature => FACE_FEATURES.includes(feature))) checkConsent([fields.url]);
+
+    const image = await readImageField(fields, 'image', 'url', tempDir, requestFiles);
+    const { results, cachedFeatures } = await runAnalyses(image.buffer, features, DEFAULT_GUILD_CONFIG);
+
+    logger.info('Image analyzed', {
+        features,
+        cachedFeatures,
+        failedFeatures: features.filter(feature => results[feature]?.error)
+    });
+    return buildAnalysisReport(results, image.description);
+}
+
+async function handleCompare(fields, { tempDir, requestFiles }) {
+    const similarityThreshold = parseSimilarity(fields.similarity);
+    checkConsent([fields.source_url, fields.target_url]);
+
+    const source = await readImageField(fields, 'source', 'source_url', tempDir, requestFiles);
+    const target = await readImageField(fields, 'target', 'target_url', tempDir, requestFiles);
+    const comparison = await compareImages(source.buffer, target.buffer, similarityThreshold);
+    return buildComparisonReport(comparison, source.description, target.description);
+}
+
+const ROUTES = {
+    '/v1/analyze': handleAnalyze,
+    '/v1/compare': handleCompare
+};
+
+// --- Responses ---
+
+// Status and message for an error, safe to send to the client
+function describeError(error) {
+    if (error instanceof HttpError) return { status: error.status, message: error.message, headers: error.headers };
+    if (error instanceof CircuitOpenError) {
+        return { status: 503, message: error.message, headers: { 'Retry-After': String(error.retryAfterSeconds) } };
+    }
+    // The job queue's own errors are not the client's fault
+    if (error.key === 'errors.busy' || error.key === 'errors.restarting') {
+        return { status: 503, message: error.message, headers: { 'Retry-After': String(QUEUE_RETRY_AFTER_SECONDS) } };
+    }
+    if (error.key === 'errors.timedOut') return { status: 504, message: error.message };
+    if (error instanceof UserFacingError) return { status: 400, message: error.message };
+    if (error.name === 'ThrottlingException' || error.name === 'ProvisionedThroughputExceededException') {
+        return { status: 503, message: getFailureReason(error) };
+    }
+    if (error.name === 'InvalidImageFormatException' || error.name === 'ImageTooLargeException') {
+        return { status: 400, message: getFailureReason(error) };
+    }
+    if (error.name === 'InvalidParameterException' && error.message?.includes('no face')) {
+        return { status: 422, message: 'No face was detected in one of the images.' };
+    }
+    return { status: 500, message: 'Internal error.' };
+}
+
+function sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+}
+
+// --- Server ---
+
+function createApiServer({
+    token,
+    rateLimit = DEFAULT_RATE_LIMIT,
+    maxBodyBytes = MAX_BODY_BYTES,
+    tempDir = getTempDir(),
+    queue = getJobQueue()
+} = {}) {
+    if (!token || token.length < MIN_TOKEN_LENGTH) {
+        throw new RangeError(`API_TOKEN must be set to at least ${MIN_TOKEN_LENGTH} characters to enable the HTTP API`);
+    }
+    const limiter = new RateLimiter({ limit: rateLimit });
+
+    return http.createServer((req, res) => runWithRequestId(createRequestId(), async () => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        const handler = ROUTES[pathname];
+        const requestFiles = [];
+        const started = Date.now();
+        let status = 200;
+
+        try {
+            if (!handler) throw new HttpError(404, 'Not found.');
+            if (req.method !== 'POST') throw new HttpError(405, 'Use POST.', { Allow: 'POST' });
+
+            // Counted before authentication, so guessing tokens is rate limited too
+            const retryAfter = limiter.take(req.socket.remoteAddress);
+            if (retryAfter > 0) {
+                throw new HttpError(429, `Too many requests. Try again in ${retryAfter} second(s).`, { 'Retry-After': String(retryAfter) });
+            }
+            if (!isAuthorized(req, token)) {
+                throw new HttpError(401, 'Missing or invalid API token.', { 'WWW-Authenticate': 'Bearer' });
+            }
+
+            const fields = await parseFields(req, maxBodyBytes);
+            const report = await queue.run(QUEUE_KEY, () => handler(fields, { tempDir, requestFiles }));
+            sendJson(res, 200, report, { 'X-Request-Id': getRequestId() });
+        } catch (error) {
+            const { status: errorStatus, message, headers = {} } = describeError(error);
+            status = errorStatus;
+            if (status >= 500) {
+                logger.error('API request failed', { route: pathname, error });
+                recordError(error);
+            }
+            sendJson(res, status, { error: message, requestId: getRequestId() }, { ...headers, 'X-Request-Id': getRequestId() });
+        } finally {
+            apiRequestsTotal.inc({ route: handler ? pathname : 'other', status });
+            logger.info('API request finished', { route: pathname, status, durationMs: Date.now() - started });
+            await cleanupFiles(requestFiles);
+        }
+    }));
+}
+
+// Resolves to the listening server, or null when API_PORT is not set
+function startApiServer({
+    port = process.env.API_PORT,
+    host = process.env.API_HOST || '127.0.0.1',
+    token = process.env.API_TOKEN,
+    rateLimit = parseInt(process.env.API_RATE_LIMIT, 10)
+} = {}) {
+    if (!port) return Promise.resolve(null);
+
+    let server;
+    try {
+        server = createApiServer({ token, rateLimit: rateLimit > 0 ? rateLimit : DEFAULT_RATE_LIMIT });
+    } catch (error) {
+        return Promise.reject(error);
+    }
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(Number(port), host, () => resolve(server));
+    });
+}
+
+module.exports = {
+    MAX_BODY_BYTES,
+    RateLimiter,
+    createApiServer,
+    startApiServer,
+    _test: { isAuthorized, parseFeatures, parseSimilarity, describeError }
+};
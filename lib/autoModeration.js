@@ -0,0 +1,259 @@
+/**
+ * File: autoModeration.js
+ * Description: Passive moderation of images posted in watched channels
+ *
+ * Every image attachment posted in a watched channel (or a thread under one)
+ * is run through DetectModerationLabels. When a label reaches the guild's
+ * confidence threshold the configured action is applied:
+ *
+ * - log:     report the message to the mod log channel
+ * - delete:  delete the message, then report it
+ * - spoiler: re-post the images behind spoilers, delete the original, then report it
+ *
+ * Scans wait in their own queue (at most MAX_CONCURRENT_SCANS at once, guilds
+ * taking turns) rather than being skipped when the bot is busy, so images are
+ * never let through unscanned under load.
+ */
+
+const { EmbedBuilder, AttachmentBuilder } = require('discord.js');
+const { JsonStore } = require('./jsonStore');
+const { downloadAttachment, sanitizeExtension, MAX_DOWNLOAD_BYTES } = require('./imageInput');
+const { normalizeImage } = require('./imageNormalize');
+const { getVisionBackend } = require('./visionBackends');
+const { JobQueue } = require('./jobQueue');
+const { logger } = require('./logger');
+
+const MODERATION_ACTIONS = ['log', 'delete', 'spoiler'];
+const MIN_THRESHOLD = 50; // detectModerationLabels does not return labels below this
+const DEFAULT_POLICY = {
+    channelIds: [],
+    threshold: 80,
+    action: 'log',
+    logChannelId: null
+};
+const MAX_CONCURRENT_SCANS = 4;
+const MAX_QUEUED_SCANS = 500;
+// Scans have no interaction deadline; this only bounds a stuck one
+const SCAN_TIMEOUT_MS = 30 * 60 * 1000;
+
+// --- Scan queue ---
+
+let scanQueue = null;
+
+function getScanQueue() {
+    if (!scanQueue) {
+        scanQueue = new JobQueue({
+            concurrency: MAX_CONCURRENT_SCANS,
+            maxQueueLength: MAX_QUEUED_SCANS,
+            jobTimeoutMs: SCAN_TIMEOUT_MS
+        });
+    }
+    return scanQueue;
+}
+
+function setScanQueue(queue) {
+    scanQueue = queue;
+}
+
+// --- Policy storage ---
+
+let policyStore = null;
+
+function getPolicyStore() {
+    if (!policyStore) policyStore = new JsonStore('moderation-policies.json');
+    return policyStore;
+}
+
+function setPolicyStore(store) {
+    policyStore = store;
+}
+
+function getPolicy(guildId) {
+    return { ...DEFAULT_POLICY, ...getPolicyStore().get(guildId) };
+}
+
+async function updatePolicy(guildId, changes) {
+    const policy = { ...getPolicy(guildId), ...changes };
+
+    if (!MODERATION_ACTIONS.includes(policy.action)) {
+        throw new RangeError(`Unknown moderation action: ${policy.action}`);
+    }
+    policy.threshold = Math.min(100, Math.max(MIN_THRESHOLD, policy.threshold));
+
+    return await getPolicyStore().set(guildId, policy);
+}
+
+async function watchChannel(guildId, channelId) {
+    const { channelIds } = getPolicy(guildId);
+    if (channelIds.includes(channelId)) return getPolicy(guildId);
+    return await updatePolicy(guildId, { channelIds: [...channelIds, channelId] });
+}
+
+async function unwatchChannel(guildId, channelId) {
+    const { channelIds } = getPolicy(guildId);
+    return await updatePolicy(guildId, { channelIds: channelIds.filter(id => id !== channelId) });
+}
+
+// --- Evaluation ---
+
+function isWatchedChannel(policy, channel) {
+    if (policy.channelIds.includes(channel.id)) return true;
+    // Threads inherit the watch state of their parent channel
+    return Boolean(channel.isThread?.() && policy.channelIds.includes(channel.parentId));
+}
+
+function findFlaggedLabels(moderationResult, threshold) {
+    return (moderationResult?.ModerationLabels || [])
+        .filter(label => label.Confidence >= threshold)
+        .sort((a, b) => b.Confidence - a.Confidence);
+}
+
+function getImageAttachments(message) {
+    return [...message.attachments.values()].filter(attachment =>
+        attachment.contentType?.startsWith('image/') && attachment.size <= MAX_DOWNLOAD_BYTES
+    );
+}
+
+async function scanAttachments(attachments, threshold) {
+    const scanned = [];
+    for (const attachment of attachments) {
+        try {
+            const buffer = await downloadAttachment(attachment);
+            // Scan a Rekognition-compatible copy; the original bytes are kept for re-posting
+            const { buffer: normalized } = await normalizeImage(buffer);
+            const result = await getVisionBackend().detectModerationLabels(normalized);
+            scanned.push({ attachment, buffer, labels: findFlaggedLabels(result, threshold) });
+        } catch (error) {
+            logger.error('Auto-moderation scan failed', { error });
+        }
+    }
+    return scanned;
+}
+
+// --- Message handling ---
+
+async function handleMessage(message) {
+    if (message.author.bot || !message.inGuild()) return;
+
+    const policy = getPolicy(message.guildId);
+    if (!isWatchedChannel(policy, message.channel)) return;
+
+    const attachments = getImageAttachments(message);
+    if (attachments.length === 0) return;
+
+    try {
+        await getScanQueue().run(message.guildId, async () => {
+            const scanned = await scanAttachments(attachments, policy.threshold);
+            if (scanned.some(item => item.labels.length > 0)) {
+                await applyPolicy(message, policy, scanned);
+            }
+        });
+    } catch (error) {
+        // Only when hundreds of scans are already waiting, or once shutdown drained the queue
+        logger.error('Auto-moderation could not scan a message', { messageId: message.id, error });
+    }
+}
+
+async function applyPolicy(message, policy, scanned) {
+    let outcome = 'Logged only';
+
+    if (policy.action === 'delete') {
+        outcome = await deleteMessage(message) ? 'Message deleted' : 'Delete failed (missing Manage Messages?)';
+    } else if (policy.action === 'spoiler') {
+        outcome = await repostWithSpoilers(message, scanned);
+    }
+
+    await logToModChannel(message, policy, scanned, outcome);
+}
+
+async function deleteMessage(message) {
+    try {
+        await message.delete();
+        return true;
+    } catch (error) {
+        logger.error('Auto-moderation could not delete message', { error });
+        return false;
+    }
+}
+
+async function repostWithSpoilers(message, scanned) {
+    const files = scanned.map((item, i) => {
+        const prefix = item.labels.length > 0 ? 'SPOILER_' : '';
+        const ext = sanitizeExtension(item.attachment.name || '');
+        return new AttachmentBuilder(item.buffer, { name: `${prefix}image_${i + 1}${ext}` });
+    });
+
+    const flaggedLabels = [...new Set(scanned.flatMap(item => item.labels.map(label => label.Name)))];
+    const quoted = message.content ? `\n>>> ${message.content.slice(0, 1500)}` : '';
+
+    // Send the copy first: if that fails, the original is still there
+    let copy;
+    try {
+        copy = await message.channel.send({
+            content: `🙈 Image(s) from <@${message.author.id}> hidden by auto-moderation (${flaggedLabels.join(', ')}).${quoted}`,
+            files,
+            allowedMentions: { parse: [] }
+        });
+    } catch (error) {
+        logger.error('Auto-moderation could not re-post message', { error });
+        return 'Spoiler re-post failed (missing Send Messages or Attach Files?), original kept';
+    }
+
+    if (await deleteMessage(message)) return 'Re-posted behind spoiler';
+
+    // Never leave the images posted twice
+    await copy?.delete?.().catch(error => logger.error('Auto-moderation could not remove its copy', { error }));
+    return 'Spoiler re-post failed (missing Manage Messages?), original kept';
+}
+
+async function logToModChannel(message, policy, scanned, outcome) {
+    if (!policy.logChannelId) return;
+
+    const flagged = scanned.filter(item => item.labels.length > 0);
+    const embed = new EmbedBuilder()
+        .setTitle('🛡️ Auto-Moderation')
+        .setColor(0xED4245)
+        .setTimestamp()
+        .setFooter({ text: 'Powered by AWS Rekognition' })
+        .addFields(
+            { name: 'Author', value: `<@${message.author.id}> (${message.author.tag})`, inline: true },
+            { name: 'Channel', value: `<#${message.channelId}>`, inline: true },
+            { name: 'Action', value: outcome, inline: true }
+        );
+
+    flagged.slice(0, 10).forEach((item, i) => {
+        embed.addFields({
+            name: `⚠️ Image ${i + 1}`,
+            value: item.labels
+                .slice(0, 5)
+                .map(label => `• ${label.Name} (${label.Confidence.toFixed(1)}%)`)
+                .join('\n'),
+            inline: false
+        });
+    });
+
+    if (policy.action === 'log') {
+        embed.setDescription(`[Jump to message](${message.url})`);
+    }
+
+    try {
+        const channel = await message.guild.channels.fetch(policy.logChannelId);
+        await channel.send({ embeds: [embed], allowedMentions: { parse: [] } });
+    } catch (error) {
+        logger.error('Auto-moderation could not post to log channel', { error });
+    }
+}
+
+module.exports = {
+    MODERATION_ACTIONS,
+    MIN_THRESHOLD,
+    getPolicy,
+    updatePolicy,
+    watchChannel,
+    unwatchChannel,
+    setPolicyStore,
+    getScanQueue,
+    setScanQueue,
+    handleMessage,
+    _test: { isWatchedChannel, findFlaggedLabels, getImageAttachments, applyPolicy }
+};
@@ -0,0 +1,374 @@
+/**
+ * File: batchAnalysis.js
+ * Description: Batch analysis of local image files for bin/rekognition-cli.js
+ *
+ * Every file is checked and normalized like a Discord upload
+ * (processImageBuffer in lib/imageInput.js: size limit, magic bytes,
+ * conversion) and analyzed by the feature runners of /rekognition analyze
+ * (runAnalyses in lib/analysis.js), so the reports follow the same schema as
+ * the analysis_report.json the bot attaches. The vision backend is the bot's
+ * too: AWS, or the offline fixtures with --backend=mock.
+ *
+ * Options:
+ *
+ * - --features=<list>   all (default) or a comma-separated list of labels,
+ *                       text, faces, moderation, celebrities
+ * - --format=json|csv   report format (default json)
+ * - --out-dir=<dir>     one report per image in <dir> (default ./rekognition-reports)
+ * - --combined=<file>   one report for the whole batch instead
+ * - --concurrency=<n>   images analyzed at once, 1 to 10 (default 4)
+ * - --resume            skip images finished by an earlier, interrupted run
+ * - --backend=<name>    rekognition or mock (default: VISION_BACKEND)
+ *
+ * Resuming: per-image reports are written under a temporary name and renamed
+ * when complete, so a report in --out-dir means that image is done. A
+ * combined run appends each finished image to <file>.partial.jsonl and reads
+ * it back with --resume; the journal is removed once every image succeeded.
+ * Failed images are never recorded as done, so a resumed run retries them.
+ *
+ * Exit codes: 0 every image analyzed, 1 bad arguments or a fatal error,
+ * 2 some images failed.
+ */
+
+const fsp = require('fs').promises;
+const path = require('path');
+const { UserFacingError } = require('./errors');
+const { ALLOWED_IMAGE_EXTENSIONS, MAX_DOWNLOAD_BYTES, processImageBuffer } = require('./imageInput');
+const { runAnalyses, buildAnalysisReport } = require('./analysis');
+const { ANALYSIS_FEATURES, DEFAULT_GUILD_CONFIG } = require('./guildConfig');
+const { MAX_CONCURRENT_REQUESTS } = require('./requestLimits');
+const { JobQueue } = require('./jobQueue');
+
+const EXIT_OK = 0;
+const EXIT_ERROR = 1;
+const EXIT_IMAGES_FAILED = 2;
+
+const FORMATS = ['json', 'csv'];
+const BACKENDS = ['rekognition', 'mock'];
+const DEFAULT_OUT_DIR = 'rekognition-reports';
+const DEFAULT_CONCURRENCY = 4;
+
+// --- Arguments ---
+
+const VALUE_FLAGS = ['--features', '--format', '--out-dir', '--combined', '--concurrency', '--backend'];
+
+/**
+ * Parse command-line arguments (after the script name) into
+ * { command, inputs, features, format, outDir, combined, concurrency, resume, backend }.
+ * Flags take their value as --flag=value or --flag value. Throws a RangeError
+ * for bad arguments.
+ */
+function parseCliOptions(argv = []) {
+    const values = {};
+    const positional = [];
+    let resume = false;
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+
+        const [flag, inlineValue] = arg.split(/=(.*)/s);
+        if (flag === '--resume') {
+            resume = true;
+        } else if (VALUE_FLAGS.includes(flag)) {
+            const value = inlineValue ?? argv[++i];
+            if (!value) throw new RangeError(`${flag} needs a value`);
+            values[flag] = value;
+        } else {
+            throw new RangeError(`Unknown argument: ${arg}`);
+        }
+    }
+
+    const [command, ...inputs] = positional;
+    if (command !== 'analyze') {
+        throw new RangeError(command ? `Unknown command: ${command}` : 'Missing command');
+    }
+    if (inputs.length === 0) throw new RangeError('Name at least one image file or directory');
+
+    const format = values['--format'] ?? 'json';
+    if (!FORMATS.includes(format)) throw new RangeError(`--format must be one of ${FORMATS.join(', ')}`);
+
+    const concurrency = Number(values['--concurrency'] ?? DEFAULT_CONCURRENCY);
+    if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_CONCURRENT_REQUESTS) {
+        throw new RangeError(`--concurrency must be a whole number from 1 to ${MAX_CONCURRENT_REQUESTS}`);
+    }
+
+    const backend = values['--backend'] ?? null;
+    if (backend && !BACKENDS.includes(backend)) throw new RangeError(`--backend must be one of ${BACKENDS.join(', ')}`);
+
+    if (values['--out-dir'] && values['--combined']) {
+        throw new RangeError('--out-dir and --combined cannot be used together');
+    }
+
+    return {
+        command,
+        inputs,
+        features: parseFeatureList(values['--features']),
+        format,
+        outDir: values['--combined'] ? null : (values['--out-dir'] ?? DEFAULT_OUT_DIR),
+        combined: values['--combined'] ?? null,
+        concurrency,
+        resume,
+        backend
+    };
+}
+
+function parseFeatureList(value) {
+    if (!value || value === 'all') return ANALYSIS_FEATURES;
+
+    const features = [...new Set(value.split(',').map(feature => feature.trim()).filter(Boolean))];
+    const unknown = features.filter(feature => !ANALYSIS_FEATURES.includes(feature));
+    if (unknown.length > 0 || features.length === 0) {
+        throw new RangeError(`Unknown features: ${unknown.join(', ') || value}. Use all, or any of ${ANALYSIS_FEATURES.join(', ')}`);
+    }
+    return features;
+}
+
+// --- Inputs ---
+
+/**
+ * Expand files and directories (their images, not recursive) into a list of
+ * files in a stable order, without duplicates.
+ */
+async function expandInputs(inputs) {
+    const files = [];
+    for (const input of inputs) {
+        const stats = await fsp.stat(input).catch(() => null);
+        if (!stats) throw new RangeError(`No such file or directory: ${input}`);
+
+        if (stats.isDirectory()) {
+            const entries = (await fsp.readdir(input, { withFileTypes: true }))
+                .filter(entry => entry.isFile() && ALLOWED_IMAGE_EXTENSIONS.has(path.extname(entry.name).toLowerCase()))
+                .map(entry => path.join(input, entry.name))
+                .sort();
+            files.push(...entries);
+        } else {
+            files.push(input);
+        }
+    }
+
+    const seen = new Set();
+    return files.filter(file => {
+        const absolute = path.resolve(file);
+        if (seen.has(absolute)) return false;
+        seen.add(absolute);
+        return true;
+    });
+}
+
+// Report file name per image: its base name, numbered when names repeat
+function reportNames(files, format) {
+    const used = new Map();
+    return files.map(file => {
+        const base = path.basename(file);
+        const count = (used.get(base) ?? 0) + 1;
+        used.set(base, count);
+        return `${count > 1 ? `${base}-${count}` : base}.${format}`;
+    });
+}
+
+// --- Analysis ---
+
+// Same checks as a Discord upload, then the same feature runners and report
+async function analyzeFile(file, features, config = DEFAULT_GUILD_CONFIG) {
+    const stats = await fsp.stat(file);
+    if (stats.size > MAX_DOWNLOAD_BYTES) {
+        throw UserFacingError.fromCatalog('errors.downloadTooLarge');
+    }
+
+    const image = await processImageBuffer(await fsp.readFile(file), file);
+    const { results } = await runAnalyses(image.buffer, features, config);
+    return buildAnalysisReport(results, file);
+}
+
+function describeFailure(error) {
+    return error instanceof UserFacingError ? error.message : `${error.name}: ${error.message}`;
+}
+
+// --- CSV ---
+
+const CSV_HEADER = ['source', 'feature', 'name', 'confidence', 'details'];
+
+function csvField(value) {
+    const text = String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvConfidence(value) {
+    return typeof value === 'number' ? value.toFixed(1) : '';
+}
+
+function topEmotion(face) {
+    const [emotion] = [...(face.Emotions ?? [])].sort((a, b) => b.Confidence - a.Confidence);
+    return emotion?.Type?.toLowerCase() ?? '';
+}
+
+// One row per detected item: label, text line, face, moderation label or celebrity
+const CSV_ROWS = {
+    labels: result => (result.Labels ?? []).map(label => [
+        label.Name, csvConfidence(label.Confidence), (label.Parents ?? []).map(parent => parent.Name).join('; ')
+    ]),
+    text: result => (result.TextDetections ?? []).filter(text => text.Type === 'LINE').map(text => [
+        text.DetectedText, csvConfidence(text.Confidence), ''
+    ]),
+    faces: result => (result.FaceDetails ?? []).map((face, i) => [
+        `face ${i + 1}`,
+        csvConfidence(face.Confidence),
+        [face.AgeRange && `age ${face.AgeRange.Low}-${face.AgeRange.High}`, topEmotion(face)].filter(Boolean).join('; ')
+    ]),
+    moderation: result => (result.ModerationLabels ?? []).map(label => [
+        label.Name, csvConfidence(label.Confidence), label.ParentName ?? ''
+    ]),
+    celebrities: result => (result.CelebrityFaces ?? []).map(celebrity => [
+        celebrity.Name, csvConfidence(celebrity.MatchConfidence), (celebrity.Urls ?? []).join('; ')
+    ])
+};
+
+function reportRows(report) {
+    const rows = [];
+    for (const [feature, result] of Object.entries(report.results)) {
+        if (result?.error) {
+            rows.push([report.meta.source, feature, '', '', `error: ${result.error}`]);
+            continue;
+        }
+        for (const row of CSV_ROWS[feature]?.(result) ?? []) rows.push([report.meta.source, feature, ...row]);
+    }
+    return rows;
+}
+
+function toCsv(rows) {
+    return [CSV_HEADER, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+// --- Reports ---
+
+function combinedReport(entries, failures, features, format) {
+    if (format === 'csv') {
+        return toCsv([
+            ...entries.flatMap(reportRows),
+            ...failures.map(failure => [failure.source, '', '', '', `error: ${failure.error}`])
+        ]);
+    }
+    const report = {
+        meta: {
+            timestamp: new Date().toISOString(),
+            analysisType: 'batch_image_analysis',
+            features,
+            images: entries.length + failures.length,
+            failed: failures.length
+        },
+        reports: entries,
+        failures
+    };
+    return JSON.stringify(report, null, 2);
+}
+
+function formatReport(report, format) {
+    return format === 'csv' ? toCsv(reportRows(report)) : JSON.stringify(report, null, 2);
+}
+
+// Written under a temporary name first: a report that exists is complete
+async function writeFileAtomic(filePath, content) {
+    const partial = `${filePath}.partial`;
+    await fsp.writeFile(partial, content);
+    await fsp.rename(partial, filePath);
+}
+
+async function isComplete(filePath, format) {
+    try {
+        const content = await fsp.readFile(filePath, 'utf8');
+        if (format === 'json') JSON.parse(content);
+        return content.length > 0;
+    } catch {
+        return false;
+    }
+}
+
+// Finished images of an interrupted combined run, by absolute path
+async function readJournal(journalPath) {
+    const done = new Map();
+    const content = await fsp.readFile(journalPath, 'utf8').catch(() => '');
+    for (const line of content.split('\n')) {
+        try {
+            const { file, report } = JSON.parse(line);
+            if (file && report) done.set(file, report);
+        } catch {
+            // Blank or half-written last line
+        }
+    }
+    return done;
+}
+
+// --- Batch ---
+
+/**
+ * Analyze `files` as described in the file header. `print` receives one
+ * progress line per image. Resolves to the process exit code.
+ */
+async function runBatch({ files, options, print = console.log }) {
+    const { features, format, outDir, combined, concurrency, resume } = options;
+    const queue = new JobQueue({ concurrency, maxQueueLength: files.length });
+    const names = reportNames(files, format);
+    const journalPath = combined ? `${combined}.partial.jsonl` : null;
+
+    if (outDir) await fsp.mkdir(outDir, { recursive: true });
+    if (combined) await fsp.mkdir(path.dirname(path.resolve(combined)), { recursive: true });
+    if (journalPath && !resume) await fsp.rm(journalPath, { force: true });
+    const journal = journalPath ? await readJournal(journalPath) : new Map();
+
+    const reports = new Array(files.length).fill(null);
+    const failures = [];
+    let finished = 0;
+    let skipped = 0;
+    const progress = line => print(`[${++finished}/${files.length}] ${line}`);
+
+    await Promise.all(files.map(async (file, i) => {
+        const absolute = path.resolve(file);
+        const reportPath = outDir ? path.join(outDir, names[i]) : null;
+
+        if (resume && (journal.has(absolute) || (reportPath && await isComplete(reportPath, format)))) {
+            reports[i] = journal.get(absolute) ?? null;
+            skipped++;
+            progress(`⏭️  ${file} (already done)`);
+            return;
+        }
+
+        try {
+            const report = await queue.run('cli', () => analyzeFile(file, features));
+            if (reportPath) {
+                await writeFileAtomic(reportPath, formatReport(report, format));
+            } else {
+                await fsp.appendFile(journalPath, `${JSON.stringify({ file: absolute, report })}\n`);
+            }
+            reports[i] = report;
+            progress(`✅ ${file}`);
+        } catch (error) {
+            failures.push({ source: file, error: describeFailure(error) });
+            progress(`❌ ${file}: ${describeFailure(error)}`);
+        }
+    }));
+
+    if (combined) {
+        await writeFileAtomic(combined, combinedReport(reports.filter(Boolean), failures, features, format));
+        if (failures.length === 0) await fsp.rm(journalPath, { force: true });
+    }
+
+    const analyzed = files.length - failures.length - skipped;
+    print(`${analyzed} analyzed, ${skipped} already done, ${failures.length} failed`);
+    print(`📄 Reports: ${combined ?? outDir}`);
+    return failures.length > 0 ? EXIT_IMAGES_FAILED : EXIT_OK;
+}
+
+module.exports = {
+    EXIT_OK,
+    EXIT_ERROR,
+    EXIT_IMAGES_FAILED,
+    parseCliOptions,
+    expandInputs,
+    analyzeFile,
+    runBatch,
+    _test: { reportNames, reportRows, toCsv, readJournal }
+};
@@ -0,0 +1,191 @@
+/**
+ * File: celebrities.js
+ * Description: Detailed celebrity recognition for /rekognition celebrity
+ *
+ * RecognizeCelebrities returns, per recognized face, the celebrity's ID,
+ * name, match confidence, known gender, reference URLs and the face's
+ * bounding box, plus the faces it did not recognize. Each recognized
+ * celebrity is then looked up with GetCelebrityInfo. That lookup is
+ * best-effort: a celebrity whose lookup fails is still listed.
+ *
+ * The IDs end up in the JSON report, so a celebrity can be looked up again
+ * later without re-running recognition.
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const { getVisionBackend } = require('./visionBackends');
+const { getResultCache, hashImage } = require('./resultCache');
+const { escapeMarkdown } = require('./analysis');
+const { logger, footerWithRequestId } = require('./logger');
+const { getTranslator } = require('./i18n');
+
+const MAX_EMBED_CELEBRITIES = 20; // Embeds hold at most 25 fields
+
+// --- Recognition ---
+
+// Shares its cache entries with the `celebrities` feature of /rekognition analyze
+async function recognizeWithCache(backend, imageBuffer) {
+    const run = () => backend.recognizeCelebrities(imageBuffer);
+
+    const cache = getResultCache();
+    if (!cache) return { response: await run(), cached: false };
+
+    const { value, cached } = await cache.getOrCompute(
+        hashImage(imageBuffer), 'celebrities', { backend: backend.name }, run
+    );
+    return { response: value, cached };
+}
+
+async function lookupCelebrityInfo(backend, celebrityId) {
+    try {
+        return await backend.getCelebrityInfo(celebrityId);
+    } catch (error) {
+        logger.warn('Celebrity info lookup failed', { celebrityId, error });
+        return null;
+    }
+}
+
+/**
+ * Recognize celebrities and look each one up. Resolves to { response, cached,
+ * celebrities, unrecognizedCount }, where every celebrity is
+ * { id, name, matchConfidence, boundingBox, knownGender, urls, info }.
+ */
+async function recognizeCelebrityDetails(imageBuffer) {
+    const backend = getVisionBackend();
+    const { response, cached } = await recognizeWithCache(backend, imageBuffer);
+    const faces = response.CelebrityFaces || [];
+
+    const ids = [...new Set(faces.map(celeb => celeb.Id).filter(Boolean))];
+    const infos = new Map(await Promise.all(ids.map(async id => [id, await lookupCelebrityInfo(backend, id)])));
+
+    const celebrities = faces.map(celeb => {
+        const info = infos.get(celeb.Id) ?? null;
+        return {
+            id: celeb.Id ?? null,
+            name: celeb.Name,
+            matchConfidence: celeb.MatchConfidence,
+            boundingBox: celeb.Face?.BoundingBox ?? null,
+            knownGender: celeb.KnownGender?.Type ?? info?.KnownGender?.Type ?? null,
+            urls: [...new Set([...(celeb.Urls || []), ...(info?.Urls || [])])],
+            info
+        };
+    });
+
+    return { response, cached, celebrities, unrecognizedCount: (response.UnrecognizedFaces || []).length };
+}
+
+// --- Formatting ---
+
+// "top left (x 5%, y 10%, 20% × 30%)", from where the center of the box falls in a 3×3 grid
+function describePosition(box, t = getTranslator()) {
+    if (!box) return t('celebrities.unknownPosition');
+    const centerX = box.Left + box.Width / 2;
+    const centerY = box.Top + box.Height / 2;
+    const horizontal = centerX < 1 / 3 ? 'Left' : centerX > 2 / 3 ? 'Right' : 'Center';
+    const vertical = centerY < 1 / 3 ? 'top' : centerY > 2 / 3 ? 'bottom' : 'middle';
+
+    const percent = value => Math.round(value * 100);
+    return t('celebrities.position', {
+        area: t(`celebrities.areas.${vertical}${horizontal}`),
+        left: percent(box.Left),
+        top: percent(box.Top),
+        width: percent(box.Width),
+        height: percent(box.Height)
+    });
+}
+
+// Rekognition URLs have no scheme ("www.imdb.com/name/..."); invalid ones are dropped
+function formatLinks(urls) {
+    const links = [];
+    for (const url of urls) {
+        try {
+            const parsed = new URL(/^https?:\/\//i.test(url) ? url : `https://${url}`);
+            if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') continue;
+            links.push(`[${escapeMarkdown(parsed.hostname.replace(/^www\./, ''))}](${parsed.href})`);
+        } catch {
+            // Not a URL
+        }
+    }
+    return links.join(' • ');
+}
+
+function describeCelebrity(celebrity, t) {
+    const lines = [
+        t('celebrities.match', { confidence: celebrity.matchConfidence.toFixed(1) }),
+        t('celebrities.positionLine', { position: describePosition(celebrity.boundingBox, t) })
+    ];
+    if (celebrity.knownGender) lines.push(t('celebrities.knownGender', { gender: celebrity.knownGender }));
+    const links = formatLinks(celebrity.urls);
+    if (links) lines.push(t('celebrities.links', { links }));
+    if (celebrity.id) lines.push(`ID: \`${celebrity.id}\``);
+    if (!celebrity.info) lines.push(t('celebrities.noDetails'));
+    return lines.join('\n');
+}
+
+// --- Embed ---
+
+// `t` picks the language of the embed; names and links stay as returned by AWS
+function createCelebrityEmbed(details, sourceDescription, imageAttachment, annotatedAttachment = null, t = getTranslator()) {
+    const { celebrities, unrecognizedCount, cached } = details;
+
+    const embed = new EmbedBuilder()
+        .setTitle(t('celebrities.title'))
+        .setDescription(
+            `${t('embeds.image', { image: escapeMarkdown(sourceDescription) })}\n` +
+            t('celebrities.counts', { recognized: celebrities.length, unrecognized: unrecognizedCount })
+        )
+        .setColor(0xFF9900)
+        .setTimestamp()
+        .setFooter({ text: footerWithRequestId(`Powered by AWS Rekognition${cached ? ` • ${t('embeds.cached')}` : ''}`, t) });
+
+    if (annotatedAttachment) {
+        embed.setImage(`attachment://${annotatedAttachment.name}`);
+    } else if (imageAttachment) {
+        embed.setThumbnail(`attachment://${imageAttachment.name}`);
+    }
+
+    celebrities.slice(0, MAX_EMBED_CELEBRITIES).forEach((celebrity, i) => {
+        embed.addFields({
+            name: `${i + 1}. ${escapeMarkdown(celebrity.name)}`.slice(0, 256),
+            value: describeCelebrity(celebrity, t).slice(0, 1024),
+            inline: false
+        });
+    });
+
+    if (celebrities.length > MAX_EMBED_CELEBRITIES) {
+        embed.addFields({
+            name: t('celebrities.more'),
+            value: t('celebrities.moreDetails', { count: celebrities.length - MAX_EMBED_CELEBRITIES }),
+            inline: false
+        });
+    }
+    if (celebrities.length === 0) {
+        embed.addFields({
+            name: t('celebrities.none'),
+            value: unrecognizedCount > 0
+                ? t('celebrities.noneMatched', { count: unrecognizedCount })
+                : t('celebrities.noFaces'),
+            inline: false
+        });
+    }
+
+    return embed;
+}
+
+// JSON report contents; keeps the IDs for follow-up GetCelebrityInfo lookups
+function createCelebrityReport(details) {
+    return {
+        celebrityIds: details.celebrities.map(celebrity => celebrity.id).filter(Boolean),
+        celebrities: details.celebrities,
+        unrecognizedCount: details.unrecognizedCount,
+        recognizeCelebrities: details.response
+    };
+}
+
+module.exports = {
+    recognizeCelebrityDetails,
+    describePosition,
+    formatLinks,
+    createCelebrityEmbed,
+    createCelebrityReport
+};
@@ -0,0 +1,280 @@
+/**
+ * File: commandDeploy.js
+ * Description: Command registration for deploy-commands.js: targets, diff and exit codes
+ *
+ * Before writing anything, the commands registered on each target (a guild,
+ * or global) are fetched and compared with the local definitions. Only the
+ * fields the bot defines are compared, with Discord's defaults filled in on
+ * both sides, so server-side extras (ids, versions) never show up as changes.
+ * A target whose commands already match is left alone.
+ *
+ * Options:
+ *
+ * - --dry-run       print the diff and change nothing
+ * - --guild=<id>    deploy to this guild (repeatable; also GUILD_ID, comma-separated)
+ * - --global        deploy globally even when GUILD_ID is set
+ * - --clear         remove every command from the target guilds, e.g. stale
+ *                   guild commands left over after going global
+ *
+ * Exit codes: 0 deployed or already up to date, 1 error (bad arguments or a
+ * failed Discord request on any target), 2 dry run found changes to deploy.
+ */
+
+const { Routes, ApplicationCommandType } = require('discord.js');
+
+const EXIT_OK = 0;
+const EXIT_ERROR = 1;
+const EXIT_CHANGES_PENDING = 2;
+
+// --- Arguments ---
+
+/**
+ * Parse command-line flags and environment into { dryRun, clear, guildIds }.
+ * An empty guildIds list means global. Throws a RangeError for bad arguments.
+ */
+function parseDeployOptions(argv = [], env = {}) {
+    const options = { dryRun: false, clear: false, global: false, guildIds: [] };
+
+    for (const arg of argv) {
+        const [flag, value] = arg.split(/=(.*)/s);
+        if (flag === '--dry-run') {
+            options.dryRun = true;
+        } else if (flag === '--clear') {
+            options.clear = true;
+        } else if (flag === '--global') {
+            options.global = true;
+        } else if (flag === '--guild' && value) {
+            options.guildIds.push(...value.split(','));
+        } else {
+            throw new RangeError(`Unknown argument: ${arg}`);
+        }
+    }
+
+    if (options.global && options.guildIds.length > 0) {
+        throw new RangeError('--global cannot be combined with --guild');
+    }
+    if (!options.global && options.guildIds.length === 0 && env.GUILD_ID) {
+        options.guildIds = env.GUILD_ID.split(',');
+    }
+
+    const guildIds = [...new Set(options.guildIds.map(id => id.trim()).filter(Boolean))];
+    const invalid = guildIds.find(id => !/^\d{17,20}$/.test(id));
+    if (invalid) throw new RangeError(`Invalid guild ID: ${invalid}`);
+    if (options.clear && guildIds.length === 0) {
+        throw new RangeError('--clear removes guild commands; name the guilds with --guild or GUILD_ID');
+    }
+
+    return { dryRun: options.dryRun, clear: options.clear, guildIds: options.global ? [] : guildIds };
+}
+
+// --- Diff ---
+
+const withoutUndefined = object => Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+
+// One option with Discord's defaults filled in; nested options are compared separately
+function normalizeOption(option) {
+    return withoutUndefined({
+        type: option.type,
+        name: option.name,
+        description: option.description,
+        name_localizations: option.name_localizations ?? {},
+        description_localizations: option.description_localizations ?? {},
+        required: option.required ?? false,
+        autocomplete: option.autocomplete ?? false,
+        choices: (option.choices ?? []).map(choice => ({
+            name: choice.name,
+            value: choice.value,
+            name_localizations: choice.name_localizations ?? {}
+        })),
+        channel_types: option.channel_types ?? [],
+        min_value: option.min_value,
+        max_value: option.max_value,
+        min_length: option.min_length,
+        max_length: option.max_length
+    });
+}
+
+// `dm_permission` only means something for global commands
+function normalizeCommand(command, { guild = false } = {}) {
+    return withoutUndefined({
+        type: command.type ?? ApplicationCommandType.ChatInput,
+        name: command.name,
+        description: command.description ?? '',
+        name_localizations: command.name_localizations ?? {},
+        description_localizations: command.description_localizations ?? {},
+        default_member_permissions: command.default_member_permissions ?? null,
+        dm_permission: guild ? undefined : (command.dm_permission ?? true),
+        nsfw: command.nsfw ?? false
+    });
+}
+
+// Map of "subcommand option" paths to normalized options, e.g. "collection index label"
+function flattenOptions(options = [], prefix = '') {
+    const flat = new Map();
+    for (const option of options) {
+        const optionPath = `${prefix}${option.name}`;
+        flat.set(optionPath, normalizeOption(option));
+        for (const [nestedPath, nested] of flattenOptions(option.options, `${optionPath} `)) {
+            flat.set(nestedPath, nested);
+        }
+    }
+    return flat;
+}
+
+function changedKeys(a, b) {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return [...keys].filter(key => JSON.stringify(a[key]) !== JSON.stringify(b[key]));
+}
+
+function diffOptions(localOptions, remoteOptions) {
+    const local = flattenOptions(localOptions);
+    const remote = flattenOptions(remoteOptions);
+    const diff = { added: [], removed: [], changed: [] };
+
+    for (const [optionPath, option] of local) {
+        if (!remote.has(optionPath)) {
+            diff.added.push(optionPath);
+            continue;
+        }
+        const fields = changedKeys(option, remote.get(optionPath));
+        if (fields.length > 0) diff.changed.push({ path: optionPath, fields });
+    }
+    diff.removed = [...remote.keys()].filter(optionPath => !local.has(optionPath));
+
+    // Options are ordered: moving one changes what users see, so it counts too
+    if (diff.added.length === 0 && diff.removed.length === 0 &&
+        JSON.stringify([...local.keys()]) !== JSON.stringify([...remote.keys()])) {
+        diff.changed.push({ path: '(order)', fields: ['order'] });
+    }
+    return diff;
+}
+
+const commandKey = command => `${command.type ?? ApplicationCommandType.ChatInput}:${command.name}`;
+
+function displayName(command) {
+    if (command.type === ApplicationCommandType.Message) return `[Message] ${command.name}`;
+    if (command.type === ApplicationCommandType.User) return `[User] ${command.name}`;
+    return `/${command.name}`;
+}
+
+/**
+ * Compare local command definitions with the registered ones. Returns
+ * { added: [name], removed: [name], changed: [{ name, fields, options }], unchanged: [name] }
+ * with display names ("/rekognition", "[Message] Analyze..."), where `fields`
+ * are the changed top-level fields and `options` the added, removed and
+ * changed option paths.
+ */
+function diffCommands(localCommands, remoteCommands, { guild = false } = {}) {
+    const remoteByKey = new Map(remoteCommands.map(command => [commandKey(command), command]));
+    const localKeys = new Set(localCommands.map(commandKey));
+    const diff = { added: [], removed: [], changed: [], unchanged: [] };
+
+    for (const command of localCommands) {
+        const remote = remoteByKey.get(commandKey(command));
+        if (!remote) {
+            diff.added.push(displayName(command));
+            continue;
+        }
+
+        const fields = changedKeys(normalizeCommand(command, { guild }), normalizeCommand(remote, { guild }));
+        const options = diffOptions(command.options, remote.options);
+        if (fields.length > 0 || options.added.length + options.removed.length + options.changed.length > 0) {
+            diff.changed.push({ name: displayName(command), fields, options });
+        } else {
+            diff.unchanged.push(displayName(command));
+        }
+    }
+
+    diff.removed = remoteCommands.filter(command => !localKeys.has(commandKey(command))).map(displayName);
+    return diff;
+}
+
+function hasChanges(diff) {
+    return diff.added.length + diff.removed.length + diff.changed.length > 0;
+}
+
+// Human-readable diff, one line per change
+function formatDiff(diff) {
+    const lines = [];
+    for (const name of diff.added) lines.push(`   + ${name}`);
+    for (const { name, fields, options } of diff.changed) {
+        lines.push(`   ~ ${name}`);
+        if (fields.length > 0) lines.push(`       ~ ${fields.join(', ')}`);
+        for (const optionPath of options.added) lines.push(`       + option ${optionPath}`);
+        for (const { path: optionPath, fields: optionFields } of options.changed) {
+            lines.push(`       ~ option ${optionPath} (${optionFields.join(', ')})`);
+        }
+        for (const optionPath of options.removed) lines.push(`       - option ${optionPath}`);
+    }
+    for (const name of diff.removed) lines.push(`   - ${name}`);
+    if (diff.unchanged.length > 0) lines.push(`   = ${diff.unchanged.length} unchanged`);
+    return lines;
+}
+
+// --- Deployment ---
+
+function commandsRoute(clientId, guildId) {
+    return guildId ? Routes.applicationGuildCommands(clientId, guildId) : Routes.applicationCommands(clientId);
+}
+
+/**
+ * Bring every target in line with `commands` (or with no commands for
+ * --clear). `rest` is a discord.js REST client; `print` receives each output
+ * line. Resolves to the process exit code.
+ */
+async function deployCommands({ rest, clientId, commands, options, print = console.log }) {
+    const targets = options.guildIds.length > 0 ? options.guildIds : [null];
+    const desired = options.clear ? [] : commands;
+    let exitCode = EXIT_OK;
+
+    for (const guildId of targets) {
+        const label = guildId ? `📍 Guild ${guildId}` : '🌍 Global';
+        const route = commandsRoute(clientId, guildId);
+
+        try {
+            const registered = await rest.get(route, { query: new URLSearchParams({ with_localizations: 'true' }) });
+            const diff = diffCommands(desired, registered, { guild: Boolean(guildId) });
+
+            if (!hasChanges(diff)) {
+                print(`${label}: up to date (${diff.unchanged.length} commands)`);
+                continue;
+            }
+
+            print(`${label}:`);
+            for (const line of formatDiff(diff)) print(line);
+
+            if (options.dryRun) {
+                exitCode = Math.max(exitCode, EXIT_CHANGES_PENDING);
+                continue;
+            }
+
+            const deployed = await rest.put(route, { body: desired });
+            print(`   ✅ ${options.clear ? 'Removed all commands' : `Deployed ${deployed.length} commands`}`);
+        } catch (error) {
+            print(`${label}: ❌ ${error.message}`);
+            for (const hint of errorHints(error)) print(`   💡 ${hint}`);
+            exitCode = EXIT_ERROR;
+        }
+    }
+
+    return exitCode;
+}
+
+function errorHints(error) {
+    if (error.code === 50001) return ['Make sure your bot has the "applications.commands" scope!'];
+    if (error.code === 50013) return ['The bot lacks permission to create commands in this guild.'];
+    if (error.status === 401) return ['Invalid bot token. Check your DISCORD_TOKEN environment variable.'];
+    return [];
+}
+
+module.exports = {
+    EXIT_OK,
+    EXIT_ERROR,
+    EXIT_CHANGES_PENDING,
+    parseDeployOptions,
+    diffCommands,
+    hasChanges,
+    formatDiff,
+    deployCommands,
+    _test: { normalizeCommand, normalizeOption, flattenOptions }
+};
@@ -0,0 +1,69 @@
+/**
+ * File: errors.js
+ * Description: Error types and user-facing error messages shared across commands
+ */
+
+const { DEFAULT_LOCALE, getTranslator, translate } = require('./i18n');
+
+// Messages of this error type are safe to show to Discord users verbatim.
+// Anything else is logged and replaced with a generic message. An error with
+// a catalog `key` is shown in the user's language; its message stays English.
+class UserFacingError extends Error {
+    constructor(message, { key = null, params = {} } = {}) {
+        super(message);
+        this.name = 'UserFacingError';
+        this.key = key;
+        this.params = params;
+    }
+
+    // Error whose text is the catalog entry `key`
+    static fromCatalog(key, params = {}) {
+        return new UserFacingError(translate(DEFAULT_LOCALE, key, params), { key, params });
+    }
+}
+
+// Thrown by the circuit breaker (lib/resilience.js) while the vision backend is failing
+class CircuitOpenError extends UserFacingError {
+    constructor(retryAfterSeconds) {
+        const params = { seconds: retryAfterSeconds };
+        super(translate(DEFAULT_LOCALE, 'errors.circuitOpen', params), { key: 'errors.circuitOpen', params });
+        this.name = 'CircuitOpenError';
+        this.retryAfterSeconds = retryAfterSeconds;
+    }
+}
+
+// Map an error to a message that is safe to show in Discord, in the language of `t`
+function getUserMessage(error, t = getTranslator()) {
+    if (error instanceof UserFacingError) {
+        return t('errors.message', { message: error.key ? t(error.key, error.params) : error.message });
+    } else if (error.name === 'ThrottlingException' || error.name === 'ProvisionedThroughputExceededException') {
+        return t('errors.throttled');
+    } else if (error.name === 'InvalidImageFormatException') {
+        return t('errors.invalidImageFormat');
+    } else if (error.name === 'ImageTooLargeException') {
+        return t('errors.imageTooLarge');
+    } else if (error.name === 'AccessDeniedException') {
+        return t('errors.accessDenied');
+    }
+    return t('errors.generic');
+}
+
+// Catalog key (under "failures.") of the reason one analysis feature failed
+function getFailureCode(error) {
+    if (error instanceof CircuitOpenError) return 'unavailable';
+    if (error.name === 'ThrottlingException' || error.name === 'ProvisionedThroughputExceededException') {
+        return 'throttled';
+    }
+    if (error.name === 'InvalidImageFormatException') return 'invalidImageFormat';
+    if (error.name === 'ImageTooLargeException') return 'imageTooLarge';
+    if (error.name === 'AccessDeniedException') return 'accessDenied';
+    if (error.$metadata?.httpStatusCode >= 500) return 'serviceError';
+    return 'failed';
+}
+
+// Short reason for one failed analysis feature, safe to show in an embed
+function getFailureReason(error, t = getTranslator()) {
+    return t(`failures.${getFailureCode(error)}`);
+}
+
+module.exports = { UserFacingError, CircuitOpenError, getUserMessage, getFailureCode, getFailureReason };
@@ -0,0 +1,302 @@
+/**
+ * File: faceClustering.js
+ * Description: Find the same people across several photos
+ *
+ * /rekognition cluster answers "who appears in which of these photos":
+ *
+ * 1. DetectFaces runs once per image.
+ * 2. Each face is cropped out and compared (CompareFaces) against every later
+ *    image. CompareFaces matches the cropped face against all faces of the
+ *    target in one call, and matches are symmetric, so earlier images never
+ *    need to be compared again.
+ * 3. Matched faces are merged into clusters (union-find). Each cluster is one
+ *    person, listed with the images they appear in.
+ *
+ * CompareFaces calls are bounded: when the images hold too many faces, only
+ * the largest faces of each image are compared. The plan (how many calls, how
+ * many faces skipped) is worked out from the detected faces and shown before
+ * any comparison runs.
+ */
+
+const { Jimp } = require('jimp');
+const { EmbedBuilder } = require('discord.js');
+const { getVisionBackend } = require('./visionBackends');
+const { boxOverlap, toPixelRect } = require('./annotate');
+const { padBox } = require('./anonymize');
+const { assertDecodableSize } = require('./imageNormalize');
+const { escapeMarkdown } = require('./analysis');
+const { logger, footerWithRequestId } = require('./logger');
+const { getTranslator } = require('./i18n');
+
+const MIN_CLUSTER_IMAGES = 2;
+const MAX_CLUSTER_IMAGES = 10;
+// One face from each of 10 images needs 45 calls, so every plan fits
+const MAX_COMPARISONS = 60; // CompareFaces calls per request
+const MAX_FACES_PER_IMAGE = 10;
+const COMPARE_BATCH_SIZE = 4; // Concurrent CompareFaces calls
+const MIN_CROP_DIMENSION = 80; // Rekognition rejects images smaller than this
+const MATCH_OVERLAP = 0.5;
+const MAX_TABLE_ROWS = 40;
+
+// --- Plan ---
+
+// Calls needed when image i compares `counts[i]` faces against every later image with faces
+function countComparisons(counts) {
+    return counts.reduce((total, count, i) => {
+        const laterImages = counts.slice(i + 1).filter(later => later > 0).length;
+        return total + count * laterImages;
+    }, 0);
+}
+
+/**
+ * Decide how many faces of each image to compare. `faceCounts` is the number
+ * of faces detected per image. Lowers the per-image cap until the plan fits
+ * `maxComparisons`. Returns { facesPerImage, comparisons, skippedFaces,
+ * faceLimit } where faceLimit is null when nothing had to be skipped.
+ */
+function planComparisons(faceCounts, { maxComparisons = MAX_COMPARISONS, maxFacesPerImage = MAX_FACES_PER_IMAGE } = {}) {
+    let limit = maxFacesPerImage;
+    let counts = faceCounts.map(count => Math.min(count, limit));
+
+    while (limit > 1 && countComparisons(counts) > maxComparisons) {
+        limit--;
+        counts = faceCounts.map(count => Math.min(count, limit));
+    }
+
+    const skippedFaces = faceCounts.reduce((total, count, i) => total + count - counts[i], 0);
+    return {
+        facesPerImage: counts,
+        comparisons: countComparisons(counts),
+        skippedFaces,
+        faceLimit: skippedFaces > 0 ? limit : null
+    };
+}
+
+// --- Clustering ---
+
+/**
+ * Group faces into people. `faces` lists { image, face } keys and `matches`
+ * pairs of them ({ a, b }). Returns clusters sorted by how many images the
+ * person appears in, each { faces, images } with image indexes ascending.
+ */
+function clusterFaces(faces, matches) {
+    const key = ({ image, face }) => `${image}:${face}`;
+    const parent = new Map(faces.map(face => [key(face), key(face)]));
+
+    const find = id => {
+        while (parent.get(id) !== id) {
+            parent.set(id, parent.get(parent.get(id)));
+            id = parent.get(id);
+        }
+        return id;
+    };
+
+    for (const { a, b } of matches) {
+        const rootA = find(key(a));
+        const rootB = find(key(b));
+        if (rootA !== rootB) parent.set(rootB, rootA);
+    }
+
+    const groups = new Map();
+    for (const face of faces) {
+        const root = find(key(face));
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(face);
+    }
+
+    return [...groups.values()]
+        .map(members => ({
+            faces: members,
+            images: [...new Set(members.map(member => member.image))].sort((a, b) => a - b)
+        }))
+        .sort((a, b) => b.images.length - a.images.length || a.images[0] - b.images[0]);
+}
+
+// --- Detection and comparison ---
+
+// Crop a face (with some margin) into its own JPEG, scaled up if Rekognition would find it too small
+async function cropFace(image, box) {
+    const rect = toPixelRect(padBox(box), image.bitmap.width, image.bitmap.height);
+    const crop = image.clone().crop({ x: rect.left, y: rect.top, w: rect.width, h: rect.height });
+    if (Math.min(rect.width, rect.height) < MIN_CROP_DIMENSION) {
+        crop.scale(MIN_CROP_DIMENSION / Math.min(rect.width, rect.height));
+    }
+    return await crop.getBuffer('image/jpeg', { quality: 90 });
+}
+
+// Largest faces first, so a per-image cap keeps the most recognizable ones
+function largestFaces(response) {
+    return (response.FaceDetails || [])
+        .map(face => face.BoundingBox)
+        .filter(Boolean)
+        .sort((a, b) => b.Width * b.Height - a.Width * a.Height);
+}
+
+async function compareCroppedFace(backend, crop, targetBuffer, similarity) {
+    try {
+        return await backend.compareFaces(crop, targetBuffer, similarity);
+    } catch (error) {
+        // The crop lost the face (too blurry or cut off): it simply matches nothing
+        if (error.name === 'InvalidParameterException') {
+            logger.debug('Cropped face was not detected', { error });
+            return { FaceMatches: [] };
+        }
+        throw error;
+    }
+}
+
+/**
+ * Cluster the faces in `buffers`. `onPlan(plan)` is awaited after detection,
+ * before any comparison, and `onProgress(done, total)` after each batch.
+ * Resolves to { plan, faces, matches, clusters, similarity } where `faces[i]`
+ * lists the compared bounding boxes of image i.
+ */
+async function clusterImages(buffers, { similarity = 80, onPlan = async () => {}, onProgress = async () => {} } = {}) {
+    const backend = getVisionBackend();
+
+    const detected = await Promise.all(buffers.map(async buffer => largestFaces(await backend.detectFaces(buffer))));
+    const plan = planComparisons(detected.map(boxes => boxes.length));
+    const faces = detected.map((boxes, i) => boxes.slice(0, plan.facesPerImage[i]));
+
+    await onPlan(plan);
+
+    const tasks = [];
+    for (let source = 0; source < buffers.length; source++) {
+        if (faces[source].length === 0) continue;
+        assertDecodableSize(buffers[source]);
+        const image = await Jimp.fromBuffer(buffers[source]);
+        for (let face = 0; face < faces[source].length; face++) {
+            const crop = await cropFace(image, faces[source][face]);
+            for (let target = source + 1; target < buffers.length; target++) {
+                if (faces[target].length > 0) tasks.push({ source, face, target, crop });
+            }
+        }
+    }
+
+    const matches = [];
+    for (let i = 0; i < tasks.length; i += COMPARE_BATCH_SIZE) {
+        await Promise.all(tasks.slice(i, i + COMPARE_BATCH_SIZE).map(async ({ source, face, target, crop }) => {
+            const result = await compareCroppedFace(backend, crop, buffers[target], similarity);
+            for (const match of result.FaceMatches || []) {
+                const box = match.Face?.BoundingBox;
+                const targetFace = box ? faces[target].findIndex(candidate => boxOverlap(candidate, box) > MATCH_OVERLAP) : -1;
+                if (targetFace === -1) continue; // A face beyond the per-image cap
+                matches.push({
+                    a: { image: source, face },
+                    b: { image: target, face: targetFace },
+                    similarity: match.Similarity
+                });
+            }
+        }));
+        await onProgress(Math.min(i + COMPARE_BATCH_SIZE, tasks.length), tasks.length);
+    }
+
+    const allFaces = faces.flatMap((boxes, image) => boxes.map((_box, face) => ({ image, face })));
+    return { plan, faces, matches, clusters: clusterFaces(allFaces, matches), similarity };
+}
+
+// --- Output ---
+
+function formatPlan(plan, imageCount, t = getTranslator()) {
+    const faceCount = plan.facesPerImage.reduce((total, count) => total + count, 0);
+    let text = t('clustering.plan', { images: imageCount, faces: faceCount, comparisons: plan.comparisons });
+    if (plan.faceLimit !== null) {
+        text += `\n${t('clustering.planLimit', { limit: plan.faceLimit, skipped: plan.skippedFaces, max: MAX_COMPARISONS })}`;
+    }
+    return text;
+}
+
+// One row per person, one column per image
+function formatClusterTable(clusters, imageCount) {
+    const rows = clusters.slice(0, MAX_TABLE_ROWS);
+    const labelWidth = `P${rows.length}`.length;
+    const header = `${' '.repeat(labelWidth)} ${Array.from({ length: imageCount }, (_, i) => String(i + 1).padStart(2)).join(' ')}`;
+    const lines = rows.map((cluster, i) => {
+        const cells = Array.from({ length: imageCount }, (_, image) => (cluster.images.includes(image) ? ' X' : ' .'));
+        return `${`P${i + 1}`.padEnd(labelWidth)} ${cells.join(' ')}`;
+    });
+    return [header, ...lines].join('\n');
+}
+
+function createClusterEmbed(result, imageNames, t = getTranslator()) {
+    const { clusters, plan, similarity } = result;
+    const recurring = clusters.filter(cluster => cluster.images.length > 1);
+
+    const legend = imageNames.map((name, i) => `**${i + 1}.** ${escapeMarkdown(name)}`).join('\n');
+    let description = `${t('embeds.similarityThreshold', { threshold: similarity })}\n${legend}`;
+    if (clusters.length > 0) {
+        description += `\n\n\`\`\`\n${formatClusterTable(clusters, imageNames.length)}\n\`\`\``;
+    }
+    if (clusters.length > MAX_TABLE_ROWS) {
+        description += `\n${t('clustering.morePeople', { count: clusters.length - MAX_TABLE_ROWS })}`;
+    }
+
+    return new EmbedBuilder()
+        .setTitle(t('clustering.title'))
+        .setDescription(description)
+        .setColor(0xFF9900)
+        .setTimestamp()
+        .setFooter({ text: footerWithRequestId('Powered by AWS Rekognition', t) })
+        .addFields(
+            { name: t('clustering.people'), value: `${clusters.length}`, inline: true },
+            { name: t('clustering.recurring'), value: `${recurring.length}`, inline: true },
+            { name: t('clustering.awsCalls'), value: `${imageNames.length + plan.comparisons}`, inline: true },
+            ...(plan.faceLimit !== null ? [{
+                name: t('clustering.skipped'),
+                value: t('clustering.skippedDetails', { count: plan.skippedFaces, limit: plan.faceLimit }),
+                inline: false
+            }] : [])
+        );
+}
+
+function csvField(value) {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per face: person, image and bounding box
+function createClusterCsv(result, imageNames) {
+    const rows = [['person', 'image', 'image_name', 'left', 'top', 'width', 'height']];
+    result.clusters.forEach((cluster, i) => {
+        for (const { image, face } of cluster.faces) {
+            const box = result.faces[image][face];
+            rows.push([
+                `P${i + 1}`, image + 1, imageNames[image],
+                ...[box.Left, box.Top, box.Width, box.Height].map(value => value.toFixed(4))
+            ]);
+        }
+    });
+    return rows.map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+function createClusterReport(result, imageNames) {
+    return {
+        plan: result.plan,
+        similarity: result.similarity,
+        images: imageNames.map((name, i) => ({ image: i + 1, name, faces: result.faces[i] })),
+        people: result.clusters.map((cluster, i) => ({
+            person: `P${i + 1}`,
+            images: cluster.images.map(image => image + 1),
+            faces: cluster.faces.map(({ image, face }) => ({ image: image + 1, boundingBox: result.faces[image][face] }))
+        })),
+        matches: result.matches.map(({ a, b, similarity }) => ({
+            a: { image: a.image + 1, face: a.face },
+            b: { image: b.image + 1, face: b.face },
+            similarity
+        }))
+    };
+}
+
+module.exports = {
+    MIN_CLUSTER_IMAGES,
+    MAX_CLUSTER_IMAGES,
+    MAX_COMPARISONS,
+    planComparisons,
+    clusterFaces,
+    clusterImages,
+    formatPlan,
+    formatClusterTable,
+    createClusterEmbed,
+    createClusterCsv,
+    createClusterReport
+};
@@ -0,0 +1,215 @@
+/**
+ * File: faceCollections.js
+ * Description: Per-guild face collections (index, search, list, delete)
+ *
+ * The command talks to a collection backend rather than to AWS directly.
+ * Every backend implements the same async interface:
+ *
+ * - createCollection(collectionId)                      -> { created }
+ * - indexFace(collectionId, imageBuffer, label)         -> { faceId, label, confidence } | null
+ * - searchFaces(collectionId, imageBuffer, options)     -> [{ faceId, label, similarity }]
+ * - listFaces(collectionId)                             -> [{ faceId, label }]
+ * - deleteFaces(collectionId, faceIds)                  -> [deletedFaceId]
+ *
+ * Backends signal a missing collection with an error named
+ * `ResourceNotFoundException`, matching the AWS SDK, so callers can handle
+ * both implementations the same way.
+ */
+
+const crypto = require('crypto');
+const {
+    CreateCollectionCommand,
+    IndexFacesCommand,
+    SearchFacesByImageCommand,
+    ListFacesCommand,
+    DeleteFacesCommand
+} = require('@aws-sdk/client-rekognition');
+const { getRekognitionClient } = require('./rekognitionApi');
+const { withRetry } = require('./resilience');
+const { getSharedBreaker } = require('./visionBackends');
+const { rekognitionDuration } = require('./metrics');
+
+// Rekognition restricts ExternalImageId to this character set
+const LABEL_PATTERN = /^[a-zA-Z0-9_.\-:]{1,100}$/;
+const COLLECTION_PREFIX = process.env.FACE_COLLECTION_PREFIX || 'discord-guild';
+
+function collectionIdForGuild(guildId) {
+    return `${COLLECTION_PREFIX}-${guildId}`;
+}
+
+function isValidLabel(label) {
+    return typeof label === 'string' && LABEL_PATTERN.test(label);
+}
+
+function notFoundError(collectionId) {
+    const error = new Error(`Collection ${collectionId} does not exist`);
+    error.name = 'ResourceNotFoundException';
+    return error;
+}
+
+// --- AWS Rekognition backend ---
+
+class RekognitionCollectionBackend {
+    constructor(clientProvider = getRekognitionClient, breakerProvider = getSharedBreaker) {
+        this.clientProvider = clientProvider;
+        this.breakerProvider = breakerProvider;
+    }
+
+    // Transient failures are retried, except for IndexFaces: a retry after a
+    // lost response could index the same face twice. Calls go through the
+    // circuit breaker shared with the vision backend
+    send(command, { retry = true } = {}) {
+        const operation = command.constructor.name.replace(/Command$/, '');
+        const send = () => rekognitionDuration.time({ operation }, () => this.clientProvider().send(command));
+        return this.breakerProvider().execute(() => (retry ? withRetry(send) : send()));
+    }
+
+    async createCollection(collectionId) {
+        try {
+            await this.send(new CreateCollectionCommand({ CollectionId: collectionId }));
+            return { created: true };
+        } catch (error) {
+            if (error.name === 'ResourceAlreadyExistsException') return { created: false };
+            throw error;
+        }
+    }
+
+    async indexFace(collectionId, imageBuffer, label) {
+        const response = await this.send(new IndexFacesCommand({
+            CollectionId: collectionId,
+            Image: { Bytes: imageBuffer },
+            ExternalImageId: label,
+            MaxFaces: 1,
+            QualityFilter: 'AUTO',
+            DetectionAttributes: []
+        }), { retry: false });
+
+        const record = response.FaceRecords?.[0];
+        if (!record) return null;
+
+        return {
+            faceId: record.Face.FaceId,
+            label: record.Face.ExternalImageId,
+            confidence: record.Face.Confidence
+        };
+    }
+
+    async searchFaces(collectionId, imageBuffer, { threshold = 80, maxFaces = 5 } = {}) {
+        const response = await this.send(new SearchFacesByImageCommand({
+            CollectionId: collectionId,
+            Image: { Bytes: imageBuffer },
+            FaceMatchThreshold: threshold,
+            MaxFaces: maxFaces
+        }));
+
+        return (response.FaceMatches || []).map(match => ({
+            faceId: match.Face.FaceId,
+            label: match.Face.ExternalImageId,
+            similarity: match.Similarity
+        }));
+    }
+
+    async listFaces(collectionId) {
+        const faces = [];
+        let nextToken;
+
+        do {
+            const response = await this.send(new ListFacesCommand({
+                CollectionId: collectionId,
+                MaxResults: 1000,
+                NextToken: nextToken
+            }));
+            for (const face of response.Faces || []) {
+                faces.push({ faceId: face.FaceId, label: face.ExternalImageId });
+            }
+            nextToken = response.NextToken;
+        } while (nextToken);
+
+        return faces;
+    }
+
+    async deleteFaces(collectionId, faceIds) {
+        if (faceIds.length === 0) return [];
+        const response = await this.send(new DeleteFacesCommand({
+            CollectionId: collectionId,
+            FaceIds: faceIds
+        }));
+        return response.DeletedFaces || [];
+    }
+}
+
+// --- In-memory backend (local development and tests) ---
+
+// Stands in for Rekognition without network access. There is no face model:
+// an image "matches" an indexed face only when its bytes are identical.
+class MemoryCollectionBackend {
+    constructor() {
+        this.collections = new Map();
+    }
+
+    getCollection(collectionId) {
+        const collection = this.collections.get(collectionId);
+        if (!collection) throw notFoundError(collectionId);
+        return collection;
+    }
+
+    async createCollection(collectionId) {
+        if (this.collections.has(collectionId)) return { created: false };
+        this.collections.set(collectionId, new Map());
+        return { created: true };
+    }
+
+    async indexFace(collectionId, imageBuffer, label) {
+        const collection = this.getCollection(collectionId);
+        const faceId = crypto.randomUUID();
+        const hash = crypto.createHash('sha256').update(imageBuffer).digest('hex');
+        collection.set(faceId, { label, hash });
+        return { faceId, label, confidence: 100 };
+    }
+
+    async searchFaces(collectionId, imageBuffer, { maxFaces = 5 } = {}) {
+        const collection = this.getCollection(collectionId);
+        const hash = crypto.createHash('sha256').update(imageBuffer).digest('hex');
+        const matches = [];
+        for (const [faceId, face] of collection) {
+            if (face.hash === hash) matches.push({ faceId, label: face.label, similarity: 100 });
+        }
+        return matches.slice(0, maxFaces);
+    }
+
+    async listFaces(collectionId) {
+        const collection = this.getCollection(collectionId);
+        return [...collection].map(([faceId, face]) => ({ faceId, label: face.label }));
+    }
+
+    async deleteFaces(collectionId, faceIds) {
+        const collection = this.getCollection(collectionId);
+        return faceIds.filter(faceId => collection.delete(faceId));
+    }
+}
+
+// --- Backend selection ---
+
+let collectionBackend = null;
+
+function getCollectionBackend() {
+    if (!collectionBackend) {
+        collectionBackend = process.env.FACE_COLLECTION_BACKEND === 'memory'
+            ? new MemoryCollectionBackend()
+            : new RekognitionCollectionBackend();
+    }
+    return collectionBackend;
+}
+
+function setCollectionBackend(backend) {
+    collectionBackend = backend;
+}
+
+module.exports = {
+    RekognitionCollectionBackend,
+    MemoryCollectionBackend,
+    getCollectionBackend,
+    setCollectionBackend,
+    collectionIdForGuild,
+    isValidLabel
+};
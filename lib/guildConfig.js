@@ -0,0 +1,139 @@
+/**
+ * File: guildConfig.js
+ * Description: Per-guild tunables for the /rekognition command
+ *
+ * Each setting is described by SETTINGS (type and allowed range). Guilds only
+ * store the values they override; everything else falls back to
+ * DEFAULT_GUILD_CONFIG, so new settings never need a migration.
+ */
+
+const { JsonStore } = require('./jsonStore');
+const { SUPPORTED_LOCALES } = require('./i18n');
+const { normalizeLabelFilter } = require('./labels');
+
+const ANALYSIS_FEATURES = ['labels', 'text', 'faces', 'moderation', 'celebrities'];
+
+const FEATURE_NAMES = {
+    labels: 'Labels & Objects',
+    text: 'Text Detection (OCR)',
+    faces: 'Face Analysis',
+    moderation: 'Content Moderation',
+    celebrities: 'Celebrity Recognition'
+};
+
+const SETTINGS = {
+    maxLabels: { type: 'integer', min: 1, max: 1000, default: 50 },
+    labelMinConfidence: { type: 'number', min: 0, max: 100, default: 70 },
+    moderationMinConfidence: { type: 'number', min: 0, max: 100, default: 50 },
+    compareSimilarity: { type: 'number', min: 0, max: 100, default: 80 },
+    cooldownSeconds: { type: 'integer', min: 0, max: 300, default: 5 },
+    defaultFeatures: { type: 'choice', choices: ['all', ...ANALYSIS_FEATURES], default: 'all' },
+    disabledFeatures: { type: 'features', default: [] },
+    // "Name, -Other name" include/exclude lists for DetectLabels (lib/labels.js)
+    labelFilter: { type: 'labelFilter', default: '' },
+    labelCategoryFilter: { type: 'labelFilter', default: '' },
+    // 'auto' follows each user's Discord language
+    locale: { type: 'choice', choices: ['auto', ...SUPPORTED_LOCALES], default: 'auto' }
+};
+
+const DEFAULT_GUILD_CONFIG = Object.freeze(Object.fromEntries(
+    Object.entries(SETTINGS).map(([key, setting]) => [key, setting.default])
+));
+
+// --- Storage ---
+
+let configStore = null;
+
+function getConfigStore() {
+    if (!configStore) configStore = new JsonStore('guild-config.json');
+    return configStore;
+}
+
+function setConfigStore(store) {
+    configStore = store;
+}
+
+function getGuildConfig(guildId) {
+    const overrides = guildId ? getConfigStore().get(guildId) : undefined;
+    return { ...DEFAULT_GUILD_CONFIG, ...overrides };
+}
+
+function normalizeSetting(key, value) {
+    const setting = SETTINGS[key];
+    if (!setting) throw new RangeError(`Unknown setting: ${key}`);
+
+    switch (setting.type) {
+        case 'integer':
+        case 'number': {
+            const number = Number(value);
+            if (!Number.isFinite(number) || (setting.type === 'integer' && !Number.isInteger(number))) {
+                throw new RangeError(`${key} must be ${setting.type === 'integer' ? 'a whole number' : 'a number'}`);
+            }
+            if (number < setting.min || number > setting.max) {
+                throw new RangeError(`${key} must be between ${setting.min} and ${setting.max}`);
+            }
+            return number;
+        }
+        case 'choice':
+            if (!setting.choices.includes(value)) {
+                throw new RangeError(`${key} must be one of: ${setting.choices.join(', ')}`);
+            }
+            return value;
+        case 'features':
+            if (!Array.isArray(value) || value.some(feature => !ANALYSIS_FEATURES.includes(feature))) {
+                throw new RangeError(`${key} must only contain: ${ANALYSIS_FEATURES.join(', ')}`);
+            }
+            return [...new Set(value)];
+        case 'labelFilter':
+            return normalizeLabelFilter(value);
+    }
+}
+
+async function updateGuildConfig(guildId, changes) {
+    const overrides = { ...getConfigStore().get(guildId) };
+    for (const [key, value] of Object.entries(changes)) {
+        overrides[key] = normalizeSetting(key, value);
+    }
+    await getConfigStore().set(guildId, overrides);
+    return getGuildConfig(guildId);
+}
+
+async function setFeatureEnabled(guildId, feature, enabled) {
+    const { disabledFeatures } = getGuildConfig(guildId);
+    const next = enabled
+        ? disabledFeatures.filter(name => name !== feature)
+        : [...disabledFeatures, feature];
+    return await updateGuildConfig(guildId, { disabledFeatures: next });
+}
+
+async function resetGuildConfig(guildId) {
+    await getConfigStore().delete(guildId);
+    return getGuildConfig(guildId);
+}
+
+// --- Feature resolution ---
+
+function isFeatureEnabled(config, feature) {
+    return !config.disabledFeatures.includes(feature);
+}
+
+// Expand a `features` choice (or the guild default) into the enabled feature list
+function resolveFeatures(config, featureOption) {
+    const choice = featureOption || config.defaultFeatures;
+    const features = choice === 'all' ? ANALYSIS_FEATURES : [choice];
+    return features.filter(feature => isFeatureEnabled(config, feature));
+}
+
+module.exports = {
+    ANALYSIS_FEATURES,
+    FEATURE_NAMES,
+    SETTINGS,
+    DEFAULT_GUILD_CONFIG,
+    getGuildConfig,
+    updateGuildConfig,
+    setFeatureEnabled,
+    resetGuildConfig,
+    setConfigStore,
+    isFeatureEnabled,
+    resolveFeatures
+};
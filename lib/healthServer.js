@@ -0,0 +1,78 @@
+/**
+ * File: healthServer.js
+ * Description: Optional HTTP server for health checks and Prometheus metrics
+ *
+ * Started by index.js when HEALTH_PORT is set:
+ *
+ * - GET /healthz  200 when the Discord gateway is connected and the temp
+ *                 directory is writable, 503 otherwise; JSON body lists each check
+ * - GET /metrics  Prometheus text format (lib/metrics.js)
+ */
+
+const http = require('http');
+const fsp = require('fs').promises;
+const fs = require('fs');
+const { renderMetrics } = require('./metrics');
+const { getTempDir } = require('./tempFiles');
+const { logger } = require('./logger');
+
+async function isWritable(dir) {
+    try {
+        await fsp.access(dir, fs.constants.W_OK);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+async function runHealthChecks(client, tempDir = getTempDir()) {
+    const checks = {
+        gateway: client.isReady(),
+        tempDir: await isWritable(tempDir)
+    };
+    return { healthy: Object.values(checks).every(Boolean), checks };
+}
+
+function createHealthServer(client, { tempDir = getTempDir() } = {}) {
+    return http.createServer(async (req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            res.writeHead(405, { Allow: 'GET, HEAD' }).end();
+            return;
+        }
+
+        try {
+            if (pathname === '/healthz') {
+                const { healthy, checks } = await runHealthChecks(client, tempDir);
+                res.writeHead(healthy ? 200 : 503, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ status: healthy ? 'ok' : 'unhealthy', checks }));
+            } else if (pathname === '/metrics') {
+                res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+                res.end(renderMetrics());
+            } else {
+                res.writeHead(404, { 'Content-Type': 'text/plain' }).end('Not found\n');
+            }
+        } catch (error) {
+            logger.error('Health server error', { error });
+            res.writeHead(500).end();
+        }
+    });
+}
+
+// Resolves to the listening server, or null when HEALTH_PORT is not set
+function startHealthServer(client, { port = process.env.HEALTH_PORT, host = process.env.HEALTH_HOST || '0.0.0.0' } = {}) {
+    if (!port) return Promise.resolve(null);
+
+    const server = createHealthServer(client);
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(Number(port), host, () => resolve(server));
+    });
+}
+
+module.exports = {
+    runHealthChecks,
+    createHealthServer,
+    startHealthServer
+};
@@ -0,0 +1,123 @@
+/**
+ * File: i18n.js
+ * Description: Message catalogs and locale selection for user-facing text
+ *
+ * Catalogs live in locales/<locale>.json as flat "key": "text" maps, with
+ * {name} placeholders filled in at lookup time. English is the reference
+ * catalog: a key missing from another catalog falls back to English, and a key
+ * missing everywhere is shown as-is so it is easy to spot.
+ *
+ * The locale comes from the server's `locale` setting when it is not "auto",
+ * otherwise from the Discord client language of the user (interaction.locale).
+ * Discord locales without a catalog of their own fall back to their base
+ * language ("en-GB" -> "en"), then to English.
+ *
+ * Catalog keys under "commands." hold slash-command name and description
+ * localizations; localizeCommand() copies them onto a command builder so
+ * deploy-commands.js publishes them with the command.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LOCALES_DIR = path.join(__dirname, '..', 'locales');
+const DEFAULT_LOCALE = 'en';
+// Catalog names double as Discord locale codes ("fr", "de"); English is Discord's default
+const SUPPORTED_LOCALES = ['en', 'fr', 'de'];
+
+const catalogs = Object.fromEntries(SUPPORTED_LOCALES.map(locale => [
+    locale,
+    JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, `${locale}.json`), 'utf8'))
+]));
+
+// --- Lookup ---
+
+function resolveLocale(discordLocale, override = 'auto') {
+    if (override && override !== 'auto' && SUPPORTED_LOCALES.includes(override)) return override;
+    if (SUPPORTED_LOCALES.includes(discordLocale)) return discordLocale;
+    const language = String(discordLocale || '').split('-')[0].toLowerCase();
+    return SUPPORTED_LOCALES.includes(language) ? language : DEFAULT_LOCALE;
+}
+
+function interpolate(template, params) {
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+}
+
+function translate(locale, key, params = {}) {
+    const template = catalogs[locale]?.[key] ?? catalogs[DEFAULT_LOCALE][key] ?? key;
+    return interpolate(template, params);
+}
+
+/**
+ * Translator function `t(key, params)` for one locale. The locale is also
+ * exposed as `t.locale`. Pass an interaction (and the guild config, for the
+ * server override) or a locale code.
+ */
+function getTranslator(interactionOrLocale = DEFAULT_LOCALE, config = null) {
+    const locale = typeof interactionOrLocale === 'string'
+        ? resolveLocale(interactionOrLocale)
+        : resolveLocale(interactionOrLocale?.locale, config?.locale);
+    const t = (key, params) => translate(locale, key, params);
+    t.locale = locale;
+    return t;
+}
+
+// --- Slash-command localizations ---
+
+// { fr: '...', de: '...' } for every non-English catalog that has `key`
+function localizations(key, params = {}) {
+    const values = {};
+    for (const locale of SUPPORTED_LOCALES) {
+        if (locale === DEFAULT_LOCALE || catalogs[locale][key] === undefined) continue;
+        values[locale] = interpolate(catalogs[locale][key], params);
+    }
+    return values;
+}
+
+// Localizations already set on the builder (e.g. with parameters) are kept
+function setLocalizations(builder, paths) {
+    for (const field of ['name', 'description']) {
+        if (builder[`${field}_localizations`]) continue;
+        const values = Object.assign({}, ...paths.map(keyPath => localizations(`${keyPath}.${field}`)).reverse());
+        if (Object.keys(values).length === 0) continue;
+        if (field === 'name') {
+            builder.setNameLocalizations(values);
+        } else {
+            builder.setDescriptionLocalizations(values);
+        }
+    }
+}
+
+/**
+ * Add localizations to a slash command and everything in it, from the
+ * `commands.<command>.<subcommand>.<option>.name|description` keys. Options
+ * without an entry of their own use `commands.options.<option>`, and choices
+ * use `commands.choices.<option>.<value>`. Returns the builder.
+ */
+function localizeCommand(builder, keyPath = `commands.${builder.name}`) {
+    setLocalizations(builder, [keyPath]);
+
+    for (const option of builder.options ?? []) {
+        const optionPath = `${keyPath}.${option.name}`;
+        if (Array.isArray(option.options)) {
+            localizeCommand(option, optionPath); // Subcommand or group
+            continue;
+        }
+        setLocalizations(option, [optionPath, `commands.options.${option.name}`]);
+        for (const choice of option.choices ?? []) {
+            const names = localizations(`commands.choices.${option.name}.${choice.value}`);
+            if (Object.keys(names).length > 0) choice.name_localizations = names;
+        }
+    }
+    return builder;
+}
+
+module.exports = {
+    DEFAULT_LOCALE,
+    SUPPORTED_LOCALES,
+    resolveLocale,
+    translate,
+    getTranslator,
+    localizations,
+    localizeCommand
+};
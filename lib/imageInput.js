@@ -0,0 +1,408 @@
+/**
+ * File: imageInput.js
+ * Description: Image download, validation and SSRF protection
+ *
+ * Shared by every feature that accepts an image: Discord attachments are
+ * restricted to the Discord CDN, URLs are resolved and pinned to a public
+ * address, and all downloads are size-limited and checked by magic bytes.
+ * Downloaded images are then normalized (lib/imageNormalize.js) into a
+ * format and size Rekognition accepts. Results hold the normalized `buffer`
+ * to analyze and the downloaded `original`, for output that should keep the
+ * full resolution.
+ *
+ * A URL that returns an HTML page (an Imgur or Tenor link, a news article)
+ * is followed once to the page's preview image (og:image, then twitter:image).
+ * That second URL goes through the same resolution, address pinning and
+ * checks as the first, and the description names the tag it came from.
+ *
+ * Results also carry a `description` in English for reports and logs, and,
+ * when it is not just the URL, its catalog `source` so replies can show it in
+ * the requester's language with describeImage().
+ */
+
+const { AttachmentBuilder } = require('discord.js');
+const axios = require('axios');
+const fsp = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { URL } = require('url');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { promisify } = require('util');
+const { UserFacingError } = require('./errors');
+const { detectImageFormat, normalizeImage } = require('./imageNormalize');
+const { downloadedBytesTotal } = require('./metrics');
+const { truncateText } = require('./analysis');
+const { logger } = require('./logger');
+const { DEFAULT_LOCALE, translate, getTranslator } = require('./i18n');
+
+const dnsLookup = promisify(dns.lookup);
+
+// --- Image validation ---
+const ALLOWED_IMAGE_EXTENSIONS = new Set(['.jpg', '.jpeg', '.png', '.gif', '.bmp', '.webp']);
+const MAX_URL_LENGTH = 2048;
+const MAX_DOWNLOAD_BYTES = 10 * 1024 * 1024; // 10MB
+const PAGE_CONTENT_TYPES = ['text/html', 'application/xhtml+xml'];
+// Preview image tags, most specific first
+const PAGE_IMAGE_TAGS = ['og:image:secure_url', 'og:image', 'og:image:url', 'twitter:image', 'twitter:image:src'];
+// Descriptions naming two URLs stay well within Discord's embed limits
+const DESCRIPTION_URL_LENGTH = 300;
+
+function isValidImageBuffer(buffer) {
+    const format = detectImageFormat(buffer);
+    // BMP: also require a valid file size in bytes 2-5 (little-endian, must be > 26 for minimal BMP header)
+    if (format === 'bmp') {
+        const fileSize = buffer.readUInt32LE(2);
+        return fileSize > 26 && fileSize <= MAX_DOWNLOAD_BYTES;
+    }
+    return format !== null;
+}
+
+// Throw the error `key` unless the buffer is an image the bot can analyze
+function checkImageBuffer(buffer, key) {
+    if (!isValidImageBuffer(buffer)) throw UserFacingError.fromCatalog(key);
+}
+
+// --- SSRF protection ---
+
+function isPrivateIPv4(ip) {
+    const parts = ip.split('.').map(Number);
+    if (parts.length !== 4 || parts.some(p => isNaN(p))) return true;
+
+    return (
+        parts[0] === 127 ||                                         // Loopback
+        parts[0] === 10 ||                                          // 10.0.0.0/8
+        (parts[0] === 172 && parts[1] >= 16 && parts[1] <= 31) ||  // 172.16.0.0/12
+        (parts[0] === 192 && parts[1] === 168) ||                   // 192.168.0.0/16
+        (parts[0] === 169 && parts[1] === 254) ||                   // Link-local / AWS metadata
+        parts[0] === 0 ||                                            // 0.0.0.0/8
+        (parts[0] === 100 && parts[1] >= 64 && parts[1] <= 127) || // Carrier-grade NAT
+        (parts[0] === 198 && parts[1] >= 18 && parts[1] <= 19)     // Benchmarking
+    );
+}
+
+function isPrivateIP(ip) {
+    // IPv4
+    if (!ip.includes(':')) return isPrivateIPv4(ip);
+
+    // IPv6 loopback
+    if (ip === '::1' || ip === '0:0:0:0:0:0:0:1') return true;
+    // IPv6 link-local, unique local
+    if (ip.startsWith('fe80:') || ip.startsWith('fc00:') || ip.startsWith('fd00:')) return true;
+    // IPv4-mapped IPv6: ::ffff:x.x.x.x
+    if (ip.startsWith('::ffff:')) {
+        const v4 = ip.slice(7);
+        if (net.isIPv4(v4)) return isPrivateIPv4(v4);
+        return true; // Malformed — block
+    }
+    // IPv4-compatible IPv6 (deprecated): ::x.x.x.x
+    if (ip.startsWith('::') && ip.includes('.')) {
+        const v4 = ip.slice(2);
+        if (net.isIPv4(v4)) return isPrivateIPv4(v4);
+        return true;
+    }
+    // 6to4: 2002:XXYY:ZZWW:: encodes IPv4 XX.YY.ZZ.WW
+    if (ip.startsWith('2002:')) {
+        const hex = ip.split(':')[1];
+        if (hex && hex.length <= 4) {
+            const num = parseInt(hex, 16);
+            const a = (num >> 8) & 0xFF;
+            const b = num & 0xFF;
+            const hex2 = ip.split(':')[2] || '0';
+            const num2 = parseInt(hex2, 16);
+            const c = (num2 >> 8) & 0xFF;
+            const d = num2 & 0xFF;
+            return isPrivateIPv4(`${a}.${b}.${c}.${d}`);
+        }
+        return true;
+    }
+    // Teredo: 2001:0000:... (Teredo prefix)
+    if (ip.startsWith('2001:0000:') || ip.startsWith('2001:0:')) return true;
+    // :: (unspecified address, equivalent to 0.0.0.0)
+    if (ip === '::') return true;
+
+    return false;
+}
+
+async function validateAndResolveUrl(url) {
+    const urlObj = new URL(url);
+    const hostname = urlObj.hostname;
+
+    // Block direct IP addresses that are private (hostnames go through DNS check below)
+    if (net.isIP(hostname) && isPrivateIP(hostname)) {
+        throw UserFacingError.fromCatalog('errors.privateAddress');
+    }
+
+    try {
+        const { address, family } = await dnsLookup(hostname);
+        if (isPrivateIP(address)) {
+            throw UserFacingError.fromCatalog('errors.privateAddress');
+        }
+        return { address, family };
+    } catch (err) {
+        if (err instanceof UserFacingError) throw err;
+        throw UserFacingError.fromCatalog('errors.unresolvedHost');
+    }
+}
+
+// Pin resolved IP to prevent DNS rebinding between validation and request
+function createPinnedAgent(protocol, address, family) {
+    const Agent = protocol === 'https:' ? https.Agent : http.Agent;
+    return new Agent({
+        lookup: (_hostname, _options, cb) => cb(null, address, family)
+    });
+}
+
+// --- URL / extension helpers ---
+
+function isValidUrl(url) {
+    if (!url || url.length > MAX_URL_LENGTH) return false;
+    try {
+        const parsedUrl = new URL(url);
+        return ['http:', 'https:'].includes(parsedUrl.protocol);
+    } catch {
+        return false;
+    }
+}
+
+function sanitizeExtension(urlPathname) {
+    const ext = path.extname(urlPathname).toLowerCase();
+    return ALLOWED_IMAGE_EXTENSIONS.has(ext) ? ext : '.jpg';
+}
+
+// --- Page preview images ---
+
+const HTML_ENTITIES = { amp: '&', quot: '"', apos: "'", lt: '<', gt: '>' };
+
+function decodeHtmlEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return Number.isFinite(point) && point <= 0x10FFFF ? String.fromCodePoint(point) : entity;
+        }
+        return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+    });
+}
+
+function parseMetaTags(html) {
+    const tags = [];
+    for (const [tag] of html.matchAll(/<meta\b[^>]*>/gi)) {
+        const attributes = {};
+        for (const match of tag.matchAll(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g)) {
+            attributes[match[1].toLowerCase()] = decodeHtmlEntities(match[2] ?? match[3] ?? match[4]);
+        }
+        tags.push(attributes);
+    }
+    return tags;
+}
+
+/**
+ * The preview image of an HTML page as { url, tag }, or null. Relative URLs
+ * are resolved against `pageUrl`; only http(s) URLs are returned.
+ */
+function findPageImage(html, pageUrl) {
+    const candidates = new Map();
+    for (const attributes of parseMetaTags(html)) {
+        const name = (attributes.property ?? attributes.name ?? '').toLowerCase();
+        if (!PAGE_IMAGE_TAGS.includes(name) || !attributes.content || candidates.has(name)) continue;
+        try {
+            const url = new URL(attributes.content.trim(), pageUrl).href;
+            if (isValidUrl(url)) candidates.set(name, url);
+        } catch {
+            // Unparseable URL: try the next tag
+        }
+    }
+
+    const tag = PAGE_IMAGE_TAGS.find(name => candidates.has(name));
+    return tag ? { url: candidates.get(tag), tag } : null;
+}
+
+// A URL as shown in an image description, shortened when very long
+function describeUrl(url) {
+    return truncateText(url, DESCRIPTION_URL_LENGTH);
+}
+
+// The `source` and English `description` of a result, from a catalog key
+function imageSource(key, params) {
+    return { source: { key, params }, description: translate(DEFAULT_LOCALE, key, params) };
+}
+
+// The description of a result in the language of `t`
+function describeImage(image, t = getTranslator()) {
+    return image.source ? t(image.source.key, image.source.params) : image.description;
+}
+
+// --- Image download ---
+
+// Download a Discord attachment into memory after checking its type, origin and magic bytes
+async function downloadAttachment(attachment) {
+    if (!attachment.contentType?.startsWith('image/')) {
+        throw UserFacingError.fromCatalog('errors.invalidFileType');
+    }
+
+    // Restrict attachment downloads to Discord CDN origin
+    if (attachment.url && !attachment.url.startsWith('https://cdn.discordapp.com/')) {
+        throw UserFacingError.fromCatalog('errors.notDiscordCdn');
+    }
+
+    const response = await axios.get(attachment.url, {
+        responseType: 'arraybuffer',
+        timeout: 15000,
+        maxContentLength: MAX_DOWNLOAD_BYTES,
+        maxBodyLength: MAX_DOWNLOAD_BYTES,
+        maxRedirects: 0 // No redirects from Discord CDN
+    });
+
+    const buffer = Buffer.from(response.data);
+    downloadedBytesTotal.inc({ source: 'upload' }, buffer.length);
+    logger.debug('Attachment downloaded', { url: attachment.url, bytes: buffer.length });
+
+    checkImageBuffer(buffer, 'errors.invalidImageFile');
+
+    return buffer;
+}
+
+async function processUploadedImage(attachment, tempDir, prefix, requestFiles) {
+    if (!attachment.contentType?.startsWith('image/')) {
+        throw UserFacingError.fromCatalog('errors.invalidFileType');
+    }
+
+    try {
+        const buffer = await downloadAttachment(attachment);
+
+        // Sanitize filename: use random ID + validated extension only (prevents path traversal)
+        const randomId = crypto.randomBytes(6).toString('hex');
+        const origExt = path.extname(path.basename(attachment.name || '')).toLowerCase();
+        const safeExt = ALLOWED_IMAGE_EXTENSIONS.has(origExt) ? origExt : '.jpg';
+        const fileName = `${prefix ? prefix + '_' : ''}${randomId}${safeExt}`;
+        const filePath = path.join(tempDir, fileName);
+
+        await fsp.writeFile(filePath, buffer);
+        requestFiles.push(filePath);
+
+        // The original is shown in Discord; the normalized copy is what gets analyzed
+        const normalized = await normalizeImage(buffer);
+
+        return {
+            buffer: normalized.buffer,
+            original: buffer,
+            adjustments: normalized.adjustments,
+            ...imageSource('images.uploaded', { name: path.basename(attachment.name || 'image') }),
+            attachment: new AttachmentBuilder(filePath, {
+                name: fileName,
+                description: `${prefix ? prefix + ' ' : ''}Original image`
+            })
+        };
+    } catch (error) {
+        if (error instanceof UserFacingError) throw error;
+        throw UserFacingError.fromCatalog('errors.uploadFailed');
+    }
+}
+
+// Image bytes received directly rather than downloaded (HTTP API uploads)
+async function processImageBuffer(buffer, description) {
+    if (buffer.length > MAX_DOWNLOAD_BYTES) {
+        throw UserFacingError.fromCatalog('errors.downloadTooLarge');
+    }
+    checkImageBuffer(buffer, 'errors.invalidImageFile');
+
+    const normalized = await normalizeImage(buffer);
+    return { buffer: normalized.buffer, original: buffer, adjustments: normalized.adjustments, description, attachment: null };
+}
+
+async function processImageUrl(url, tempDir, prefix, requestFiles, { followPage = true } = {}) {
+    // SSRF protection: resolve hostname, block private IPs, pin resolved address
+    const urlObj = new URL(url);
+    const { address, family } = await validateAndResolveUrl(url);
+    const agent = createPinnedAgent(urlObj.protocol, address, family);
+
+    const fileExtension = sanitizeExtension(urlObj.pathname);
+    const randomId = crypto.randomBytes(6).toString('hex');
+    const fileName = `${prefix ? prefix + '_' : ''}image_${randomId}${fileExtension}`;
+    const filePath = path.join(tempDir, fileName);
+
+    try {
+        const response = await axios.get(url, {
+            responseType: 'arraybuffer',
+            timeout: 15000,
+            maxContentLength: MAX_DOWNLOAD_BYTES,
+            maxBodyLength: MAX_DOWNLOAD_BYTES,
+            maxRedirects: 5,
+            headers: { 'User-Agent': 'DiscordBot/1.0' },
+            httpAgent: agent,
+            httpsAgent: agent
+        });
+
+        const contentType = response.headers['content-type'] ?? '';
+        if (followPage && PAGE_CONTENT_TYPES.some(type => contentType.startsWith(type))) {
+            const pageUrl = response.request?.res?.responseUrl ?? url;
+            downloadedBytesTotal.inc({ source: 'page' }, response.data.byteLength);
+            const pageImage = findPageImage(Buffer.from(response.data).toString('utf8'), pageUrl);
+            if (!pageImage) {
+                throw UserFacingError.fromCatalog('errors.noPreviewImage');
+            }
+            logger.debug('Using page preview image', { url, imageUrl: pageImage.url, tag: pageImage.tag });
+
+            // Fetched like any other URL: resolved, checked and pinned again, but never followed further
+            const image = await processImageUrl(pageImage.url, tempDir, prefix, requestFiles, { followPage: false });
+            return {
+                ...image,
+                ...imageSource('images.pagePreview', { image: describeUrl(pageImage.url), tag: pageImage.tag, page: describeUrl(url) })
+            };
+        }
+
+        if (!contentType.startsWith('image/')) {
+            throw UserFacingError.fromCatalog('errors.notAnImageUrl');
+        }
+
+        const buffer = Buffer.from(response.data);
+        downloadedBytesTotal.inc({ source: 'url' }, buffer.length);
+        logger.debug('Image URL downloaded', { url, bytes: buffer.length });
+
+        checkImageBuffer(buffer, 'errors.invalidDownload');
+
+        await fsp.writeFile(filePath, buffer);
+        requestFiles.push(filePath);
+
+        const normalized = await normalizeImage(buffer);
+
+        return {
+            buffer: normalized.buffer,
+            original: buffer,
+            adjustments: normalized.adjustments,
+            description: url,
+            attachment: new AttachmentBuilder(filePath, {
+                name: fileName,
+                description: `${prefix ? prefix + ' ' : ''}Image from URL`
+            })
+        };
+    } catch (error) {
+        if (error instanceof UserFacingError) throw error;
+        if (error.code === 'ECONNABORTED') {
+            throw UserFacingError.fromCatalog('errors.downloadTimeout');
+        }
+        throw UserFacingError.fromCatalog('errors.downloadFailed');
+    }
+}
+
+module.exports = {
+    ALLOWED_IMAGE_EXTENSIONS,
+    MAX_DOWNLOAD_BYTES,
+    isValidImageBuffer,
+    isPrivateIP,
+    isPrivateIPv4,
+    validateAndResolveUrl,
+    createPinnedAgent,
+    isValidUrl,
+    sanitizeExtension,
+    findPageImage,
+    describeUrl,
+    imageSource,
+    describeImage,
+    downloadAttachment,
+    processUploadedImage,
+    processImageBuffer,
+    processImageUrl
+};
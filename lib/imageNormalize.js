@@ -0,0 +1,239 @@
+/**
+ * File: imageNormalize.js
+ * Description: Convert downloaded images into something Rekognition accepts
+ *
+ * Rekognition only takes JPEG or PNG, at most 5MB when sent as bytes, while
+ * uploads may be GIF, BMP or WebP and up to 10MB. Images that already fit are
+ * passed through untouched; everything else is decoded (first frame only for
+ * animated GIFs), converted to PNG, and re-encoded as JPEG and downscaled
+ * until it fits. Each step taken is reported so the embed can mention it.
+ *
+ * Jimp has no WebP codec, so WebP is decoded with the WebAssembly build of
+ * libwebp from @jsquash/webp; decodeImage() picks the right decoder.
+ *
+ * A small file can declare a huge canvas, and decoding allocates 4 bytes per
+ * pixel. assertDecodableSize() reads the dimensions from the header and
+ * refuses images over MAX_DECODED_PIXELS; call it before decoding.
+ */
+
+const fsp = require('fs').promises;
+const { Jimp } = require('jimp');
+const { UserFacingError } = require('./errors');
+
+const REKOGNITION_MAX_BYTES = 5 * 1024 * 1024;
+const REKOGNITION_FORMATS = ['jpeg', 'png'];
+const JPEG_QUALITIES = [85, 70];
+const DOWNSCALE_FACTOR = 0.75;
+const MIN_DIMENSION = 80; // Rekognition rejects images smaller than this
+const MAX_DECODED_PIXELS = 40 * 1000 * 1000; // 160MB once decoded
+
+const FORMAT_NAMES = { jpeg: 'JPEG', png: 'PNG', gif: 'GIF', bmp: 'BMP', webp: 'WebP' };
+
+// Identify a buffer by its magic bytes; null when it is not a supported image
+function detectImageFormat(buffer) {
+    if (!buffer || buffer.length < 12) return null;
+    if (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) return 'jpeg';
+    if (buffer[0] === 0x89 && buffer[1] === 0x50 && buffer[2] === 0x4E && buffer[3] === 0x47) return 'png';
+    if (buffer[0] === 0x47 && buffer[1] === 0x49 && buffer[2] === 0x46) return 'gif';
+    if (buffer[0] === 0x42 && buffer[1] === 0x4D) return 'bmp';
+    if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') return 'webp';
+    return null;
+}
+
+// JPEG stores the dimensions in its start-of-frame segment, after any
+// metadata segments; walk the segments until one is found
+function readJpegDimensions(buffer) {
+    let offset = 2;
+    while (offset + 9 <= buffer.length) {
+        if (buffer[offset] !== 0xFF) return null;
+        const marker = buffer[offset + 1];
+        if (marker === 0xFF) {
+            offset++; // Fill byte
+            continue;
+        }
+        if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD9)) {
+            offset += 2; // Standalone markers have no length
+            continue;
+        }
+        // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+        if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+            return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+        }
+        offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+    return null;
+}
+
+// WebP keeps the dimensions in its first chunk, which differs for lossy
+// (VP8), lossless (VP8L) and extended (VP8X) files
+function readWebpDimensions(buffer) {
+    switch (buffer.toString('latin1', 12, 16)) {
+        case 'VP8 ':
+            if (buffer.length < 30) return null;
+            return { width: buffer.readUInt16LE(26) & 0x3FFF, height: buffer.readUInt16LE(28) & 0x3FFF };
+        case 'VP8L': {
+            if (buffer.length < 25) return null;
+            const bits = buffer.readUInt32LE(21);
+            return { width: (bits & 0x3FFF) + 1, height: ((bits >>> 14) & 0x3FFF) + 1 };
+        }
+        case 'VP8X':
+            if (buffer.length < 30) return null;
+            return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+        default:
+            return null;
+    }
+}
+
+// { width, height } from the image header without decoding; null when unknown
+function readImageDimensions(buffer) {
+    switch (detectImageFormat(buffer)) {
+        case 'png':
+            if (buffer.length < 24) return null;
+            return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+        case 'gif':
+            return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+        case 'bmp':
+            if (buffer.length < 26) return null;
+            // OS/2 bitmaps have a 12-byte header with 16-bit sizes; height is negative for top-down rows
+            if (buffer.readUInt32LE(14) === 12) return { width: buffer.readUInt16LE(18), height: buffer.readUInt16LE(20) };
+            return { width: Math.abs(buffer.readInt32LE(18)), height: Math.abs(buffer.readInt32LE(22)) };
+        case 'jpeg':
+            return readJpegDimensions(buffer);
+        case 'webp':
+            return readWebpDimensions(buffer);
+        default:
+            return null;
+    }
+}
+
+/**
+ * Throw a UserFacingError unless the header shows dimensions small enough to
+ * decode. Images whose header cannot be read are refused too.
+ */
+function assertDecodableSize(buffer) {
+    const dimensions = readImageDimensions(buffer);
+    if (!dimensions) {
+        throw UserFacingError.fromCatalog('errors.undecodable');
+    }
+    const { width, height } = dimensions;
+    if (width * height > MAX_DECODED_PIXELS) {
+        throw UserFacingError.fromCatalog('errors.tooManyPixels', { width, height, max: MAX_DECODED_PIXELS / 1000000 });
+    }
+}
+
+// --- Decoding ---
+
+// Loaded on first use. The codec's own loader fetches the .wasm file, which
+// Node cannot do for file URLs, so it is compiled from disk instead
+let webpDecoder = null;
+
+function loadWebpDecoder() {
+    webpDecoder ??= (async () => {
+        const { default: decode, init } = await import('@jsquash/webp/decode.js');
+        const wasm = await fsp.readFile(require.resolve('@jsquash/webp/codec/dec/webp_dec.wasm'));
+        await init(await WebAssembly.compile(wasm));
+        return decode;
+    })().catch(error => {
+        webpDecoder = null;
+        throw error;
+    });
+    return webpDecoder;
+}
+
+/**
+ * Decode a JPEG, PNG, GIF (first frame), BMP or WebP buffer into a Jimp
+ * image. Rejects when the buffer cannot be decoded; check its size with
+ * assertDecodableSize() first.
+ */
+async function decodeImage(buffer) {
+    if (detectImageFormat(buffer) !== 'webp') return await Jimp.fromBuffer(buffer);
+
+    const decode = await loadWebpDecoder();
+    const { data, width, height } = await decode(buffer);
+    return Jimp.fromBitmap({ data: Buffer.from(data.buffer, data.byteOffset, data.byteLength), width, height });
+}
+
+// --- Normalization ---
+
+function formatBytes(bytes) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)}MB`;
+}
+
+// JPEG has no alpha channel; flatten onto white so transparent areas don't turn black
+function flattenOntoWhite(image) {
+    const { width, height } = image.bitmap;
+    return new Jimp({ width, height, color: 0xFFFFFFFF }).composite(image, 0, 0);
+}
+
+/**
+ * Resolves to { buffer, format, adjustments } where `format` is 'jpeg' or
+ * 'png' and `adjustments` lists what was changed (empty when untouched), each
+ * as { key, params } for the message catalogs.
+ */
+async function normalizeImage(buffer, { maxBytes = REKOGNITION_MAX_BYTES } = {}) {
+    const format = detectImageFormat(buffer);
+
+    if (REKOGNITION_FORMATS.includes(format) && buffer.length <= maxBytes) {
+        return { buffer, format, adjustments: [] };
+    }
+
+    assertDecodableSize(buffer);
+
+    let image;
+    try {
+        image = await decodeImage(buffer);
+    } catch {
+        throw UserFacingError.fromCatalog('errors.undecodable');
+    }
+
+    const adjustments = [];
+
+    // Unsupported formats are tried as lossless PNG first
+    if (!REKOGNITION_FORMATS.includes(format)) {
+        adjustments.push(FORMAT_NAMES[format]
+            ? { key: format === 'gif' ? 'adjustments.convertedFirstFrame' : 'adjustments.converted', params: { format: FORMAT_NAMES[format] } }
+            : { key: 'adjustments.convertedImage', params: {} });
+        const png = await image.getBuffer('image/png');
+        if (png.length <= maxBytes) {
+            return { buffer: png, format: 'png', adjustments };
+        }
+    }
+
+    const original = { width: image.bitmap.width, height: image.bitmap.height };
+    const flattened = format === 'jpeg' ? image : flattenOntoWhite(image);
+
+    let candidate = flattened;
+    while (true) {
+        for (const quality of JPEG_QUALITIES) {
+            const jpeg = await candidate.getBuffer('image/jpeg', { quality });
+            if (jpeg.length <= maxBytes) {
+                adjustments.push({ key: 'adjustments.reencoded', params: { quality, limit: formatBytes(maxBytes) } });
+                const { width, height } = candidate.bitmap;
+                if (width !== original.width || height !== original.height) {
+                    adjustments.push({
+                        key: 'adjustments.downscaled',
+                        params: { from: `${original.width}×${original.height}`, to: `${width}×${height}` }
+                    });
+                }
+                return { buffer: jpeg, format: 'jpeg', adjustments };
+            }
+        }
+
+        const width = Math.floor(candidate.bitmap.width * DOWNSCALE_FACTOR);
+        const height = Math.floor(candidate.bitmap.height * DOWNSCALE_FACTOR);
+        if (Math.min(width, height) < MIN_DIMENSION) {
+            throw UserFacingError.fromCatalog('errors.tooLargeAfterDownscaling');
+        }
+        candidate = flattened.clone().resize({ w: width, h: height });
+    }
+}
+
+module.exports = {
+    REKOGNITION_MAX_BYTES,
+    MAX_DECODED_PIXELS,
+    detectImageFormat,
+    readImageDimensions,
+    assertDecodableSize,
+    decodeImage,
+    normalizeImage
+};
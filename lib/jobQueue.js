@@ -0,0 +1,294 @@
+/**
+ * File: jobQueue.js
+ * Description: Fair job queue for commands that call Rekognition
+ *
+ * At most MAX_CONCURRENT_REQUESTS jobs run at once. Further jobs wait in a
+ * queue per guild, and guilds take turns (round robin) whenever a slot frees
+ * up, so one busy server cannot starve the others. Waiting jobs are told
+ * their position when it changes, at most once per
+ * POSITION_UPDATE_INTERVAL_MS so a long queue does not flood Discord with
+ * message edits.
+ *
+ * Every job has a deadline shortly before Discord's 15-minute interaction
+ * token expires. A job still waiting or running at its deadline is rejected
+ * with a message the user can still be shown. A running job keeps its slot
+ * until the work actually settles, so the concurrency limit holds, but its
+ * task's AbortSignal is aborted; guardInteraction() uses it to drop the late
+ * replies that would otherwise replace the timeout message.
+ */
+
+const { AsyncResource } = require('async_hooks');
+const { UserFacingError } = require('./errors');
+const { MAX_CONCURRENT_REQUESTS } = require('./requestLimits');
+const { logger } = require('./logger');
+
+const DEFAULT_MAX_QUEUE_LENGTH = 50;
+const JOB_TIMEOUT_MS = 14 * 60 * 1000; // Interaction tokens expire after 15 minutes
+const DRAIN_TIMEOUT_MS = 8000; // Within Docker's default 10s stop grace period
+const POSITION_UPDATE_INTERVAL_MS = 5000;
+const REPLY_METHODS = ['reply', 'editReply', 'followUp', 'deleteReply'];
+
+class JobQueue {
+    constructor({
+        concurrency = MAX_CONCURRENT_REQUESTS,
+        maxQueueLength = DEFAULT_MAX_QUEUE_LENGTH,
+        jobTimeoutMs = JOB_TIMEOUT_MS,
+        positionUpdateIntervalMs = POSITION_UPDATE_INTERVAL_MS
+    } = {}) {
+        this.concurrency = concurrency;
+        this.maxQueueLength = maxQueueLength;
+        this.jobTimeoutMs = jobTimeoutMs;
+        this.positionUpdateIntervalMs = positionUpdateIntervalMs;
+        this.queues = new Map(); // Guild key -> waiting jobs; Map order is the turn order
+        this.running = new Set(); // Settle promises of running jobs
+        this.closed = false;
+    }
+
+    get waitingCount() {
+        let count = 0;
+        for (const jobs of this.queues.values()) count += jobs.length;
+        return count;
+    }
+
+    // True when a new job could neither start nor wait
+    isFull() {
+        return this.closed || (this.running.size >= this.concurrency && this.waitingCount >= this.maxQueueLength);
+    }
+
+    /**
+     * Run `task(signal)` once a slot is free and resolve to its result.
+     * `signal` is aborted if the job is still running at its deadline.
+     * `onPosition(position, total)` is called while the job waits, and the
+     * task only starts after the last call has completed.
+     */
+    run(guildId, task, { onPosition } = {}) {
+        if (this.closed) {
+            return Promise.reject(UserFacingError.fromCatalog('errors.restarting'));
+        }
+        if (this.isFull()) {
+            return Promise.reject(UserFacingError.fromCatalog('errors.busy'));
+        }
+
+        return new Promise((resolve, reject) => {
+            // Jobs start from whichever request freed the slot; binding keeps
+            // each job's own request context (and request ID in the logs)
+            const job = {
+                key: guildId ?? 'dm',
+                task: AsyncResource.bind(task),
+                onPosition: onPosition && AsyncResource.bind(onPosition),
+                resolve,
+                reject,
+                controller: new AbortController(),
+                started: false,
+                settled: false,
+                position: null,
+                total: null,
+                notified: null,
+                notifiedAt: -Infinity,
+                positionTimer: null,
+                notifying: Promise.resolve()
+            };
+            job.timer = setTimeout(() => this.expire(job), this.jobTimeoutMs);
+            job.timer.unref?.();
+
+            if (!this.queues.has(job.key)) this.queues.set(job.key, []);
+            this.queues.get(job.key).push(job);
+            this.dispatch();
+        });
+    }
+
+    dispatch() {
+        while (this.running.size < this.concurrency) {
+            const job = this.nextJob();
+            if (!job) break;
+            this.start(job);
+        }
+        this.notifyPositions();
+    }
+
+    // Take the first job of the guild whose turn it is, then send that guild to the back
+    nextJob() {
+        const next = this.queues.entries().next();
+        if (next.done) return null;
+
+        const [key, jobs] = next.value;
+        const job = jobs.shift();
+        this.queues.delete(key);
+        if (jobs.length > 0) this.queues.set(key, jobs);
+        return job;
+    }
+
+    // Waiting jobs in the order they will start
+    waitingOrder() {
+        const queues = [...this.queues.values()].map(jobs => [...jobs]);
+        const order = [];
+        while (queues.some(jobs => jobs.length > 0)) {
+            for (const jobs of queues) {
+                if (jobs.length > 0) order.push(jobs.shift());
+            }
+        }
+        return order;
+    }
+
+    // Only jobs whose position changed are updated; the total alone is not worth an edit
+    notifyPositions() {
+        const order = this.waitingOrder();
+        order.forEach((job, i) => {
+            job.position = i + 1;
+            job.total = order.length;
+            if (job.onPosition && job.notified !== job.position) this.schedulePositionUpdate(job);
+        });
+    }
+
+    // An update within the interval of the previous one is delayed, and then
+    // shows the position the job has by the time it runs
+    schedulePositionUpdate(job) {
+        if (job.positionTimer) return;
+        const delayMs = job.notifiedAt + this.positionUpdateIntervalMs - Date.now();
+        if (delayMs <= 0) {
+            this.sendPosition(job);
+            return;
+        }
+        job.positionTimer = setTimeout(() => {
+            job.positionTimer = null;
+            if (!job.started && !job.settled) this.sendPosition(job);
+        }, delayMs);
+        job.positionTimer.unref?.();
+    }
+
+    sendPosition(job) {
+        const { position, total } = job;
+        if (job.notified === position) return;
+        job.notified = position;
+        job.notifiedAt = Date.now();
+        job.notifying = job.notifying
+            .then(() => job.onPosition(position, total))
+            .catch(error => logger.warn('Queue position update failed', { error }));
+    }
+
+    start(job) {
+        job.started = true;
+        clearTimeout(job.positionTimer);
+        const work = job.notifying.then(() => job.task(job.controller.signal));
+        const settled = work.then(
+            value => this.settle(job, null, value),
+            error => this.settle(job, error)
+        ).finally(() => {
+            this.running.delete(settled);
+            this.dispatch();
+        });
+        this.running.add(settled);
+    }
+
+    settle(job, error, value) {
+        if (job.settled) return;
+        job.settled = true;
+        clearTimeout(job.timer);
+        clearTimeout(job.positionTimer);
+        if (error) {
+            job.reject(error);
+        } else {
+            job.resolve(value);
+        }
+    }
+
+    removeWaiting(job) {
+        const jobs = this.queues.get(job.key);
+        if (!jobs) return;
+        jobs.splice(jobs.indexOf(job), 1);
+        if (jobs.length === 0) this.queues.delete(job.key);
+    }
+
+    expire(job) {
+        if (job.settled) return;
+        if (job.started) {
+            job.controller.abort();
+        } else {
+            this.removeWaiting(job);
+            this.notifyPositions();
+        }
+        this.settle(job, UserFacingError.fromCatalog('errors.timedOut'));
+    }
+
+    /**
+     * Stop accepting jobs, reject the waiting ones and wait (up to
+     * `timeoutMs`) for running jobs to finish. Resolves to the number of
+     * jobs still running when it gave up.
+     */
+    async drain({ timeoutMs = DRAIN_TIMEOUT_MS } = {}) {
+        this.closed = true;
+
+        const waiting = this.waitingOrder();
+        this.queues.clear();
+        for (const job of waiting) {
+            this.settle(job, UserFacingError.fromCatalog('errors.restarting'));
+        }
+
+        let timer;
+        const timeout = new Promise(resolve => {
+            timer = setTimeout(resolve, timeoutMs);
+        });
+        await Promise.race([Promise.allSettled([...this.running]), timeout]);
+        clearTimeout(timer);
+        return this.running.size;
+    }
+
+    getStats() {
+        return {
+            running: this.running.size,
+            waiting: this.waitingCount,
+            concurrency: this.concurrency,
+            maxQueueLength: this.maxQueueLength
+        };
+    }
+}
+
+// --- Interactions ---
+
+/**
+ * The interaction as a job's task should use it: once `signal` is aborted,
+ * replies and edits are dropped (resolving to null), so a task that finishes
+ * after its deadline cannot replace the timeout message.
+ */
+function guardInteraction(interaction, signal) {
+    return new Proxy(interaction, {
+        get(target, property) {
+            const value = Reflect.get(target, property);
+            if (typeof value !== 'function') return value;
+            if (!REPLY_METHODS.includes(property)) return value.bind(target);
+            return async (...args) => {
+                if (signal.aborted) {
+                    logger.warn('Reply of a cancelled job dropped', { method: property });
+                    return null;
+                }
+                return value.apply(target, args);
+            };
+        }
+    });
+}
+
+// --- Shared queue ---
+
+let jobQueue = null;
+
+function getJobQueue() {
+    if (!jobQueue) {
+        const maxQueueLength = parseInt(process.env.JOB_QUEUE_MAX_LENGTH, 10);
+        jobQueue = new JobQueue({
+            maxQueueLength: maxQueueLength >= 0 ? maxQueueLength : DEFAULT_MAX_QUEUE_LENGTH
+        });
+    }
+    return jobQueue;
+}
+
+function setJobQueue(queue) {
+    jobQueue = queue;
+}
+
+module.exports = {
+    JOB_TIMEOUT_MS,
+    JobQueue,
+    guardInteraction,
+    getJobQueue,
+    setJobQueue
+};
@@ -0,0 +1,83 @@
+/**
+ * File: jsonStore.js
+ * Description: Small persistent key/value store backed by a JSON file
+ *
+ * Used for per-guild settings. The file is read once on first access and
+ * rewritten atomically (temp file + rename) after every change. Writes are
+ * serialized so concurrent updates never interleave. A file that cannot be
+ * parsed is renamed to `<file>.corrupt-<time>` before starting empty, so the
+ * next write never overwrites the only copy of the old settings.
+ */
+
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const { logger } = require('./logger');
+
+const DEFAULT_DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+class JsonStore {
+    constructor(fileName, { dataDir = DEFAULT_DATA_DIR } = {}) {
+        this.filePath = path.join(dataDir, fileName);
+        this.data = null;
+        this.pendingWrite = Promise.resolve();
+    }
+
+    load() {
+        if (this.data) return this.data;
+        try {
+            this.data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') this.backUpUnreadable(error);
+            this.data = {};
+        }
+        return this.data;
+    }
+
+    // Keeps the unreadable file for manual recovery; throws if even that fails,
+    // rather than starting empty and overwriting it on the next write
+    backUpUnreadable(error) {
+        const backupPath = `${this.filePath}.corrupt-${Date.now()}`;
+        fs.renameSync(this.filePath, backupPath);
+        logger.error('Failed to read settings file, moved it aside and starting empty', {
+            file: path.basename(this.filePath),
+            backup: path.basename(backupPath),
+            error
+        });
+    }
+
+    get(key) {
+        return this.load()[key];
+    }
+
+    keys() {
+        return Object.keys(this.load());
+    }
+
+    async set(key, value) {
+        this.load()[key] = value;
+        await this.persist();
+        return value;
+    }
+
+    async delete(key) {
+        const data = this.load();
+        if (!(key in data)) return false;
+        delete data[key];
+        await this.persist();
+        return true;
+    }
+
+    persist() {
+        const snapshot = JSON.stringify(this.data, null, 2);
+        this.pendingWrite = this.pendingWrite.catch(() => {}).then(async () => {
+            await fsp.mkdir(path.dirname(this.filePath), { recursive: true });
+            const tempPath = `${this.filePath}.${process.pid}.tmp`;
+            await fsp.writeFile(tempPath, snapshot, { mode: 0o600 });
+            await fsp.rename(tempPath, this.filePath);
+        });
+        return this.pendingWrite;
+    }
+}
+
+module.exports = { JsonStore };
@@ -0,0 +1,132 @@
+/**
+ * File: labels.js
+ * Description: DetectLabels filters and image properties
+ *
+ * Labels can be limited to, or kept out of, chosen label names and label
+ * categories (e.g. "Animals and Pets"). A filter is written as a
+ * comma-separated list where names starting with `-` are excluded and the
+ * others included: "Animals and Pets, -Text and Documents". Names are matched
+ * exactly as Rekognition returns them; the analysis embed shows each label's
+ * categories. Filters are sent as the GeneralLabels settings of DetectLabels,
+ * so Rekognition applies them: a label is kept if it matches an inclusion
+ * filter (or there are none) and no exclusion filter.
+ *
+ * Servers set default filters with /rekognition-config; the `categories`
+ * option of /rekognition analyze replaces the server's category filter for
+ * one request.
+ *
+ * DetectLabels also returns image properties (dominant colors and
+ * brightness, sharpness and contrast scores), shown next to the labels.
+ */
+
+const MAX_FILTER_NAMES = 100; // Per inclusion or exclusion list
+const MAX_COLORS = 5;
+const NO_FILTER = 'none';
+
+// Rekognition's simplified color names
+const COLOR_SQUARES = {
+    red: '🟥',
+    orange: '🟧',
+    yellow: '🟨',
+    green: '🟩',
+    blue: '🟦',
+    purple: '🟪',
+    brown: '🟫',
+    black: '⬛',
+    white: '⬜'
+};
+
+// --- Filters ---
+
+/**
+ * Parse a filter such as "Animals and Pets, -Text and Documents" into
+ * { include, exclude }. "none" or an empty value is no filter. Throws a
+ * RangeError for a list that is too long.
+ */
+function parseLabelFilter(value) {
+    const filter = { include: [], exclude: [] };
+    if (!value || String(value).trim().toLowerCase() === NO_FILTER) return filter;
+
+    for (const entry of String(value).split(',')) {
+        const excluded = entry.trim().startsWith('-');
+        const name = excluded ? entry.trim().slice(1).trim() : entry.trim();
+        const names = excluded ? filter.exclude : filter.include;
+        if (name && !names.includes(name)) names.push(name);
+    }
+
+    if (filter.include.length > MAX_FILTER_NAMES || filter.exclude.length > MAX_FILTER_NAMES) {
+        throw new RangeError(`A label filter can include and exclude at most ${MAX_FILTER_NAMES} names each`);
+    }
+    return filter;
+}
+
+function formatLabelFilter({ include, exclude }) {
+    return [...include, ...exclude.map(name => `-${name}`)].join(', ');
+}
+
+// Canonical form of a filter, as stored in the server settings ('' for none)
+function normalizeLabelFilter(value) {
+    return formatLabelFilter(parseLabelFilter(value));
+}
+
+// DetectLabels Settings.GeneralLabels for the label name and category filters
+function buildLabelFilters({ labels = '', categories = '' } = {}) {
+    const names = parseLabelFilter(labels);
+    const categoryNames = parseLabelFilter(categories);
+    const filters = {};
+    if (names.include.length > 0) filters.LabelInclusionFilters = names.include;
+    if (names.exclude.length > 0) filters.LabelExclusionFilters = names.exclude;
+    if (categoryNames.include.length > 0) filters.LabelCategoryInclusionFilters = categoryNames.include;
+    if (categoryNames.exclude.length > 0) filters.LabelCategoryExclusionFilters = categoryNames.exclude;
+    return filters;
+}
+
+// --- Formatting ---
+
+// "3× Person (95.2%) — Person Description": instance count when there are
+// several, then the categories, or the parents for labels without any
+function describeLabel(label) {
+    const count = label.Instances?.length > 1 ? `${label.Instances.length}× ` : '';
+    const context = (label.Categories?.length > 0 ? label.Categories : label.Parents ?? [])
+        .map(item => item.Name)
+        .join(', ');
+    return `${count}${label.Name} (${label.Confidence.toFixed(1)}%)${context ? ` — ${context}` : ''}`;
+}
+
+/**
+ * Quality scores and dominant colors of a DetectLabels ImageProperties
+ * result, one per line. `t` formats the quality line. Returns null when
+ * there is nothing to show.
+ */
+function formatImageProperties(properties, t) {
+    if (!properties) return null;
+    const lines = [];
+
+    const quality = properties.Quality;
+    if (quality) {
+        const score = value => (typeof value === 'number' ? value.toFixed(0) : '?');
+        lines.push(t('analysis.quality', {
+            brightness: score(quality.Brightness),
+            sharpness: score(quality.Sharpness),
+            contrast: score(quality.Contrast)
+        }));
+    }
+
+    for (const color of (properties.DominantColors ?? []).slice(0, MAX_COLORS)) {
+        const square = COLOR_SQUARES[color.SimplifiedColor] ?? '▪️';
+        const name = color.SimplifiedColor ? ` ${color.SimplifiedColor}` : '';
+        lines.push(`${square} ${color.HexCode ?? ''}${name} (${(color.PixelPercent ?? 0).toFixed(1)}%)`);
+    }
+
+    return lines.length > 0 ? lines.join('\n') : null;
+}
+
+module.exports = {
+    MAX_FILTER_NAMES,
+    parseLabelFilter,
+    formatLabelFilter,
+    normalizeLabelFilter,
+    buildLabelFilters,
+    describeLabel,
+    formatImageProperties
+};
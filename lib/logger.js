@@ -0,0 +1,177 @@
+/**
+ * File: logger.js
+ * Description: Structured logging with levels and per-request correlation IDs
+ *
+ * Every line is one JSON object ({ time, level, msg, requestId, ...fields })
+ * on stdout (stderr for warn and error), ready for a log aggregator. Set
+ * LOG_FORMAT=text for human-readable lines during development and LOG_LEVEL
+ * to debug, info, warn, error or silent (default info).
+ *
+ * index.js runs each interaction inside runWithRequestId(), and the ID is
+ * picked up by every log line written while handling it, including AWS calls
+ * and the delayed temp file cleanup, without being passed around explicitly.
+ * The same context carries the ID of the requesting user, which the result
+ * cache records so /rekognition privacy forget can find that user's entries.
+ *
+ * Secrets are redacted from the output: LOG_REDACT is a comma-separated list
+ * of `tokens` (Discord bot tokens, AWS keys, the configured credentials) and
+ * `urls` (query strings, which often carry signatures), or `none`.
+ * Both are on by default.
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { getTranslator } = require('./i18n');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 50 };
+
+// --- Request context ---
+
+const requestContext = new AsyncLocalStorage();
+
+function createRequestId() {
+    return crypto.randomBytes(4).toString('hex');
+}
+
+function runWithRequestId(requestId, fn, { userId = null } = {}) {
+    return requestContext.run({ requestId, userId }, fn);
+}
+
+function getRequestId() {
+    return requestContext.getStore()?.requestId ?? null;
+}
+
+function getRequestUserId() {
+    return requestContext.getStore()?.userId ?? null;
+}
+
+// Footer text with the current request ID, so users can quote it in support
+function footerWithRequestId(text, t = getTranslator()) {
+    const requestId = getRequestId();
+    return requestId ? t('embeds.requestFooter', { text, requestId }) : text;
+}
+
+// Plain replies (errors) have no footer, so the request ID goes in small print
+function withRequestIdNote(content, t = getTranslator()) {
+    const requestId = getRequestId();
+    return requestId ? t('embeds.requestIdNote', { content, requestId }) : content;
+}
+
+// --- Redaction ---
+
+const TOKEN_PATTERNS = [
+    /[\w-]{23,28}\.[\w-]{6,7}\.[\w-]{27,}/g, // Discord bot token
+    /\b(?:AKIA|ASIA)[A-Z0-9]{16}\b/g // AWS access key ID
+];
+const URL_QUERY_PATTERN = /(https?:\/\/[^\s"'?#]+)\?[^\s"'#]*/g;
+const SECRET_ENV_VARS = ['DISCORD_TOKEN', 'AWS_SECRET_ACCESS_KEY', 'AWS_SESSION_TOKEN', 'API_TOKEN'];
+
+function parseRedactOptions(value = 'tokens,urls') {
+    const options = value.split(',').map(option => option.trim().toLowerCase());
+    return { tokens: options.includes('tokens'), urls: options.includes('urls') };
+}
+
+function redact(text, options, env = process.env) {
+    let result = text;
+    if (options.tokens) {
+        for (const name of SECRET_ENV_VARS) {
+            const secret = env[name];
+            if (secret && secret.length >= 8) result = result.split(secret).join('[REDACTED]');
+        }
+        for (const pattern of TOKEN_PATTERNS) result = result.replace(pattern, '[REDACTED]');
+    }
+    if (options.urls) {
+        result = result.replace(URL_QUERY_PATTERN, '$1?[REDACTED]');
+    }
+    return result;
+}
+
+// --- Formatting ---
+
+// Stack traces are only worth their size on unexpected errors (or when debugging)
+function serializeError(error, includeStack = true) {
+    if (!(error instanceof Error)) return error;
+    const serialized = { name: error.name, message: error.message };
+    if (error.code) serialized.code = error.code;
+    if (error.$metadata?.requestId) serialized.awsRequestId = error.$metadata.requestId;
+    if (includeStack && error.stack) serialized.stack = error.stack;
+    return serialized;
+}
+
+function serializeFields(fields, includeStack) {
+    return Object.fromEntries(Object.entries(fields).map(([key, value]) => [key, serializeError(value, includeStack)]));
+}
+
+function formatText(entry) {
+    const { time, level, msg, requestId, ...fields } = entry;
+    const context = requestId ? ` [${requestId}]` : '';
+    const details = Object.entries(fields)
+        .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+        .join(' ');
+    return `${time} ${level.toUpperCase().padEnd(5)}${context} ${msg}${details ? ` ${details}` : ''}`;
+}
+
+// --- Logger ---
+
+class Logger {
+    constructor({
+        level = process.env.LOG_LEVEL || 'info',
+        format = process.env.LOG_FORMAT || 'json',
+        redact: redactOptions = parseRedactOptions(process.env.LOG_REDACT),
+        fields = {},
+        write = (line, level) => (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`),
+        now = () => new Date()
+    } = {}) {
+        this.level = LEVELS[level] ? level : 'info';
+        this.format = format;
+        this.redactOptions = redactOptions;
+        this.fields = fields;
+        this.write = write;
+        this.now = now;
+    }
+
+    // A logger that adds `fields` to every line
+    child(fields) {
+        return new Logger({
+            level: this.level,
+            format: this.format,
+            redact: this.redactOptions,
+            fields: { ...this.fields, ...fields },
+            write: this.write,
+            now: this.now
+        });
+    }
+
+    log(level, msg, fields = {}) {
+        if (LEVELS[level] < LEVELS[this.level]) return;
+
+        const entry = {
+            time: this.now().toISOString(),
+            level,
+            msg,
+            ...(getRequestId() ? { requestId: getRequestId() } : {}),
+            ...serializeFields({ ...this.fields, ...fields }, level === 'error' || this.level === 'debug')
+        };
+        const line = this.format === 'text' ? formatText(entry) : JSON.stringify(entry);
+        this.write(redact(line, this.redactOptions), level);
+    }
+
+    debug(msg, fields) { this.log('debug', msg, fields); }
+    info(msg, fields) { this.log('info', msg, fields); }
+    warn(msg, fields) { this.log('warn', msg, fields); }
+    error(msg, fields) { this.log('error', msg, fields); }
+}
+
+const logger = new Logger();
+
+module.exports = {
+    Logger,
+    logger,
+    createRequestId,
+    runWithRequestId,
+    getRequestId,
+    getRequestUserId,
+    footerWithRequestId,
+    withRequestIdNote,
+    _test: { parseRedactOptions, redact, serializeError }
+};
@@ -0,0 +1,111 @@
+/**
+ * File: messageImages.js
+ * Description: Images in Discord messages, and Discord message links as image inputs
+ *
+ * A message link (https://discord.com/channels/<guild>/<channel>/<message>)
+ * pasted as an image URL is resolved to the first image of that message:
+ * attachments first, then embed images. When the message itself has none but
+ * replies to another message, that message's images are used instead.
+ *
+ * Only messages of the current server can be used, and only when the
+ * requesting member may read them, so a link never reveals more than the
+ * member could open in Discord.
+ */
+
+const { PermissionFlagsBits } = require('discord.js');
+const { UserFacingError } = require('./errors');
+const {
+    MAX_DOWNLOAD_BYTES,
+    isValidUrl,
+    describeUrl,
+    imageSource,
+    processUploadedImage,
+    processImageUrl
+} = require('./imageInput');
+
+const MESSAGE_LINK_PATTERN = /^https:\/\/(?:(?:ptb|canary)\.)?discord(?:app)?\.com\/channels\/(\d+|@me)\/(\d+)\/(\d+)\/?$/;
+
+// Image attachments first, then embed images (link previews, bot embeds), de-duplicated by URL
+function collectMessageImages(message) {
+    const images = [];
+    const seen = new Set();
+
+    for (const attachment of message.attachments.values()) {
+        if (!attachment.contentType?.startsWith('image/') || attachment.size > MAX_DOWNLOAD_BYTES) continue;
+        if (seen.has(attachment.url)) continue;
+        seen.add(attachment.url);
+        images.push({ attachment });
+    }
+
+    for (const embed of message.embeds) {
+        const url = embed.image?.url ?? embed.thumbnail?.url;
+        if (!url || !isValidUrl(url) || seen.has(url)) continue;
+        seen.add(url);
+        images.push({ url });
+    }
+
+    return images;
+}
+
+// --- Message links ---
+
+function parseMessageLink(url) {
+    const match = typeof url === 'string' ? url.match(MESSAGE_LINK_PATTERN) : null;
+    return match ? { guildId: match[1], channelId: match[2], messageId: match[3] } : null;
+}
+
+async function fetchLinkedMessage(interaction, link) {
+    if (!interaction.guildId || link.guildId !== interaction.guildId) {
+        throw UserFacingError.fromCatalog('errors.otherServerLink');
+    }
+
+    const channel = await interaction.client.channels.fetch(link.channelId).catch(() => null);
+    const permissions = channel?.guildId === interaction.guildId ? channel.permissionsFor?.(interaction.user.id) : null;
+    if (!permissions?.has([PermissionFlagsBits.ViewChannel, PermissionFlagsBits.ReadMessageHistory])) {
+        throw UserFacingError.fromCatalog('errors.messageUnreadable');
+    }
+
+    const message = await channel.messages.fetch(link.messageId).catch(() => null);
+    if (!message) {
+        throw UserFacingError.fromCatalog('errors.messageNotFound');
+    }
+    return message;
+}
+
+/**
+ * Download the first image of a linked message (or of the message it replies
+ * to). Resolves like processImageUrl(), plus `authorId`, the member who posted
+ * the image.
+ */
+async function processMessageLink(interaction, url, tempDir, prefix, requestFiles) {
+    const message = await fetchLinkedMessage(interaction, parseMessageLink(url));
+
+    let source = message;
+    let images = collectMessageImages(message);
+    if (images.length === 0 && message.reference?.messageId) {
+        source = await message.fetchReference().catch(() => null);
+        images = source ? collectMessageImages(source) : [];
+    }
+    if (images.length === 0) {
+        throw UserFacingError.fromCatalog('errors.messageNoImages');
+    }
+
+    const [first] = images;
+    const image = first.attachment
+        ? await processUploadedImage(first.attachment, tempDir, prefix, requestFiles)
+        : await processImageUrl(first.url, tempDir, prefix, requestFiles);
+
+    const where = source === message ? 'linkedMessage' : 'repliedMessage';
+    const key = images.length > 1 ? `images.${where}First` : `images.${where}`;
+    return {
+        ...image,
+        ...imageSource(key, { count: images.length, link: describeUrl(url) }),
+        authorId: source.author?.id ?? null
+    };
+}
+
+module.exports = {
+    collectMessageImages,
+    parseMessageLink,
+    processMessageLink
+};
@@ -0,0 +1,208 @@
+/**
+ * File: metrics.js
+ * Description: Prometheus metrics for the bot
+ *
+ * A small in-process registry of counters, gauges and histograms, rendered in
+ * the Prometheus text exposition format by renderMetrics() (served on
+ * /metrics by lib/healthServer.js). Every metric the bot exports is defined
+ * at the bottom of this file so the full list lives in one place.
+ */
+
+const registry = [];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+// Series are keyed by their label values in labelNames order
+function seriesKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+}
+
+function labelsFromKey(labelNames, key) {
+    const values = JSON.parse(key);
+    return Object.fromEntries(labelNames.map((name, i) => [name, values[i]]));
+}
+
+class Counter {
+    constructor(name, help, labelNames = []) {
+        Object.assign(this, { name, help, labelNames, type: 'counter' });
+        this.values = new Map();
+    }
+
+    inc(labels = {}, amount = 1) {
+        const key = seriesKey(this.labelNames, labels);
+        this.values.set(key, (this.values.get(key) || 0) + amount);
+    }
+
+    get(labels = {}) {
+        return this.values.get(seriesKey(this.labelNames, labels)) || 0;
+    }
+
+    render() {
+        return [...this.values].map(([key, value]) =>
+            `${this.name}${formatLabels(labelsFromKey(this.labelNames, key))} ${value}`
+        );
+    }
+
+    reset() {
+        this.values.clear();
+    }
+}
+
+// Read when scraped: `collect()` returns the current value, or
+// [{ labels, value }] for a labelled gauge
+class Gauge {
+    constructor(name, help, collect) {
+        Object.assign(this, { name, help, collect, type: 'gauge' });
+    }
+
+    render() {
+        const value = this.collect();
+        const series = Array.isArray(value) ? value : [{ labels: {}, value }];
+        return series.map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+    }
+
+    reset() {}
+}
+
+class Histogram {
+    constructor(name, help, labelNames = [], buckets = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]) {
+        Object.assign(this, { name, help, labelNames, buckets, type: 'histogram' });
+        this.series = new Map();
+    }
+
+    observe(labels, value) {
+        const key = seriesKey(this.labelNames, labels);
+        if (!this.series.has(key)) {
+            this.series.set(key, { counts: this.buckets.map(() => 0), sum: 0, count: 0 });
+        }
+        const series = this.series.get(key);
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    // Observe how long `fn` takes, whether it resolves or throws
+    async time(labels, fn) {
+        const start = process.hrtime.bigint();
+        let outcome = 'success';
+        try {
+            return await fn();
+        } catch (error) {
+            outcome = 'error';
+            throw error;
+        } finally {
+            this.observe({ ...labels, outcome }, Number(process.hrtime.bigint() - start) / 1e9);
+        }
+    }
+
+    render() {
+        const lines = [];
+        for (const [key, series] of this.series) {
+            const labels = labelsFromKey(this.labelNames, key);
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${series.counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${series.count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${series.sum}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${series.count}`);
+        }
+        return lines;
+    }
+
+    reset() {
+        this.series.clear();
+    }
+}
+
+function register(metric) {
+    registry.push(metric);
+    return metric;
+}
+
+function renderMetrics() {
+    return registry.map(metric => [
+        `# HELP ${metric.name} ${metric.help}`,
+        `# TYPE ${metric.name} ${metric.type}`,
+        ...metric.render()
+    ].join('\n')).join('\n') + '\n';
+}
+
+// Clear recorded values (tests)
+function resetMetrics() {
+    registry.forEach(metric => metric.reset());
+}
+
+// --- Bot metrics ---
+
+const startTimeSeconds = Math.floor(Date.now() / 1000);
+
+const commandsTotal = register(new Counter(
+    'discord_bot_commands_total', 'Commands executed, by command and subcommand', ['command', 'subcommand']
+));
+const analysisFeaturesTotal = register(new Counter(
+    'discord_bot_analysis_features_total', 'Analysis features requested, by feature', ['feature']
+));
+const rekognitionDuration = register(new Histogram(
+    'discord_bot_rekognition_request_duration_seconds',
+    'Latency of vision backend calls, by operation and outcome',
+    ['operation', 'outcome']
+));
+const errorsTotal = register(new Counter(
+    'discord_bot_errors_total', 'Errors, by error name', ['name']
+));
+const cooldownRejectionsTotal = register(new Counter(
+    'discord_bot_cooldown_rejections_total', 'Requests rejected because the user was cooling down'
+));
+const downloadedBytesTotal = register(new Counter(
+    'discord_bot_image_download_bytes_total', 'Bytes downloaded for images, by source (upload, url, or page: HTML pages followed to their preview image)', ['source']
+));
+const resultCacheLookupsTotal = register(new Counter(
+    'discord_bot_result_cache_lookups_total', 'Result cache lookups, by feature and result (hit or miss)', ['feature', 'result']
+));
+const apiRequestsTotal = register(new Counter(
+    'discord_bot_api_requests_total', 'HTTP API requests, by route and status code', ['route', 'status']
+));
+
+// Set by index.js, which owns the job queue's lifecycle
+let queueStats = () => ({ running: 0, waiting: 0 });
+
+function setQueueStatsProvider(provider) {
+    queueStats = provider;
+}
+
+register(new Gauge('discord_bot_active_requests', 'Requests currently being processed', () => queueStats().running));
+register(new Gauge('discord_bot_queued_requests', 'Requests waiting in the job queue', () => queueStats().waiting));
+register(new Gauge('process_resident_memory_bytes', 'Resident memory size in bytes', () => process.memoryUsage().rss));
+register(new Gauge('process_start_time_seconds', 'Start time of the process since the Unix epoch', () => startTimeSeconds));
+
+function recordError(error) {
+    errorsTotal.inc({ name: error?.name || 'Error' });
+}
+
+module.exports = {
+    Counter,
+    Gauge,
+    Histogram,
+    renderMetrics,
+    resetMetrics,
+    setQueueStatsProvider,
+    recordError,
+    commandsTotal,
+    analysisFeaturesTotal,
+    rekognitionDuration,
+    cooldownRejectionsTotal,
+    downloadedBytesTotal,
+    resultCacheLookupsTotal,
+    apiRequestsTotal,
+    errorsTotal
+};
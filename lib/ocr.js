@@ -0,0 +1,292 @@
+/**
+ * File: ocr.js
+ * Description: Full-text extraction for /rekognition ocr
+ *
+ * DetectText returns LINE and WORD detections with their geometry. The text
+ * is rendered in one of three modes:
+ *
+ * - lines:       one detected line per row, in the order Rekognition returns them
+ * - words:       one word per row (the .txt file adds confidence and bounding box)
+ * - paragraphs:  lines regrouped into reading order from their geometry. Lines
+ *                that overlap horizontally form a column, columns are read left
+ *                to right, and a vertical gap larger than the line height
+ *                starts a new paragraph
+ *
+ * Filters (minimum word confidence and height, region of interest) are sent
+ * to Rekognition as DetectText Filters. Rekognition detects at most 100 words
+ * per image, so long text is reported as possibly incomplete.
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const { getVisionBackend } = require('./visionBackends');
+const { getResultCache, hashImage } = require('./resultCache');
+const { escapeMarkdown, truncateText } = require('./analysis');
+const { footerWithRequestId } = require('./logger');
+const { getTranslator } = require('./i18n');
+
+const OCR_MODES = ['lines', 'words', 'paragraphs'];
+const MAX_WORDS = 100; // DetectText limit per image
+const PAGE_LENGTH = 3500; // Embed descriptions are limited to 4096 characters
+const SOURCE_LENGTH = 500; // Even fully escaped, within the 1024-character field limit
+const PARAGRAPH_GAP_RATIO = 0.75;
+
+// --- Options ---
+
+/**
+ * Parse a region of interest given as "left,top,width,height" in percent of
+ * the image. Returns a Rekognition BoundingBox (ratios), or null if invalid.
+ */
+function parseRegion(value) {
+    const parts = String(value).split(',').map(part => part.trim());
+    if (parts.length !== 4 || parts.some(part => !/^\d+(\.\d+)?$/.test(part))) return null;
+
+    const [left, top, width, height] = parts.map(Number);
+    if (width <= 0 || height <= 0 || left + width > 100 || top + height > 100) return null;
+    return { Left: left / 100, Top: top / 100, Width: width / 100, Height: height / 100 };
+}
+
+// Minimum word height is given in percent of the image height
+function buildTextFilters({ minConfidence = null, minWordHeight = null, region = null } = {}) {
+    const filters = {};
+    const wordFilter = {};
+    if (minConfidence !== null) wordFilter.MinConfidence = minConfidence;
+    if (minWordHeight !== null) wordFilter.MinBoundingBoxHeight = minWordHeight / 100;
+    if (Object.keys(wordFilter).length > 0) filters.WordFilter = wordFilter;
+    if (region) filters.RegionsOfInterest = [{ BoundingBox: region }];
+    return filters;
+}
+
+// --- Detection ---
+
+/**
+ * Run DetectText through the selected vision backend (and the result
+ * cache). Resolves to { response, cached }.
+ */
+async function detectOcrText(imageBuffer, filters = {}) {
+    const backend = getVisionBackend();
+    const run = () => backend.detectText(imageBuffer, { filters });
+
+    const cache = getResultCache();
+    if (!cache) return { response: await run(), cached: false };
+
+    const { value, cached } = await cache.getOrCompute(
+        hashImage(imageBuffer), 'ocr', { filters, backend: backend.name }, run
+    );
+    return { response: value, cached };
+}
+
+// --- Text reconstruction ---
+
+function joinLines(previous, next) {
+    // Re-join words hyphenated across a line break
+    if (/[a-z]-$/i.test(previous) && /^[a-z]/.test(next)) return previous.slice(0, -1) + next;
+    return `${previous} ${next}`;
+}
+
+function buildParagraphs(lines) {
+    const placed = lines
+        .filter(line => line.Geometry?.BoundingBox)
+        .map(line => ({ text: line.DetectedText, box: line.Geometry.BoundingBox }))
+        .sort((a, b) => a.box.Left - b.box.Left);
+
+    const columns = [];
+    for (const line of placed) {
+        const right = line.box.Left + line.box.Width;
+        const column = columns.find(candidate =>
+            Math.min(candidate.right, right) - Math.max(candidate.left, line.box.Left) > 0
+        );
+        if (column) {
+            column.lines.push(line);
+            column.left = Math.min(column.left, line.box.Left);
+            column.right = Math.max(column.right, right);
+        } else {
+            columns.push({ left: line.box.Left, right, lines: [line] });
+        }
+    }
+
+    const paragraphs = [];
+    for (const column of columns.sort((a, b) => a.left - b.left)) {
+        const sorted = column.lines.sort((a, b) => a.box.Top - b.box.Top);
+        let current = null;
+        let previous = null;
+
+        for (const line of sorted) {
+            const gap = previous ? line.box.Top - (previous.box.Top + previous.box.Height) : 0;
+            const lineHeight = previous ? (previous.box.Height + line.box.Height) / 2 : 0;
+
+            if (!current || gap > lineHeight * PARAGRAPH_GAP_RATIO) {
+                current = line.text;
+                paragraphs.push(current);
+            } else {
+                current = joinLines(current, line.text);
+                paragraphs[paragraphs.length - 1] = current;
+            }
+            previous = line;
+        }
+    }
+    return paragraphs;
+}
+
+/**
+ * Render a DetectText response in `mode`. Resolves to { mode, text, lines,
+ * words, averageConfidence, mayBeIncomplete }.
+ */
+function extractText(response, mode = 'lines') {
+    const detections = response.TextDetections || [];
+    const lines = detections.filter(detection => detection.Type === 'LINE');
+    const words = detections.filter(detection => detection.Type === 'WORD');
+
+    let text;
+    if (mode === 'words') {
+        text = words.map(word => word.DetectedText).join('\n');
+    } else if (mode === 'paragraphs') {
+        text = buildParagraphs(lines).join('\n\n');
+    } else {
+        text = lines.map(line => line.DetectedText).join('\n');
+    }
+
+    const scored = words.length > 0 ? words : lines;
+    const averageConfidence = scored.length > 0
+        ? scored.reduce((sum, detection) => sum + detection.Confidence, 0) / scored.length
+        : null;
+
+    return {
+        mode,
+        text,
+        lines,
+        words,
+        averageConfidence,
+        mayBeIncomplete: words.length >= MAX_WORDS
+    };
+}
+
+// Contents of the .txt attachment; words mode adds each word's confidence and geometry
+function createTextFile(ocr) {
+    if (ocr.mode !== 'words') return `${ocr.text}\n`;
+
+    const rows = ocr.words.map(word => {
+        const box = word.Geometry?.BoundingBox || {};
+        return [
+            word.DetectedText,
+            word.Confidence.toFixed(1),
+            ...['Left', 'Top', 'Width', 'Height'].map(key => (box[key] ?? 0).toFixed(4))
+        ].join('\t');
+    });
+    return ['text\tconfidence\tleft\ttop\twidth\theight', ...rows].join('\n') + '\n';
+}
+
+// --- Embed ---
+
+// Split on line breaks into pages of at most `maxLength` characters
+function paginateText(text, maxLength = PAGE_LENGTH) {
+    const pages = [];
+    let page = '';
+
+    for (const line of text.split('\n')) {
+        const chunks = line.match(new RegExp(`[\\s\\S]{1,${maxLength}}`, 'g')) || [''];
+        for (const chunk of chunks) {
+            if (page && page.length + 1 + chunk.length > maxLength) {
+                pages.push(page);
+                page = chunk;
+            } else {
+                page = page ? `${page}\n${chunk}` : chunk;
+            }
+        }
+    }
+    if (page.trim()) pages.push(page);
+    return pages;
+}
+
+// Text is shown in a code block, which must not be closed early. Escaping
+// adds characters, so it is done before the text is split into pages
+function escapeFences(text) {
+    return text.replace(/```/g, '`​``');
+}
+
+function codeBlock(text) {
+    return '```\n' + text + '\n```';
+}
+
+function describeFilters(filters, t) {
+    const parts = [];
+    if (filters.WordFilter?.MinConfidence !== undefined) {
+        parts.push(t('ocr.filterConfidence', { confidence: filters.WordFilter.MinConfidence }));
+    }
+    if (filters.WordFilter?.MinBoundingBoxHeight !== undefined) {
+        parts.push(t('ocr.filterWordHeight', { height: +(filters.WordFilter.MinBoundingBoxHeight * 100).toFixed(2) }));
+    }
+    const region = filters.RegionsOfInterest?.[0]?.BoundingBox;
+    if (region) {
+        const percent = value => +(value * 100).toFixed(2);
+        parts.push(t('ocr.filterRegion', {
+            region: `${percent(region.Left)},${percent(region.Top)},${percent(region.Width)},${percent(region.Height)}`
+        }));
+    }
+    return parts.join(', ') || t('ocr.noFilters');
+}
+
+/**
+ * One embed per page of text. The first page shows the (annotated) image.
+ * The description holds only the page, and the image source is a field, so
+ * each embed stays within Discord's description and total size limits.
+ * `t` picks the language of everything but the text itself.
+ */
+function createOcrEmbeds(ocr, filters, sourceDescription, imageAttachment, annotatedAttachment = null, cached = false, t = getTranslator()) {
+    const pages = paginateText(escapeFences(ocr.text));
+    const total = Math.max(pages.length, 1);
+
+    const stats = [
+        { name: t('ocr.image'), value: escapeMarkdown(truncateText(sourceDescription, SOURCE_LENGTH)), inline: false },
+        { name: t('ocr.mode'), value: t(`ocr.modes.${ocr.mode}`), inline: true },
+        { name: t('ocr.detected'), value: t('ocr.counts', { lines: ocr.lines.length, words: ocr.words.length }), inline: true },
+        {
+            name: t('ocr.averageConfidence'),
+            value: ocr.averageConfidence === null ? '—' : `${ocr.averageConfidence.toFixed(1)}%`,
+            inline: true
+        },
+        { name: t('ocr.filters'), value: describeFilters(filters, t), inline: false }
+    ];
+    if (ocr.mayBeIncomplete) {
+        stats.push({
+            name: t('ocr.incomplete'),
+            value: t('ocr.incompleteDetails', { max: MAX_WORDS }),
+            inline: false
+        });
+    }
+
+    return (pages.length > 0 ? pages : [null]).map((page, i) => {
+        const embed = new EmbedBuilder()
+            .setTitle(t('ocr.title'))
+            .setDescription(page === null ? t('ocr.noText') : codeBlock(page))
+            .setColor(0xFF9900)
+            .setTimestamp()
+            .setFooter({
+                text: footerWithRequestId(
+                    `${total > 1 ? `${t('embeds.page', { number: i + 1, total })} • ` : ''}` +
+                    `Powered by AWS Rekognition${cached ? ` • ${t('embeds.cached')}` : ''}`,
+                    t
+                )
+            })
+            .addFields(stats);
+
+        if (i === 0 && annotatedAttachment) {
+            embed.setImage(`attachment://${annotatedAttachment.name}`);
+        } else if (i === 0 && imageAttachment) {
+            embed.setThumbnail(`attachment://${imageAttachment.name}`);
+        }
+        return embed;
+    });
+}
+
+module.exports = {
+    OCR_MODES,
+    MAX_WORDS,
+    parseRegion,
+    buildTextFilters,
+    detectOcrText,
+    buildParagraphs,
+    extractText,
+    createTextFile,
+    paginateText,
+    createOcrEmbeds
+};
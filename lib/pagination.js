@@ -0,0 +1,83 @@
+/**
+ * File: pagination.js
+ * Description: Multi-page embed replies with Previous/Next buttons
+ *
+ * The buttons are handled by a collector on the reply itself, so no global
+ * component handler is needed. Only the user who ran the command can turn
+ * pages; the buttons are removed once nobody has used them for a while, and
+ * always before the interaction token expires.
+ */
+
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, ComponentType } = require('discord.js');
+const { logger } = require('./logger');
+const { getTranslator } = require('./i18n');
+
+const PAGE_IDLE_MS = 5 * 60 * 1000;
+const PAGE_MAX_MS = 14 * 60 * 1000; // Interaction tokens expire after 15 minutes
+
+function pageButtons(index, total, t) {
+    return new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId('page:prev')
+            .setLabel(t('pages.previous'))
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(index === 0),
+        new ButtonBuilder()
+            .setCustomId('page:indicator')
+            .setLabel(`${index + 1} / ${total}`)
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(true),
+        new ButtonBuilder()
+            .setCustomId('page:next')
+            .setLabel(t('pages.next'))
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(index === total - 1)
+    );
+}
+
+/**
+ * Edit the deferred reply to show `pages` (EmbedBuilders) one at a time.
+ * `reply` holds the rest of the message (content, files); `t` labels the buttons.
+ */
+async function replyWithPages(interaction, pages, reply = {}, { idleMs = PAGE_IDLE_MS, maxMs = PAGE_MAX_MS, t = getTranslator() } = {}) {
+    if (pages.length <= 1) {
+        return await interaction.editReply({ ...reply, embeds: pages });
+    }
+
+    let index = 0;
+    const message = await interaction.editReply({
+        ...reply,
+        embeds: [pages[0]],
+        components: [pageButtons(0, pages.length, t)]
+    });
+
+    const collector = message.createMessageComponentCollector({
+        componentType: ComponentType.Button,
+        idle: idleMs,
+        time: maxMs
+    });
+
+    collector.on('collect', async button => {
+        try {
+            if (button.user.id !== interaction.user.id) {
+                await button.reply({ content: t('pages.notYours'), ephemeral: true });
+                return;
+            }
+            if (button.customId === 'page:prev') index = Math.max(0, index - 1);
+            if (button.customId === 'page:next') index = Math.min(pages.length - 1, index + 1);
+            await button.update({ embeds: [pages[index]], components: [pageButtons(index, pages.length, t)] });
+        } catch (error) {
+            logger.warn('Page update failed', { error });
+        }
+    });
+
+    collector.on('end', () => {
+        interaction.editReply({ components: [] }).catch(error => {
+            logger.debug('Could not remove page buttons', { error });
+        });
+    });
+
+    return message;
+}
+
+module.exports = { replyWithPages };
@@ -0,0 +1,174 @@
+/**
+ * File: ppe.js
+ * Description: Personal protective equipment (PPE) compliance checks
+ *
+ * DetectProtectiveEquipment reports, per person, the body parts it found and
+ * the equipment detected on each. Compliance is evaluated here rather than
+ * taken from the AWS Summary so every vision backend is judged the same way:
+ *
+ * - present:  every detected body part the equipment belongs on is covered
+ * - missing:  at least one detected body part is uncovered
+ * - unknown:  none of those body parts were detected (e.g. hands out of frame)
+ *
+ * A person is compliant when all required equipment is present, non-compliant
+ * when any is missing, and indeterminate otherwise.
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const { getVisionBackend } = require('./visionBackends');
+const { getResultCache, hashImage } = require('./resultCache');
+const { escapeMarkdown } = require('./analysis');
+const { footerWithRequestId } = require('./logger');
+const { getTranslator } = require('./i18n');
+
+const EQUIPMENT_TYPES = ['FACE_COVER', 'HAND_COVER', 'HEAD_COVER'];
+const DEFAULT_MIN_CONFIDENCE = 80;
+const MAX_PERSONS_SHOWN = 15;
+
+const EQUIPMENT_BODY_PARTS = {
+    FACE_COVER: ['FACE'],
+    HAND_COVER: ['LEFT_HAND', 'RIGHT_HAND'],
+    HEAD_COVER: ['HEAD']
+};
+
+const STATUS_ICONS = { present: '✅', missing: '❌', unknown: '❔' };
+
+// --- Evaluation ---
+
+function isCovered(bodyPart, equipmentType, minConfidence) {
+    return (bodyPart.EquipmentDetections || []).some(equipment =>
+        equipment.Type === equipmentType &&
+        equipment.Confidence >= minConfidence &&
+        equipment.CoversBodyPart?.Value === true
+    );
+}
+
+function equipmentStatus(person, equipmentType, minConfidence) {
+    const bodyParts = (person.BodyParts || []).filter(part =>
+        EQUIPMENT_BODY_PARTS[equipmentType].includes(part.Name) && part.Confidence >= minConfidence
+    );
+    if (bodyParts.length === 0) return 'unknown';
+    return bodyParts.every(part => isCovered(part, equipmentType, minConfidence)) ? 'present' : 'missing';
+}
+
+function evaluatePerson(person, requiredTypes, minConfidence = DEFAULT_MIN_CONFIDENCE) {
+    const equipment = Object.fromEntries(
+        EQUIPMENT_TYPES.map(type => [type, equipmentStatus(person, type, minConfidence)])
+    );
+    const required = requiredTypes.map(type => equipment[type]);
+
+    let compliance = 'indeterminate';
+    if (required.includes('missing')) {
+        compliance = 'non-compliant';
+    } else if (required.every(status => status === 'present')) {
+        compliance = 'compliant';
+    }
+
+    return { id: person.Id, boundingBox: person.BoundingBox, equipment, compliance };
+}
+
+function evaluateCompliance(response, requiredTypes, minConfidence = DEFAULT_MIN_CONFIDENCE) {
+    const persons = (response.Persons || []).map(person => evaluatePerson(person, requiredTypes, minConfidence));
+    const count = compliance => persons.filter(person => person.compliance === compliance).length;
+    return {
+        requiredTypes,
+        minConfidence,
+        persons,
+        summary: {
+            compliant: count('compliant'),
+            nonCompliant: count('non-compliant'),
+            indeterminate: count('indeterminate')
+        }
+    };
+}
+
+// --- Detection ---
+
+/**
+ * Run DetectProtectiveEquipment through the selected vision backend (and the
+ * result cache). Resolves to { response, cached }.
+ */
+async function detectPpe(imageBuffer, requiredTypes, minConfidence = DEFAULT_MIN_CONFIDENCE) {
+    const backend = getVisionBackend();
+    const params = { requiredEquipmentTypes: requiredTypes, minConfidence };
+    const run = () => backend.detectProtectiveEquipment(imageBuffer, params);
+
+    const cache = getResultCache();
+    if (!cache) return { response: await run(), cached: false };
+
+    const { value, cached } = await cache.getOrCompute(
+        hashImage(imageBuffer), 'ppe', { ...params, backend: backend.name }, run
+    );
+    return { response: value, cached };
+}
+
+// --- Embed ---
+
+// `t` picks the language of the embed
+function createPpeEmbed(evaluation, sourceDescription, imageAttachment, annotatedAttachment = null, cached = false, t = getTranslator()) {
+    const { persons, summary, requiredTypes, minConfidence } = evaluation;
+    const color = summary.nonCompliant > 0 ? 0xED4245 : summary.indeterminate > 0 ? 0xFEE75C : 0x57F287;
+    const equipmentName = type => t(`ppe.equipment.${type}`);
+
+    const embed = new EmbedBuilder()
+        .setTitle(t('ppe.title'))
+        .setDescription(
+            `${t('embeds.image', { image: escapeMarkdown(sourceDescription) })}\n` +
+            t('ppe.required', { equipment: requiredTypes.map(equipmentName).join(', '), confidence: minConfidence })
+        )
+        .setColor(color)
+        .setTimestamp()
+        .setFooter({ text: footerWithRequestId(`Powered by AWS Rekognition${cached ? ` • ${t('embeds.cached')}` : ''}`, t) });
+
+    if (annotatedAttachment) {
+        embed.setImage(`attachment://${annotatedAttachment.name}`);
+    } else if (imageAttachment) {
+        embed.setThumbnail(`attachment://${imageAttachment.name}`);
+    }
+
+    if (persons.length === 0) {
+        embed.addFields({ name: t('ppe.persons'), value: t('ppe.noPersons'), inline: false });
+        return embed;
+    }
+
+    embed.addFields(
+        { name: t('ppe.compliant'), value: String(summary.compliant), inline: true },
+        { name: t('ppe.nonCompliant'), value: String(summary.nonCompliant), inline: true },
+        { name: t('ppe.indeterminate'), value: String(summary.indeterminate), inline: true }
+    );
+
+    persons.slice(0, MAX_PERSONS_SHOWN).forEach((person, i) => {
+        embed.addFields({
+            name: `${complianceIcon(person.compliance)} ${t('ppe.person', { number: i + 1, compliance: t(`ppe.status.${person.compliance}`) })}`,
+            value: EQUIPMENT_TYPES
+                .map(type => `${STATUS_ICONS[person.equipment[type]]} ${equipmentName(type)}`)
+                .join(' | '),
+            inline: false
+        });
+    });
+
+    if (persons.length > MAX_PERSONS_SHOWN) {
+        embed.addFields({
+            name: '…',
+            value: t('ppe.morePersons', { count: persons.length - MAX_PERSONS_SHOWN }),
+            inline: false
+        });
+    }
+
+    return embed;
+}
+
+function complianceIcon(compliance) {
+    if (compliance === 'compliant') return '✅';
+    if (compliance === 'non-compliant') return '❌';
+    return '❔';
+}
+
+module.exports = {
+    EQUIPMENT_TYPES,
+    DEFAULT_MIN_CONFIDENCE,
+    evaluatePerson,
+    evaluateCompliance,
+    detectPpe,
+    createPpeEmbed
+};
@@ -0,0 +1,166 @@
+/**
+ * File: privacy.js
+ * Description: Biometric consent registry and deletion of a user's stored data
+ *
+ * Members can opt out of face processing with /rekognition privacy optout.
+ * The opt-out is global rather than per server, since it is about the person
+ * and not about a community. While opted out:
+ *
+ * - images they submit are refused for face analysis, celebrity recognition,
+ *   face comparison (compare, cluster, anonymize with a face to keep) and the
+ *   face collection (index, search)
+ * - their Discord avatar (cdn.discordapp.com/avatars/<user ID>/...) is refused
+ *   for the same processing, whoever submits it
+ * - images they posted are refused for it too when given as a message link
+ * - their face cannot be added to a face collection with `member:`
+ *
+ * /rekognition privacy forget deletes what the bot stores about a user:
+ * cached results of the images they submitted, faces indexed for them (with
+ * `member:` set to them, or by them without `member:`) and faces labelled with
+ * their user ID. The bot keeps no request history, so there is nothing else to
+ * remove. Access rules are server settings and stay as administrators set
+ * them. An opt-out outlives forget: the record of the choice is what keeps it
+ * honoured.
+ */
+
+const { JsonStore } = require('./jsonStore');
+const { getResultCache } = require('./resultCache');
+const { getCollectionBackend, collectionIdForGuild } = require('./faceCollections');
+const { logger } = require('./logger');
+
+// Analysis features that process faces as biometric data
+const FACE_FEATURES = ['faces', 'celebrities'];
+
+// Global and per-server avatars on the Discord CDN carry the owner's user ID
+const AVATAR_URL_PATTERN = /^https:\/\/(?:cdn\.discordapp\.com|media\.discordapp\.net)\/(?:avatars\/(\d+)\/|guilds\/\d+\/users\/(\d+)\/avatars\/)/;
+
+// --- Consent registry ---
+
+let consentStore = null;
+
+function getConsentStore() {
+    if (!consentStore) consentStore = new JsonStore('consent.json');
+    return consentStore;
+}
+
+function setConsentStore(store) {
+    consentStore = store;
+}
+
+// Stored per user: { optedOutAt: ISO date | null, faces: [{ guildId, faceId }] }
+function getRecord(userId) {
+    return { optedOutAt: null, faces: [], ...getConsentStore().get(userId) };
+}
+
+async function saveRecord(userId, record) {
+    if (!record.optedOutAt && record.faces.length === 0) {
+        await getConsentStore().delete(userId);
+        return record;
+    }
+    return await getConsentStore().set(userId, record);
+}
+
+function isOptedOut(userId) {
+    return Boolean(userId && getRecord(userId).optedOutAt);
+}
+
+async function setOptedOut(userId, optedOut, now = new Date()) {
+    const record = getRecord(userId);
+    const optedOutAt = optedOut ? (record.optedOutAt ?? now.toISOString()) : null;
+    return await saveRecord(userId, { ...record, optedOutAt });
+}
+
+function getPrivacyStatus(userId) {
+    const record = getRecord(userId);
+    return { optedOut: Boolean(record.optedOutAt), optedOutAt: record.optedOutAt, indexedFaces: record.faces.length };
+}
+
+// Remember that `faceId` in the collection of `guildId` shows `userId`, for forget
+async function recordIndexedFace(userId, guildId, faceId) {
+    const record = getRecord(userId);
+    return await saveRecord(userId, { ...record, faces: [...record.faces, { guildId, faceId }] });
+}
+
+// --- Image sources ---
+
+function avatarOwnerId(url) {
+    const match = typeof url === 'string' ? url.match(AVATAR_URL_PATTERN) : null;
+    return match ? (match[1] ?? match[2]) : null;
+}
+
+/**
+ * Why face processing of these images must be refused, or null when it may go
+ * ahead: 'self' when the requester opted out, 'avatar' when one of `urls` is
+ * the avatar of a member who did.
+ */
+function findFaceProcessingRefusal(requesterId, urls = []) {
+    if (isOptedOut(requesterId)) return 'self';
+    if (urls.some(url => isOptedOut(avatarOwnerId(url)))) return 'avatar';
+    return null;
+}
+
+// --- Forget ---
+
+// Faces labelled with the user's ID in the collections of `guildIds`
+async function findLabelledFaces(userId, guildIds, backend) {
+    const faces = [];
+    for (const guildId of guildIds) {
+        try {
+            for (const face of await backend.listFaces(collectionIdForGuild(guildId))) {
+                if (face.label === userId) faces.push({ guildId, faceId: face.faceId });
+            }
+        } catch (error) {
+            // This server never created a collection
+            if (error.name !== 'ResourceNotFoundException') throw error;
+        }
+    }
+    return faces;
+}
+
+async function deleteIndexedFaces(faces, backend) {
+    const byGuild = new Map();
+    for (const { guildId, faceId } of faces) {
+        byGuild.set(guildId, (byGuild.get(guildId) ?? new Set()).add(faceId));
+    }
+
+    let deleted = 0;
+    for (const [guildId, faceIds] of byGuild) {
+        try {
+            deleted += (await backend.deleteFaces(collectionIdForGuild(guildId), [...faceIds])).length;
+        } catch (error) {
+            // The collection was deleted along with the faces in it
+            if (error.name !== 'ResourceNotFoundException') throw error;
+        }
+    }
+    return deleted;
+}
+
+/**
+ * Delete everything stored about `userId` (see the file header). Faces
+ * labelled with the user's ID are looked up in the collections of `guildIds`,
+ * the servers the bot is in. Resolves to the number of items removed per
+ * kind: { cachedResults, indexedFaces }.
+ */
+async function forgetUser(userId, { guildIds = [], cache = getResultCache(), collections = getCollectionBackend() } = {}) {
+    const record = getRecord(userId);
+
+    const labelled = await findLabelledFaces(userId, guildIds, collections);
+    const indexedFaces = await deleteIndexedFaces([...record.faces, ...labelled], collections);
+    const cachedResults = cache ? await cache.forgetUser(userId) : 0;
+    await saveRecord(userId, { ...record, faces: [] });
+
+    logger.info('Forgot user data', { cachedResults, indexedFaces });
+    return { cachedResults, indexedFaces };
+}
+
+module.exports = {
+    FACE_FEATURES,
+    setConsentStore,
+    isOptedOut,
+    setOptedOut,
+    getPrivacyStatus,
+    recordIndexedFace,
+    avatarOwnerId,
+    findFaceProcessingRefusal,
+    forgetUser
+};
@@ -0,0 +1,117 @@
+/**
+ * File: rekognitionApi.js
+ * Description: Shared AWS Rekognition client and thin API wrappers
+ *
+ * The client is created lazily on first use and relies on the default AWS
+ * credential provider chain (environment variables, shared config, IAM role).
+ */
+
+const {
+    RekognitionClient,
+    DetectLabelsCommand,
+    DetectTextCommand,
+    DetectFacesCommand,
+    DetectModerationLabelsCommand,
+    RecognizeCelebritiesCommand,
+    GetCelebrityInfoCommand,
+    CompareFacesCommand,
+    DetectProtectiveEquipmentCommand
+} = require('@aws-sdk/client-rekognition');
+
+// Lazy-initialized AWS Rekognition client (uses default credential provider chain).
+// SDK retries are off: retries and backoff are handled by lib/resilience.js.
+let rekognitionClient = null;
+
+function getRekognitionClient() {
+    if (!rekognitionClient) {
+        rekognitionClient = new RekognitionClient({
+            region: process.env.AWS_REGION || 'us-east-1',
+            maxAttempts: 1,
+        });
+    }
+    return rekognitionClient;
+}
+
+// `filters` is passed through as the GeneralLabels settings (label and
+// category inclusion/exclusion filters; see lib/labels.js). `imageProperties`
+// also requests dominant colors and quality scores
+async function detectLabels(imageBuffer, { maxLabels = 50, minConfidence = 70, filters, imageProperties = false } = {}) {
+    const command = new DetectLabelsCommand({
+        Image: { Bytes: imageBuffer },
+        MaxLabels: maxLabels,
+        MinConfidence: minConfidence,
+        Features: imageProperties ? ['GENERAL_LABELS', 'IMAGE_PROPERTIES'] : ['GENERAL_LABELS'],
+        ...(filters && Object.keys(filters).length > 0 ? { Settings: { GeneralLabels: filters } } : {})
+    });
+    return await getRekognitionClient().send(command);
+}
+
+// `filters` is passed through as the DetectText Filters parameter
+// (WordFilter, RegionsOfInterest); see lib/ocr.js
+async function detectText(imageBuffer, { filters } = {}) {
+    const command = new DetectTextCommand({
+        Image: { Bytes: imageBuffer },
+        ...(filters && Object.keys(filters).length > 0 ? { Filters: filters } : {})
+    });
+    return await getRekognitionClient().send(command);
+}
+
+async function detectFaces(imageBuffer) {
+    const command = new DetectFacesCommand({
+        Image: { Bytes: imageBuffer },
+        Attributes: ['ALL']
+    });
+    return await getRekognitionClient().send(command);
+}
+
+async function detectModerationLabels(imageBuffer, { minConfidence = 50 } = {}) {
+    const command = new DetectModerationLabelsCommand({
+        Image: { Bytes: imageBuffer },
+        MinConfidence: minConfidence
+    });
+    return await getRekognitionClient().send(command);
+}
+
+async function recognizeCelebrities(imageBuffer) {
+    const command = new RecognizeCelebritiesCommand({
+        Image: { Bytes: imageBuffer }
+    });
+    return await getRekognitionClient().send(command);
+}
+
+async function getCelebrityInfo(celebrityId) {
+    const command = new GetCelebrityInfoCommand({ Id: celebrityId });
+    return await getRekognitionClient().send(command);
+}
+
+async function compareFaces(sourceBuffer, targetBuffer, threshold) {
+    const command = new CompareFacesCommand({
+        SourceImage: { Bytes: sourceBuffer },
+        TargetImage: { Bytes: targetBuffer },
+        SimilarityThreshold: threshold
+    });
+    return await getRekognitionClient().send(command);
+}
+
+async function detectProtectiveEquipment(imageBuffer, { requiredEquipmentTypes, minConfidence = 80 } = {}) {
+    const command = new DetectProtectiveEquipmentCommand({
+        Image: { Bytes: imageBuffer },
+        SummarizationAttributes: {
+            MinConfidence: minConfidence,
+            RequiredEquipmentTypes: requiredEquipmentTypes
+        }
+    });
+    return await getRekognitionClient().send(command);
+}
+
+module.exports = {
+    getRekognitionClient,
+    detectLabels,
+    detectText,
+    detectFaces,
+    detectModerationLabels,
+    recognizeCelebrities,
+    getCelebrityInfo,
+    compareFaces,
+    detectProtectiveEquipment
+};
@@ -0,0 +1,42 @@
+/**
+ * File: requestLimits.js
+ * Description: Per-user cooldowns and the global concurrency limit
+ *
+ * Shared by every command that calls Rekognition so a user cannot sidestep
+ * the cooldown by switching between commands. The concurrency limit is
+ * enforced by the job queue (lib/jobQueue.js).
+ */
+
+const { SETTINGS } = require('./guildConfig');
+const { cooldownRejectionsTotal } = require('./metrics');
+
+// Cooldown length is a guild setting; entries older than the maximum are always stale
+const cooldowns = new Map();
+const MAX_COOLDOWN_MS = SETTINGS.cooldownSeconds.max * 1000;
+const MAX_CONCURRENT_REQUESTS = 10; // Global concurrency limit
+
+/**
+ * Record a use by `userId` unless they are still cooling down.
+ * Returns the seconds left to wait, or 0 when the use is allowed.
+ */
+function checkCooldown(userId, cooldownMs, now = Date.now()) {
+    const lastUse = cooldowns.get(userId);
+    if (lastUse && now - lastUse < cooldownMs) {
+        cooldownRejectionsTotal.inc();
+        return Math.ceil((cooldownMs - (now - lastUse)) / 1000);
+    }
+    cooldowns.set(userId, now);
+
+    // Prune stale cooldown entries periodically
+    if (cooldowns.size > 100) {
+        for (const [key, time] of cooldowns) {
+            if (now - time > MAX_COOLDOWN_MS) cooldowns.delete(key);
+        }
+    }
+    return 0;
+}
+
+module.exports = {
+    MAX_CONCURRENT_REQUESTS,
+    checkCooldown
+};
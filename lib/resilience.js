@@ -0,0 +1,140 @@
+/**
+ * File: resilience.js
+ * Description: Retry with jittered exponential backoff, and a circuit breaker
+ *
+ * Only transient failures are retried: throttling, 5xx responses and network
+ * errors. Anything else (bad image, missing permission, ...) is the same on
+ * every attempt and fails immediately.
+ *
+ * The circuit breaker opens after a run of consecutive transient failures and
+ * then rejects calls with CircuitOpenError until the reset timeout has passed,
+ * so a struggling backend is not hammered and users get an immediate answer.
+ * The first call after the timeout is let through as a trial (half-open);
+ * calls made while the trial is in flight are rejected until it settles.
+ */
+
+const { CircuitOpenError } = require('./errors');
+const { logger } = require('./logger');
+
+const THROTTLING_ERRORS = ['ThrottlingException', 'ProvisionedThroughputExceededException'];
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'];
+
+const DEFAULT_RETRY = { maxAttempts: 3, baseDelayMs: 250, maxDelayMs: 4000 };
+const DEFAULT_BREAKER = { failureThreshold: 5, resetTimeoutMs: 30000 };
+
+function isThrottlingError(error) {
+    return THROTTLING_ERRORS.includes(error?.name);
+}
+
+function isTransientError(error) {
+    if (!error) return false;
+    if (isThrottlingError(error)) return true;
+    if (error.$metadata?.httpStatusCode >= 500) return true;
+    if (error.name === 'TimeoutError' || NETWORK_ERROR_CODES.includes(error.code)) return true;
+    return false;
+}
+
+// --- Retry ---
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// "Full jitter": a random delay up to the exponential cap, so clients that
+// were throttled together do not retry together
+function backoffDelay(attempt, { baseDelayMs, maxDelayMs }, random = Math.random) {
+    return Math.floor(random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+}
+
+async function withRetry(fn, options = {}) {
+    const maxAttempts = options.maxAttempts ?? DEFAULT_RETRY.maxAttempts;
+    const baseDelayMs = options.baseDelayMs ?? DEFAULT_RETRY.baseDelayMs;
+    const maxDelayMs = options.maxDelayMs ?? DEFAULT_RETRY.maxDelayMs;
+    const { random = Math.random, wait = sleep } = options;
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn();
+        } catch (error) {
+            if (attempt + 1 >= maxAttempts || !isTransientError(error)) throw error;
+            const delayMs = backoffDelay(attempt, { baseDelayMs, maxDelayMs }, random);
+            logger.warn('Retrying after transient error', { attempt: attempt + 1, delayMs, error: error.name });
+            await wait(delayMs);
+        }
+    }
+}
+
+// --- Circuit breaker ---
+
+class CircuitBreaker {
+    constructor({ failureThreshold, resetTimeoutMs, now = Date.now } = {}) {
+        this.failureThreshold = failureThreshold ?? DEFAULT_BREAKER.failureThreshold;
+        this.resetTimeoutMs = resetTimeoutMs ?? DEFAULT_BREAKER.resetTimeoutMs;
+        this.now = now;
+        this.state = 'closed';
+        this.consecutiveFailures = 0;
+        this.openedAt = 0;
+        this.trialInFlight = false;
+    }
+
+    async execute(fn) {
+        if (this.state === 'open') {
+            const remainingMs = this.openedAt + this.resetTimeoutMs - this.now();
+            if (remainingMs > 0) {
+                logger.warn('Circuit open, call rejected', { retryAfterMs: remainingMs });
+                throw new CircuitOpenError(Math.ceil(remainingMs / 1000));
+            }
+            this.state = 'half-open';
+        }
+
+        // Only one trial at a time; if it fails the circuit opens again anyway
+        const trial = this.state === 'half-open';
+        if (trial) {
+            if (this.trialInFlight) {
+                logger.warn('Circuit half-open, trial call in flight, call rejected');
+                throw new CircuitOpenError(Math.ceil(this.resetTimeoutMs / 1000));
+            }
+            this.trialInFlight = true;
+        }
+
+        try {
+            const result = await fn();
+            this.recordSuccess();
+            return result;
+        } catch (error) {
+            // A non-transient error still means the backend answered
+            if (isTransientError(error)) {
+                this.recordFailure();
+            } else {
+                this.recordSuccess();
+            }
+            throw error;
+        } finally {
+            if (trial) this.trialInFlight = false;
+        }
+    }
+
+    recordSuccess() {
+        this.state = 'closed';
+        this.consecutiveFailures = 0;
+    }
+
+    recordFailure() {
+        this.consecutiveFailures++;
+        if (this.state === 'half-open' || this.consecutiveFailures >= this.failureThreshold) {
+            if (this.state !== 'open') logger.error('Circuit opened', { consecutiveFailures: this.consecutiveFailures });
+            this.state = 'open';
+            this.openedAt = this.now();
+        }
+    }
+
+    getState() {
+        return { state: this.state, consecutiveFailures: this.consecutiveFailures };
+    }
+}
+
+module.exports = {
+    isThrottlingError,
+    isTransientError,
+    withRetry,
+    CircuitBreaker,
+    _test: { backoffDelay }
+};
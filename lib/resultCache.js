@@ -0,0 +1,270 @@
+/**
+ * File: resultCache.js
+ * Description: Content-hash cache for Rekognition analysis results
+ *
+ * Results are keyed by the SHA-256 of the image bytes plus the feature name
+ * and its parameters, so the same image analyzed with the same settings never
+ * costs a second AWS call until the entry expires. Every backend implements
+ * the same async interface:
+ *
+ * - get(key)          -> { value, expiresAt } | undefined
+ * - set(key, entry)
+ * - delete(key)
+ * - deleteWhere(fn)   -> number of entries removed for which fn(entry) is true
+ * - size()            -> number of stored entries
+ *
+ * Backends only store entries and enforce their size limit; expiry lives in
+ * ResultCache, which also counts hits and misses per feature in the
+ * discord_bot_result_cache_lookups_total metric (lib/metrics.js).
+ *
+ * Each entry lists the IDs of the users whose requests wrote or read it
+ * (taken from the request context, see lib/logger.js), so forgetUser() can
+ * remove everything a user's images produced.
+ */
+
+const crypto = require('crypto');
+const fsp = require('fs').promises;
+const path = require('path');
+const { logger, getRequestUserId } = require('./logger');
+const { resultCacheLookupsTotal } = require('./metrics');
+
+const DEFAULT_TTL_SECONDS = 86400;
+const DEFAULT_MAX_ENTRIES = 500;
+
+function hashImage(imageBuffer) {
+    return crypto.createHash('sha256').update(imageBuffer).digest('hex');
+}
+
+function cacheKey(imageHash, feature, params = {}) {
+    // Sort parameter names so { a, b } and { b, a } share an entry
+    const sorted = Object.keys(params).sort().map(name => [name, params[name]]);
+    return `${imageHash}:${feature}:${JSON.stringify(sorted)}`;
+}
+
+// --- Backends ---
+
+// Least-recently-used eviction: Map iteration order is insertion order, so
+// re-inserting on every read keeps the oldest entry first
+class MemoryCacheBackend {
+    constructor({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (entry) {
+            this.entries.delete(key);
+            this.entries.set(key, entry);
+        }
+        return entry;
+    }
+
+    async set(key, entry) {
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    async deleteWhere(fn) {
+        let deleted = 0;
+        for (const [key, entry] of this.entries) {
+            if (!fn(entry)) continue;
+            this.entries.delete(key);
+            deleted++;
+        }
+        return deleted;
+    }
+
+    async size() {
+        return this.entries.size;
+    }
+}
+
+// One JSON file per entry, so the cache survives restarts. When the limit is
+// exceeded the least recently written files are removed.
+class DiskCacheBackend {
+    constructor({ cacheDir, maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+        this.cacheDir = cacheDir;
+        this.maxEntries = maxEntries;
+    }
+
+    filePath(key) {
+        return path.join(this.cacheDir, `${crypto.createHash('sha256').update(key).digest('hex')}.json`);
+    }
+
+    async get(key) {
+        try {
+            return JSON.parse(await fsp.readFile(this.filePath(key), 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.warn('Failed to read cache entry', { error });
+            }
+            return undefined;
+        }
+    }
+
+    async set(key, entry) {
+        await fsp.mkdir(this.cacheDir, { recursive: true });
+        const filePath = this.filePath(key);
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await fsp.writeFile(tempPath, JSON.stringify(entry), { mode: 0o600 });
+        await fsp.rename(tempPath, filePath);
+        await this.prune();
+    }
+
+    async delete(key) {
+        await fsp.rm(this.filePath(key), { force: true });
+    }
+
+    async deleteWhere(fn) {
+        let deleted = 0;
+        for (const file of await this.listEntryFiles()) {
+            const filePath = path.join(this.cacheDir, file);
+            let entry;
+            try {
+                entry = JSON.parse(await fsp.readFile(filePath, 'utf8'));
+            } catch {
+                continue; // Removed or rewritten meanwhile
+            }
+            if (!fn(entry)) continue;
+            await fsp.rm(filePath, { force: true });
+            deleted++;
+        }
+        return deleted;
+    }
+
+    async listEntryFiles() {
+        try {
+            return (await fsp.readdir(this.cacheDir)).filter(file => file.endsWith('.json'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    async size() {
+        return (await this.listEntryFiles()).length;
+    }
+
+    async prune() {
+        const files = await this.listEntryFiles();
+        if (files.length <= this.maxEntries) return;
+
+        const stats = await Promise.all(files.map(async file => {
+            const filePath = path.join(this.cacheDir, file);
+            try {
+                return { filePath, mtimeMs: (await fsp.stat(filePath)).mtimeMs };
+            } catch {
+                return null;
+            }
+        }));
+        const oldestFirst = stats.filter(Boolean).sort((a, b) => a.mtimeMs - b.mtimeMs);
+        for (const { filePath } of oldestFirst.slice(0, oldestFirst.length - this.maxEntries)) {
+            await fsp.rm(filePath, { force: true });
+        }
+    }
+}
+
+// --- Cache ---
+
+class ResultCache {
+    constructor(backend, { ttlSeconds = DEFAULT_TTL_SECONDS } = {}) {
+        this.backend = backend;
+        this.ttlMs = ttlSeconds * 1000;
+    }
+
+    /**
+     * Return the cached result for this image/feature/params, or run `compute`
+     * and store what it returns. Resolves to { value, cached }.
+     * A failing cache backend never fails the analysis; it just counts as a miss.
+     */
+    async getOrCompute(imageHash, feature, params, compute, now = Date.now()) {
+        const key = cacheKey(imageHash, feature, params);
+        const userId = getRequestUserId();
+
+        let entry;
+        try {
+            entry = await this.backend.get(key);
+        } catch (error) {
+            logger.warn('Result cache read failed', { error });
+        }
+
+        if (entry && entry.expiresAt > now) {
+            resultCacheLookupsTotal.inc({ feature, result: 'hit' });
+            const userIds = entry.userIds ?? [];
+            if (userId && !userIds.includes(userId)) {
+                try {
+                    await this.backend.set(key, { ...entry, userIds: [...userIds, userId] });
+                } catch (error) {
+                    logger.warn('Result cache write failed', { error });
+                }
+            }
+            return { value: entry.value, cached: true };
+        }
+
+        resultCacheLookupsTotal.inc({ feature, result: 'miss' });
+        const value = await compute();
+
+        try {
+            await this.backend.set(key, { value, expiresAt: now + this.ttlMs, userIds: userId ? [userId] : [] });
+        } catch (error) {
+            logger.warn('Result cache write failed', { error });
+        }
+        return { value, cached: false };
+    }
+
+    // Remove every entry written or read on behalf of `userId`; resolves to the number removed
+    async forgetUser(userId) {
+        return await this.backend.deleteWhere(entry => (entry.userIds ?? []).includes(userId));
+    }
+
+}
+
+// --- Cache selection ---
+
+let resultCache;
+
+function createResultCacheFromEnv(env = process.env) {
+    const backendName = env.RESULT_CACHE_BACKEND || 'memory';
+    if (backendName === 'none') return null;
+
+    const maxEntries = Number(env.RESULT_CACHE_MAX_ENTRIES) || DEFAULT_MAX_ENTRIES;
+    const ttlSeconds = Number(env.RESULT_CACHE_TTL_SECONDS) || DEFAULT_TTL_SECONDS;
+
+    const backend = backendName === 'disk'
+        ? new DiskCacheBackend({
+            cacheDir: path.join(env.DATA_DIR || path.join(__dirname, '..', 'data'), 'result-cache'),
+            maxEntries
+        })
+        : new MemoryCacheBackend({ maxEntries });
+
+    return new ResultCache(backend, { ttlSeconds });
+}
+
+// Returns null when caching is turned off (RESULT_CACHE_BACKEND=none)
+function getResultCache() {
+    if (resultCache === undefined) resultCache = createResultCacheFromEnv();
+    return resultCache;
+}
+
+function setResultCache(cache) {
+    resultCache = cache;
+}
+
+module.exports = {
+    MemoryCacheBackend,
+    DiskCacheBackend,
+    ResultCache,
+    hashImage,
+    cacheKey,
+    getResultCache,
+    setResultCache,
+    _test: { createResultCacheFromEnv }
+};
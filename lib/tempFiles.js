@@ -0,0 +1,48 @@
+/**
+ * File: tempFiles.js
+ * Description: Per-request temporary file tracking and cleanup
+ */
+
+const fsp = require('fs').promises;
+const path = require('path');
+const { logger } = require('./logger');
+
+const TEMP_DIR = path.join(__dirname, '..', 'temp');
+const CLEANUP_DELAY_MS = 10000; // Give Discord time to finish uploading attachments
+
+// --- Directory ---
+
+let tempDir = TEMP_DIR;
+
+// Directory that commands write their request files to
+function getTempDir() {
+    return tempDir;
+}
+
+// Replace the directory (tests use their own); null restores the default
+function setTempDir(dir) {
+    tempDir = dir ?? TEMP_DIR;
+}
+
+// --- Per-request file cleanup (race-safe) ---
+
+async function cleanupFiles(filePaths) {
+    let removed = 0;
+    for (const filePath of filePaths) {
+        try {
+            await fsp.unlink(filePath);
+            removed++;
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                logger.error('Temp file cleanup failed', { file: path.basename(filePath), error: err });
+            }
+        }
+    }
+    if (removed > 0) logger.debug('Temp files cleaned up', { removed });
+}
+
+function scheduleCleanup(filePaths) {
+    setTimeout(() => cleanupFiles(filePaths), CLEANUP_DELAY_MS);
+}
+
+module.exports = { TEMP_DIR, getTempDir, setTempDir, cleanupFiles, scheduleCleanup };
@@ -0,0 +1,330 @@
+/**
+ * File: visionBackends.js
+ * Description: Image analysis backends (AWS Rekognition, offline fixtures)
+ *
+ * Commands talk to a vision backend rather than to AWS directly. Every backend
+ * implements the same async interface and returns responses in the
+ * Rekognition response format, so embeds, annotations and reports work
+ * unchanged whichever backend is selected:
+ *
+ * - detectLabels(imageBuffer, { maxLabels, minConfidence, filters, imageProperties })
+ * - detectText(imageBuffer, { filters })
+ * - detectFaces(imageBuffer)
+ * - detectModerationLabels(imageBuffer, { minConfidence })
+ * - recognizeCelebrities(imageBuffer)
+ * - getCelebrityInfo(celebrityId)
+ * - compareFaces(sourceBuffer, targetBuffer, threshold)
+ * - detectProtectiveEquipment(imageBuffer, { requiredEquipmentTypes, minConfidence })
+ *
+ * Each backend also has a `name`, which keeps cached results of different
+ * backends apart.
+ *
+ * Set VISION_BACKEND=mock to serve canned responses from JSON fixtures
+ * instead of calling AWS (no credentials or network needed).
+ *
+ * The selected backend is wrapped in ResilientVisionBackend, which retries
+ * transient failures and trips a circuit breaker when they persist
+ * (VISION_RETRY_MAX_ATTEMPTS, VISION_BREAKER_FAILURE_THRESHOLD,
+ * VISION_BREAKER_RESET_SECONDS).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const rekognitionApi = require('./rekognitionApi');
+const { withRetry, CircuitBreaker } = require('./resilience');
+const { rekognitionDuration } = require('./metrics');
+const { logger } = require('./logger');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'vision');
+
+class RekognitionVisionBackend {
+    constructor(api = rekognitionApi) {
+        this.name = 'rekognition';
+        this.api = api;
+    }
+
+    async detectLabels(imageBuffer, options) {
+        return await this.api.detectLabels(imageBuffer, options);
+    }
+
+    async detectText(imageBuffer, options) {
+        return await this.api.detectText(imageBuffer, options);
+    }
+
+    async detectFaces(imageBuffer) {
+        return await this.api.detectFaces(imageBuffer);
+    }
+
+    async detectModerationLabels(imageBuffer, options) {
+        return await this.api.detectModerationLabels(imageBuffer, options);
+    }
+
+    async recognizeCelebrities(imageBuffer) {
+        return await this.api.recognizeCelebrities(imageBuffer);
+    }
+
+    async getCelebrityInfo(celebrityId) {
+        return await this.api.getCelebrityInfo(celebrityId);
+    }
+
+    async compareFaces(sourceBuffer, targetBuffer, threshold) {
+        return await this.api.compareFaces(sourceBuffer, targetBuffer, threshold);
+    }
+
+    async detectProtectiveEquipment(imageBuffer, options) {
+        return await this.api.detectProtectiveEquipment(imageBuffer, options);
+    }
+}
+
+// Serves `<fixturesDir>/<operation>.json` for every image. A response for one
+// specific image can be placed in `<fixturesDir>/<sha256 of image>/<operation>.json`
+// (for compareFaces, the hash of the target image). A fixture of the form
+// { "error": { "name": "...", "message": "...", "statusCode": 503 } } is thrown
+// instead of returned, to exercise error handling.
+class MockVisionBackend {
+    constructor({ fixturesDir = DEFAULT_FIXTURES_DIR } = {}) {
+        this.name = 'mock';
+        this.fixturesDir = fixturesDir;
+        this.fixtures = new Map();
+    }
+
+    readFixture(filePath) {
+        if (!this.fixtures.has(filePath)) {
+            let fixture = null;
+            try {
+                fixture = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+            this.fixtures.set(filePath, fixture);
+        }
+        return this.fixtures.get(filePath);
+    }
+
+    respond(operation, imageBuffer) {
+        const imageHash = crypto.createHash('sha256').update(imageBuffer).digest('hex');
+        const fixture = this.readFixture(path.join(this.fixturesDir, imageHash, `${operation}.json`))
+            ?? this.readFixture(path.join(this.fixturesDir, `${operation}.json`));
+
+        if (!fixture) {
+            throw new Error(`No mock fixture for ${operation} in ${this.fixturesDir}`);
+        }
+        if (fixture.error) {
+            const error = new Error(fixture.error.message || fixture.error.name);
+            error.name = fixture.error.name || 'Error';
+            if (fixture.error.statusCode) error.$metadata = { httpStatusCode: fixture.error.statusCode };
+            throw error;
+        }
+        // Callers sort and slice results in place; never hand out the cached copy
+        return structuredClone(fixture);
+    }
+
+    // The filters below mirror what Rekognition does with the request parameters
+
+    async detectLabels(imageBuffer, { maxLabels = 50, minConfidence = 70, filters, imageProperties = false } = {}) {
+        const response = this.respond('detectLabels', imageBuffer);
+        response.Labels = filterLabels(response.Labels || [], filters)
+            .filter(label => label.Confidence >= minConfidence)
+            .slice(0, maxLabels);
+        if (!imageProperties) delete response.ImageProperties;
+        return response;
+    }
+
+    async detectText(imageBuffer, { filters } = {}) {
+        const response = this.respond('detectText', imageBuffer);
+        response.TextDetections = filterTextDetections(response.TextDetections || [], filters);
+        return response;
+    }
+
+    async detectFaces(imageBuffer) {
+        return this.respond('detectFaces', imageBuffer);
+    }
+
+    async detectModerationLabels(imageBuffer, { minConfidence = 50 } = {}) {
+        const response = this.respond('detectModerationLabels', imageBuffer);
+        response.ModerationLabels = (response.ModerationLabels || [])
+            .filter(label => label.Confidence >= minConfidence);
+        return response;
+    }
+
+    async recognizeCelebrities(imageBuffer) {
+        return this.respond('recognizeCelebrities', imageBuffer);
+    }
+
+    // Not tied to an image: the fixture maps celebrity IDs to responses
+    async getCelebrityInfo(celebrityId) {
+        const fixture = this.readFixture(path.join(this.fixturesDir, 'getCelebrityInfo.json')) || {};
+        if (!fixture[celebrityId]) {
+            const error = new Error(`Celebrity not found: ${celebrityId}`);
+            error.name = 'ResourceNotFoundException';
+            throw error;
+        }
+        return structuredClone(fixture[celebrityId]);
+    }
+
+    async compareFaces(sourceBuffer, targetBuffer, threshold = 80) {
+        const response = this.respond('compareFaces', targetBuffer);
+        const matches = response.FaceMatches || [];
+        response.FaceMatches = matches.filter(match => match.Similarity >= threshold);
+        response.UnmatchedFaces = [
+            ...(response.UnmatchedFaces || []),
+            ...matches.filter(match => match.Similarity < threshold).map(match => match.Face)
+        ];
+        return response;
+    }
+
+    // Compliance is evaluated from the per-person detections (lib/ppe.js),
+    // so the fixture does not need a Summary
+    async detectProtectiveEquipment(imageBuffer) {
+        return this.respond('detectProtectiveEquipment', imageBuffer);
+    }
+}
+
+// Mirrors DetectLabels GeneralLabels settings: a label is kept if its name or
+// one of its categories matches an inclusion filter (or there are none), and
+// neither matches an exclusion filter
+function filterLabels(labels, filters = {}) {
+    const {
+        LabelInclusionFilters: includeNames = [],
+        LabelExclusionFilters: excludeNames = [],
+        LabelCategoryInclusionFilters: includeCategories = [],
+        LabelCategoryExclusionFilters: excludeCategories = []
+    } = filters;
+
+    return labels.filter(label => {
+        const categories = (label.Categories || []).map(category => category.Name);
+        const included = (includeNames.length === 0 && includeCategories.length === 0)
+            || includeNames.includes(label.Name)
+            || categories.some(category => includeCategories.includes(category));
+        const excluded = excludeNames.includes(label.Name)
+            || categories.some(category => excludeCategories.includes(category));
+        return included && !excluded;
+    });
+}
+
+// Mirrors DetectText Filters: words below the confidence or height minimum, or
+// less than half inside every region of interest, are dropped, and a line is
+// dropped when none of its words remain
+function filterTextDetections(detections, filters = {}) {
+    const { WordFilter: wordFilter = {}, RegionsOfInterest: regions = [] } = filters;
+
+    const overlapRatio = (box, region) => {
+        const width = Math.min(box.Left + box.Width, region.Left + region.Width) - Math.max(box.Left, region.Left);
+        const height = Math.min(box.Top + box.Height, region.Top + region.Height) - Math.max(box.Top, region.Top);
+        if (width <= 0 || height <= 0) return 0;
+        return (width * height) / (box.Width * box.Height || 1);
+    };
+    const keep = detection => {
+        const box = detection.Geometry?.BoundingBox || { Left: 0, Top: 0, Width: 0, Height: 0 };
+        if (wordFilter.MinConfidence !== undefined && detection.Confidence < wordFilter.MinConfidence) return false;
+        if (wordFilter.MinBoundingBoxHeight !== undefined && box.Height < wordFilter.MinBoundingBoxHeight) return false;
+        if (wordFilter.MinBoundingBoxWidth !== undefined && box.Width < wordFilter.MinBoundingBoxWidth) return false;
+        return regions.length === 0 || regions.some(region => overlapRatio(box, region.BoundingBox) >= 0.5);
+    };
+
+    const words = detections.filter(detection => detection.Type === 'WORD' && keep(detection));
+    const lineIds = new Set(words.map(word => word.ParentId));
+    const hasWords = new Set(detections.filter(detection => detection.Type === 'WORD').map(word => word.ParentId));
+
+    return detections.filter(detection => {
+        if (detection.Type === 'WORD') return words.includes(detection);
+        return hasWords.has(detection.Id) ? lineIds.has(detection.Id) : keep(detection);
+    });
+}
+
+// --- Resilience ---
+
+const VISION_OPERATIONS = [
+    'detectLabels',
+    'detectText',
+    'detectFaces',
+    'detectModerationLabels',
+    'recognizeCelebrities',
+    'getCelebrityInfo',
+    'compareFaces',
+    'detectProtectiveEquipment'
+];
+
+// Wraps another backend: every call is retried on transient errors, and all
+// calls share one circuit breaker. Keeps the inner backend's name so cached
+// results are unaffected. The latency of each attempt is recorded and logged.
+class ResilientVisionBackend {
+    constructor(inner, { retry = {}, breaker = new CircuitBreaker() } = {}) {
+        this.name = inner.name;
+        this.inner = inner;
+        this.retry = retry;
+        this.breaker = breaker;
+
+        for (const operation of VISION_OPERATIONS) {
+            this[operation] = (...args) => this.breaker.execute(
+                () => withRetry(() => this.timed(operation, args), this.retry)
+            );
+        }
+    }
+
+    async timed(operation, args) {
+        const start = Date.now();
+        try {
+            const response = await rekognitionDuration.time({ operation }, () => this.inner[operation](...args));
+            logger.debug('Vision call succeeded', { backend: this.name, operation, durationMs: Date.now() - start });
+            return response;
+        } catch (error) {
+            logger.warn('Vision call failed', { backend: this.name, operation, durationMs: Date.now() - start, error });
+            throw error;
+        }
+    }
+}
+
+// --- Backend selection ---
+
+let visionBackend = null;
+let sharedBreaker = null;
+
+function getVisionBackend() {
+    if (!visionBackend) {
+        const inner = process.env.VISION_BACKEND === 'mock'
+            ? new MockVisionBackend({ fixturesDir: process.env.VISION_MOCK_FIXTURES_DIR || DEFAULT_FIXTURES_DIR })
+            : new RekognitionVisionBackend();
+        visionBackend = createResilientBackend(inner, process.env, getSharedBreaker());
+    }
+    return visionBackend;
+}
+
+const positive = value => (parseInt(value, 10) > 0 ? parseInt(value, 10) : undefined);
+
+function createCircuitBreaker(env = {}) {
+    const resetSeconds = positive(env.VISION_BREAKER_RESET_SECONDS);
+    return new CircuitBreaker({
+        failureThreshold: positive(env.VISION_BREAKER_FAILURE_THRESHOLD),
+        resetTimeoutMs: resetSeconds && resetSeconds * 1000
+    });
+}
+
+function createResilientBackend(inner, env = {}, breaker = createCircuitBreaker(env)) {
+    return new ResilientVisionBackend(inner, {
+        retry: { maxAttempts: positive(env.VISION_RETRY_MAX_ATTEMPTS) },
+        breaker
+    });
+}
+
+// Vision and face collection calls go to the same service, so they share one
+// breaker: when Rekognition struggles, both stop calling it
+function getSharedBreaker() {
+    if (!sharedBreaker) sharedBreaker = createCircuitBreaker(process.env);
+    return sharedBreaker;
+}
+
+function setVisionBackend(backend) {
+    visionBackend = backend;
+}
+
+module.exports = {
+    RekognitionVisionBackend,
+    MockVisionBackend,
+    ResilientVisionBackend,
+    getVisionBackend,
+    setVisionBackend,
+    getSharedBreaker,
+    _test: { createResilientBackend, filterTextDetections }
+};
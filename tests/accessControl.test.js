@@ -0,0 +1,234 @@
+const { describe, test, expect, beforeEach, afterEach } = require('bun:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JsonStore } = require('../lib/jsonStore.js');
+const { getTranslator } = require('../lib/i18n.js');
+const accessControl = require('../lib/accessControl.js');
+const accessCommand = require('../commands/rekognition-access.js');
+const rekognition = require('../commands/rekognition.js');
+const { fakeCommandInteraction, fakeAttachment, useMockCommandEnvironment } = require('./helpers/commandHarness.js');
+
+const {
+    ACCESS_TARGETS,
+    getAccessRules,
+    allowAccess,
+    revokeAccess,
+    resetAccess,
+    setChannelAllowed,
+    getAccessContext,
+    checkAccess,
+    describeDenial,
+} = accessControl;
+
+let dataDir;
+
+beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'access-'));
+    accessControl.setAccessStore(new JsonStore('access-rules.json', { dataDir }));
+});
+
+afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const member = (overrides = {}) => ({
+    userId: 'u1', roleIds: [], channelId: 'c1', parentChannelId: null, isAdmin: false, ...overrides
+});
+
+// --- Storage ---
+
+describe('rules', () => {
+    test('are empty for unknown guilds and DMs', () => {
+        expect(getAccessRules('g1')).toEqual({ rules: {}, channelIds: [] });
+        expect(getAccessRules(null)).toEqual({ rules: {}, channelIds: [] });
+    });
+
+    test('allow adds roles and users once and persists', async () => {
+        await allowAccess('g1', 'celebrity', { roleId: 'r1' });
+        await allowAccess('g1', 'celebrity', { roleId: 'r1', userId: 'u1' });
+        accessControl.setAccessStore(new JsonStore('access-rules.json', { dataDir }));
+        expect(getAccessRules('g1').rules.celebrity).toEqual({ roleIds: ['r1'], userIds: ['u1'] });
+    });
+
+    test('revoke keeps an empty rule, reset removes it', async () => {
+        await allowAccess('g1', 'feature:faces', { userId: 'u1' });
+        let access = await revokeAccess('g1', 'feature:faces', { userId: 'u1' });
+        expect(access.rules['feature:faces']).toEqual({ roleIds: [], userIds: [] });
+
+        access = await resetAccess('g1', 'feature:faces');
+        expect(access.rules).toEqual({});
+    });
+
+    test('reject unknown targets', async () => {
+        await expect(allowAccess('g1', 'delete-everything', { userId: 'u1' })).rejects.toThrow(RangeError);
+        expect(ACCESS_TARGETS).toContain('collection search');
+        expect(ACCESS_TARGETS).toContain('feature:moderation');
+    });
+
+    test('channels can be added and removed', async () => {
+        await setChannelAllowed('g1', 'c1', true);
+        await setChannelAllowed('g1', 'c2', true);
+        await setChannelAllowed('g1', 'c1', true);
+        expect(getAccessRules('g1').channelIds).toEqual(['c1', 'c2']);
+        expect((await setChannelAllowed('g1', 'c1', false)).channelIds).toEqual(['c2']);
+    });
+});
+
+// --- Evaluation ---
+
+describe('checkAccess', () => {
+    const access = {
+        rules: {
+            celebrity: { roleIds: ['mods'], userIds: [] },
+            'feature:faces': { roleIds: [], userIds: ['u2'] }
+        },
+        channelIds: ['c1']
+    };
+
+    test('allows targets without a rule', () => {
+        expect(checkAccess(access, member(), 'ocr')).toBeNull();
+    });
+
+    test('allows listed roles and users only', () => {
+        expect(checkAccess(access, member(), 'celebrity')).toEqual({ type: 'subcommand', target: 'celebrity' });
+        expect(checkAccess(access, member({ roleIds: ['mods'] }), 'celebrity')).toBeNull();
+    });
+
+    test('lists the denied features', () => {
+        expect(checkAccess(access, member(), 'analyze', ['labels', 'faces'])).toEqual({ type: 'feature', deniedFeatures: ['faces'] });
+        expect(checkAccess(access, member({ userId: 'u2' }), 'analyze', ['labels', 'faces'])).toBeNull();
+    });
+
+    test('only answers in the allowed channels and their threads', () => {
+        expect(checkAccess(access, member({ channelId: 'c9' }), 'ocr')).toEqual({ type: 'channel', channelIds: ['c1'] });
+        expect(checkAccess(access, member({ channelId: 't1', parentChannelId: 'c1' }), 'ocr')).toBeNull();
+    });
+
+    test('never restricts administrators', () => {
+        expect(checkAccess(access, member({ channelId: 'c9', isAdmin: true }), 'celebrity', ['faces'])).toBeNull();
+    });
+});
+
+describe('getAccessContext', () => {
+    test('reads roles from API data and from cached members', () => {
+        const base = { user: { id: 'u1' }, channelId: 'c1', memberPermissions: { has: () => false } };
+        expect(getAccessContext({ ...base, member: { roles: ['r1'] } }).roleIds).toEqual(['r1']);
+        expect(getAccessContext({ ...base, member: { roles: { cache: new Map([['r2', {}]]) } } }).roleIds).toEqual(['r2']);
+        expect(getAccessContext({ ...base, member: null })).toEqual({
+            userId: 'u1', roleIds: [], channelId: 'c1', parentChannelId: null, isAdmin: false
+        });
+    });
+
+    test('uses the parent channel of threads', () => {
+        const context = getAccessContext({
+            user: { id: 'u1' },
+            channelId: 't1',
+            channel: { id: 't1', isThread: () => true, parentId: 'c1' }
+        });
+        expect(context.parentChannelId).toBe('c1');
+    });
+});
+
+describe('describeDenial', () => {
+    test('explains each kind of denial in the user language', () => {
+        const t = getTranslator('en');
+        expect(describeDenial({ type: 'channel', channelIds: ['c1', 'c2'] }, t)).toContain('<#c1>, <#c2>');
+        expect(describeDenial({ type: 'subcommand', target: 'collection search' }, t)).toContain('`/rekognition collection search`');
+        expect(describeDenial({ type: 'feature', deniedFeatures: ['faces'] }, getTranslator('fr'))).toContain('Analyse des visages');
+    });
+});
+
+// --- /rekognition-access ---
+
+describe('/rekognition-access', () => {
+    function fakeAccessInteraction(subcommand, options = {}) {
+        const replies = [];
+        return {
+            replies,
+            guildId: 'g1',
+            options: {
+                getSubcommand: () => subcommand,
+                getString: name => options[name] ?? null,
+                getRole: name => options[name] ?? null,
+                getUser: name => options[name] ?? null,
+                getChannel: name => options[name] ?? null,
+                getBoolean: name => options[name] ?? null,
+            },
+            reply: async reply => replies.push(reply),
+        };
+    }
+
+    test('offers every target as a choice', () => {
+        expect(accessCommand._test.TARGET_CHOICES.map(choice => choice.value)).toEqual(ACCESS_TARGETS);
+        expect(accessCommand.data.toJSON().default_member_permissions).toBe('8');
+    });
+
+    test('allow stores the rule and shows it', async () => {
+        const interaction = fakeAccessInteraction('allow', { target: 'celebrity', role: { id: 'r1' } });
+        await accessCommand.execute(interaction);
+
+        expect(getAccessRules('g1').rules.celebrity).toEqual({ roleIds: ['r1'], userIds: [] });
+        const embed = interaction.replies[0].embeds[0].toJSON();
+        expect(embed.fields[1].value).toBe('**/rekognition celebrity:** <@&r1>');
+        expect(interaction.replies[0].ephemeral).toBe(true);
+    });
+
+    test('allow needs a role or a member', async () => {
+        const interaction = fakeAccessInteraction('allow', { target: 'celebrity' });
+        await accessCommand.execute(interaction);
+        expect(interaction.replies[0].content).toContain('Nothing Changed');
+        expect(getAccessRules('g1').rules).toEqual({});
+    });
+
+    test('channel limits where the bot answers', async () => {
+        await accessCommand.execute(fakeAccessInteraction('channel', { channel: { id: 'c1' }, allowed: true }));
+        expect(getAccessRules('g1').channelIds).toEqual(['c1']);
+    });
+});
+
+// --- /rekognition ---
+
+describe('/rekognition with access rules', () => {
+    let dataDir;
+
+    useMockCommandEnvironment();
+
+    beforeEach(async () => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'access-e2e-'));
+        accessControl.setAccessStore(new JsonStore('access-rules.json', { dataDir }));
+        await accessControl.allowAccess('g1', 'celebrity', { roleId: 'mods' });
+        await accessControl.allowAccess('g1', 'feature:faces', { roleId: 'mods' });
+    });
+
+    afterEach(() => {
+        accessControl.setAccessStore(null);
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    function memberInteraction(subcommand, options) {
+        return { ...fakeCommandInteraction(subcommand, options), guildId: 'g1', member: { roles: [] }, memberPermissions: { has: () => false } };
+    }
+
+    test('denied subcommands get an ephemeral explanation before deferring', async () => {
+        const interaction = memberInteraction('celebrity', { image: fakeAttachment('dog.png') });
+        interaction.deferReply = async () => { throw new Error('should not defer'); };
+        await rekognition.execute(interaction);
+        expect(interaction.replies).toEqual([{ content: expect.stringContaining('/rekognition celebrity'), ephemeral: true }]);
+    });
+
+    test('analyze of all features skips the denied ones', async () => {
+        const interaction = memberInteraction('analyze', { image: fakeAttachment('dog.png') });
+        await rekognition.execute(interaction);
+
+        const fields = interaction.replies.at(-1).embeds[0].toJSON().fields.map(field => field.name);
+        expect(fields).toContain('🏷️ Objects & Scenes');
+        expect(fields).not.toContain('👤 Faces (1)');
+    });
+
+    test('analyze of a denied feature is refused', async () => {
+        const interaction = memberInteraction('analyze', { image: fakeAttachment('dog.png'), features: 'faces' });
+        await rekognition.execute(interaction);
+        expect(interaction.replies).toEqual([{ content: expect.stringContaining('Face Analysis'), ephemeral: true }]);
+    });
+});
@@ -0,0 +1,75 @@
+const { describe, test, expect } = require('bun:test');
+const { ApplicationCommandType } = require('discord.js');
+const cmd = require('../commands/analyze-message.js');
+
+const { collectMessageImages } = cmd._test;
+
+function fakeMessage({ attachments = [], embeds = [] } = {}) {
+    return {
+        attachments: new Map(attachments.map((attachment, i) => [String(i), attachment])),
+        embeds
+    };
+}
+
+const png = (url, size = 1024) => ({ url, contentType: 'image/png', size, name: 'a.png' });
+
+// --- collectMessageImages ---
+
+describe('collectMessageImages', () => {
+    test('returns nothing for a text-only message', () => {
+        expect(collectMessageImages(fakeMessage())).toEqual([]);
+    });
+
+    test('collects image attachments and skips other files', () => {
+        const images = collectMessageImages(fakeMessage({
+            attachments: [png('https://cdn.example.com/a.png'), { url: 'https://cdn.example.com/b.txt', contentType: 'text/plain', size: 10 }]
+        }));
+        expect(images).toHaveLength(1);
+        expect(images[0].attachment.url).toBe('https://cdn.example.com/a.png');
+    });
+
+    test('skips attachments larger than the download limit', () => {
+        const images = collectMessageImages(fakeMessage({
+            attachments: [png('https://cdn.example.com/a.png', 100 * 1024 * 1024)]
+        }));
+        expect(images).toEqual([]);
+    });
+
+    test('collects embed images and falls back to thumbnails', () => {
+        const images = collectMessageImages(fakeMessage({
+            embeds: [
+                { image: { url: 'https://example.com/full.jpg' } },
+                { thumbnail: { url: 'https://example.com/thumb.jpg' } },
+                { title: 'no image' }
+            ]
+        }));
+        expect(images).toEqual([{ url: 'https://example.com/full.jpg' }, { url: 'https://example.com/thumb.jpg' }]);
+    });
+
+    test('de-duplicates embeds that repeat an attachment', () => {
+        const images = collectMessageImages(fakeMessage({
+            attachments: [png('https://cdn.example.com/a.png')],
+            embeds: [{ image: { url: 'https://cdn.example.com/a.png' } }, { image: { url: 'https://cdn.example.com/a.png' } }]
+        }));
+        expect(images).toHaveLength(1);
+    });
+
+    test('ignores embed images with non-http URLs', () => {
+        const images = collectMessageImages(fakeMessage({ embeds: [{ image: { url: 'attachment://a.png' } }] }));
+        expect(images).toEqual([]);
+    });
+});
+
+// --- Command definition ---
+
+describe('command definition', () => {
+    test('is a message context-menu command', () => {
+        const json = cmd.data.toJSON();
+        expect(json.type).toBe(ApplicationCommandType.Message);
+        expect(json.name).toBe('Analyze images in this message');
+    });
+
+    test('stays within the Discord attachment limit', () => {
+        expect(cmd._test.MAX_IMAGES_PER_MESSAGE * 2).toBeLessThanOrEqual(10);
+    });
+});
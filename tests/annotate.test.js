@@ -0,0 +1,162 @@
+const { describe, test, expect } = require('bun:test');
+const { Jimp } = require('jimp');
+const {
+    BOX_COLORS,
+    collectAnalysisBoxes,
+    collectComparisonBoxes,
+    collectPpeBoxes,
+    collectCelebrityBoxes,
+    renderAnnotatedImage,
+    _test: { boxOverlap, toPixelRect, truncateCaption },
+} = require('../lib/annotate.js');
+
+const BOX = { Left: 0.25, Top: 0.25, Width: 0.5, Height: 0.5 };
+
+// --- Box collection ---
+
+describe('collectAnalysisBoxes', () => {
+    test('collects label instances, text lines and faces', () => {
+        const boxes = collectAnalysisBoxes({
+            labels: { Labels: [{ Name: 'Dog', Instances: [{ BoundingBox: BOX }, { BoundingBox: BOX }] }, { Name: 'Outdoors', Instances: [] }] },
+            text: { TextDetections: [
+                { Type: 'LINE', DetectedText: 'STOP', Geometry: { BoundingBox: BOX } },
+                { Type: 'WORD', DetectedText: 'STOP', Geometry: { BoundingBox: BOX } }
+            ] },
+            faces: { FaceDetails: [{ BoundingBox: BOX }] }
+        });
+
+        expect(boxes.map(b => b.caption)).toEqual(['Dog', 'Dog', 'STOP', 'Face 1']);
+        expect(boxes[3].color).toBe(BOX_COLORS.face);
+    });
+
+    test('replaces a face box with the matching celebrity box', () => {
+        const boxes = collectAnalysisBoxes({
+            faces: { FaceDetails: [{ BoundingBox: BOX }, { BoundingBox: { Left: 0, Top: 0, Width: 0.1, Height: 0.1 } }] },
+            celebrities: { CelebrityFaces: [{ Name: 'Jane Doe', Face: { BoundingBox: BOX } }] }
+        });
+
+        expect(boxes.map(b => b.caption)).toEqual(['Jane Doe', 'Face 2']);
+    });
+
+    test('ignores failed and missing features', () => {
+        expect(collectAnalysisBoxes({ labels: { error: 'Analysis failed' } })).toEqual([]);
+        expect(collectAnalysisBoxes({})).toEqual([]);
+    });
+});
+
+describe('collectComparisonBoxes', () => {
+    test('splits source, matched and unmatched faces', () => {
+        const { source, target } = collectComparisonBoxes({
+            SourceImageFace: { BoundingBox: BOX },
+            FaceMatches: [{ Similarity: 97.26, Face: { BoundingBox: BOX } }],
+            UnmatchedFaces: [{ BoundingBox: BOX }]
+        });
+
+        expect(source).toHaveLength(1);
+        expect(target.map(b => b.caption)).toEqual(['Match 1: 97.3%', 'No match']);
+        expect(target[1].color).toBe(BOX_COLORS.unmatched);
+    });
+});
+
+describe('collectPpeBoxes', () => {
+    test('colors persons by compliance', () => {
+        const boxes = collectPpeBoxes({ persons: [
+            { boundingBox: BOX, compliance: 'compliant' },
+            { boundingBox: BOX, compliance: 'non-compliant' },
+            { boundingBox: BOX, compliance: 'indeterminate' },
+            { compliance: 'compliant' }
+        ] });
+
+        expect(boxes.map(b => b.caption)).toEqual(['Person 1', 'Person 2', 'Person 3']);
+        expect(boxes.map(b => b.color)).toEqual([BOX_COLORS.compliant, BOX_COLORS.nonCompliant, BOX_COLORS.indeterminate]);
+    });
+});
+
+describe('collectCelebrityBoxes', () => {
+    test('numbers celebrities and marks unrecognized faces', () => {
+        const boxes = collectCelebrityBoxes({
+            CelebrityFaces: [{ Name: 'Jane', Face: { BoundingBox: BOX } }, { Name: 'No Box', Face: {} }],
+            UnrecognizedFaces: [{ BoundingBox: BOX }]
+        });
+
+        expect(boxes.map(b => b.caption)).toEqual(['1. Jane', 'Unrecognized']);
+        expect(boxes.map(b => b.color)).toEqual([BOX_COLORS.celebrity, BOX_COLORS.unmatched]);
+    });
+});
+
+// --- Geometry helpers ---
+
+describe('boxOverlap', () => {
+    test('is 1 for identical boxes', () => expect(boxOverlap(BOX, BOX)).toBe(1));
+    test('is 0 for disjoint boxes', () => {
+        expect(boxOverlap(BOX, { Left: 0.8, Top: 0.8, Width: 0.1, Height: 0.1 })).toBe(0);
+    });
+    test('is 1 when the smaller box is contained', () => {
+        expect(boxOverlap(BOX, { Left: 0.3, Top: 0.3, Width: 0.1, Height: 0.1 })).toBeCloseTo(1);
+    });
+});
+
+describe('toPixelRect', () => {
+    test('converts ratios to pixels', () => {
+        expect(toPixelRect(BOX, 200, 100)).toEqual({ left: 50, top: 25, width: 100, height: 50 });
+    });
+    test('clamps boxes that extend past the image', () => {
+        const rect = toPixelRect({ Left: -0.1, Top: 0.9, Width: 0.5, Height: 0.5 }, 100, 100);
+        expect(rect.left).toBe(0);
+        expect(rect.top + rect.height).toBeLessThanOrEqual(100);
+    });
+});
+
+describe('truncateCaption', () => {
+    test('keeps short captions', () => expect(truncateCaption('Dog')).toBe('Dog'));
+    test('collapses whitespace', () => expect(truncateCaption('a\n  b')).toBe('a b'));
+    test('truncates long captions with ASCII dots', () => {
+        const caption = truncateCaption('x'.repeat(100));
+        expect(caption).toHaveLength(32);
+        expect(caption.endsWith('...')).toBe(true);
+    });
+    test('keeps to the ASCII charset of the bitmap fonts', () => {
+        expect(truncateCaption('Zoë Ångström')).toBe('Zoe Angstrom');
+        expect(truncateCaption('Straße – Œuvre')).toBe('Strasse - OEuvre');
+        expect(truncateCaption('東京 Tower')).toBe('?? Tower');
+    });
+});
+
+// --- Rendering ---
+
+describe('renderAnnotatedImage', () => {
+    test('returns null when there is nothing to draw', async () => {
+        expect(await renderAnnotatedImage(Buffer.from('irrelevant'), [])).toBeNull();
+    });
+
+    test('returns null for undecodable images', async () => {
+        expect(await renderAnnotatedImage(Buffer.from('not an image'), [{ box: BOX, caption: 'x', color: BOX_COLORS.face }])).toBeNull();
+    });
+
+    test('draws a box outline onto a JPEG copy', async () => {
+        const source = await new Jimp({ width: 200, height: 200, color: 0x000000FF }).getBuffer('image/png');
+        const output = await renderAnnotatedImage(source, [{ box: BOX, caption: 'Dog', color: 0xFF0000FF }]);
+
+        expect(output[0]).toBe(0xFF);
+        expect(output[1]).toBe(0xD8);
+
+        const image = await Jimp.fromBuffer(output);
+        const edge = image.getPixelColor(100, 149); // bottom edge of the box
+        const inside = image.getPixelColor(100, 100);
+        expect((edge >>> 24) & 0xFF).toBeGreaterThan(150);
+        expect((inside >>> 24) & 0xFF).toBeLessThan(30);
+    });
+
+    test('prints non-ASCII captions transliterated instead of dropping letters', async () => {
+        const source = await new Jimp({ width: 200, height: 200, color: 0x000000FF }).getBuffer('image/png');
+        const render = caption => renderAnnotatedImage(source, [{ box: BOX, caption, color: 0xFF0000FF }]);
+        expect(await render('Zoë')).toEqual(await render('Zoe'));
+    });
+
+    test('downscales oversized images', async () => {
+        const source = await new Jimp({ width: 3000, height: 1000, color: 0x000000FF }).getBuffer('image/png');
+        const output = await renderAnnotatedImage(source, [{ box: BOX, caption: '', color: 0xFF0000FF }]);
+        const image = await Jimp.fromBuffer(output);
+        expect(image.bitmap.width).toBe(2048);
+    });
+});
@@ -0,0 +1,164 @@
+const { describe, test, expect } = require('bun:test');
+const { Jimp } = require('jimp');
+const { padBox, selectRegions, anonymizeImage, createAnonymizeEmbed } = require('../lib/anonymize.js');
+const rekognition = require('../commands/rekognition.js');
+const { fakeCommandInteraction, fakeAttachment, useMockCommandEnvironment } = require('./helpers/commandHarness.js');
+
+const FACE_A = { Left: 0.1, Top: 0.1, Width: 0.2, Height: 0.2 };
+const FACE_B = { Left: 0.6, Top: 0.1, Width: 0.2, Height: 0.2 };
+
+// Stripes, so hiding a region visibly changes its pixels
+async function stripedImage(mime = 'image/png') {
+    const image = new Jimp({ width: 200, height: 200, color: 0xFFFFFFFF });
+    image.scan(0, 0, 200, 200, (x, _y, idx) => {
+        if (x % 4 < 2) image.bitmap.data.writeUInt32BE(0x000000FF, idx);
+    });
+    return await image.getBuffer(mime);
+}
+
+function pixelsIn(image, left, top, size) {
+    const pixels = [];
+    for (let x = left; x < left + size; x++) pixels.push(image.getPixelColor(x, top));
+    return pixels;
+}
+
+// --- padBox ---
+
+describe('padBox', () => {
+    test('grows the box on every side', () => {
+        const padded = padBox({ Left: 0.4, Top: 0.4, Width: 0.2, Height: 0.2 }, 0.5);
+        expect(padded.Left).toBeCloseTo(0.3);
+        expect(padded.Width).toBeCloseTo(0.4);
+    });
+
+    test('stays inside the image', () => {
+        const padded = padBox({ Left: 0, Top: 0.9, Width: 0.2, Height: 0.1 }, 0.5);
+        expect(padded.Left).toBe(0);
+        expect(padded.Top + padded.Height).toBeCloseTo(1);
+    });
+});
+
+// --- selectRegions ---
+
+describe('selectRegions', () => {
+    const faces = { FaceDetails: [{ BoundingBox: FACE_A }, { BoundingBox: FACE_B }] };
+
+    test('hides every face by default', () => {
+        const selection = selectRegions({ faces });
+        expect(selection.hiddenFaces).toBe(2);
+        expect(selection.keptFaces).toBe(0);
+        expect(selection.regions).toHaveLength(2);
+    });
+
+    test('keeps faces that match the reference', () => {
+        const comparison = { FaceMatches: [{ Similarity: 99, Face: { BoundingBox: FACE_B } }] };
+        const selection = selectRegions({ faces, comparison });
+        expect(selection.hiddenFaces).toBe(1);
+        expect(selection.keptFaces).toBe(1);
+        expect(selection.regions[0]).toEqual(padBox(FACE_A));
+    });
+
+    test('adds detected text lines', () => {
+        const text = {
+            TextDetections: [
+                { Type: 'LINE', Geometry: { BoundingBox: FACE_B } },
+                { Type: 'WORD', Geometry: { BoundingBox: FACE_B } }
+            ]
+        };
+        const selection = selectRegions({ faces: { FaceDetails: [] }, text });
+        expect(selection.textRegions).toBe(1);
+        expect(selection.regions).toEqual([FACE_B]);
+    });
+});
+
+// --- anonymizeImage ---
+
+describe('anonymizeImage', () => {
+    test('returns null when there is nothing to hide', async () => {
+        expect(await anonymizeImage(await stripedImage(), [])).toBeNull();
+    });
+
+    for (const method of ['blur', 'pixelate']) {
+        test(`${method} changes only the hidden region`, async () => {
+            const original = await Jimp.fromBuffer(await stripedImage());
+            const { buffer, format } = await anonymizeImage(await stripedImage(), [FACE_A], { method });
+            const result = await Jimp.fromBuffer(buffer);
+
+            expect(format).toBe('png');
+            expect(result.bitmap.width).toBe(200);
+            expect(pixelsIn(result, 25, 30, 8)).not.toEqual(pixelsIn(original, 25, 30, 8));
+            expect(pixelsIn(result, 150, 150, 8)).toEqual(pixelsIn(original, 150, 150, 8));
+        });
+    }
+
+    test('keeps JPEG input as JPEG', async () => {
+        const { format, buffer } = await anonymizeImage(await stripedImage('image/jpeg'), [FACE_A]);
+        expect(format).toBe('jpeg');
+        expect(buffer[0]).toBe(0xFF);
+    });
+
+    test('rejects images it cannot decode', async () => {
+        await expect(anonymizeImage(Buffer.from('not an image'), [FACE_A])).rejects.toMatchObject({ name: 'UserFacingError' });
+    });
+});
+
+// --- createAnonymizeEmbed ---
+
+describe('createAnonymizeEmbed', () => {
+    test('summarizes what was hidden', () => {
+        const embed = createAnonymizeEmbed(
+            { hiddenFaces: 2, keptFaces: 1, textRegions: 0 }, 'pixelate', 'party.jpg', { name: 'anonymized.jpg' }
+        ).toJSON();
+        expect(embed.fields.map(field => field.value)).toEqual(['2', '1', '0', 'Pixelate']);
+        expect(embed.image.url).toBe('attachment://anonymized.jpg');
+    });
+});
+
+// --- /rekognition anonymize ---
+
+describe('/rekognition anonymize', () => {
+    const environment = useMockCommandEnvironment();
+
+    test('hides the detected face', async () => {
+        const interaction = fakeCommandInteraction('anonymize', { image: fakeAttachment('party.png'), method: 'pixelate' });
+        await rekognition.execute(interaction);
+
+        const final = interaction.replies.at(-1);
+        expect(final.content).toContain('Anonymization Complete');
+        expect(final.embeds[0].toJSON().fields.slice(0, 2).map(field => field.value)).toEqual(['1', '0']);
+        expect(final.files.map(file => file.name)).toEqual(['anonymized.png']);
+    });
+
+    test('hides faces on the original image rather than the converted copy', async () => {
+        const gif = await new Jimp({ width: 300, height: 240, color: 0xFFFFFFFF }).getBuffer('image/gif');
+        environment.axiosSpy.mockResolvedValueOnce({ data: gif, headers: { 'content-type': 'image/gif' } });
+
+        const interaction = fakeCommandInteraction('anonymize', { image: { ...fakeAttachment('party.gif'), contentType: 'image/gif' } });
+        await rekognition.execute(interaction);
+
+        const final = interaction.replies.at(-1);
+        expect(final.files.map(file => file.name)).toEqual(['anonymized.png']);
+        const output = await Jimp.fromBuffer(final.files[0].attachment);
+        expect([output.bitmap.width, output.bitmap.height]).toEqual([300, 240]);
+    });
+
+    test('leaves faces matching the reference visible', async () => {
+        const interaction = fakeCommandInteraction('anonymize', {
+            image: fakeAttachment('party.png'),
+            keep_image: fakeAttachment('me.png')
+        });
+        await rekognition.execute(interaction);
+
+        const final = interaction.replies.at(-1);
+        expect(final.content).toContain('Every face in the image matches the reference photo');
+        expect(final.files).toBeUndefined();
+    });
+
+    test('can hide text as well', async () => {
+        const interaction = fakeCommandInteraction('anonymize', { image: fakeAttachment('party.png'), redact_text: true });
+        await rekognition.execute(interaction);
+
+        const fields = interaction.replies.at(-1).embeds[0].toJSON().fields;
+        expect(fields.find(field => field.name === '📝 Text Regions Hidden').value).toBe('1');
+    });
+});
@@ -0,0 +1,246 @@
+const { describe, test, expect, beforeAll, afterAll, beforeEach, afterEach } = require('bun:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Jimp } = require('jimp');
+const { RateLimiter, createApiServer, startApiServer, _test } = require('../lib/apiServer.js');
+const { MockVisionBackend, setVisionBackend } = require('../lib/visionBackends.js');
+const { ResultCache, MemoryCacheBackend, setResultCache } = require('../lib/resultCache.js');
+const { JobQueue } = require('../lib/jobQueue.js');
+const { JsonStore } = require('../lib/jsonStore.js');
+const { UserFacingError, CircuitOpenError } = require('../lib/errors.js');
+const privacy = require('../lib/privacy.js');
+
+const { isAuthorized, parseFeatures, parseSimilarity, describeError } = _test;
+
+const TOKEN = 'test-token-0123456789';
+
+// --- Rate limiting ---
+
+describe('RateLimiter', () => {
+    test('allows `limit` requests per window and key', () => {
+        const limiter = new RateLimiter({ limit: 2, windowMs: 60000 });
+        expect(limiter.take('a', 0)).toBe(0);
+        expect(limiter.take('a', 1000)).toBe(0);
+        expect(limiter.take('a', 1500)).toBe(59);
+        expect(limiter.take('b', 1500)).toBe(0);
+        expect(limiter.take('a', 60000)).toBe(0);
+    });
+});
+
+// --- Request parsing ---
+
+describe('request parsing', () => {
+    test('accepts only the exact bearer token', () => {
+        expect(isAuthorized({ headers: { authorization: `Bearer ${TOKEN}` } }, TOKEN)).toBe(true);
+        expect(isAuthorized({ headers: { authorization: `Bearer ${TOKEN}x` } }, TOKEN)).toBe(false);
+        expect(isAuthorized({ headers: { authorization: TOKEN } }, TOKEN)).toBe(false);
+        expect(isAuthorized({ headers: {} }, TOKEN)).toBe(false);
+    });
+
+    test('parses features and similarity', () => {
+        expect(parseFeatures(undefined)).toEqual(['labels', 'text', 'faces', 'moderation', 'celebrities']);
+        expect(parseFeatures('labels, text,labels')).toEqual(['labels', 'text']);
+        expect(() => parseFeatures('labels,emotions')).toThrow('Unknown features: emotions');
+        expect(parseSimilarity(null)).toBe(80);
+        expect(parseSimilarity('95.5')).toBe(95.5);
+        expect(() => parseSimilarity('101')).toThrow('from 0 to 100');
+    });
+
+    test('maps errors to status codes without leaking internals', () => {
+        expect(describeError(new CircuitOpenError(30))).toMatchObject({ status: 503, headers: { 'Retry-After': '30' } });
+        expect(describeError(Object.assign(new Error('x'), { name: 'ThrottlingException' })).status).toBe(503);
+        expect(describeError(Object.assign(new Error('Request has invalid parameters: no face'), { name: 'InvalidParameterException' })).status).toBe(422);
+        expect(describeError(new Error('secret internals'))).toEqual({ status: 500, message: 'Internal error.' });
+    });
+
+    test('maps job queue errors to 503 with Retry-After and 504', () => {
+        expect(describeError(UserFacingError.fromCatalog('errors.busy'))).toMatchObject({ status: 503, headers: { 'Retry-After': '30' } });
+        expect(describeError(UserFacingError.fromCatalog('errors.restarting'))).toMatchObject({ status: 503, headers: { 'Retry-After': '30' } });
+        expect(describeError(UserFacingError.fromCatalog('errors.timedOut'))).toMatchObject({ status: 504 });
+        expect(describeError(UserFacingError.fromCatalog('errors.invalidImageFile')).status).toBe(400);
+    });
+});
+
+// --- Server ---
+
+describe('HTTP API', () => {
+    let server;
+    let baseUrl;
+    let png;
+    let tempDir;
+    let dataDir;
+
+    beforeAll(async () => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-'));
+        png = await new Jimp({ width: 200, height: 200, color: 0xFFFFFFFF }).getBuffer('image/png');
+        setVisionBackend(new MockVisionBackend());
+        server = createApiServer({ token: TOKEN, rateLimit: 1000, maxBodyBytes: 1024 * 1024, tempDir, queue: new JobQueue() });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(() => {
+        server.close();
+        setVisionBackend(null);
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        setResultCache(new ResultCache(new MemoryCacheBackend()));
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-privacy-'));
+        privacy.setConsentStore(new JsonStore('consent.json', { dataDir }));
+    });
+
+    afterEach(() => {
+        setResultCache(undefined);
+        privacy.setConsentStore(null);
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    function post(route, body, headers = {}) {
+        return fetch(`${baseUrl}${route}`, { method: 'POST', body, headers: { Authorization: `Bearer ${TOKEN}`, ...headers } });
+    }
+
+    function imageForm(fields) {
+        const form = new FormData();
+        for (const [name, value] of Object.entries(fields)) {
+            if (Buffer.isBuffer(value)) {
+                form.append(name, new Blob([value], { type: 'image/png' }), `${name}.png`);
+            } else {
+                form.append(name, value);
+            }
+        }
+        return form;
+    }
+
+    test('rejects unknown routes, other methods and missing tokens', async () => {
+        expect((await fetch(`${baseUrl}/v1/nope`, { method: 'POST' })).status).toBe(404);
+
+        const get = await fetch(`${baseUrl}/v1/analyze`);
+        expect(get.status).toBe(405);
+        expect(get.headers.get('allow')).toBe('POST');
+
+        const anonymous = await fetch(`${baseUrl}/v1/analyze`, { method: 'POST', body: imageForm({ image: png }) });
+        expect(anonymous.status).toBe(401);
+        const body = await anonymous.json();
+        expect(body.error).toBe('Missing or invalid API token.');
+        expect(anonymous.headers.get('x-request-id')).toBe(body.requestId);
+    });
+
+    test('analyze returns the analysis report of an uploaded image', async () => {
+        const res = await post('/v1/analyze', imageForm({ image: png, features: 'labels,faces' }));
+        expect(res.status).toBe(200);
+
+        const report = await res.json();
+        expect(report.meta).toMatchObject({ source: 'uploaded image (image.png)', analysisType: 'comprehensive_image_analysis' });
+        expect(Object.keys(report.results).sort()).toEqual(['faces', 'labels']);
+        expect(report.results.labels.Labels[0].Name).toBe('Dog');
+    });
+
+    test('compare returns the comparison report', async () => {
+        const res = await post('/v1/compare', imageForm({ source: png, target: png, similarity: '90' }));
+        expect(res.status).toBe(200);
+
+        const report = await res.json();
+        expect(report.meta).toMatchObject({ source: 'uploaded source (source.png)', target: 'uploaded target (target.png)', analysisType: 'face_comparison' });
+        expect(report.results.FaceMatches).toHaveLength(1);
+    });
+
+    test('reports bad input as 400, 413 and 415', async () => {
+        const missing = await post('/v1/analyze', JSON.stringify({ features: 'labels' }), { 'Content-Type': 'application/json' });
+        expect(missing.status).toBe(400);
+        expect((await missing.json()).error).toBe('Missing image: send the image file or url.');
+
+        const notImage = await post('/v1/analyze', imageForm({ image: Buffer.from('not an image') }));
+        expect(notImage.status).toBe(400);
+        expect((await notImage.json()).error).toContain('does not appear to be a valid image');
+
+        const badUrl = await post('/v1/analyze', JSON.stringify({ url: 'file:///etc/passwd' }), { 'Content-Type': 'application/json' });
+        expect(badUrl.status).toBe(400);
+
+        const tooLarge = await post('/v1/analyze', imageForm({ image: Buffer.alloc(2 * 1024 * 1024) }));
+        expect(tooLarge.status).toBe(413);
+
+        const text = await post('/v1/analyze', 'url=https://example.com/a.png', { 'Content-Type': 'text/plain' });
+        expect(text.status).toBe(415);
+    });
+
+    test('refuses private addresses and avatars of opted-out members', async () => {
+        const json = { 'Content-Type': 'application/json' };
+        const internal = await post('/v1/analyze', JSON.stringify({ url: 'http://169.254.169.254/latest/' }), json);
+        expect(internal.status).toBe(400);
+        expect((await internal.json()).error).toContain('private or internal');
+
+        await privacy.setOptedOut('123456789', true);
+        const avatar = JSON.stringify({ url: 'https://cdn.discordapp.com/avatars/123456789/abc.png', features: 'faces' });
+        expect((await post('/v1/analyze', avatar, json)).status).toBe(403);
+    });
+
+    // A server on its own queue whose only slot is held until release() is called
+    async function withBlockedQueue(options, fn) {
+        const queue = new JobQueue({ concurrency: 1, ...options });
+        const blocked = createApiServer({ token: TOKEN, rateLimit: 1000, tempDir, queue });
+        await new Promise(resolve => blocked.listen(0, '127.0.0.1', resolve));
+        let release;
+        queue.run('g1', () => new Promise(resolve => {
+            release = resolve;
+        })).catch(() => {});
+        try {
+            const request = () => fetch(`http://127.0.0.1:${blocked.address().port}/v1/analyze`, {
+                method: 'POST',
+                body: imageForm({ image: png }),
+                headers: { Authorization: `Bearer ${TOKEN}` }
+            });
+            await fn(request, queue, () => release());
+        } finally {
+            release();
+            blocked.close();
+        }
+    }
+
+    test('reports a full or restarting job queue as 503 with Retry-After', async () => {
+        await withBlockedQueue({ maxQueueLength: 0 }, async (request, queue, release) => {
+            const full = await request();
+            expect(full.status).toBe(503);
+            expect(full.headers.get('retry-after')).toBe('30');
+
+            release();
+            await queue.drain();
+            const restarting = await request();
+            expect(restarting.status).toBe(503);
+            expect(restarting.headers.get('retry-after')).toBe('30');
+        });
+    });
+
+    test('reports a request that waited past its deadline as 504', async () => {
+        await withBlockedQueue({ jobTimeoutMs: 50 }, async request => {
+            expect((await request()).status).toBe(504);
+        });
+    });
+
+    test('rate limits each client address', async () => {
+        const limited = createApiServer({ token: TOKEN, rateLimit: 1, tempDir, queue: new JobQueue() });
+        await new Promise(resolve => limited.listen(0, '127.0.0.1', resolve));
+        try {
+            const url = `http://127.0.0.1:${limited.address().port}/v1/analyze`;
+            expect((await fetch(url, { method: 'POST' })).status).toBe(401);
+
+            const second = await fetch(url, { method: 'POST', headers: { Authorization: `Bearer ${TOKEN}` } });
+            expect(second.status).toBe(429);
+            expect(Number(second.headers.get('retry-after'))).toBeGreaterThan(0);
+        } finally {
+            limited.close();
+        }
+    });
+});
+
+describe('startApiServer', () => {
+    test('stays off without API_PORT', async () => {
+        expect(await startApiServer({ port: undefined, token: TOKEN })).toBeNull();
+    });
+
+    test('refuses to start without a long enough token', async () => {
+        await expect(startApiServer({ port: '0', token: 'short' })).rejects.toThrow('API_TOKEN must be set');
+    });
+});
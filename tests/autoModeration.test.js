@@ -0,0 +1,257 @@
+const { describe, test, expect, beforeEach, afterEach, spyOn } = require('bun:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const { Jimp } = require('jimp');
+const { JsonStore } = require('../lib/jsonStore.js');
+const { JobQueue } = require('../lib/jobQueue.js');
+const { setVisionBackend } = require('../lib/visionBackends.js');
+const autoModeration = require('../lib/autoModeration.js');
+
+const { isWatchedChannel, findFlaggedLabels, getImageAttachments, applyPolicy } = autoModeration._test;
+
+let dataDir;
+
+beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'automod-'));
+    autoModeration.setPolicyStore(new JsonStore('policies.json', { dataDir }));
+});
+
+afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// --- Policy storage ---
+
+describe('policies', () => {
+    test('returns defaults for unknown guilds', () => {
+        expect(autoModeration.getPolicy('g1')).toEqual({
+            channelIds: [],
+            threshold: 80,
+            action: 'log',
+            logChannelId: null
+        });
+    });
+
+    test('watches and unwatches channels without duplicates', async () => {
+        await autoModeration.watchChannel('g1', 'c1');
+        await autoModeration.watchChannel('g1', 'c1');
+        await autoModeration.watchChannel('g1', 'c2');
+        expect(autoModeration.getPolicy('g1').channelIds).toEqual(['c1', 'c2']);
+
+        await autoModeration.unwatchChannel('g1', 'c1');
+        expect(autoModeration.getPolicy('g1').channelIds).toEqual(['c2']);
+    });
+
+    test('updates action and clamps threshold', async () => {
+        const policy = await autoModeration.updatePolicy('g1', { action: 'spoiler', threshold: 10 });
+        expect(policy.action).toBe('spoiler');
+        expect(policy.threshold).toBe(autoModeration.MIN_THRESHOLD);
+    });
+
+    test('rejects unknown actions', async () => {
+        await expect(autoModeration.updatePolicy('g1', { action: 'ban' })).rejects.toThrow('Unknown moderation action');
+    });
+
+    test('keeps guilds separate', async () => {
+        await autoModeration.watchChannel('g1', 'c1');
+        expect(autoModeration.getPolicy('g2').channelIds).toEqual([]);
+    });
+});
+
+// --- Evaluation ---
+
+describe('isWatchedChannel', () => {
+    const policy = { channelIds: ['c1'] };
+
+    test('matches watched channels', () => {
+        expect(isWatchedChannel(policy, { id: 'c1', isThread: () => false })).toBe(true);
+    });
+    test('ignores other channels', () => {
+        expect(isWatchedChannel(policy, { id: 'c2', isThread: () => false })).toBe(false);
+    });
+    test('matches threads under a watched channel', () => {
+        expect(isWatchedChannel(policy, { id: 't1', parentId: 'c1', isThread: () => true })).toBe(true);
+    });
+});
+
+describe('findFlaggedLabels', () => {
+    const result = {
+        ModerationLabels: [
+            { Name: 'Suggestive', Confidence: 72.1 },
+            { Name: 'Explicit Nudity', Confidence: 95.4 },
+            { Name: 'Violence', Confidence: 80 }
+        ]
+    };
+
+    test('keeps labels at or above the threshold, highest first', () => {
+        expect(findFlaggedLabels(result, 80).map(l => l.Name)).toEqual(['Explicit Nudity', 'Violence']);
+    });
+    test('returns empty for clean images', () => {
+        expect(findFlaggedLabels({ ModerationLabels: [] }, 50)).toEqual([]);
+    });
+    test('tolerates missing results', () => {
+        expect(findFlaggedLabels(undefined, 50)).toEqual([]);
+    });
+});
+
+describe('getImageAttachments', () => {
+    test('keeps only images within the size limit', () => {
+        const message = {
+            attachments: new Map([
+                ['1', { contentType: 'image/png', size: 1000 }],
+                ['2', { contentType: 'video/mp4', size: 1000 }],
+                ['3', { contentType: 'image/jpeg', size: 50 * 1024 * 1024 }],
+                ['4', { size: 1000 }]
+            ])
+        };
+        expect(getImageAttachments(message)).toHaveLength(1);
+    });
+});
+
+// --- Message handling ---
+
+function fakeMessage(overrides = {}) {
+    const calls = { deleted: 0, sent: [], logged: [] };
+    const message = {
+        author: { id: 'u1', tag: 'user#0001', bot: false },
+        guildId: 'g1',
+        channelId: 'c1',
+        channel: {
+            id: 'c1',
+            isThread: () => false,
+            send: async payload => calls.sent.push(payload)
+        },
+        guild: {
+            channels: { fetch: async () => ({ send: async payload => calls.logged.push(payload) }) }
+        },
+        content: 'look at this',
+        url: 'https://discord.com/channels/g1/c1/m1',
+        attachments: new Map(),
+        inGuild: () => true,
+        delete: async () => { calls.deleted++; },
+        ...overrides
+    };
+    return { message, calls };
+}
+
+const flaggedScan = [{
+    attachment: { name: 'photo.png' },
+    buffer: Buffer.from('image'),
+    labels: [{ Name: 'Violence', Confidence: 91.2 }]
+}];
+
+describe('handleMessage', () => {
+    test('ignores bot authors', async () => {
+        await autoModeration.watchChannel('g1', 'c1');
+        const { message, calls } = fakeMessage({ author: { id: 'b1', bot: true } });
+        await autoModeration.handleMessage(message);
+        expect(calls.deleted).toBe(0);
+    });
+
+    test('ignores unwatched channels', async () => {
+        const { message, calls } = fakeMessage({
+            attachments: new Map([['1', { contentType: 'image/png', size: 10 }]])
+        });
+        await autoModeration.handleMessage(message);
+        expect(calls.deleted).toBe(0);
+        expect(calls.logged).toHaveLength(0);
+    });
+
+    test('queues scans instead of skipping messages when busy', async () => {
+        const png = await new Jimp({ width: 50, height: 50, color: 0xFFFFFFFF }).getBuffer('image/png');
+        const axiosSpy = spyOn(axios, 'get').mockResolvedValue({ data: png });
+        let active = 0;
+        let maxActive = 0;
+        setVisionBackend({
+            name: 'slow',
+            detectModerationLabels: async () => {
+                maxActive = Math.max(maxActive, ++active);
+                await new Promise(resolve => setTimeout(resolve, 5));
+                active--;
+                return { ModerationLabels: [{ Name: 'Violence', Confidence: 95 }] };
+            }
+        });
+        autoModeration.setScanQueue(new JobQueue({ concurrency: 2 }));
+
+        try {
+            await autoModeration.watchChannel('g1', 'c1');
+            const attachment = { contentType: 'image/png', size: 10, name: 'a.png', url: 'https://cdn.discordapp.com/attachments/1/2/a.png' };
+            const messages = Array.from({ length: 6 }, () => fakeMessage({ attachments: new Map([['1', attachment]]) }));
+            await autoModeration.updatePolicy('g1', { action: 'delete' });
+            await Promise.all(messages.map(({ message }) => autoModeration.handleMessage(message)));
+
+            expect(messages.every(({ calls }) => calls.deleted === 1)).toBe(true);
+            expect(maxActive).toBe(2);
+        } finally {
+            axiosSpy.mockRestore();
+            setVisionBackend(null);
+            autoModeration.setScanQueue(null);
+        }
+    });
+
+    test('stops scanning once shutdown drained the scan queue', async () => {
+        const axiosSpy = spyOn(axios, 'get');
+        autoModeration.setScanQueue(new JobQueue({ concurrency: 2 }));
+
+        try {
+            await autoModeration.watchChannel('g1', 'c1');
+            expect(await autoModeration.getScanQueue().drain()).toBe(0);
+
+            const attachment = { contentType: 'image/png', size: 10, name: 'a.png', url: 'https://cdn.discordapp.com/attachments/1/2/a.png' };
+            const { message, calls } = fakeMessage({ attachments: new Map([['1', attachment]]) });
+            await autoModeration.handleMessage(message);
+
+            expect(axiosSpy).not.toHaveBeenCalled();
+            expect(calls.logged).toHaveLength(0);
+        } finally {
+            axiosSpy.mockRestore();
+            autoModeration.setScanQueue(null);
+        }
+    });
+});
+
+describe('applyPolicy', () => {
+    test('log action reports without deleting', async () => {
+        const { message, calls } = fakeMessage();
+        await applyPolicy(message, { action: 'log', logChannelId: 'mod' }, flaggedScan);
+        expect(calls.deleted).toBe(0);
+        expect(calls.logged).toHaveLength(1);
+        expect(calls.logged[0].embeds[0].data.fields[2].value).toBe('Logged only');
+    });
+
+    test('delete action deletes and reports', async () => {
+        const { message, calls } = fakeMessage();
+        await applyPolicy(message, { action: 'delete', logChannelId: 'mod' }, flaggedScan);
+        expect(calls.deleted).toBe(1);
+        expect(calls.logged[0].embeds[0].data.fields[2].value).toBe('Message deleted');
+    });
+
+    test('spoiler action re-posts flagged images as spoilers', async () => {
+        const { message, calls } = fakeMessage();
+        await applyPolicy(message, { action: 'spoiler', logChannelId: null }, flaggedScan);
+        expect(calls.deleted).toBe(1);
+        expect(calls.sent).toHaveLength(1);
+        expect(calls.sent[0].files[0].name).toBe('SPOILER_image_1.png');
+        expect(calls.sent[0].allowedMentions).toEqual({ parse: [] });
+        expect(calls.logged).toHaveLength(0);
+    });
+
+    test('spoiler action keeps the original when the copy cannot be sent', async () => {
+        const { message, calls } = fakeMessage();
+        message.channel.send = async () => { throw new Error('Missing Permissions'); };
+        await applyPolicy(message, { action: 'spoiler', logChannelId: 'mod' }, flaggedScan);
+        expect(calls.deleted).toBe(0);
+        expect(calls.logged[0].embeds[0].data.fields[2].value).toContain('original kept');
+    });
+
+    test('spoiler action removes its copy when the original cannot be deleted', async () => {
+        let copyDeleted = false;
+        const { message, calls } = fakeMessage({ delete: async () => { throw new Error('Missing Permissions'); } });
+        message.channel.send = async () => ({ delete: async () => { copyDeleted = true; } });
+        await applyPolicy(message, { action: 'spoiler', logChannelId: 'mod' }, flaggedScan);
+        expect(copyDeleted).toBe(true);
+        expect(calls.logged[0].embeds[0].data.fields[2].value).toBe('Spoiler re-post failed (missing Manage Messages?), original kept');
+    });
+});
@@ -0,0 +1,195 @@
+const { describe, test, expect, beforeAll, afterAll, beforeEach, afterEach } = require('bun:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Jimp } = require('jimp');
+const { EXIT_OK, EXIT_IMAGES_FAILED, parseCliOptions, expandInputs, runBatch, _test } = require('../lib/batchAnalysis.js');
+const { MockVisionBackend, setVisionBackend } = require('../lib/visionBackends.js');
+const { ResultCache, MemoryCacheBackend, setResultCache } = require('../lib/resultCache.js');
+
+const { reportNames, reportRows, toCsv, readJournal } = _test;
+
+// --- Arguments ---
+
+describe('parseCliOptions', () => {
+    test('applies defaults', () => {
+        expect(parseCliOptions(['analyze', 'a.jpg'])).toEqual({
+            command: 'analyze',
+            inputs: ['a.jpg'],
+            features: ['labels', 'text', 'faces', 'moderation', 'celebrities'],
+            format: 'json',
+            outDir: 'rekognition-reports',
+            combined: null,
+            concurrency: 4,
+            resume: false,
+            backend: null
+        });
+    });
+
+    test('reads flags as --flag=value or --flag value', () => {
+        const options = parseCliOptions([
+            'analyze', 'a.jpg', '--features', 'labels, text', '--format=csv', 'b.png',
+            '--combined', 'out/all.csv', '--concurrency=2', '--resume', '--backend=mock'
+        ]);
+        expect(options).toMatchObject({
+            inputs: ['a.jpg', 'b.png'],
+            features: ['labels', 'text'],
+            format: 'csv',
+            outDir: null,
+            combined: 'out/all.csv',
+            concurrency: 2,
+            resume: true,
+            backend: 'mock'
+        });
+    });
+
+    test('rejects bad arguments', () => {
+        expect(() => parseCliOptions([])).toThrow('Missing command');
+        expect(() => parseCliOptions(['compare', 'a.jpg'])).toThrow('Unknown command: compare');
+        expect(() => parseCliOptions(['analyze'])).toThrow('at least one image');
+        expect(() => parseCliOptions(['analyze', 'a.jpg', '--verbose'])).toThrow('Unknown argument: --verbose');
+        expect(() => parseCliOptions(['analyze', 'a.jpg', '--format'])).toThrow('--format needs a value');
+        expect(() => parseCliOptions(['analyze', 'a.jpg', '--format=xml'])).toThrow('--format must be one of json, csv');
+        expect(() => parseCliOptions(['analyze', 'a.jpg', '--features=labels,emotions'])).toThrow('Unknown features: emotions');
+        expect(() => parseCliOptions(['analyze', 'a.jpg', '--concurrency=0'])).toThrow('--concurrency must be');
+        expect(() => parseCliOptions(['analyze', 'a.jpg', '--concurrency=11'])).toThrow('--concurrency must be');
+        expect(() => parseCliOptions(['analyze', 'a.jpg', '--backend=local'])).toThrow('--backend must be one of');
+        expect(() => parseCliOptions(['analyze', 'a.jpg', '--out-dir=r', '--combined=r.json'])).toThrow('cannot be used together');
+    });
+});
+
+// --- Reports ---
+
+describe('reports', () => {
+    test('numbers report names that repeat', () => {
+        expect(reportNames(['a/cat.jpg', 'b/cat.jpg', 'dog.png'], 'json')).toEqual(['cat.jpg.json', 'cat.jpg-2.json', 'dog.png.json']);
+    });
+
+    test('flattens results into CSV rows', () => {
+        const report = {
+            meta: { source: 'photos/a, b.jpg' },
+            results: {
+                labels: { Labels: [{ Name: 'Dog', Confidence: 98.71, Parents: [{ Name: 'Animal' }, { Name: 'Pet' }] }] },
+                text: { TextDetections: [{ Type: 'LINE', DetectedText: 'Say "hi"', Confidence: 99 }, { Type: 'WORD', DetectedText: 'Say' }] },
+                faces: { FaceDetails: [{ Confidence: 99.9, AgeRange: { Low: 20, High: 30 }, Emotions: [{ Type: 'CALM', Confidence: 10 }, { Type: 'HAPPY', Confidence: 90 }] }] },
+                celebrities: { error: 'Service busy' }
+            }
+        };
+
+        const rows = reportRows(report);
+        expect(rows).toEqual([
+            ['photos/a, b.jpg', 'labels', 'Dog', '98.7', 'Animal; Pet'],
+            ['photos/a, b.jpg', 'text', 'Say "hi"', '99.0', ''],
+            ['photos/a, b.jpg', 'faces', 'face 1', '99.9', 'age 20-30; happy'],
+            ['photos/a, b.jpg', 'celebrities', '', '', 'error: Service busy']
+        ]);
+        expect(toCsv(rows.slice(0, 2))).toBe(
+            'source,feature,name,confidence,details\n' +
+            '"photos/a, b.jpg",labels,Dog,98.7,Animal; Pet\n' +
+            '"photos/a, b.jpg",text,"Say ""hi""",99.0,\n'
+        );
+    });
+});
+
+// --- Batch ---
+
+describe('batch analysis', () => {
+    let dir;
+    let outDir;
+    let png;
+
+    beforeAll(async () => {
+        png = await new Jimp({ width: 100, height: 100, color: 0xFFFFFFFF }).getBuffer('image/png');
+        setVisionBackend(new MockVisionBackend());
+    });
+
+    afterAll(() => {
+        setVisionBackend(null);
+    });
+
+    beforeEach(() => {
+        setResultCache(new ResultCache(new MemoryCacheBackend()));
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-'));
+        outDir = path.join(dir, 'reports');
+        fs.writeFileSync(path.join(dir, 'a.png'), png);
+        fs.writeFileSync(path.join(dir, 'b.png'), png);
+        fs.writeFileSync(path.join(dir, 'notes.txt'), 'not an image');
+    });
+
+    afterEach(() => {
+        setResultCache(undefined);
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function options(overrides = {}) {
+        return { features: ['labels', 'faces'], format: 'json', outDir, combined: null, concurrency: 2, resume: false, ...overrides };
+    }
+
+    test('expands directories to their images, once each', async () => {
+        const a = path.join(dir, 'a.png');
+        const b = path.join(dir, 'b.png');
+        expect(await expandInputs([dir, a])).toEqual([a, b]);
+        await expect(expandInputs([path.join(dir, 'missing.png')])).rejects.toThrow('No such file or directory');
+    });
+
+    test('writes one report per image in the report schema', async () => {
+        const lines = [];
+        const files = await expandInputs([dir]);
+        expect(await runBatch({ files, options: options(), print: line => lines.push(line) })).toBe(EXIT_OK);
+
+        expect(fs.readdirSync(outDir).sort()).toEqual(['a.png.json', 'b.png.json']);
+        const report = JSON.parse(fs.readFileSync(path.join(outDir, 'a.png.json'), 'utf8'));
+        expect(report.meta).toMatchObject({ source: files[0], analysisType: 'comprehensive_image_analysis' });
+        expect(Object.keys(report.results).sort()).toEqual(['faces', 'labels']);
+        expect(lines).toContain('2 analyzed, 0 already done, 0 failed');
+    });
+
+    test('reports failed images and retries only those on resume', async () => {
+        const bad = path.join(dir, 'bad.jpg');
+        fs.writeFileSync(bad, 'not an image');
+        const files = [path.join(dir, 'a.png'), bad];
+
+        const lines = [];
+        expect(await runBatch({ files, options: options(), print: line => lines.push(line) })).toBe(EXIT_IMAGES_FAILED);
+        expect(lines.some(line => line.includes(`❌ ${bad}: File does not appear to be a valid image`))).toBe(true);
+
+        fs.writeFileSync(bad, png);
+        lines.length = 0;
+        expect(await runBatch({ files, options: options({ resume: true }), print: line => lines.push(line) })).toBe(EXIT_OK);
+        expect(lines).toContain(`[1/2] ⏭️  ${files[0]} (already done)`);
+        expect(lines).toContain('1 analyzed, 1 already done, 0 failed');
+        expect(fs.readdirSync(outDir).sort()).toEqual(['a.png.json', 'bad.jpg.json']);
+    });
+
+    test('combines the batch into one report and resumes from its journal', async () => {
+        const combined = path.join(dir, 'all.json');
+        const journal = `${combined}.partial.jsonl`;
+        const bad = path.join(dir, 'bad.jpg');
+        fs.writeFileSync(bad, 'not an image');
+        const files = [path.join(dir, 'a.png'), bad];
+        const print = () => {};
+
+        expect(await runBatch({ files, options: options({ outDir: null, combined }), print })).toBe(EXIT_IMAGES_FAILED);
+        const partial = JSON.parse(fs.readFileSync(combined, 'utf8'));
+        expect(partial.meta).toMatchObject({ analysisType: 'batch_image_analysis', images: 2, failed: 1 });
+        expect(partial.failures[0].source).toBe(bad);
+        expect([...(await readJournal(journal)).keys()]).toEqual([path.resolve(files[0])]);
+
+        fs.writeFileSync(bad, png);
+        expect(await runBatch({ files, options: options({ outDir: null, combined, resume: true }), print })).toBe(EXIT_OK);
+        const report = JSON.parse(fs.readFileSync(combined, 'utf8'));
+        expect(report.reports.map(entry => entry.meta.source)).toEqual(files);
+        expect(report.failures).toEqual([]);
+        expect(fs.existsSync(journal)).toBe(false);
+    });
+
+    test('writes a combined CSV', async () => {
+        const combined = path.join(dir, 'all.csv');
+        const files = [path.join(dir, 'a.png')];
+        expect(await runBatch({ files, options: options({ format: 'csv', outDir: null, combined }), print: () => {} })).toBe(EXIT_OK);
+
+        const [header, first] = fs.readFileSync(combined, 'utf8').split('\n');
+        expect(header).toBe('source,feature,name,confidence,details');
+        expect(first).toBe(`${files[0]},labels,Dog,98.7,Animal; Pet; Mammal`);
+    });
+});
@@ -0,0 +1,196 @@
+const { describe, test, expect, beforeEach, afterEach } = require('bun:test');
+const fs = require('fs');
+const { setVisionBackend } = require('../lib/visionBackends.js');
+const { ResultCache, MemoryCacheBackend, setResultCache } = require('../lib/resultCache.js');
+const {
+    recognizeCelebrityDetails,
+    describePosition,
+    formatLinks,
+    createCelebrityEmbed,
+    createCelebrityReport
+} = require('../lib/celebrities.js');
+const rekognition = require('../commands/rekognition.js');
+const { fakeCommandInteraction, fakeAttachment, useMockCommandEnvironment, withFixtures } = require('./helpers/commandHarness.js');
+
+const RESPONSE = {
+    CelebrityFaces: [
+        {
+            Id: 'abc123',
+            Name: 'Jane Example',
+            MatchConfidence: 99.5,
+            Urls: ['www.wikidata.org/wiki/Q1'],
+            KnownGender: { Type: 'Female' },
+            Face: { BoundingBox: { Left: 0.05, Top: 0.1, Width: 0.2, Height: 0.2 } }
+        },
+        {
+            Id: 'def456',
+            Name: 'John Example',
+            MatchConfidence: 97.25,
+            Urls: [],
+            Face: { BoundingBox: { Left: 0.4, Top: 0.4, Width: 0.2, Height: 0.2 } }
+        }
+    ],
+    UnrecognizedFaces: [{ BoundingBox: { Left: 0.7, Top: 0.7, Width: 0.1, Height: 0.1 } }]
+};
+
+function fakeBackend(infos) {
+    const calls = { recognizeCelebrities: 0, getCelebrityInfo: [] };
+    return {
+        calls,
+        name: 'fake',
+        recognizeCelebrities: async () => {
+            calls.recognizeCelebrities++;
+            return structuredClone(RESPONSE);
+        },
+        getCelebrityInfo: async id => {
+            calls.getCelebrityInfo.push(id);
+            if (!infos[id]) throw Object.assign(new Error('not found'), { name: 'ResourceNotFoundException' });
+            return infos[id];
+        }
+    };
+}
+
+// --- recognizeCelebrityDetails ---
+
+describe('recognizeCelebrityDetails', () => {
+    beforeEach(() => setResultCache(null));
+
+    afterEach(() => {
+        setVisionBackend(null);
+        setResultCache(undefined);
+    });
+
+    test('merges recognition results with GetCelebrityInfo', async () => {
+        const backend = fakeBackend({
+            abc123: { Name: 'Jane Example', Urls: ['www.wikidata.org/wiki/Q1', 'www.imdb.com/name/nm1'] }
+        });
+        setVisionBackend(backend);
+
+        const details = await recognizeCelebrityDetails(Buffer.from('image'));
+
+        expect(backend.calls.getCelebrityInfo.sort()).toEqual(['abc123', 'def456']);
+        expect(details.unrecognizedCount).toBe(1);
+        expect(details.celebrities[0]).toMatchObject({
+            id: 'abc123',
+            knownGender: 'Female',
+            urls: ['www.wikidata.org/wiki/Q1', 'www.imdb.com/name/nm1']
+        });
+        // A failed lookup still lists the celebrity
+        expect(details.celebrities[1]).toMatchObject({ id: 'def456', name: 'John Example', info: null });
+    });
+
+    test('shares cached recognition results', async () => {
+        const backend = fakeBackend({});
+        setVisionBackend(backend);
+        setResultCache(new ResultCache(new MemoryCacheBackend()));
+
+        await recognizeCelebrityDetails(Buffer.from('image'));
+        const details = await recognizeCelebrityDetails(Buffer.from('image'));
+
+        expect(backend.calls.recognizeCelebrities).toBe(1);
+        expect(details.cached).toBe(true);
+    });
+});
+
+// --- Formatting ---
+
+describe('describePosition', () => {
+    test('names the grid cell and gives the box in percent', () => {
+        expect(describePosition({ Left: 0.05, Top: 0.1, Width: 0.2, Height: 0.2 })).toBe('top left (x 5%, y 10%, 20% × 20%)');
+        expect(describePosition({ Left: 0.4, Top: 0.4, Width: 0.2, Height: 0.2 })).toBe('center (x 40%, y 40%, 20% × 20%)');
+        expect(describePosition({ Left: 0.7, Top: 0.45, Width: 0.2, Height: 0.1 })).toMatch(/^middle right/);
+        expect(describePosition(null)).toBe('Unknown');
+    });
+});
+
+describe('formatLinks', () => {
+    test('adds the scheme Rekognition leaves out', () => {
+        expect(formatLinks(['www.imdb.com/name/nm1'])).toBe('[imdb.com](https://www.imdb.com/name/nm1)');
+    });
+
+    test('drops anything that is not a web link', () => {
+        expect(formatLinks(['javascript:alert(1)', 'not a url'])).toBe('');
+    });
+});
+
+// --- Embed and report ---
+
+describe('createCelebrityEmbed', () => {
+    const details = {
+        response: RESPONSE,
+        cached: false,
+        unrecognizedCount: 1,
+        celebrities: [{
+            id: 'abc123',
+            name: 'Jane Example',
+            matchConfidence: 99.5,
+            boundingBox: RESPONSE.CelebrityFaces[0].Face.BoundingBox,
+            knownGender: 'Female',
+            urls: ['www.wikidata.org/wiki/Q1'],
+            info: {}
+        }]
+    };
+
+    test('lists every celebrity with position, links and ID', () => {
+        const embed = createCelebrityEmbed(details, 'photo.jpg', null).toJSON();
+        expect(embed.description).toContain('**Recognized:** 1 • **Unrecognized faces:** 1');
+        expect(embed.fields[0].name).toBe('1. Jane Example');
+        expect(embed.fields[0].value).toBe(
+            'Match: 99.5%\nPosition: top left (x 5%, y 10%, 20% × 20%)\nKnown gender: Female\n' +
+            'Links: [wikidata.org](https://www.wikidata.org/wiki/Q1)\nID: `abc123`'
+        );
+    });
+
+    test('escapes markdown in celebrity names', () => {
+        const celebrity = { ...details.celebrities[0], name: '*Jane* _Example_' };
+        const embed = createCelebrityEmbed({ ...details, celebrities: [celebrity] }, 'photo.jpg', null).toJSON();
+        expect(embed.fields[0].name).toBe('1. \\*Jane\\* \\_Example\\_');
+    });
+
+    test('says when no celebrity was recognized', () => {
+        const embed = createCelebrityEmbed({ ...details, celebrities: [] }, 'photo.jpg', null).toJSON();
+        expect(embed.fields[0].value).toBe('1 face(s) were found, but none matched a known celebrity.');
+    });
+});
+
+describe('createCelebrityReport', () => {
+    test('keeps the celebrity IDs for follow-up lookups', () => {
+        const report = createCelebrityReport({ response: RESPONSE, celebrities: [{ id: 'abc123' }, { id: null }], unrecognizedCount: 1 });
+        expect(report.celebrityIds).toEqual(['abc123']);
+        expect(report.recognizeCelebrities).toBe(RESPONSE);
+    });
+});
+
+// --- /rekognition celebrity ---
+
+describe('/rekognition celebrity', () => {
+    useMockCommandEnvironment();
+
+    test('lists each recognized face with its details and ID', async () => {
+        const fixture = {
+            CelebrityFaces: [{
+                Id: '3Ir0du6',
+                Name: 'Example Celebrity',
+                MatchConfidence: 98.1,
+                Urls: [],
+                Face: { BoundingBox: { Left: 0.62, Top: 0.14, Width: 0.18, Height: 0.24 } }
+            }],
+            UnrecognizedFaces: [{ BoundingBox: { Left: 0.1, Top: 0.2, Width: 0.15, Height: 0.2 } }]
+        };
+
+        await withFixtures({ 'recognizeCelebrities.json': fixture }, async () => {
+            const interaction = fakeCommandInteraction('celebrity', { image: fakeAttachment('red-carpet.png') });
+            await rekognition.execute(interaction);
+
+            const final = interaction.replies.at(-1);
+            expect(final.content).toContain('Celebrity Recognition Complete');
+            const embed = final.embeds[0].toJSON();
+            expect(embed.description).toContain('**Unrecognized faces:** 1');
+            expect(embed.fields[0].value).toContain('Links: [wikidata.org](https://www.wikidata.org/wiki/Q000000)');
+            expect(final.files.map(file => file.name)).toEqual(['celebrity_report.json', 'celebrities_annotated.jpg']);
+
+            const report = JSON.parse(fs.readFileSync(final.files[0].attachment, 'utf8'));
+            expect(report.results.celebrityIds).toEqual(['3Ir0du6']);
+        });
+    });
+});
@@ -0,0 +1,177 @@
+const { describe, test, expect } = require('bun:test');
+const { Routes } = require('discord.js');
+const {
+    EXIT_OK,
+    EXIT_ERROR,
+    EXIT_CHANGES_PENDING,
+    parseDeployOptions,
+    diffCommands,
+    hasChanges,
+    formatDiff,
+    deployCommands,
+} = require('../lib/commandDeploy.js');
+const rekognition = require('../commands/rekognition.js');
+const analyzeMessage = require('../commands/analyze-message.js');
+
+const GUILD_A = '111111111111111111';
+const GUILD_B = '222222222222222222';
+
+// What Discord returns for a registered command: the definition plus server-side fields
+const registered = (command, index = 0) => ({
+    id: `9${index}`,
+    application_id: '1',
+    version: '1',
+    type: 1,
+    nsfw: false,
+    dm_permission: true,
+    ...command
+});
+
+const localCommands = () => [rekognition.data.toJSON(), analyzeMessage.data.toJSON()];
+
+// --- Arguments ---
+
+describe('parseDeployOptions', () => {
+    test('deploys globally by default', () => {
+        expect(parseDeployOptions([], {})).toEqual({ dryRun: false, clear: false, guildIds: [] });
+    });
+
+    test('reads guilds from GUILD_ID and --guild', () => {
+        expect(parseDeployOptions([], { GUILD_ID: `${GUILD_A}, ${GUILD_B}` }).guildIds).toEqual([GUILD_A, GUILD_B]);
+        expect(parseDeployOptions([`--guild=${GUILD_B}`, `--guild=${GUILD_B}`], { GUILD_ID: GUILD_A }).guildIds).toEqual([GUILD_B]);
+        expect(parseDeployOptions(['--global', '--dry-run'], { GUILD_ID: GUILD_A })).toEqual({ dryRun: true, clear: false, guildIds: [] });
+    });
+
+    test('rejects bad arguments', () => {
+        expect(() => parseDeployOptions(['--force'], {})).toThrow('Unknown argument: --force');
+        expect(() => parseDeployOptions(['--guild=abc'], {})).toThrow('Invalid guild ID: abc');
+        expect(() => parseDeployOptions(['--global', `--guild=${GUILD_A}`], {})).toThrow(RangeError);
+        expect(() => parseDeployOptions(['--clear'], {})).toThrow('--clear removes guild commands');
+    });
+});
+
+// --- Diff ---
+
+describe('diffCommands', () => {
+    test('finds nothing to do when the registered commands match', () => {
+        const diff = diffCommands(localCommands(), localCommands().map(registered));
+        expect(hasChanges(diff)).toBe(false);
+        expect(diff.unchanged).toEqual(['/rekognition', '[Message] Analyze images in this message']);
+    });
+
+    test('ignores dm_permission for guild commands', () => {
+        const remote = localCommands().map(command => registered({ ...command, dm_permission: true }));
+        expect(hasChanges(diffCommands(localCommands(), remote, { guild: true }))).toBe(false);
+        expect(diffCommands(localCommands(), remote).changed.map(change => change.fields)).toEqual([['dm_permission'], ['dm_permission']]);
+    });
+
+    test('lists added, removed and changed commands and options', () => {
+        const [local] = localCommands();
+        const remote = structuredClone(local);
+        remote.description = 'Old description';
+        remote.options = remote.options.filter(option => option.name !== 'privacy');
+        remote.options.find(option => option.name === 'analyze').options[0].required = true;
+        remote.options.push({ type: 1, name: 'legacy', description: 'Gone' });
+
+        const diff = diffCommands([local, analyzeMessage.data.toJSON()], [registered(remote), registered({ name: 'old', description: 'x' })]);
+        expect(diff.added).toEqual(['[Message] Analyze images in this message']);
+        expect(diff.removed).toEqual(['/old']);
+        expect(diff.changed).toHaveLength(1);
+        expect(diff.changed[0].fields).toEqual(['description']);
+        expect(diff.changed[0].options.added).toEqual(['privacy', 'privacy optout', 'privacy optin', 'privacy status', 'privacy forget']);
+        expect(diff.changed[0].options.removed).toEqual(['legacy']);
+        expect(diff.changed[0].options.changed).toEqual([{ path: 'analyze url', fields: ['required'] }]);
+    });
+
+    test('notices reordered options', () => {
+        const [local] = localCommands();
+        const remote = structuredClone(local);
+        remote.options.reverse();
+        expect(diffCommands([local], [registered(remote)]).changed[0].options.changed).toEqual([{ path: '(order)', fields: ['order'] }]);
+    });
+
+    test('formats one line per change', () => {
+        const lines = formatDiff({
+            added: ['/new'],
+            removed: ['/old'],
+            changed: [{ name: '/rekognition', fields: ['description'], options: { added: ['a'], removed: ['b'], changed: [{ path: 'c', fields: ['required'] }] } }],
+            unchanged: ['/same']
+        });
+        expect(lines).toEqual([
+            '   + /new',
+            '   ~ /rekognition',
+            '       ~ description',
+            '       + option a',
+            '       ~ option c (required)',
+            '       - option b',
+            '   - /old',
+            '   = 1 unchanged'
+        ]);
+    });
+});
+
+// --- Deployment ---
+
+describe('deployCommands', () => {
+    function fakeRest(registeredByRoute = {}, { failRoute = null } = {}) {
+        const puts = [];
+        return {
+            puts,
+            get: async (route, { query }) => {
+                expect(query.get('with_localizations')).toBe('true');
+                if (route === failRoute) throw Object.assign(new Error('Missing Access'), { code: 50001 });
+                return registeredByRoute[route] ?? [];
+            },
+            put: async (route, { body }) => {
+                puts.push({ route, body });
+                return body;
+            }
+        };
+    }
+
+    const run = (rest, options) => {
+        const output = [];
+        const done = deployCommands({ rest, clientId: '1', commands: localCommands(), options, print: line => output.push(line) });
+        return done.then(exitCode => ({ exitCode, output }));
+    };
+
+    test('skips targets that are up to date', async () => {
+        const rest = fakeRest({ [Routes.applicationCommands('1')]: localCommands().map(registered) });
+        const { exitCode, output } = await run(rest, { dryRun: false, clear: false, guildIds: [] });
+        expect(exitCode).toBe(EXIT_OK);
+        expect(rest.puts).toEqual([]);
+        expect(output).toEqual(['🌍 Global: up to date (2 commands)']);
+    });
+
+    test('deploys to every guild that needs it', async () => {
+        const rest = fakeRest({ [Routes.applicationGuildCommands('1', GUILD_A)]: localCommands().map(registered) });
+        const { exitCode } = await run(rest, { dryRun: false, clear: false, guildIds: [GUILD_A, GUILD_B] });
+        expect(exitCode).toBe(EXIT_OK);
+        expect(rest.puts.map(put => put.route)).toEqual([Routes.applicationGuildCommands('1', GUILD_B)]);
+    });
+
+    test('dry run changes nothing and reports pending changes', async () => {
+        const rest = fakeRest();
+        const { exitCode, output } = await run(rest, { dryRun: true, clear: false, guildIds: [GUILD_A] });
+        expect(exitCode).toBe(EXIT_CHANGES_PENDING);
+        expect(rest.puts).toEqual([]);
+        expect(output).toContain('   + /rekognition');
+    });
+
+    test('clear removes the commands of the guilds', async () => {
+        const rest = fakeRest({ [Routes.applicationGuildCommands('1', GUILD_A)]: localCommands().map(registered) });
+        const { exitCode, output } = await run(rest, { dryRun: false, clear: true, guildIds: [GUILD_A, GUILD_B] });
+        expect(exitCode).toBe(EXIT_OK);
+        expect(rest.puts).toEqual([{ route: Routes.applicationGuildCommands('1', GUILD_A), body: [] }]);
+        expect(output).toContain('   - /rekognition');
+        expect(output).toContain(`📍 Guild ${GUILD_B}: up to date (0 commands)`);
+    });
+
+    test('a failing guild fails the run but not the other guilds', async () => {
+        const rest = fakeRest({}, { failRoute: Routes.applicationGuildCommands('1', GUILD_A) });
+        const { exitCode, output } = await run(rest, { dryRun: false, clear: false, guildIds: [GUILD_A, GUILD_B] });
+        expect(exitCode).toBe(EXIT_ERROR);
+        expect(output).toContain(`📍 Guild ${GUILD_A}: ❌ Missing Access`);
+        expect(rest.puts.map(put => put.route)).toEqual([Routes.applicationGuildCommands('1', GUILD_B)]);
+    });
+});
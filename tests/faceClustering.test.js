@@ -0,0 +1,204 @@
+const { describe, test, expect, beforeAll, afterEach } = require('bun:test');
+const { Jimp } = require('jimp');
+const { setVisionBackend } = require('../lib/visionBackends.js');
+const {
+    MAX_COMPARISONS,
+    planComparisons,
+    clusterFaces,
+    clusterImages,
+    formatPlan,
+    formatClusterTable,
+    createClusterEmbed,
+    createClusterCsv,
+    createClusterReport
+} = require('../lib/faceClustering.js');
+const rekognition = require('../commands/rekognition.js');
+const { fakeCommandInteraction, fakeAttachment, useMockCommandEnvironment } = require('./helpers/commandHarness.js');
+
+const LEFT = { Left: 0.1, Top: 0.2, Width: 0.3, Height: 0.4 };
+const RIGHT = { Left: 0.6, Top: 0.2, Width: 0.2, Height: 0.3 };
+
+// --- planComparisons ---
+
+describe('planComparisons', () => {
+    test('compares each face against every later image with faces', () => {
+        expect(planComparisons([2, 0, 1, 3])).toEqual({
+            facesPerImage: [2, 0, 1, 3],
+            comparisons: 2 * 2 + 1 * 1,
+            skippedFaces: 0,
+            faceLimit: null
+        });
+    });
+
+    test('caps faces per image to stay within the budget', () => {
+        const plan = planComparisons([20, 20, 20, 20, 20, 20], { maxComparisons: 40 });
+        expect(plan.faceLimit).toBe(2);
+        expect(plan.facesPerImage).toEqual([2, 2, 2, 2, 2, 2]);
+        expect(plan.comparisons).toBe(30);
+        expect(plan.skippedFaces).toBe(108);
+    });
+
+    test('one face from each of ten images always fits', () => {
+        expect(planComparisons(Array(10).fill(100)).comparisons).toBeLessThanOrEqual(MAX_COMPARISONS);
+    });
+});
+
+// --- clusterFaces ---
+
+describe('clusterFaces', () => {
+    test('merges matched faces transitively', () => {
+        const faces = [
+            { image: 0, face: 0 }, { image: 0, face: 1 },
+            { image: 1, face: 0 },
+            { image: 2, face: 0 }, { image: 2, face: 1 }
+        ];
+        const clusters = clusterFaces(faces, [
+            { a: { image: 0, face: 0 }, b: { image: 1, face: 0 } },
+            { a: { image: 1, face: 0 }, b: { image: 2, face: 1 } }
+        ]);
+
+        expect(clusters.map(cluster => cluster.images)).toEqual([[0, 1, 2], [0], [2]]);
+        expect(clusters[0].faces).toHaveLength(3);
+    });
+});
+
+// --- clusterImages ---
+
+describe('clusterImages', () => {
+    let images;
+
+    beforeAll(async () => {
+        // The fake backend tells the photos apart by buffer identity
+        images = await Promise.all([100, 120, 140].map(width =>
+            new Jimp({ width, height: 100, color: 0xFFFFFFFF }).getBuffer('image/png')
+        ));
+    });
+
+    afterEach(() => setVisionBackend(null));
+
+    function fakeBackend() {
+        const calls = { detectFaces: 0, compareFaces: 0 };
+        return {
+            calls,
+            name: 'fake',
+            detectFaces: async () => {
+                calls.detectFaces++;
+                return { FaceDetails: [{ BoundingBox: RIGHT }, { BoundingBox: LEFT }] };
+            },
+            compareFaces: async (_source, target) => {
+                calls.compareFaces++;
+                // Only the left face of the second photo is ever matched
+                return target === images[1]
+                    ? { FaceMatches: [{ Similarity: 99, Face: { BoundingBox: LEFT } }] }
+                    : { FaceMatches: [] };
+            }
+        };
+    }
+
+    test('shows the plan before comparing and clusters the matches', async () => {
+        const backend = fakeBackend();
+        setVisionBackend(backend);
+        const events = [];
+
+        const result = await clusterImages(images, {
+            similarity: 90,
+            onPlan: async plan => events.push(['plan', plan.comparisons, backend.calls.compareFaces]),
+            onProgress: async (done, total) => events.push(['progress', done, total])
+        });
+
+        expect(events[0]).toEqual(['plan', 6, 0]);
+        expect(events.at(-1)).toEqual(['progress', 6, 6]);
+        expect(backend.calls).toEqual({ detectFaces: 3, compareFaces: 6 });
+
+        // Faces are ordered largest first: LEFT is face 0
+        expect(result.faces[0]).toEqual([LEFT, RIGHT]);
+        expect(result.clusters[0].images).toEqual([0, 1]);
+        expect(result.clusters[0].faces).toHaveLength(3);
+        expect(result.clusters).toHaveLength(4);
+    });
+});
+
+// --- Output ---
+
+const result = {
+    similarity: 80,
+    plan: { facesPerImage: [1, 1], comparisons: 1, skippedFaces: 0, faceLimit: null },
+    faces: [[LEFT], [RIGHT]],
+    matches: [{ a: { image: 0, face: 0 }, b: { image: 1, face: 0 }, similarity: 97.5 }],
+    clusters: [{ faces: [{ image: 0, face: 0 }, { image: 1, face: 0 }], images: [0, 1] }]
+};
+
+describe('formatPlan', () => {
+    test('counts the AWS calls', () => {
+        expect(formatPlan(result.plan, 2)).toBe('2 image(s), 2 face(s) to compare: 2 DetectFaces + 1 CompareFaces call(s)');
+    });
+
+    test('mentions skipped faces', () => {
+        const plan = { facesPerImage: [2, 2], comparisons: 2, skippedFaces: 5, faceLimit: 2 };
+        expect(formatPlan(plan, 2)).toContain('Only the 2 largest face(s) per image are compared (5 skipped)');
+    });
+});
+
+describe('formatClusterTable', () => {
+    test('has a row per person and a column per image', () => {
+        const table = formatClusterTable([{ images: [0, 2] }, { images: [1] }], 3);
+        expect(table).toBe('    1  2  3\nP1  X  .  X\nP2  .  X  .');
+    });
+});
+
+describe('createClusterEmbed', () => {
+    test('lists the images and counts people', () => {
+        const embed = createClusterEmbed(result, ['a.jpg', 'b_c.jpg']).toJSON();
+        expect(embed.description).toContain('**1.** a.jpg\n**2.** b\\_c.jpg');
+        expect(embed.fields.map(field => field.value)).toEqual(['1', '1', '3']);
+    });
+});
+
+describe('createClusterCsv', () => {
+    test('has one row per face', () => {
+        expect(createClusterCsv(result, ['a.jpg', 'b,c.jpg'])).toBe(
+            'person,image,image_name,left,top,width,height\n' +
+            'P1,1,a.jpg,0.1000,0.2000,0.3000,0.4000\n' +
+            'P1,2,"b,c.jpg",0.6000,0.2000,0.2000,0.3000\n'
+        );
+    });
+});
+
+describe('createClusterReport', () => {
+    test('numbers images from 1', () => {
+        const report = createClusterReport(result, ['a.jpg', 'b.jpg']);
+        expect(report.people).toEqual([{
+            person: 'P1',
+            images: [1, 2],
+            faces: [{ image: 1, boundingBox: LEFT }, { image: 2, boundingBox: RIGHT }]
+        }]);
+        expect(report.matches[0]).toEqual({ a: { image: 1, face: 0 }, b: { image: 2, face: 0 }, similarity: 97.5 });
+    });
+});
+
+// --- /rekognition cluster ---
+
+describe('/rekognition cluster', () => {
+    useMockCommandEnvironment();
+
+    test('groups the fixture face across every image', async () => {
+        const interaction = fakeCommandInteraction('cluster', {
+            image1: fakeAttachment('a.png'),
+            image2: fakeAttachment('b.png'),
+            image3: fakeAttachment('c.png')
+        });
+        await rekognition.execute(interaction);
+
+        expect(interaction.replies.some(reply => reply.startsWith?.('📋 **Plan**\n3 image(s), 3 face(s) to compare'))).toBe(true);
+        const final = interaction.replies.at(-1);
+        expect(final.content).toContain('Face Clustering Complete');
+        expect(final.embeds[0].toJSON().description).toContain('P1  X  X  X');
+        expect(final.files.map(file => file.name)).toEqual(['cluster_report.json', 'face_clusters.csv']);
+    });
+
+    test('needs at least two images', async () => {
+        const interaction = fakeCommandInteraction('cluster', { image1: fakeAttachment('a.png') });
+        await rekognition.execute(interaction);
+        expect(interaction.replies[0].content).toContain('More Images Required');
+    });
+});
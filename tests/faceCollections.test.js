@@ -0,0 +1,181 @@
+const { describe, test, expect, beforeEach } = require('bun:test');
+const {
+    RekognitionCollectionBackend,
+    MemoryCollectionBackend,
+    collectionIdForGuild,
+    isValidLabel,
+} = require('../lib/faceCollections.js');
+const { CircuitBreaker } = require('../lib/resilience.js');
+const { CircuitOpenError } = require('../lib/errors.js');
+
+const FACE_A = Buffer.from('face-image-a');
+const FACE_B = Buffer.from('face-image-b');
+
+// --- Helpers ---
+
+describe('collectionIdForGuild', () => {
+    test('prefixes the guild ID', () => expect(collectionIdForGuild('123')).toBe('discord-guild-123'));
+});
+
+describe('isValidLabel', () => {
+    test('accepts simple names', () => expect(isValidLabel('alice')).toBe(true));
+    test('accepts allowed punctuation', () => expect(isValidLabel('bob.smith_2:front-view')).toBe(true));
+    test('rejects spaces', () => expect(isValidLabel('alice smith')).toBe(false));
+    test('rejects path characters', () => expect(isValidLabel('../etc')).toBe(false));
+    test('rejects empty string', () => expect(isValidLabel('')).toBe(false));
+    test('rejects null', () => expect(isValidLabel(null)).toBe(false));
+    test('rejects over 100 characters', () => expect(isValidLabel('a'.repeat(101))).toBe(false));
+});
+
+// --- MemoryCollectionBackend ---
+
+describe('MemoryCollectionBackend', () => {
+    let backend;
+
+    beforeEach(() => {
+        backend = new MemoryCollectionBackend();
+    });
+
+    test('creates a collection once', async () => {
+        expect(await backend.createCollection('c1')).toEqual({ created: true });
+        expect(await backend.createCollection('c1')).toEqual({ created: false });
+    });
+
+    test('throws ResourceNotFoundException for unknown collections', async () => {
+        await expect(backend.listFaces('missing')).rejects.toThrow('does not exist');
+        await expect(backend.indexFace('missing', FACE_A, 'alice'))
+            .rejects.toMatchObject({ name: 'ResourceNotFoundException' });
+    });
+
+    test('indexes and lists faces', async () => {
+        await backend.createCollection('c1');
+        const indexed = await backend.indexFace('c1', FACE_A, 'alice');
+        expect(indexed.label).toBe('alice');
+        expect(indexed.faceId).toBeString();
+
+        const faces = await backend.listFaces('c1');
+        expect(faces).toEqual([{ faceId: indexed.faceId, label: 'alice' }]);
+    });
+
+    test('search matches identical images only', async () => {
+        await backend.createCollection('c1');
+        await backend.indexFace('c1', FACE_A, 'alice');
+        await backend.indexFace('c1', FACE_B, 'bob');
+
+        const matches = await backend.searchFaces('c1', FACE_A);
+        expect(matches).toHaveLength(1);
+        expect(matches[0].label).toBe('alice');
+        expect(matches[0].similarity).toBe(100);
+
+        expect(await backend.searchFaces('c1', Buffer.from('stranger'))).toEqual([]);
+    });
+
+    test('deletes faces and reports what was removed', async () => {
+        await backend.createCollection('c1');
+        const { faceId } = await backend.indexFace('c1', FACE_A, 'alice');
+
+        expect(await backend.deleteFaces('c1', [faceId, 'unknown-id'])).toEqual([faceId]);
+        expect(await backend.listFaces('c1')).toEqual([]);
+    });
+
+    test('keeps collections isolated', async () => {
+        await backend.createCollection('c1');
+        await backend.createCollection('c2');
+        await backend.indexFace('c1', FACE_A, 'alice');
+
+        expect(await backend.searchFaces('c2', FACE_A)).toEqual([]);
+    });
+});
+
+// --- RekognitionCollectionBackend (stubbed client) ---
+
+function stubClient(responder) {
+    const sent = [];
+    return {
+        sent,
+        client: {
+            send: async command => {
+                sent.push(command);
+                return responder(command);
+            }
+        }
+    };
+}
+
+describe('RekognitionCollectionBackend', () => {
+    test('treats an existing collection as not created', async () => {
+        const { client } = stubClient(() => {
+            const error = new Error('exists');
+            error.name = 'ResourceAlreadyExistsException';
+            throw error;
+        });
+        const backend = new RekognitionCollectionBackend(() => client);
+        expect(await backend.createCollection('c1')).toEqual({ created: false });
+    });
+
+    test('maps IndexFaces records', async () => {
+        const { client, sent } = stubClient(() => ({
+            FaceRecords: [{ Face: { FaceId: 'f-1', ExternalImageId: 'alice', Confidence: 99.9 } }]
+        }));
+        const backend = new RekognitionCollectionBackend(() => client);
+
+        expect(await backend.indexFace('c1', FACE_A, 'alice'))
+            .toEqual({ faceId: 'f-1', label: 'alice', confidence: 99.9 });
+        expect(sent[0].input.ExternalImageId).toBe('alice');
+        expect(sent[0].input.MaxFaces).toBe(1);
+    });
+
+    test('returns null when no face was indexed', async () => {
+        const { client } = stubClient(() => ({ FaceRecords: [] }));
+        const backend = new RekognitionCollectionBackend(() => client);
+        expect(await backend.indexFace('c1', FACE_A, 'alice')).toBeNull();
+    });
+
+    test('maps search matches', async () => {
+        const { client, sent } = stubClient(() => ({
+            FaceMatches: [{ Similarity: 92.5, Face: { FaceId: 'f-1', ExternalImageId: 'alice' } }]
+        }));
+        const backend = new RekognitionCollectionBackend(() => client);
+
+        expect(await backend.searchFaces('c1', FACE_A, { threshold: 90, maxFaces: 3 }))
+            .toEqual([{ faceId: 'f-1', label: 'alice', similarity: 92.5 }]);
+        expect(sent[0].input.FaceMatchThreshold).toBe(90);
+        expect(sent[0].input.MaxFaces).toBe(3);
+    });
+
+    test('follows ListFaces pagination', async () => {
+        const pages = [
+            { Faces: [{ FaceId: 'f-1', ExternalImageId: 'alice' }], NextToken: 'next' },
+            { Faces: [{ FaceId: 'f-2', ExternalImageId: 'bob' }] }
+        ];
+        const { client, sent } = stubClient(() => pages.shift());
+        const backend = new RekognitionCollectionBackend(() => client);
+
+        expect(await backend.listFaces('c1')).toEqual([
+            { faceId: 'f-1', label: 'alice' },
+            { faceId: 'f-2', label: 'bob' }
+        ]);
+        expect(sent[1].input.NextToken).toBe('next');
+    });
+
+    test('goes through the circuit breaker', async () => {
+        const { client, sent } = stubClient(() => {
+            const error = new Error('Service unavailable');
+            error.$metadata = { httpStatusCode: 503 };
+            throw error;
+        });
+        const breaker = new CircuitBreaker({ failureThreshold: 1 });
+        const backend = new RekognitionCollectionBackend(() => client, () => breaker);
+
+        await expect(backend.indexFace('c1', FACE_A, 'alice')).rejects.toThrow('Service unavailable');
+        await expect(backend.listFaces('c1')).rejects.toBeInstanceOf(CircuitOpenError);
+        expect(sent).toHaveLength(1);
+    });
+
+    test('skips DeleteFaces for an empty list', async () => {
+        const { client, sent } = stubClient(() => ({}));
+        const backend = new RekognitionCollectionBackend(() => client);
+        expect(await backend.deleteFaces('c1', [])).toEqual([]);
+        expect(sent).toHaveLength(0);
+    });
+});
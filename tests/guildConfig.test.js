@@ -0,0 +1,119 @@
+const { describe, test, expect, beforeEach, afterEach } = require('bun:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JsonStore } = require('../lib/jsonStore.js');
+const guildConfig = require('../lib/guildConfig.js');
+
+const {
+    DEFAULT_GUILD_CONFIG,
+    getGuildConfig,
+    updateGuildConfig,
+    setFeatureEnabled,
+    resetGuildConfig,
+    resolveFeatures,
+} = guildConfig;
+
+let dataDir;
+
+beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'guildconfig-'));
+    guildConfig.setConfigStore(new JsonStore('config.json', { dataDir }));
+});
+
+afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('defaults', () => {
+    test('match the previous hardcoded values', () => {
+        expect(DEFAULT_GUILD_CONFIG).toEqual({
+            maxLabels: 50,
+            labelMinConfidence: 70,
+            moderationMinConfidence: 50,
+            compareSimilarity: 80,
+            cooldownSeconds: 5,
+            defaultFeatures: 'all',
+            disabledFeatures: [],
+            labelFilter: '',
+            labelCategoryFilter: '',
+            locale: 'auto'
+        });
+    });
+
+    test('apply to unknown guilds and DMs', () => {
+        expect(getGuildConfig('g1')).toEqual(DEFAULT_GUILD_CONFIG);
+        expect(getGuildConfig(null)).toEqual(DEFAULT_GUILD_CONFIG);
+    });
+});
+
+describe('updateGuildConfig', () => {
+    test('stores only overrides and merges defaults', async () => {
+        const config = await updateGuildConfig('g1', { maxLabels: 10, cooldownSeconds: 0 });
+        expect(config.maxLabels).toBe(10);
+        expect(config.cooldownSeconds).toBe(0);
+        expect(config.labelMinConfidence).toBe(70);
+    });
+
+    test('persists across store instances', async () => {
+        await updateGuildConfig('g1', { compareSimilarity: 95 });
+        guildConfig.setConfigStore(new JsonStore('config.json', { dataDir }));
+        expect(getGuildConfig('g1').compareSimilarity).toBe(95);
+    });
+
+    test('rejects out-of-range numbers', async () => {
+        await expect(updateGuildConfig('g1', { maxLabels: 0 })).rejects.toThrow('between 1 and 1000');
+        await expect(updateGuildConfig('g1', { labelMinConfidence: 101 })).rejects.toThrow('between 0 and 100');
+    });
+
+    test('rejects fractional integers', async () => {
+        await expect(updateGuildConfig('g1', { cooldownSeconds: 1.5 })).rejects.toThrow('whole number');
+    });
+
+    test('rejects unknown settings and choices', async () => {
+        await expect(updateGuildConfig('g1', { bogus: 1 })).rejects.toThrow('Unknown setting');
+        await expect(updateGuildConfig('g1', { defaultFeatures: 'everything' })).rejects.toThrow('must be one of');
+    });
+
+    test('normalizes label filters', async () => {
+        const config = await updateGuildConfig('g1', { labelCategoryFilter: ' -Text and Documents,Animals and Pets,, Animals and Pets' });
+        expect(config.labelCategoryFilter).toBe('Animals and Pets, -Text and Documents');
+        expect((await updateGuildConfig('g1', { labelCategoryFilter: 'none' })).labelCategoryFilter).toBe('');
+    });
+
+    test('does not persist a partially invalid update', async () => {
+        await expect(updateGuildConfig('g1', { maxLabels: 10, cooldownSeconds: -1 })).rejects.toThrow();
+        expect(getGuildConfig('g1').maxLabels).toBe(50);
+    });
+});
+
+describe('features', () => {
+    test('disables and re-enables a feature', async () => {
+        let config = await setFeatureEnabled('g1', 'celebrities', false);
+        expect(config.disabledFeatures).toEqual(['celebrities']);
+
+        config = await setFeatureEnabled('g1', 'celebrities', false);
+        expect(config.disabledFeatures).toEqual(['celebrities']);
+
+        config = await setFeatureEnabled('g1', 'celebrities', true);
+        expect(config.disabledFeatures).toEqual([]);
+    });
+
+    test('resolveFeatures expands all and drops disabled features', () => {
+        const config = { ...DEFAULT_GUILD_CONFIG, disabledFeatures: ['celebrities', 'faces'] };
+        expect(resolveFeatures(config, 'all')).toEqual(['labels', 'text', 'moderation']);
+        expect(resolveFeatures(config, 'faces')).toEqual([]);
+    });
+
+    test('resolveFeatures falls back to the guild default', () => {
+        const config = { ...DEFAULT_GUILD_CONFIG, defaultFeatures: 'text' };
+        expect(resolveFeatures(config, null)).toEqual(['text']);
+    });
+});
+
+describe('resetGuildConfig', () => {
+    test('restores defaults', async () => {
+        await updateGuildConfig('g1', { maxLabels: 10 });
+        expect(await resetGuildConfig('g1')).toEqual(DEFAULT_GUILD_CONFIG);
+    });
+});
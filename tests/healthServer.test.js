@@ -0,0 +1,79 @@
+const { describe, test, expect, beforeAll, afterAll } = require('bun:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createHealthServer, runHealthChecks, startHealthServer } = require('../lib/healthServer.js');
+
+describe('runHealthChecks', () => {
+    let tempDir;
+
+    beforeAll(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'health-'));
+    });
+
+    afterAll(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('healthy when the gateway is ready and the temp dir is writable', async () => {
+        expect(await runHealthChecks({ isReady: () => true }, tempDir))
+            .toEqual({ healthy: true, checks: { gateway: true, tempDir: true } });
+    });
+
+    test('unhealthy when the gateway is disconnected', async () => {
+        const { healthy, checks } = await runHealthChecks({ isReady: () => false }, tempDir);
+        expect(healthy).toBe(false);
+        expect(checks.gateway).toBe(false);
+    });
+
+    test('unhealthy when the temp dir is missing', async () => {
+        const { healthy, checks } = await runHealthChecks({ isReady: () => true }, path.join(tempDir, 'missing'));
+        expect(healthy).toBe(false);
+        expect(checks.tempDir).toBe(false);
+    });
+});
+
+describe('health server', () => {
+    let server;
+    let baseUrl;
+    const client = { ready: true, isReady() { return this.ready; } };
+
+    beforeAll(async () => {
+        const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'health-'));
+        server = createHealthServer(client, { tempDir });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(() => {
+        server.close();
+    });
+
+    test('/healthz reports 200 when healthy and 503 when not', async () => {
+        client.ready = true;
+        const ok = await fetch(`${baseUrl}/healthz`);
+        expect(ok.status).toBe(200);
+        expect(await ok.json()).toEqual({ status: 'ok', checks: { gateway: true, tempDir: true } });
+
+        client.ready = false;
+        const down = await fetch(`${baseUrl}/healthz`);
+        expect(down.status).toBe(503);
+        expect((await down.json()).status).toBe('unhealthy');
+    });
+
+    test('/metrics serves the Prometheus text format', async () => {
+        const response = await fetch(`${baseUrl}/metrics`);
+        expect(response.status).toBe(200);
+        expect(response.headers.get('content-type')).toContain('text/plain; version=0.0.4');
+        expect(await response.text()).toContain('# TYPE discord_bot_commands_total counter');
+    });
+
+    test('unknown paths are 404 and other methods 405', async () => {
+        expect((await fetch(`${baseUrl}/nope`)).status).toBe(404);
+        expect((await fetch(`${baseUrl}/metrics`, { method: 'POST' })).status).toBe(405);
+    });
+
+    test('startHealthServer does nothing without a port', async () => {
+        expect(await startHealthServer(client, { port: undefined })).toBeNull();
+    });
+});
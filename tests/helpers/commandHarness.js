@@ -0,0 +1,127 @@
+/**
+ * File: commandHarness.js
+ * Description: Fake interactions and a mock-backend environment for running
+ * /rekognition end to end in tests
+ */
+
+const { beforeAll, afterAll, beforeEach, spyOn } = require('bun:test');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const { Jimp } = require('jimp');
+const { MockVisionBackend, setVisionBackend } = require('../../lib/visionBackends.js');
+const { ResultCache, MemoryCacheBackend, setResultCache } = require('../../lib/resultCache.js');
+const { setTempDir } = require('../../lib/tempFiles.js');
+
+const FIXTURES_DIR = path.join(__dirname, '..', '..', 'fixtures', 'vision');
+
+// --- Interactions ---
+
+function fakeCommandInteraction(subcommand, options = {}) {
+    const replies = [];
+    return {
+        replies,
+        guildId: null,
+        user: { id: `e2e-${crypto.randomUUID()}`, tag: 'tester#0001' },
+        memberPermissions: { has: () => true },
+        client: { guilds: { cache: new Map() } },
+        options: {
+            getSubcommand: () => subcommand,
+            getSubcommandGroup: () => null,
+            getString: name => options[name] ?? null,
+            getAttachment: name => options[name] ?? null,
+            getNumber: name => options[name] ?? null,
+            getBoolean: name => options[name] ?? null,
+            getUser: name => options[name] ?? null,
+        },
+        reply: async reply => replies.push(reply),
+        deferReply: async () => {},
+        editReply: async reply => {
+            replies.push(reply);
+            return { createMessageComponentCollector: () => new EventEmitter() };
+        },
+    };
+}
+
+function fakeAttachment(name) {
+    return { name, contentType: 'image/png', size: 1024, url: `https://cdn.discordapp.com/attachments/1/2/${name}` };
+}
+
+// An interaction whose `url` option links a message with one image, posted by `author`
+function messageLinkInteraction(subcommand, author = 'poster') {
+    const message = { attachments: new Map([['1', fakeAttachment('cat.png')]]), embeds: [], author: { id: author } };
+    const channel = { guildId: '111', permissionsFor: () => ({ has: () => true }), messages: { fetch: async () => message } };
+    return {
+        ...fakeCommandInteraction(subcommand, { url: 'https://discord.com/channels/111/222/333' }),
+        guildId: '111',
+        client: { channels: { fetch: async () => channel } }
+    };
+}
+
+// --- Environment ---
+
+/**
+ * Register hooks that run the commands against the mock backend: every
+ * download returns a 200×200 white PNG, request files go to a temporary
+ * directory removed afterwards, and each test starts with an empty result
+ * cache. Returns an object whose `axiosSpy` is set once the hooks ran.
+ */
+function useMockCommandEnvironment() {
+    const environment = { axiosSpy: null, tempDir: null };
+
+    beforeAll(async () => {
+        environment.tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rekognition-e2e-'));
+        setTempDir(environment.tempDir);
+        const png = await new Jimp({ width: 200, height: 200, color: 0xFFFFFFFF }).getBuffer('image/png');
+        environment.axiosSpy = spyOn(axios, 'get').mockResolvedValue({ data: png, headers: { 'content-type': 'image/png' } });
+        setVisionBackend(new MockVisionBackend());
+    });
+
+    beforeEach(() => {
+        setResultCache(new ResultCache(new MemoryCacheBackend()));
+    });
+
+    afterAll(() => {
+        environment.axiosSpy.mockRestore();
+        setVisionBackend(null);
+        setResultCache(undefined);
+        setTempDir(null);
+        fs.rmSync(environment.tempDir, { recursive: true, force: true });
+    });
+
+    return environment;
+}
+
+/**
+ * Run `fn` with a mock backend whose fixtures are the defaults with the
+ * files in `overrides` (name -> JSON value) replaced. `wrap` can wrap the
+ * backend, e.g. in a ResilientVisionBackend.
+ */
+async function withFixtures(overrides, fn, wrap = backend => backend) {
+    const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vision-fixtures-'));
+    for (const file of fs.readdirSync(FIXTURES_DIR)) {
+        fs.copyFileSync(path.join(FIXTURES_DIR, file), path.join(fixturesDir, file));
+    }
+    for (const [file, value] of Object.entries(overrides)) {
+        fs.writeFileSync(path.join(fixturesDir, file), JSON.stringify(value));
+    }
+    setVisionBackend(wrap(new MockVisionBackend({ fixturesDir })));
+
+    try {
+        return await fn();
+    } finally {
+        setVisionBackend(new MockVisionBackend());
+        fs.rmSync(fixturesDir, { recursive: true, force: true });
+    }
+}
+
+module.exports = {
+    fakeCommandInteraction,
+    fakeAttachment,
+    messageLinkInteraction,
+    useMockCommandEnvironment,
+    withFixtures
+};
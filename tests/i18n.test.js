@@ -0,0 +1,205 @@
+const { describe, test, expect } = require('bun:test');
+const { SlashCommandBuilder } = require('discord.js');
+const { Jimp } = require('jimp');
+const fs = require('fs');
+const path = require('path');
+const {
+    SUPPORTED_LOCALES,
+    resolveLocale,
+    translate,
+    getTranslator,
+    localizations,
+    localizeCommand
+} = require('../lib/i18n.js');
+const { UserFacingError, CircuitOpenError, getUserMessage, getFailureReason } = require('../lib/errors.js');
+const rekognition = require('../commands/rekognition.js');
+const { runWithRequestId } = require('../lib/logger.js');
+const { fakeCommandInteraction, fakeAttachment, useMockCommandEnvironment } = require('./helpers/commandHarness.js');
+
+function readCatalog(locale) {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'locales', `${locale}.json`), 'utf8'));
+}
+
+// --- Locale selection ---
+
+describe('resolveLocale', () => {
+    test('uses the Discord locale, then its base language, then English', () => {
+        expect(resolveLocale('fr')).toBe('fr');
+        expect(resolveLocale('en-GB')).toBe('en');
+        expect(resolveLocale('de-AT')).toBe('de');
+        expect(resolveLocale('pt-BR')).toBe('en');
+        expect(resolveLocale(undefined)).toBe('en');
+    });
+
+    test('a server override wins unless it is auto', () => {
+        expect(resolveLocale('fr', 'de')).toBe('de');
+        expect(resolveLocale('fr', 'auto')).toBe('fr');
+    });
+});
+
+describe('getTranslator', () => {
+    test('reads the locale from the interaction and the guild config', () => {
+        expect(getTranslator({ locale: 'de' }).locale).toBe('de');
+        expect(getTranslator({ locale: 'de' }, { locale: 'fr' }).locale).toBe('fr');
+        expect(getTranslator().locale).toBe('en');
+    });
+});
+
+// --- Lookup ---
+
+describe('translate', () => {
+    test('fills in placeholders', () => {
+        expect(translate('en', 'limits.cooldown', { seconds: 3 })).toBe('⏳ Please wait 3 second(s) before using this command again.');
+    });
+
+    test('leaves unknown placeholders visible', () => {
+        expect(translate('en', 'limits.cooldown')).toContain('{seconds}');
+    });
+
+    test('falls back to English, then to the key', () => {
+        expect(translate('xx', 'done.search')).toBe('✅ **Collection Search Complete!**');
+        expect(translate('fr', 'no.such.key')).toBe('no.such.key');
+    });
+});
+
+describe('error messages', () => {
+    test('catalog errors keep an English message and are shown translated', () => {
+        const error = UserFacingError.fromCatalog('errors.tooManyPixels', { width: 9000, height: 9000, max: 40 });
+        expect(error.message).toBe('The image is too large to process (9000×9000). The maximum is 40 megapixels.');
+        expect(getUserMessage(error, getTranslator('fr'))).toBe(
+            '❌ **Erreur :** L\'image est trop grande pour être traitée (9000×9000). Le maximum est de 40 mégapixels.'
+        );
+        expect(getUserMessage(new CircuitOpenError(30), getTranslator('de'))).toContain('in etwa 30 Sekunde(n)');
+    });
+
+    test('failure reasons are translated', () => {
+        const error = Object.assign(new Error('busy'), { name: 'ThrottlingException' });
+        expect(getFailureReason(error)).toBe('rate limited by AWS');
+        expect(getFailureReason(error, getTranslator('fr'))).toBe('limité par AWS');
+    });
+});
+
+describe('catalogs', () => {
+    const english = readCatalog('en');
+
+    for (const locale of SUPPORTED_LOCALES.filter(locale => locale !== 'en')) {
+        test(`${locale} translates every English message with the same placeholders`, () => {
+            const catalog = readCatalog(locale);
+            const placeholders = text => (text.match(/\{\w+\}/g) || []).sort();
+            for (const [key, text] of Object.entries(english)) {
+                expect(catalog[key]).toBeDefined();
+                expect(placeholders(catalog[key])).toEqual(placeholders(text));
+            }
+        });
+    }
+});
+
+// --- Slash-command localizations ---
+
+describe('localizeCommand', () => {
+    test('adds catalog entries to subcommands, options and choices', () => {
+        const command = localizeCommand(new SlashCommandBuilder()
+            .setName('rekognition')
+            .setDescription('Test')
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('anonymize')
+                    .setDescription('Test')
+                    .addStringOption(option =>
+                        option.setName('url')
+                            .setDescription('Test'))
+                    .addStringOption(option =>
+                        option.setName('method')
+                            .setDescription('Test')
+                            .addChoices({ name: 'Blur', value: 'blur' }))))
+            .toJSON();
+
+        const [subcommand] = command.options;
+        expect(subcommand.name_localizations).toEqual({ fr: 'anonymiser', de: 'anonymisieren' });
+        expect(subcommand.options[0].description_localizations.fr).toBe('URL de l\'image');
+        expect(subcommand.options[1].description_localizations.de).toBe('Wie Gesichter verborgen werden (Standard: Weichzeichnen)');
+        expect(subcommand.options[1].choices[0].name_localizations).toEqual({ fr: 'Flou', de: 'Weichzeichnen' });
+    });
+
+    test('keeps localizations set on the builder', () => {
+        const command = localizeCommand(new SlashCommandBuilder()
+            .setName('rekognition')
+            .setDescription('Test')
+            .setDescriptionLocalizations({ fr: 'Explicite' }))
+            .toJSON();
+        expect(command.description_localizations).toEqual({ fr: 'Explicite' });
+    });
+
+    test('/rekognition publishes localized names and descriptions', () => {
+        const command = rekognition.data.toJSON();
+        const analyze = command.options.find(option => option.name === 'analyze');
+        const cluster = command.options.find(option => option.name === 'cluster');
+
+        expect(command.description_localizations.de).toBe(localizations('commands.rekognition.description').de);
+        expect(analyze.name_localizations.fr).toBe('analyser');
+        expect(cluster.options[1].description_localizations).toEqual({ fr: 'Photo 2', de: 'Foto 2' });
+    });
+});
+
+// --- Replies ---
+
+describe('/rekognition replies', () => {
+    const environment = useMockCommandEnvironment();
+
+    test('are in the language of the user', async () => {
+        const interaction = fakeCommandInteraction('analyze', { image: fakeAttachment('dog.png') });
+        interaction.locale = 'fr';
+        await rekognition.execute(interaction);
+
+        const final = interaction.replies.at(-1);
+        expect(final.content).toContain('Analyse terminée');
+        const fields = final.embeds[0].toJSON().fields.map(field => field.name);
+        expect(fields).toContain('🏷️ Objets et scènes');
+        expect(fields).toContain('👤 Visages (1)');
+    });
+
+    test('localize validation errors', async () => {
+        const interaction = fakeCommandInteraction('analyze');
+        interaction.locale = 'de';
+        await rekognition.execute(interaction);
+        expect(interaction.replies[0]).toEqual({ content: expect.stringContaining('Bild erforderlich'), ephemeral: true });
+    });
+
+    test('localize the embeds of every feature', async () => {
+        const ppe = fakeCommandInteraction('ppe', { image: fakeAttachment('site.png') });
+        ppe.locale = 'de';
+        await rekognition.execute(ppe);
+        const ppeEmbed = ppe.replies.at(-1).embeds[0].toJSON();
+        expect(ppeEmbed.title).toBe('🦺 PSA-Prüfung');
+        expect(ppeEmbed.description).toContain('**Erforderlich:** Gesichtsschutz, Handschutz, Kopfschutz');
+
+        const ocr = fakeCommandInteraction('ocr', { image: fakeAttachment('sign.png') });
+        ocr.locale = 'fr';
+        await rekognition.execute(ocr);
+        const ocrEmbed = ocr.replies.at(-1).embeds[0].toJSON();
+        expect(ocrEmbed.title).toBe('📝 Détection de texte (OCR)');
+        expect(ocrEmbed.fields.find(field => field.name === '📐 Mode').value).toBe('Lignes');
+        expect(ocrEmbed.fields.find(field => field.name === '🔎 Filtres').value).toBe('Aucun');
+    });
+
+    test('localize the image description, the adjustments and the request ID', async () => {
+        const gif = await new Jimp({ width: 200, height: 200, color: 0xFFFFFFFF }).getBuffer('image/gif');
+        environment.axiosSpy.mockResolvedValueOnce({ data: gif, headers: { 'content-type': 'image/gif' } });
+
+        const interaction = fakeCommandInteraction('analyze', { image: { ...fakeAttachment('chien.gif'), contentType: 'image/gif' } });
+        interaction.locale = 'fr';
+        await runWithRequestId('cafe1234', () => rekognition.execute(interaction));
+
+        const embed = interaction.replies.at(-1).embeds[0].toJSON();
+        expect(embed.description).toContain('**Image :** image envoyée (chien.gif)');
+        expect(embed.fields.at(-1).value).toBe('• GIF converti en PNG (première image)');
+        expect(embed.footer.text).toBe('Powered by AWS Rekognition • Requête cafe1234');
+    });
+
+    test('localize errors raised while fetching the image', async () => {
+        const interaction = fakeCommandInteraction('analyze', { image: { ...fakeAttachment('notes.txt'), contentType: 'text/plain' } });
+        interaction.locale = 'fr';
+        await rekognition.execute(interaction);
+        expect(interaction.replies.at(-1).content).toContain('Type de fichier invalide');
+    });
+});
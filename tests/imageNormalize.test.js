@@ -0,0 +1,144 @@
+const { describe, test, expect, beforeAll } = require('bun:test');
+const { Jimp } = require('jimp');
+const { detectImageFormat, readImageDimensions, assertDecodableSize, normalizeImage } = require('../lib/imageNormalize.js');
+const { UserFacingError } = require('../lib/errors.js');
+const rekognition = require('../commands/rekognition.js');
+const { fakeCommandInteraction, fakeAttachment, useMockCommandEnvironment } = require('./helpers/commandHarness.js');
+
+let png;
+let noisyPng;
+// 4×3 lossless WebP, solid red
+const webp = Buffer.from('UklGRhwAAABXRUJQVlA4TA8AAAAvA4AAAAcQ/Y/+ByKi/wEA', 'base64');
+
+// Random pixels do not compress, which makes it easy to exceed a size limit
+function noisyImage(width, height) {
+    const image = new Jimp({ width, height, color: 0x000000FF });
+    image.scan(0, 0, width, height, (_x, _y, idx) => {
+        image.bitmap.data.writeUInt32BE(((Math.random() * 0xFFFFFFFF) | 0xFF) >>> 0, idx);
+    });
+    return image;
+}
+
+beforeAll(async () => {
+    png = await new Jimp({ width: 120, height: 100, color: 0x3366CCFF }).getBuffer('image/png');
+    noisyPng = await noisyImage(400, 300).getBuffer('image/png');
+});
+
+// --- detectImageFormat ---
+
+describe('detectImageFormat', () => {
+    test('detects PNG', () => expect(detectImageFormat(png)).toBe('png'));
+    test('detects JPEG', () => expect(detectImageFormat(Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0, 0, 0, 0, 0, 0, 0, 0]))).toBe('jpeg'));
+    test('detects GIF', () => expect(detectImageFormat(Buffer.from('GIF89a\0\0\0\0\0\0'))).toBe('gif'));
+    test('detects BMP', () => expect(detectImageFormat(Buffer.from('BM\0\0\0\0\0\0\0\0\0\0'))).toBe('bmp'));
+    test('detects WebP', () => expect(detectImageFormat(Buffer.from('RIFF\0\0\0\0WEBPVP8 '))).toBe('webp'));
+    test('returns null for anything else', () => expect(detectImageFormat(Buffer.from('hello world!!'))).toBeNull());
+    test('returns null for short buffers', () => expect(detectImageFormat(Buffer.from([0xFF, 0xD8]))).toBeNull());
+});
+
+// --- Dimensions ---
+
+describe('readImageDimensions', () => {
+    test('reads the header of each supported format', async () => {
+        const image = new Jimp({ width: 120, height: 100, color: 0x3366CCFF });
+        for (const mime of ['image/png', 'image/jpeg', 'image/gif', 'image/bmp']) {
+            expect(readImageDimensions(await image.getBuffer(mime))).toEqual({ width: 120, height: 100 });
+        }
+        expect(readImageDimensions(webp)).toEqual({ width: 4, height: 3 });
+    });
+
+    test('returns null when the header cannot be read', () => {
+        expect(readImageDimensions(Buffer.from('RIFF\0\0\0\0WEBPVP8 '))).toBeNull();
+        expect(readImageDimensions(Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0, 0, 0, 0, 0, 0, 0, 0]))).toBeNull();
+    });
+});
+
+describe('assertDecodableSize', () => {
+    test('refuses a canvas too large to decode', async () => {
+        const gif = await new Jimp({ width: 120, height: 100, color: 0xFF0000FF }).getBuffer('image/gif');
+        gif.writeUInt16LE(10000, 6);
+        gif.writeUInt16LE(10000, 8);
+
+        expect(() => assertDecodableSize(png)).not.toThrow();
+        expect(() => assertDecodableSize(gif)).toThrow('too large to process (10000×10000)');
+        await expect(normalizeImage(gif)).rejects.toBeInstanceOf(UserFacingError);
+    });
+});
+
+// --- normalizeImage ---
+
+describe('normalizeImage', () => {
+    test('passes small PNG and JPEG through untouched', async () => {
+        const result = await normalizeImage(png);
+        expect(result.buffer).toBe(png);
+        expect(result.format).toBe('png');
+        expect(result.adjustments).toEqual([]);
+    });
+
+    test('converts GIF to PNG', async () => {
+        const gif = await new Jimp({ width: 120, height: 100, color: 0xFF0000FF }).getBuffer('image/gif');
+        const result = await normalizeImage(gif);
+        expect(detectImageFormat(result.buffer)).toBe('png');
+        expect(result.adjustments).toEqual([{ key: 'adjustments.convertedFirstFrame', params: { format: 'GIF' } }]);
+    });
+
+    test('converts BMP to PNG', async () => {
+        const bmp = await new Jimp({ width: 120, height: 100, color: 0x00FF00FF }).getBuffer('image/bmp');
+        const result = await normalizeImage(bmp);
+        expect(result.format).toBe('png');
+        expect(result.adjustments).toEqual([{ key: 'adjustments.converted', params: { format: 'BMP' } }]);
+    });
+
+    test('re-encodes an oversized PNG as JPEG', async () => {
+        const result = await normalizeImage(noisyPng, { maxBytes: noisyPng.length - 1 });
+        expect(result.format).toBe('jpeg');
+        expect(detectImageFormat(result.buffer)).toBe('jpeg');
+        expect(result.buffer.length).toBeLessThan(noisyPng.length);
+        expect(result.adjustments[0]).toEqual({ key: 'adjustments.reencoded', params: { quality: expect.any(Number), limit: expect.stringMatching(/MB$/) } });
+    });
+
+    test('downscales when re-encoding alone is not enough', async () => {
+        const result = await normalizeImage(noisyPng, { maxBytes: 40 * 1024 });
+        expect(result.buffer.length).toBeLessThanOrEqual(40 * 1024);
+        expect(result.adjustments.at(-1)).toEqual({ key: 'adjustments.downscaled', params: { from: '400×300', to: expect.stringMatching(/^\d+×\d+$/) } });
+
+        const decoded = await Jimp.fromBuffer(result.buffer);
+        expect(decoded.bitmap.width).toBeLessThan(400);
+    });
+
+    test('gives up below the minimum dimension', async () => {
+        await expect(normalizeImage(noisyPng, { maxBytes: 100 })).rejects.toThrow('too large to analyze');
+    });
+
+    test('converts WebP to PNG', async () => {
+        const result = await normalizeImage(webp);
+        expect(result.format).toBe('png');
+        expect(result.adjustments).toEqual([{ key: 'adjustments.converted', params: { format: 'WebP' } }]);
+
+        const decoded = await Jimp.fromBuffer(result.buffer);
+        expect(decoded.bitmap.width).toBe(4);
+        expect(decoded.getPixelColor(0, 0)).toBe(0xFF0000FF);
+    });
+
+    test('rejects images that cannot be decoded', async () => {
+        const corrupt = Buffer.concat([Buffer.from('GIF89a'), Buffer.alloc(20)]);
+        await expect(normalizeImage(corrupt)).rejects.toThrow('could not be decoded');
+    });
+});
+
+// --- /rekognition analyze ---
+
+describe('/rekognition analyze of a converted image', () => {
+    const environment = useMockCommandEnvironment();
+
+    test('notes that the image had to be converted', async () => {
+        const gif = await new Jimp({ width: 200, height: 200, color: 0xFFFFFFFF }).getBuffer('image/gif');
+        environment.axiosSpy.mockResolvedValueOnce({ data: gif, headers: { 'content-type': 'image/gif' } });
+
+        const interaction = fakeCommandInteraction('analyze', { image: { ...fakeAttachment('dog.gif'), contentType: 'image/gif' } });
+        await rekognition.execute(interaction);
+
+        const fields = interaction.replies.at(-1).embeds[0].toJSON().fields;
+        expect(fields.at(-1)).toEqual({ name: '🛠️ Image Adjusted', value: '• Converted GIF to PNG (first frame)', inline: false });
+    });
+});
@@ -0,0 +1,221 @@
+const { describe, test, expect } = require('bun:test');
+const { JobQueue, guardInteraction } = require('../lib/jobQueue.js');
+const { UserFacingError } = require('../lib/errors.js');
+const { runWithRequestId, getRequestId } = require('../lib/logger.js');
+
+// A task that runs until the test finishes it
+function deferredTask(log, name) {
+    let finish;
+    const done = new Promise(resolve => { finish = resolve; });
+    const task = async () => {
+        log.push(name);
+        return await done;
+    };
+    return { task, finish };
+}
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('JobQueue', () => {
+    test('runs jobs immediately while slots are free', async () => {
+        const queue = new JobQueue({ concurrency: 2 });
+        expect(await queue.run('g1', async () => 'done')).toBe('done');
+        await tick();
+        expect(queue.getStats()).toEqual({ running: 0, waiting: 0, concurrency: 2, maxQueueLength: 50 });
+    });
+
+    test('queues jobs beyond the concurrency limit and starts them as slots free up', async () => {
+        const queue = new JobQueue({ concurrency: 1 });
+        const log = [];
+        const first = deferredTask(log, 'first');
+        const second = deferredTask(log, 'second');
+
+        const firstRun = queue.run('g1', first.task);
+        const secondRun = queue.run('g1', second.task);
+        await tick();
+        expect(log).toEqual(['first']);
+        expect(queue.getStats().waiting).toBe(1);
+
+        first.finish(1);
+        expect(await firstRun).toBe(1);
+        await tick();
+        expect(log).toEqual(['first', 'second']);
+
+        second.finish(2);
+        expect(await secondRun).toBe(2);
+    });
+
+    test('guilds take turns so one busy guild cannot starve another', async () => {
+        const queue = new JobQueue({ concurrency: 1 });
+        const log = [];
+        const blocker = deferredTask(log, 'blocker');
+        queue.run('busy', blocker.task);
+
+        const runs = [
+            queue.run('busy', async () => log.push('busy-1')),
+            queue.run('busy', async () => log.push('busy-2')),
+            queue.run('busy', async () => log.push('busy-3')),
+            queue.run('quiet', async () => log.push('quiet-1'))
+        ];
+
+        blocker.finish();
+        await Promise.all(runs);
+        expect(log).toEqual(['blocker', 'busy-1', 'quiet-1', 'busy-2', 'busy-3']);
+    });
+
+    test('reports position changes to waiting jobs', async () => {
+        const queue = new JobQueue({ concurrency: 1, positionUpdateIntervalMs: 0 });
+        const log = [];
+        const blocker = deferredTask(log, 'blocker');
+        queue.run('g1', blocker.task);
+
+        const positions = { a: [], b: [] };
+        const a = queue.run('g1', async () => {}, { onPosition: (p, t) => positions.a.push(`${p}/${t}`) });
+        const b = queue.run('g2', async () => {}, { onPosition: (p, t) => positions.b.push(`${p}/${t}`) });
+
+        blocker.finish();
+        await Promise.all([a, b]);
+        expect(positions.a).toEqual(['1/1']);
+        expect(positions.b).toEqual(['2/2', '1/1']);
+    });
+
+    test('throttles position updates and shows the latest position', async () => {
+        const queue = new JobQueue({ concurrency: 1, positionUpdateIntervalMs: 30 });
+        const blockers = [deferredTask([], 'first'), deferredTask([], 'second')];
+        queue.run('g1', blockers[0].task);
+        queue.run('g2', blockers[1].task);
+
+        const positions = [];
+        const run = queue.run('g3', async () => {}, { onPosition: (p, t) => positions.push(`${p}/${t}`) });
+        blockers[0].finish();
+        await tick();
+        expect(positions).toEqual(['2/2']);
+
+        await new Promise(resolve => setTimeout(resolve, 50));
+        expect(positions).toEqual(['2/2', '1/1']);
+        blockers[1].finish();
+        await run;
+        expect(positions).toEqual(['2/2', '1/1']);
+    });
+
+    test('a job starts only after its last position update completed', async () => {
+        const queue = new JobQueue({ concurrency: 1 });
+        const log = [];
+        const blocker = deferredTask(log, 'blocker');
+        queue.run('g1', blocker.task);
+
+        const run = queue.run('g1', async () => log.push('started'), {
+            onPosition: async () => {
+                await tick();
+                log.push('position shown');
+            }
+        });
+        blocker.finish();
+        await run;
+        expect(log).toEqual(['blocker', 'position shown', 'started']);
+    });
+
+    test('a queued job keeps its own request ID when another request frees the slot', async () => {
+        const queue = new JobQueue({ concurrency: 1 });
+        const blocker = deferredTask([], 'blocker');
+        runWithRequestId('first', () => queue.run('g1', blocker.task));
+
+        const seen = [];
+        const second = runWithRequestId('second', () => queue.run('g1', async () => seen.push(getRequestId())));
+        runWithRequestId('first', () => blocker.finish());
+        await second;
+        expect(seen).toEqual(['second']);
+    });
+
+    test('rejects new jobs once the queue is full', async () => {
+        const queue = new JobQueue({ concurrency: 1, maxQueueLength: 1 });
+        const log = [];
+        const blocker = deferredTask(log, 'blocker');
+        queue.run('g1', blocker.task);
+        const waiting = queue.run('g1', async () => 'waited');
+
+        expect(queue.isFull()).toBe(true);
+        await expect(queue.run('g2', async () => {})).rejects.toThrow('too many requests');
+
+        blocker.finish();
+        expect(await waiting).toBe('waited');
+        expect(queue.isFull()).toBe(false);
+    });
+
+    test('rejects a job that is still waiting at its deadline', async () => {
+        const queue = new JobQueue({ concurrency: 1, jobTimeoutMs: 20 });
+        const log = [];
+        const blocker = deferredTask(log, 'blocker');
+        queue.run('g1', blocker.task).catch(() => {});
+
+        let ran = false;
+        const waiting = queue.run('g1', async () => { ran = true; });
+        await expect(waiting).rejects.toThrow('took too long');
+        expect(queue.getStats().waiting).toBe(0);
+
+        blocker.finish();
+        await tick();
+        expect(ran).toBe(false);
+    });
+
+    test('a running job past its deadline is rejected but keeps its slot until it settles', async () => {
+        const queue = new JobQueue({ concurrency: 1, jobTimeoutMs: 20 });
+        const log = [];
+        const slow = deferredTask(log, 'slow');
+        let signal;
+
+        const error = await queue.run('g1', taskSignal => {
+            signal = taskSignal;
+            return slow.task();
+        }).catch(e => e);
+        expect(error).toBeInstanceOf(UserFacingError);
+        expect(signal.aborted).toBe(true);
+        expect(queue.getStats().running).toBe(1);
+
+        slow.finish();
+        await tick();
+        await tick();
+        expect(queue.getStats().running).toBe(0);
+    });
+
+    test('drain rejects waiting jobs, waits for running ones and refuses new ones', async () => {
+        const queue = new JobQueue({ concurrency: 1 });
+        const log = [];
+        const running = deferredTask(log, 'running');
+        const runningJob = queue.run('g1', running.task);
+        const waiting = queue.run('g1', async () => log.push('never'));
+
+        const drained = queue.drain({ timeoutMs: 1000 });
+        await expect(waiting).rejects.toThrow('restarting');
+        await expect(queue.run('g1', async () => {})).rejects.toThrow('restarting');
+
+        running.finish('finished');
+        expect(await runningJob).toBe('finished');
+        expect(await drained).toBe(0);
+        expect(log).toEqual(['running']);
+    });
+
+    test('drain gives up after its timeout and reports unfinished jobs', async () => {
+        const queue = new JobQueue({ concurrency: 1 });
+        const stuck = deferredTask([], 'stuck');
+        queue.run('g1', stuck.task);
+
+        expect(await queue.drain({ timeoutMs: 10 })).toBe(1);
+        stuck.finish();
+    });
+});
+
+describe('guardInteraction', () => {
+    test('drops replies once the job was cancelled', async () => {
+        const replies = [];
+        const interaction = { user: { id: 'u1' }, editReply: async reply => replies.push(reply) && 'message' };
+        const controller = new AbortController();
+        const guarded = guardInteraction(interaction, controller.signal);
+
+        expect(await guarded.editReply('working')).toBe('message');
+        expect(guarded.user.id).toBe('u1');
+        controller.abort();
+        expect(await guarded.editReply('late result')).toBeNull();
+        expect(replies).toEqual(['working']);
+    });
+});
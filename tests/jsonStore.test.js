@@ -0,0 +1,73 @@
+const { describe, test, expect, beforeEach, afterEach, spyOn } = require('bun:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JsonStore } = require('../lib/jsonStore.js');
+const { logger } = require('../lib/logger.js');
+
+describe('JsonStore', () => {
+    let dataDir;
+
+    beforeEach(() => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jsonstore-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    test('returns undefined for missing keys', () => {
+        const store = new JsonStore('test.json', { dataDir });
+        expect(store.get('missing')).toBeUndefined();
+        expect(store.keys()).toEqual([]);
+    });
+
+    test('persists values across instances', async () => {
+        const store = new JsonStore('test.json', { dataDir });
+        await store.set('guild-1', { threshold: 90 });
+
+        const reloaded = new JsonStore('test.json', { dataDir });
+        expect(reloaded.get('guild-1')).toEqual({ threshold: 90 });
+    });
+
+    test('deletes keys', async () => {
+        const store = new JsonStore('test.json', { dataDir });
+        await store.set('a', 1);
+        expect(await store.delete('a')).toBe(true);
+        expect(await store.delete('a')).toBe(false);
+
+        expect(new JsonStore('test.json', { dataDir }).get('a')).toBeUndefined();
+    });
+
+    test('serializes concurrent writes', async () => {
+        const store = new JsonStore('test.json', { dataDir });
+        await Promise.all([store.set('a', 1), store.set('b', 2), store.set('c', 3)]);
+
+        const reloaded = new JsonStore('test.json', { dataDir });
+        expect(reloaded.keys().sort()).toEqual(['a', 'b', 'c']);
+    });
+
+    test('creates the data directory on first write', async () => {
+        const nested = path.join(dataDir, 'nested');
+        const store = new JsonStore('test.json', { dataDir: nested });
+        await store.set('a', 1);
+        expect(fs.existsSync(path.join(nested, 'test.json'))).toBe(true);
+    });
+
+    test('moves a corrupt file aside before starting empty', async () => {
+        fs.writeFileSync(path.join(dataDir, 'test.json'), '{not json');
+        const errorSpy = spyOn(logger, 'error').mockImplementation(() => {});
+        try {
+            const store = new JsonStore('test.json', { dataDir });
+            expect(store.keys()).toEqual([]);
+            expect(errorSpy).toHaveBeenCalled();
+
+            await store.set('a', 1);
+            const backups = fs.readdirSync(dataDir).filter(name => name.startsWith('test.json.corrupt-'));
+            expect(backups).toHaveLength(1);
+            expect(fs.readFileSync(path.join(dataDir, backups[0]), 'utf8')).toBe('{not json');
+        } finally {
+            errorSpy.mockRestore();
+        }
+    });
+});
@@ -0,0 +1,146 @@
+const { describe, test, expect } = require('bun:test');
+const {
+    parseLabelFilter,
+    normalizeLabelFilter,
+    buildLabelFilters,
+    describeLabel,
+    formatImageProperties
+} = require('../lib/labels.js');
+const { getTranslator } = require('../lib/i18n.js');
+const rekognition = require('../commands/rekognition.js');
+const { fakeCommandInteraction, fakeAttachment, useMockCommandEnvironment } = require('./helpers/commandHarness.js');
+
+// --- Filters ---
+
+describe('parseLabelFilter', () => {
+    test('splits included and -excluded names', () => {
+        expect(parseLabelFilter('Animals and Pets, -Text and Documents ,- Weapons,,Animals and Pets')).toEqual({
+            include: ['Animals and Pets'],
+            exclude: ['Text and Documents', 'Weapons']
+        });
+    });
+
+    test('treats none and empty values as no filter', () => {
+        const empty = { include: [], exclude: [] };
+        expect(parseLabelFilter(null)).toEqual(empty);
+        expect(parseLabelFilter(' None ')).toEqual(empty);
+        expect(normalizeLabelFilter('none')).toBe('');
+    });
+
+    test('limits each list to 100 names', () => {
+        const names = count => Array.from({ length: count }, (_, i) => `Label ${i}`);
+        expect(parseLabelFilter(names(100).join(',')).include).toHaveLength(100);
+        expect(() => parseLabelFilter(names(101).join(','))).toThrow('at most 100 names');
+        expect(() => parseLabelFilter(names(101).map(name => `-${name}`).join(','))).toThrow(RangeError);
+    });
+
+    test('normalizes to included names first', () => {
+        expect(normalizeLabelFilter('-Car,Dog')).toBe('Dog, -Car');
+    });
+});
+
+describe('buildLabelFilters', () => {
+    test('is empty without filters', () => {
+        expect(buildLabelFilters()).toEqual({});
+        expect(buildLabelFilters({ labels: '', categories: 'none' })).toEqual({});
+    });
+
+    test('maps names and categories to GeneralLabels settings', () => {
+        expect(buildLabelFilters({ labels: 'Dog, -Cat', categories: '-Text and Documents' })).toEqual({
+            LabelInclusionFilters: ['Dog'],
+            LabelExclusionFilters: ['Cat'],
+            LabelCategoryExclusionFilters: ['Text and Documents']
+        });
+    });
+});
+
+// --- Formatting ---
+
+describe('describeLabel', () => {
+    test('shows the instance count and categories', () => {
+        const instance = { BoundingBox: {}, Confidence: 90 };
+        expect(describeLabel({
+            Name: 'Person',
+            Confidence: 95.24,
+            Instances: [instance, instance, instance],
+            Parents: [],
+            Categories: [{ Name: 'Person Description' }]
+        })).toBe('3× Person (95.2%) — Person Description');
+    });
+
+    test('falls back to the parents', () => {
+        expect(describeLabel({ Name: 'Dog', Confidence: 98.7, Instances: [{}], Parents: [{ Name: 'Animal' }, { Name: 'Pet' }] }))
+            .toBe('Dog (98.7%) — Animal, Pet');
+        expect(describeLabel({ Name: 'Outdoors', Confidence: 80 })).toBe('Outdoors (80.0%)');
+    });
+});
+
+describe('formatImageProperties', () => {
+    const t = getTranslator();
+
+    test('lists the quality scores and the top five colors', () => {
+        const color = (hex, name, percent) => ({ HexCode: hex, SimplifiedColor: name, PixelPercent: percent });
+        const text = formatImageProperties({
+            Quality: { Brightness: 72.4, Sharpness: 91.6, Contrast: 60 },
+            DominantColors: [
+                color('#FF0000', 'red', 30), color('#777777', 'grey', 20), color('#000000', 'black', 10),
+                color('#FFFFFF', 'white', 8), color('#0000FF', 'blue', 5), color('#00FF00', 'green', 2)
+            ]
+        }, t);
+
+        expect(text.split('\n')).toEqual([
+            'Brightness 72 · Sharpness 92 · Contrast 60',
+            '🟥 #FF0000 red (30.0%)',
+            '▪️ #777777 grey (20.0%)',
+            '⬛ #000000 black (10.0%)',
+            '⬜ #FFFFFF white (8.0%)',
+            '🟦 #0000FF blue (5.0%)'
+        ]);
+    });
+
+    test('is null without image properties', () => {
+        expect(formatImageProperties(undefined, t)).toBeNull();
+        expect(formatImageProperties({ DominantColors: [] }, t)).toBeNull();
+    });
+
+    test('uses the language of the translator', () => {
+        expect(formatImageProperties({ Quality: { Brightness: 50, Sharpness: 50, Contrast: 50 } }, getTranslator('fr')))
+            .toBe('Luminosité 50 · Netteté 50 · Contraste 50');
+    });
+});
+
+// --- /rekognition analyze ---
+
+describe('/rekognition analyze labels', () => {
+    useMockCommandEnvironment();
+
+    test('shows label categories and image properties', async () => {
+        const interaction = fakeCommandInteraction('analyze', { image: fakeAttachment('dog.png'), features: 'labels' });
+        await rekognition.execute(interaction);
+
+        const fields = Object.fromEntries(interaction.replies.at(-1).embeds[0].toJSON().fields.map(field => [field.name, field.value]));
+        expect(fields['🏷️ Objects & Scenes']).toContain('• Dog (98.7%) — Animals and Pets');
+        expect(fields['🎨 Image Properties']).toBe(
+            'Brightness 72 · Sharpness 91 · Contrast 61\n' +
+            '🟩 #4A7B2C green (41.6%)\n' +
+            '🟫 #8B5E3C brown (22.3%)\n' +
+            '⬜ #F0F0EB white (14.9%)'
+        );
+    });
+
+    test('applies the categories option instead of the server filter', async () => {
+        const interaction = fakeCommandInteraction('analyze', {
+            image: fakeAttachment('dog.png'), features: 'labels', categories: '-Animals and Pets, -Person Description'
+        });
+        await rekognition.execute(interaction);
+
+        const labels = interaction.replies.at(-1).embeds[0].toJSON().fields.find(field => field.name === '🏷️ Objects & Scenes').value;
+        expect(labels).toBe('• Grass (88.4%) — Plants and Flowers\n• Park (74.1%) — Nature and Outdoors');
+
+        const tooMany = fakeCommandInteraction('analyze', {
+            image: fakeAttachment('dog.png'), categories: Array.from({ length: 101 }, (_, i) => `Category ${i}`).join(',')
+        });
+        await rekognition.execute(tooMany);
+        expect(tooMany.replies).toEqual([{ content: expect.stringContaining('Invalid Category Filter'), ephemeral: true }]);
+    });
+});
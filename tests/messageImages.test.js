@@ -0,0 +1,105 @@
+const { describe, test, expect, beforeAll, afterAll, spyOn } = require('bun:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const { Jimp } = require('jimp');
+const { parseMessageLink, processMessageLink } = require('../lib/messageImages.js');
+
+const LINK = 'https://discord.com/channels/111/222/333';
+
+function fakeMessage({ attachments = [], embeds = [], authorId = 'poster', reference = null } = {}) {
+    return {
+        attachments: new Map(attachments.map((attachment, i) => [String(i), attachment])),
+        embeds,
+        author: { id: authorId },
+        reference: reference ? { messageId: reference.id } : null,
+        fetchReference: async () => reference
+    };
+}
+
+const png = name => ({ name, url: `https://cdn.discordapp.com/attachments/222/1/${name}`, contentType: 'image/png', size: 1024 });
+
+function fakeInteraction(message, { guildId = '111', canRead = true } = {}) {
+    const channel = {
+        guildId: '111',
+        permissionsFor: () => ({ has: () => canRead }),
+        messages: { fetch: async id => (id === '333' ? message : Promise.reject(new Error('Unknown Message'))) }
+    };
+    return {
+        guildId,
+        user: { id: 'requester' },
+        client: { channels: { fetch: async id => (id === '222' ? channel : Promise.reject(new Error('Unknown Channel'))) } }
+    };
+}
+
+// --- parseMessageLink ---
+
+describe('parseMessageLink', () => {
+    test('reads guild, channel and message IDs', () => {
+        expect(parseMessageLink(LINK)).toEqual({ guildId: '111', channelId: '222', messageId: '333' });
+        expect(parseMessageLink('https://canary.discordapp.com/channels/1/2/3/')).toEqual({ guildId: '1', channelId: '2', messageId: '3' });
+    });
+
+    test('ignores other URLs', () => {
+        expect(parseMessageLink('https://discord.com/channels/111/222')).toBeNull();
+        expect(parseMessageLink('https://example.com/channels/111/222/333')).toBeNull();
+        expect(parseMessageLink('https://cdn.discordapp.com/attachments/1/2/a.png')).toBeNull();
+        expect(parseMessageLink(null)).toBeNull();
+    });
+});
+
+// --- processMessageLink ---
+
+describe('processMessageLink', () => {
+    let axiosSpy;
+    let tempDir;
+
+    beforeAll(async () => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'message-images-'));
+        const image = await new Jimp({ width: 100, height: 100, color: 0xFFFFFFFF }).getBuffer('image/png');
+        axiosSpy = spyOn(axios, 'get').mockResolvedValue({ data: image, headers: { 'content-type': 'image/png' } });
+    });
+
+    afterAll(() => {
+        axiosSpy.mockRestore();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('uses the first image of the linked message', async () => {
+        const message = fakeMessage({ attachments: [png('a.png'), png('b.png')] });
+        const image = await processMessageLink(fakeInteraction(message), LINK, tempDir, '', []);
+
+        expect(axiosSpy).toHaveBeenLastCalledWith(png('a.png').url, expect.anything());
+        expect(image.description).toBe(`first of 2 images in the linked message (${LINK})`);
+        expect(image.authorId).toBe('poster');
+        expect(image.buffer).toBeInstanceOf(Buffer);
+    });
+
+    test('falls back to the message it replies to', async () => {
+        const original = fakeMessage({ attachments: [png('original.png')], authorId: 'original-poster' });
+        const reply = fakeMessage({ reference: { id: '300', ...original } });
+        const image = await processMessageLink(fakeInteraction(reply), LINK, tempDir, '', []);
+
+        expect(image.description).toBe(`image in the message it replies to (${LINK})`);
+        expect(image.authorId).toBe('original-poster');
+    });
+
+    test('refuses links to other servers and unreadable channels', async () => {
+        const message = fakeMessage({ attachments: [png('a.png')] });
+        await expect(processMessageLink(fakeInteraction(message, { guildId: '999' }), LINK, tempDir, '', []))
+            .rejects.toThrow('Only links to messages in this server');
+        await expect(processMessageLink(fakeInteraction(message, { guildId: null }), LINK, tempDir, '', []))
+            .rejects.toThrow('Only links to messages in this server');
+        await expect(processMessageLink(fakeInteraction(message, { canRead: false }), LINK, tempDir, '', []))
+            .rejects.toThrow('could not be opened');
+        await expect(processMessageLink(fakeInteraction(message), 'https://discord.com/channels/111/222/404', tempDir, '', []))
+            .rejects.toThrow('could not be found');
+    });
+
+    test('refuses messages without images', async () => {
+        const message = fakeMessage({ embeds: [{ title: 'Just text' }] });
+        await expect(processMessageLink(fakeInteraction(message), LINK, tempDir, '', []))
+            .rejects.toThrow('has no images');
+    });
+});
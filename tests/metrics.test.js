@@ -0,0 +1,97 @@
+const { describe, test, expect, beforeEach } = require('bun:test');
+const {
+    Counter,
+    Gauge,
+    Histogram,
+    renderMetrics,
+    resetMetrics,
+    setQueueStatsProvider,
+    recordError,
+    cooldownRejectionsTotal,
+    errorsTotal
+} = require('../lib/metrics.js');
+const { checkCooldown } = require('../lib/requestLimits.js');
+
+describe('metric types', () => {
+    test('counters render one line per label set', () => {
+        const counter = new Counter('test_total', 'Test', ['kind']);
+        counter.inc({ kind: 'a' });
+        counter.inc({ kind: 'a' }, 2);
+        counter.inc({ kind: 'b' });
+
+        expect(counter.get({ kind: 'a' })).toBe(3);
+        expect(counter.render()).toEqual(['test_total{kind="a"} 3', 'test_total{kind="b"} 1']);
+    });
+
+    test('label values are escaped', () => {
+        const counter = new Counter('test_total', 'Test', ['name']);
+        counter.inc({ name: 'say "hi"\\\n' });
+        expect(counter.render()).toEqual(['test_total{name="say \\"hi\\"\\\\\\n"} 1']);
+    });
+
+    test('gauges are read when rendered', () => {
+        let value = 1;
+        const gauge = new Gauge('test_gauge', 'Test', () => value);
+        value = 7;
+        expect(gauge.render()).toEqual(['test_gauge 7']);
+    });
+
+    test('histograms render cumulative buckets, sum and count', () => {
+        const histogram = new Histogram('test_seconds', 'Test', ['op'], [0.1, 1]);
+        histogram.observe({ op: 'x' }, 0.05);
+        histogram.observe({ op: 'x' }, 0.5);
+        histogram.observe({ op: 'x' }, 5);
+
+        expect(histogram.render()).toEqual([
+            'test_seconds_bucket{op="x",le="0.1"} 1',
+            'test_seconds_bucket{op="x",le="1"} 2',
+            'test_seconds_bucket{op="x",le="+Inf"} 3',
+            'test_seconds_sum{op="x"} 5.55',
+            'test_seconds_count{op="x"} 3'
+        ]);
+    });
+
+    test('histogram.time records the outcome and rethrows errors', async () => {
+        const histogram = new Histogram('test_seconds', 'Test', ['op', 'outcome']);
+        expect(await histogram.time({ op: 'ok' }, async () => 'value')).toBe('value');
+        await expect(histogram.time({ op: 'bad' }, async () => { throw new Error('boom'); })).rejects.toThrow('boom');
+
+        const lines = histogram.render();
+        expect(lines).toContain('test_seconds_count{op="ok",outcome="success"} 1');
+        expect(lines).toContain('test_seconds_count{op="bad",outcome="error"} 1');
+    });
+});
+
+describe('bot metrics', () => {
+    beforeEach(() => resetMetrics());
+
+    test('renderMetrics includes HELP and TYPE lines for every metric', () => {
+        const output = renderMetrics();
+        expect(output).toContain('# TYPE discord_bot_commands_total counter');
+        expect(output).toContain('# TYPE discord_bot_rekognition_request_duration_seconds histogram');
+        expect(output).toContain('# HELP discord_bot_active_requests Requests currently being processed');
+        expect(output.endsWith('\n')).toBe(true);
+    });
+
+    test('queue gauges read the registered provider', () => {
+        setQueueStatsProvider(() => ({ running: 4, waiting: 9 }));
+        const output = renderMetrics();
+        expect(output).toContain('discord_bot_active_requests 4');
+        expect(output).toContain('discord_bot_queued_requests 9');
+    });
+
+    test('cooldown rejections are counted', () => {
+        checkCooldown('metrics-user', 5000, 1000);
+        checkCooldown('metrics-user', 5000, 2000);
+        expect(cooldownRejectionsTotal.get()).toBe(1);
+    });
+
+    test('errors are counted by name', () => {
+        const throttled = Object.assign(new Error('slow down'), { name: 'ThrottlingException' });
+        recordError(throttled);
+        recordError(throttled);
+        recordError(new TypeError('bad'));
+        expect(errorsTotal.get({ name: 'ThrottlingException' })).toBe(2);
+        expect(errorsTotal.get({ name: 'TypeError' })).toBe(1);
+    });
+});
@@ -0,0 +1,225 @@
+const { describe, test, expect } = require('bun:test');
+const fs = require('fs');
+const {
+    MAX_WORDS,
+    parseRegion,
+    buildTextFilters,
+    buildParagraphs,
+    extractText,
+    createTextFile,
+    paginateText,
+    createOcrEmbeds
+} = require('../lib/ocr.js');
+const rekognition = require('../commands/rekognition.js');
+const { fakeCommandInteraction, fakeAttachment, useMockCommandEnvironment } = require('./helpers/commandHarness.js');
+
+function line(text, Left, Top, Width = 0.4, Height = 0.04) {
+    return { DetectedText: text, Type: 'LINE', Confidence: 99, Geometry: { BoundingBox: { Left, Top, Width, Height } } };
+}
+
+function word(text, Left, Top, Confidence = 95) {
+    return {
+        DetectedText: text,
+        Type: 'WORD',
+        Confidence,
+        Geometry: { BoundingBox: { Left, Top, Width: 0.1, Height: 0.04 } }
+    };
+}
+
+// --- Options ---
+
+describe('parseRegion', () => {
+    test('converts percent to a bounding box', () => {
+        expect(parseRegion('0, 50, 100, 50')).toEqual({ Left: 0, Top: 0.5, Width: 1, Height: 0.5 });
+    });
+
+    test('rejects malformed or out-of-image regions', () => {
+        expect(parseRegion('0,50,100')).toBeNull();
+        expect(parseRegion('a,b,c,d')).toBeNull();
+        expect(parseRegion('-5,0,10,10')).toBeNull();
+        expect(parseRegion('10,10,0,10')).toBeNull();
+        expect(parseRegion('50,0,60,10')).toBeNull();
+    });
+});
+
+describe('buildTextFilters', () => {
+    test('is empty without options', () => {
+        expect(buildTextFilters()).toEqual({});
+    });
+
+    test('maps every option to DetectText Filters', () => {
+        const region = { Left: 0, Top: 0.5, Width: 1, Height: 0.5 };
+        expect(buildTextFilters({ minConfidence: 80, minWordHeight: 2, region })).toEqual({
+            WordFilter: { MinConfidence: 80, MinBoundingBoxHeight: 0.02 },
+            RegionsOfInterest: [{ BoundingBox: region }]
+        });
+    });
+});
+
+// --- Text reconstruction ---
+
+describe('buildParagraphs', () => {
+    test('splits paragraphs on vertical gaps', () => {
+        const paragraphs = buildParagraphs([
+            line('First line', 0.1, 0.10),
+            line('continues here', 0.1, 0.15),
+            line('Second paragraph', 0.1, 0.30)
+        ]);
+        expect(paragraphs).toEqual(['First line continues here', 'Second paragraph']);
+    });
+
+    test('reads columns left to right, each top to bottom', () => {
+        const paragraphs = buildParagraphs([
+            line('right top', 0.55, 0.10),
+            line('left top', 0.05, 0.10),
+            line('right bottom', 0.55, 0.15),
+            line('left bottom', 0.05, 0.15)
+        ]);
+        expect(paragraphs).toEqual(['left top left bottom', 'right top right bottom']);
+    });
+
+    test('re-joins words hyphenated across lines', () => {
+        expect(buildParagraphs([line('a recog-', 0.1, 0.1), line('nition service', 0.1, 0.15)]))
+            .toEqual(['a recognition service']);
+    });
+});
+
+describe('extractText', () => {
+    const response = {
+        TextDetections: [
+            line('HELLO WORLD', 0.1, 0.1),
+            word('HELLO', 0.1, 0.1, 90),
+            word('WORLD', 0.25, 0.1, 100)
+        ]
+    };
+
+    test('renders lines, words and paragraphs', () => {
+        expect(extractText(response, 'lines').text).toBe('HELLO WORLD');
+        expect(extractText(response, 'words').text).toBe('HELLO\nWORLD');
+        expect(extractText(response, 'paragraphs').text).toBe('HELLO WORLD');
+    });
+
+    test('averages word confidence', () => {
+        expect(extractText(response).averageConfidence).toBe(95);
+        expect(extractText({ TextDetections: [] }).averageConfidence).toBeNull();
+    });
+
+    test('flags results that hit the DetectText word limit', () => {
+        const words = Array.from({ length: MAX_WORDS }, (_, i) => word(`w${i}`, 0, 0));
+        expect(extractText({ TextDetections: words }).mayBeIncomplete).toBe(true);
+        expect(extractText(response).mayBeIncomplete).toBe(false);
+    });
+});
+
+describe('createTextFile', () => {
+    test('adds confidence and geometry in words mode', () => {
+        const ocr = extractText({ TextDetections: [word('HELLO', 0.1, 0.2, 90)] }, 'words');
+        expect(createTextFile(ocr)).toBe('text\tconfidence\tleft\ttop\twidth\theight\nHELLO\t90.0\t0.1000\t0.2000\t0.1000\t0.0400\n');
+    });
+
+    test('is the plain text otherwise', () => {
+        expect(createTextFile(extractText({ TextDetections: [line('HI', 0, 0)] }))).toBe('HI\n');
+    });
+});
+
+// --- Embed ---
+
+describe('paginateText', () => {
+    test('breaks pages on line boundaries', () => {
+        expect(paginateText('aaaa\nbbbb\ncc', 9)).toEqual(['aaaa\nbbbb', 'cc']);
+    });
+
+    test('splits lines longer than a page', () => {
+        expect(paginateText('abcdefghij', 4)).toEqual(['abcd', 'efgh', 'ij']);
+    });
+
+    test('returns no pages for empty text', () => {
+        expect(paginateText('')).toEqual([]);
+    });
+});
+
+describe('createOcrEmbeds', () => {
+    test('shows each page in a code block with a page footer', () => {
+        const text = Array.from({ length: 200 }, (_, i) => `line number ${i} with some text`).join('\n');
+        const ocr = { ...extractText({ TextDetections: [] }), text };
+        const embeds = createOcrEmbeds(ocr, {}, 'test.png', { name: 'test.png' });
+
+        expect(embeds.length).toBeGreaterThan(1);
+        const first = embeds[0].toJSON();
+        expect(first.description).toContain('```\nline number 0');
+        expect(first.footer.text).toBe(`Page 1/${embeds.length} • Powered by AWS Rekognition`);
+        expect(first.thumbnail.url).toBe('attachment://test.png');
+        expect(embeds[1].toJSON().thumbnail).toBeUndefined();
+    });
+
+    test('says when no text was detected', () => {
+        const embeds = createOcrEmbeds(extractText({ TextDetections: [] }), {}, 'test.png', null);
+        expect(embeds).toHaveLength(1);
+        expect(embeds[0].toJSON().description).toContain('No text detected.');
+    });
+
+    test('keeps detected backticks from closing the code block', () => {
+        const ocr = extractText({ TextDetections: [line('```x', 0, 0)] });
+        const description = createOcrEmbeds(ocr, {}, 'test.png', null)[0].toJSON().description;
+        expect(description.match(/```/g)).toHaveLength(2);
+    });
+
+    test('stays within the embed limits for long sources and escaped text', () => {
+        const text = Array.from({ length: 300 }, () => '```'.repeat(10)).join('\n');
+        const ocr = { ...extractText({ TextDetections: [] }), text };
+        const source = `https://example.com/${'a'.repeat(2000)}`;
+
+        for (const embed of createOcrEmbeds(ocr, {}, source, null)) {
+            const json = embed.toJSON();
+            const image = json.fields.find(field => field.name === '🖼️ Image').value;
+            expect(image.length).toBeLessThanOrEqual(1024);
+            expect(image.endsWith('…')).toBe(true);
+            expect(json.description.length).toBeLessThanOrEqual(4096);
+            const size = json.title.length + json.description.length + json.footer.text.length +
+                json.fields.reduce((sum, field) => sum + field.name.length + field.value.length, 0);
+            expect(size).toBeLessThanOrEqual(6000);
+        }
+    });
+
+    test('describes the filters that were applied', () => {
+        const filters = buildTextFilters({ minConfidence: 80, region: parseRegion('0,50,100,50') });
+        const fields = createOcrEmbeds(extractText({ TextDetections: [] }), filters, 'test.png', null)[0].toJSON().fields;
+        expect(fields.find(field => field.name === '🔎 Filters').value).toBe('confidence ≥ 80%, region 0,50,100,50');
+    });
+});
+
+// --- /rekognition ocr ---
+
+describe('/rekognition ocr', () => {
+    useMockCommandEnvironment();
+
+    test('attaches the full text and shows it in the embed', async () => {
+        const interaction = fakeCommandInteraction('ocr', { image: fakeAttachment('sign.png'), mode: 'words' });
+        await rekognition.execute(interaction);
+
+        const final = interaction.replies.at(-1);
+        expect(final.content).toContain('Text Extraction Complete');
+        expect(final.embeds).toHaveLength(1);
+        expect(final.embeds[0].toJSON().description).toContain('```\nGOOD\nBOY\n```');
+        expect(final.files.map(file => file.name)).toEqual(['ocr_words.tsv.txt', 'ocr_annotated.jpg']);
+        expect(fs.readFileSync(final.files[0].attachment, 'utf8')).toContain('GOOD\t99.3\t0.1200');
+    });
+
+    test('applies the region of interest', async () => {
+        const interaction = fakeCommandInteraction('ocr', { image: fakeAttachment('sign.png'), region: '0,50,100,50' });
+        await rekognition.execute(interaction);
+
+        const embed = interaction.replies.at(-1).embeds[0].toJSON();
+        expect(embed.description).toContain('No text detected.');
+        expect(embed.fields.find(field => field.name === '🔎 Filters').value).toBe('region 0,50,100,50');
+    });
+
+    test('rejects an invalid region before deferring', async () => {
+        const interaction = fakeCommandInteraction('ocr', { image: fakeAttachment('sign.png'), region: 'bottom' });
+        await rekognition.execute(interaction);
+
+        expect(interaction.replies).toHaveLength(1);
+        expect(interaction.replies[0].content).toContain('Invalid Region');
+        expect(interaction.replies[0].ephemeral).toBe(true);
+    });
+});
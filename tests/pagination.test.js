@@ -0,0 +1,95 @@
+const { describe, test, expect } = require('bun:test');
+const { EventEmitter } = require('events');
+const { EmbedBuilder } = require('discord.js');
+const { replyWithPages } = require('../lib/pagination.js');
+
+function fakeInteraction() {
+    const collector = new EventEmitter();
+    const edits = [];
+    return {
+        collector,
+        edits,
+        user: { id: 'owner' },
+        editReply: async reply => {
+            edits.push(reply);
+            return { createMessageComponentCollector: () => collector };
+        }
+    };
+}
+
+function fakeButton(customId, userId = 'owner') {
+    const calls = { update: [], reply: [] };
+    return {
+        calls,
+        customId,
+        user: { id: userId },
+        update: async payload => calls.update.push(payload),
+        reply: async payload => calls.reply.push(payload)
+    };
+}
+
+const pages = ['one', 'two', 'three'].map(title => new EmbedBuilder().setTitle(title));
+
+// Collector listeners are async; let them settle
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('replyWithPages', () => {
+    test('sends a single page without buttons', async () => {
+        const interaction = fakeInteraction();
+        await replyWithPages(interaction, pages.slice(0, 1), { content: 'done' });
+        expect(interaction.edits).toEqual([{ content: 'done', embeds: pages.slice(0, 1) }]);
+    });
+
+    test('shows the first page with Previous disabled', async () => {
+        const interaction = fakeInteraction();
+        await replyWithPages(interaction, pages, { content: 'done' });
+
+        const [edit] = interaction.edits;
+        expect(edit.embeds).toEqual([pages[0]]);
+        const buttons = edit.components[0].toJSON().components;
+        expect(buttons.map(button => button.custom_id)).toEqual(['page:prev', 'page:indicator', 'page:next']);
+        expect(buttons.map(button => button.disabled)).toEqual([true, true, false]);
+        expect(buttons[1].label).toBe('1 / 3');
+    });
+
+    test('turns pages and stops at the last one', async () => {
+        const interaction = fakeInteraction();
+        await replyWithPages(interaction, pages);
+
+        const next = fakeButton('page:next');
+        interaction.collector.emit('collect', next);
+        interaction.collector.emit('collect', next);
+        interaction.collector.emit('collect', next);
+        await tick();
+
+        expect(next.calls.update.map(update => update.embeds[0])).toEqual([pages[1], pages[2], pages[2]]);
+        const buttons = next.calls.update.at(-1).components[0].toJSON().components;
+        expect(buttons.map(button => button.disabled)).toEqual([false, true, true]);
+
+        const prev = fakeButton('page:prev');
+        interaction.collector.emit('collect', prev);
+        await tick();
+        expect(prev.calls.update[0].embeds).toEqual([pages[1]]);
+    });
+
+    test('only the invoking user can turn pages', async () => {
+        const interaction = fakeInteraction();
+        await replyWithPages(interaction, pages);
+
+        const button = fakeButton('page:next', 'someone-else');
+        interaction.collector.emit('collect', button);
+        await tick();
+
+        expect(button.calls.update).toHaveLength(0);
+        expect(button.calls.reply[0].ephemeral).toBe(true);
+    });
+
+    test('removes the buttons when the collector ends', async () => {
+        const interaction = fakeInteraction();
+        await replyWithPages(interaction, pages);
+
+        interaction.collector.emit('end');
+        await tick();
+        expect(interaction.edits.at(-1)).toEqual({ components: [] });
+    });
+});
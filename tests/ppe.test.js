@@ -0,0 +1,132 @@
+const { describe, test, expect } = require('bun:test');
+const { EQUIPMENT_TYPES, evaluatePerson, evaluateCompliance, createPpeEmbed } = require('../lib/ppe.js');
+const rekognition = require('../commands/rekognition.js');
+const { fakeCommandInteraction, fakeAttachment, useMockCommandEnvironment } = require('./helpers/commandHarness.js');
+
+const BOX = { Left: 0.1, Top: 0.1, Width: 0.3, Height: 0.8 };
+
+function covered(type, confidence = 95) {
+    return { Type: type, Confidence: confidence, CoversBodyPart: { Value: true, Confidence: 99 } };
+}
+
+function bodyPart(name, equipment = [], confidence = 99) {
+    return { Name: name, Confidence: confidence, EquipmentDetections: equipment };
+}
+
+const fullyEquipped = {
+    Id: 0,
+    BoundingBox: BOX,
+    BodyParts: [
+        bodyPart('FACE', [covered('FACE_COVER')]),
+        bodyPart('HEAD', [covered('HEAD_COVER')]),
+        bodyPart('LEFT_HAND', [covered('HAND_COVER')]),
+        bodyPart('RIGHT_HAND', [covered('HAND_COVER')])
+    ]
+};
+
+// --- evaluatePerson ---
+
+describe('evaluatePerson', () => {
+    test('is compliant when every required cover is present', () => {
+        const result = evaluatePerson(fullyEquipped, EQUIPMENT_TYPES);
+        expect(result.compliance).toBe('compliant');
+        expect(result.equipment).toEqual({ FACE_COVER: 'present', HAND_COVER: 'present', HEAD_COVER: 'present' });
+    });
+
+    test('is non-compliant when a detected body part is uncovered', () => {
+        const person = { ...fullyEquipped, BodyParts: [bodyPart('FACE'), bodyPart('HEAD', [covered('HEAD_COVER')])] };
+        const result = evaluatePerson(person, ['FACE_COVER', 'HEAD_COVER']);
+        expect(result.equipment.FACE_COVER).toBe('missing');
+        expect(result.compliance).toBe('non-compliant');
+    });
+
+    test('only counts required equipment', () => {
+        const person = { ...fullyEquipped, BodyParts: [bodyPart('FACE'), bodyPart('HEAD', [covered('HEAD_COVER')])] };
+        expect(evaluatePerson(person, ['HEAD_COVER']).compliance).toBe('compliant');
+    });
+
+    test('is indeterminate when the body part was not detected', () => {
+        const person = { ...fullyEquipped, BodyParts: [bodyPart('HEAD', [covered('HEAD_COVER')])] };
+        const result = evaluatePerson(person, ['HEAD_COVER', 'HAND_COVER']);
+        expect(result.equipment.HAND_COVER).toBe('unknown');
+        expect(result.compliance).toBe('indeterminate');
+    });
+
+    test('requires both detected hands to be covered', () => {
+        const person = {
+            ...fullyEquipped,
+            BodyParts: [bodyPart('LEFT_HAND', [covered('HAND_COVER')]), bodyPart('RIGHT_HAND')]
+        };
+        expect(evaluatePerson(person, ['HAND_COVER']).equipment.HAND_COVER).toBe('missing');
+    });
+
+    test('ignores detections below the confidence threshold', () => {
+        const person = { ...fullyEquipped, BodyParts: [bodyPart('HEAD', [covered('HEAD_COVER', 60)])] };
+        expect(evaluatePerson(person, ['HEAD_COVER'], 80).equipment.HEAD_COVER).toBe('missing');
+        expect(evaluatePerson(person, ['HEAD_COVER'], 50).equipment.HEAD_COVER).toBe('present');
+    });
+
+    test('equipment that does not cover the body part does not count', () => {
+        const person = {
+            ...fullyEquipped,
+            BodyParts: [bodyPart('FACE', [{ Type: 'FACE_COVER', Confidence: 99, CoversBodyPart: { Value: false } }])]
+        };
+        expect(evaluatePerson(person, ['FACE_COVER']).compliance).toBe('non-compliant');
+    });
+});
+
+// --- evaluateCompliance ---
+
+describe('evaluateCompliance', () => {
+    test('summarizes persons by compliance', () => {
+        const evaluation = evaluateCompliance({
+            Persons: [fullyEquipped, { Id: 1, BodyParts: [bodyPart('FACE')] }, { Id: 2, BodyParts: [] }]
+        }, EQUIPMENT_TYPES);
+        expect(evaluation.summary).toEqual({ compliant: 1, nonCompliant: 1, indeterminate: 1 });
+        expect(evaluation.persons.map(person => person.id)).toEqual([0, 1, 2]);
+    });
+
+    test('handles a response without persons', () => {
+        expect(evaluateCompliance({}, EQUIPMENT_TYPES).summary).toEqual({ compliant: 0, nonCompliant: 0, indeterminate: 0 });
+    });
+});
+
+// --- createPpeEmbed ---
+
+describe('createPpeEmbed', () => {
+    test('shows the summary and one field per person', () => {
+        const evaluation = evaluateCompliance({ Persons: [fullyEquipped, { Id: 1, BodyParts: [bodyPart('FACE')] }] }, EQUIPMENT_TYPES);
+        const embed = createPpeEmbed(evaluation, 'site.jpg', null, null, true).toJSON();
+
+        expect(embed.fields.map(field => field.name)).toEqual([
+            '✅ Compliant', '❌ Non-compliant', '❔ Indeterminate',
+            '✅ Person 1 — compliant', '❌ Person 2 — non-compliant'
+        ]);
+        expect(embed.fields[4].value).toBe('❌ Face cover | ❔ Hand cover | ❔ Head cover');
+        expect(embed.color).toBe(0xED4245);
+        expect(embed.footer.text).toContain('cached');
+    });
+
+    test('says so when nobody was detected', () => {
+        const embed = createPpeEmbed(evaluateCompliance({ Persons: [] }, ['HEAD_COVER']), 'site.jpg', null).toJSON();
+        expect(embed.fields[0].value).toContain('No persons detected');
+        expect(embed.description).toContain('Head cover');
+    });
+});
+
+// --- /rekognition ppe ---
+
+describe('/rekognition ppe', () => {
+    useMockCommandEnvironment();
+
+    test('reports compliant and non-compliant persons', async () => {
+        const interaction = fakeCommandInteraction('ppe', { image: fakeAttachment('site.png') });
+        await rekognition.execute(interaction);
+
+        const final = interaction.replies.at(-1);
+        expect(final.content).toContain('PPE Check Complete');
+        const fields = final.embeds[0].toJSON().fields;
+        expect(fields.slice(0, 3).map(field => field.value)).toEqual(['1', '1', '0']);
+        expect(final.files.map(file => file.name)).toEqual(['ppe_report.json', 'ppe_annotated.jpg']);
+    });
+});
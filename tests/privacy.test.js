@@ -0,0 +1,240 @@
+const { describe, test, expect, beforeEach, afterEach } = require('bun:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JsonStore } = require('../lib/jsonStore.js');
+const { ResultCache, MemoryCacheBackend } = require('../lib/resultCache.js');
+const { MemoryCollectionBackend, collectionIdForGuild, setCollectionBackend } = require('../lib/faceCollections.js');
+const { runWithRequestId } = require('../lib/logger.js');
+const accessControl = require('../lib/accessControl.js');
+const privacy = require('../lib/privacy.js');
+const rekognition = require('../commands/rekognition.js');
+const {
+    fakeCommandInteraction,
+    fakeAttachment,
+    messageLinkInteraction,
+    useMockCommandEnvironment
+} = require('./helpers/commandHarness.js');
+
+const {
+    isOptedOut,
+    setOptedOut,
+    getPrivacyStatus,
+    recordIndexedFace,
+    avatarOwnerId,
+    findFaceProcessingRefusal,
+    forgetUser,
+} = privacy;
+
+let dataDir;
+
+beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'privacy-'));
+    privacy.setConsentStore(new JsonStore('consent.json', { dataDir }));
+    accessControl.setAccessStore(new JsonStore('access-rules.json', { dataDir }));
+});
+
+afterEach(() => {
+    privacy.setConsentStore(null);
+    accessControl.setAccessStore(null);
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// --- Consent registry ---
+
+describe('consent registry', () => {
+    test('members are opted in by default', () => {
+        expect(isOptedOut('u1')).toBe(false);
+        expect(isOptedOut(null)).toBe(false);
+        expect(getPrivacyStatus('u1')).toEqual({ optedOut: false, optedOutAt: null, indexedFaces: 0 });
+    });
+
+    test('opt-out is persisted and keeps its first date', async () => {
+        await setOptedOut('u1', true, new Date('2026-01-01T00:00:00Z'));
+        await setOptedOut('u1', true, new Date('2026-02-01T00:00:00Z'));
+        privacy.setConsentStore(new JsonStore('consent.json', { dataDir }));
+        expect(getPrivacyStatus('u1')).toEqual({ optedOut: true, optedOutAt: '2026-01-01T00:00:00.000Z', indexedFaces: 0 });
+    });
+
+    test('opting in again removes the record', async () => {
+        await setOptedOut('u1', true);
+        await setOptedOut('u1', false);
+        expect(isOptedOut('u1')).toBe(false);
+        expect(JSON.parse(fs.readFileSync(path.join(dataDir, 'consent.json'), 'utf8'))).toEqual({});
+    });
+});
+
+// --- Image sources ---
+
+describe('avatarOwnerId', () => {
+    test('reads the user ID of global and server avatars', () => {
+        expect(avatarOwnerId('https://cdn.discordapp.com/avatars/123456/abcdef.png?size=1024')).toBe('123456');
+        expect(avatarOwnerId('https://media.discordapp.net/guilds/1/users/789/avatars/abcdef.webp')).toBe('789');
+    });
+
+    test('ignores other images', () => {
+        expect(avatarOwnerId('https://cdn.discordapp.com/attachments/1/2/avatars.png')).toBeNull();
+        expect(avatarOwnerId('https://cdn.discordapp.com/embed/avatars/0.png')).toBeNull();
+        expect(avatarOwnerId('https://example.com/avatars/123/a.png')).toBeNull();
+        expect(avatarOwnerId(null)).toBeNull();
+    });
+});
+
+describe('findFaceProcessingRefusal', () => {
+    test('refuses opted-out requesters and avatars of opted-out members', async () => {
+        await setOptedOut('u1', true);
+        expect(findFaceProcessingRefusal('u1')).toBe('self');
+        expect(findFaceProcessingRefusal('u2', ['https://cdn.discordapp.com/avatars/u1/a.png'])).toBeNull();
+        expect(findFaceProcessingRefusal('u2', ['https://cdn.discordapp.com/avatars/111/a.png'])).toBeNull();
+
+        await setOptedOut('111', true);
+        expect(findFaceProcessingRefusal('u2', ['https://example.com/a.png', 'https://cdn.discordapp.com/avatars/111/a.png'])).toBe('avatar');
+    });
+});
+
+// --- Forget ---
+
+describe('forgetUser', () => {
+    test('deletes cached results and indexed faces but leaves access rules alone', async () => {
+        const cache = new ResultCache(new MemoryCacheBackend());
+        const compute = async () => ({ Labels: [] });
+        await runWithRequestId('r1', () => cache.getOrCompute('mine', 'labels', {}, compute), { userId: 'u1' });
+        await runWithRequestId('r2', () => cache.getOrCompute('shared', 'labels', {}, compute), { userId: 'u2' });
+        await runWithRequestId('r3', () => cache.getOrCompute('shared', 'labels', {}, compute), { userId: 'u1' });
+        await runWithRequestId('r4', () => cache.getOrCompute('other', 'labels', {}, compute), { userId: 'u2' });
+
+        const collections = new MemoryCollectionBackend();
+        await collections.createCollection(collectionIdForGuild('g1'));
+        const face = await collections.indexFace(collectionIdForGuild('g1'), Buffer.from('face'), 'alice');
+        const kept = await collections.indexFace(collectionIdForGuild('g1'), Buffer.from('other'), 'bob');
+        const labelled = await collections.indexFace(collectionIdForGuild('g1'), Buffer.from('labelled'), 'u1');
+        await recordIndexedFace('u1', 'g1', face.faceId);
+        await recordIndexedFace('u1', 'g1', labelled.faceId);
+        await recordIndexedFace('u1', 'gone', 'f-in-deleted-collection');
+
+        await accessControl.allowAccess('g1', 'celebrity', { roleId: 'mods', userId: 'u1' });
+        await setOptedOut('u1', true);
+
+        expect(await forgetUser('u1', { guildIds: ['g1', 'no-collection'], cache, collections }))
+            .toEqual({ cachedResults: 2, indexedFaces: 2 });
+
+        expect(await cache.backend.size()).toBe(1);
+        expect(await collections.listFaces(collectionIdForGuild('g1'))).toEqual([{ faceId: kept.faceId, label: 'bob' }]);
+        expect(accessControl.getAccessRules('g1').rules.celebrity).toEqual({ roleIds: ['mods'], userIds: ['u1'] });
+        expect(getPrivacyStatus('u1')).toMatchObject({ optedOut: true, indexedFaces: 0 });
+    });
+
+    test('deletes faces labelled with the user ID that were never recorded', async () => {
+        const collections = new MemoryCollectionBackend();
+        await collections.createCollection(collectionIdForGuild('g1'));
+        await collections.indexFace(collectionIdForGuild('g1'), Buffer.from('face'), 'u1');
+
+        expect(await forgetUser('u1', { guildIds: ['g1'], cache: null, collections })).toEqual({ cachedResults: 0, indexedFaces: 1 });
+        expect(await collections.listFaces(collectionIdForGuild('g1'))).toEqual([]);
+    });
+
+    test('works without a result cache', async () => {
+        expect(await forgetUser('u1', { cache: null, collections: new MemoryCollectionBackend() }))
+            .toEqual({ cachedResults: 0, indexedFaces: 0 });
+    });
+});
+
+// --- /rekognition ---
+
+describe('/rekognition with opted-out members', () => {
+    let dataDir;
+
+    useMockCommandEnvironment();
+
+    beforeEach(async () => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'privacy-e2e-'));
+        privacy.setConsentStore(new JsonStore('consent.json', { dataDir }));
+    });
+
+    afterEach(() => {
+        privacy.setConsentStore(null);
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    async function optOut(interaction) {
+        await rekognition.execute({ ...interaction, options: { ...interaction.options, getSubcommandGroup: () => 'privacy', getSubcommand: () => 'optout' } });
+    }
+
+    test('privacy optout is confirmed privately and shown in status', async () => {
+        const interaction = fakeCommandInteraction('optout');
+        interaction.options.getSubcommandGroup = () => 'privacy';
+        await rekognition.execute(interaction);
+        expect(interaction.replies[0]).toEqual({ content: expect.stringContaining('Opted Out'), ephemeral: true });
+
+        interaction.options.getSubcommand = () => 'status';
+        await rekognition.execute(interaction);
+        expect(interaction.replies[1].content).toContain('You opted out of face processing on <t:');
+    });
+
+    test('analyze of all features skips face features for opted-out members', async () => {
+        const interaction = fakeCommandInteraction('analyze', { image: fakeAttachment('dog.png') });
+        await optOut(interaction);
+        await rekognition.execute(interaction);
+
+        const fields = interaction.replies.at(-1).embeds[0].toJSON().fields.map(field => field.name);
+        expect(fields).toContain('🏷️ Objects & Scenes');
+        expect(fields).not.toContain('👤 Faces (1)');
+        expect(fields).not.toContain('🌟 Celebrities');
+    });
+
+    test('compare is refused for opted-out members before deferring', async () => {
+        const interaction = fakeCommandInteraction('compare', { source_image: fakeAttachment('a.png'), target_image: fakeAttachment('b.png') });
+        await optOut(interaction);
+        interaction.replies.length = 0;
+        await rekognition.execute(interaction);
+        expect(interaction.replies).toEqual([{ content: expect.stringContaining('Face Processing Declined'), ephemeral: true }]);
+    });
+
+    test('avatars of opted-out members are refused for everyone', async () => {
+        const member = { ...fakeCommandInteraction('optout'), user: { id: '123456789', tag: 'member#0001' } };
+        await optOut(member);
+
+        const interaction = fakeCommandInteraction('celebrity', { url: `https://cdn.discordapp.com/avatars/${member.user.id}/abc.png` });
+        await rekognition.execute(interaction);
+        expect(interaction.replies[0].content).toContain('This avatar belongs to a member who opted out');
+    });
+
+    test('images posted by opted-out members are refused once the message link is resolved', async () => {
+        const member = { ...fakeCommandInteraction('optout'), user: { id: '123456789', tag: 'member#0001' } };
+        await optOut(member);
+
+        const interaction = messageLinkInteraction('celebrity', member.user.id);
+        await rekognition.execute(interaction);
+        expect(interaction.replies.at(-1).content).toContain('posted by a member who opted out');
+    });
+
+    test('privacy forget deletes the cached results of the member', async () => {
+        const interaction = fakeCommandInteraction('analyze', { image: fakeAttachment('dog.png') });
+        await runWithRequestId('r1', () => rekognition.execute(interaction), { userId: interaction.user.id });
+
+        interaction.options.getSubcommandGroup = () => 'privacy';
+        interaction.options.getSubcommand = () => 'forget';
+        await rekognition.execute(interaction);
+        expect(interaction.replies.at(-1)).toContain('Cached results: 5');
+    });
+
+    test('collection index without a member records the face as the requester\'s', async () => {
+        const collections = new MemoryCollectionBackend();
+        setCollectionBackend(collections);
+        try {
+            const interaction = { ...fakeCommandInteraction('index', { label: 'me', image: fakeAttachment('me.png') }), guildId: 'g1' };
+            interaction.options.getSubcommandGroup = () => 'collection';
+            await collections.createCollection(collectionIdForGuild('g1'));
+            await rekognition.execute(interaction);
+            expect(getPrivacyStatus(interaction.user.id).indexedFaces).toBe(1);
+
+            interaction.options.getSubcommandGroup = () => 'privacy';
+            interaction.options.getSubcommand = () => 'forget';
+            await rekognition.execute(interaction);
+            expect(interaction.replies.at(-1)).toContain('Indexed faces: 1');
+            expect(await collections.listFaces(collectionIdForGuild('g1'))).toEqual([]);
+        } finally {
+            setCollectionBackend(null);
+        }
+    });
+});
@@ -1,6 +1,5 @@
 const { describe, test, expect } = require('bun:test');
 const cmd = require('../commands/rekognition.js');
-
 const {
     isPrivateIP,
     isPrivateIPv4,
@@ -10,7 +9,22 @@ const {
     UserFacingError,
     createPinnedAgent,
     validateAndResolveUrl,
+    validateAnalyzeInputs,
+    validateCollectionInputs,
+    validatePpeInputs,
+    getRequiredEquipment,
 } = cmd._test;
+const { DEFAULT_GUILD_CONFIG } = require('../lib/guildConfig.js');
+const { findPageImage } = require('../lib/imageInput.js');
+const { ResilientVisionBackend } = require('../lib/visionBackends.js');
+const { runWithRequestId } = require('../lib/logger.js');
+const {
+    fakeCommandInteraction,
+    fakeAttachment,
+    messageLinkInteraction,
+    useMockCommandEnvironment,
+    withFixtures
+} = require('./helpers/commandHarness.js');
 
 // --- isPrivateIP: IPv4 ---
 
@@ -259,6 +273,132 @@ describe('validateAndResolveUrl', () => {
     });
 });
 
+// --- findPageImage ---
+
+describe('findPageImage', () => {
+    const page = 'https://example.com/gallery/42';
+
+    test('prefers og:image over twitter:image', () => {
+        const html = `<head>
+            <meta name="twitter:image" content="https://example.com/twitter.jpg">
+            <meta property="og:image" content="https://example.com/og.jpg" />
+        </head>`;
+        expect(findPageImage(html, page)).toEqual({ url: 'https://example.com/og.jpg', tag: 'og:image' });
+    });
+
+    test('falls back to twitter:image', () => {
+        const html = "<meta content='https://example.com/t.png' name='twitter:image'>";
+        expect(findPageImage(html, page)).toEqual({ url: 'https://example.com/t.png', tag: 'twitter:image' });
+    });
+
+    test('resolves relative URLs and decodes entities', () => {
+        const html = '<META PROPERTY="og:image" CONTENT="/img/a.png?w=800&amp;h=600">';
+        expect(findPageImage(html, page).url).toBe('https://example.com/img/a.png?w=800&h=600');
+    });
+
+    test('skips non-http images and pages without one', () => {
+        expect(findPageImage('<meta property="og:image" content="data:image/png;base64,abc">', page)).toBeNull();
+        expect(findPageImage('<meta property="og:title" content="No image">', page)).toBeNull();
+        expect(findPageImage('', page)).toBeNull();
+    });
+});
+
+// --- validateCollectionInputs ---
+
+function fakeInteraction(subcommand, options = {}, { manageGuild = true } = {}) {
+    return {
+        memberPermissions: { has: () => manageGuild },
+        options: {
+            getSubcommand: () => subcommand,
+            getString: name => options[name] ?? null,
+            getAttachment: name => options[name] ?? null,
+            getBoolean: name => options[name] ?? null,
+        },
+    };
+}
+
+describe('validateCollectionInputs', () => {
+    test('requires Manage Server to create', () => {
+        expect(validateCollectionInputs(fakeInteraction('create', {}, { manageGuild: false })))
+            .toContain('Permission Required');
+    });
+    test('allows anyone to search', () => {
+        expect(validateCollectionInputs(fakeInteraction('search', { url: 'https://example.com/a.png' }, { manageGuild: false })))
+            .toBeNull();
+    });
+    test('allows anyone to list', () => {
+        expect(validateCollectionInputs(fakeInteraction('list', {}, { manageGuild: false }))).toBeNull();
+    });
+    test('requires an image to index', () => {
+        expect(validateCollectionInputs(fakeInteraction('index', { label: 'alice' }))).toContain('Input Required');
+    });
+    test('rejects invalid labels', () => {
+        expect(validateCollectionInputs(fakeInteraction('index', { label: 'alice smith', url: 'https://example.com/a.png' })))
+            .toContain('Invalid Label');
+    });
+    test('accepts a valid index request', () => {
+        expect(validateCollectionInputs(fakeInteraction('index', { label: 'alice', url: 'https://example.com/a.png' })))
+            .toBeNull();
+    });
+    test('requires a label or face ID to delete', () => {
+        expect(validateCollectionInputs(fakeInteraction('delete'))).toContain('Input Required');
+    });
+});
+
+// --- validateAnalyzeInputs ---
+
+describe('validateAnalyzeInputs', () => {
+    const url = 'https://example.com/a.png';
+    const withDisabled = (...features) => ({ ...DEFAULT_GUILD_CONFIG, disabledFeatures: features });
+
+    test('accepts a URL with default settings', () => {
+        expect(validateAnalyzeInputs(fakeInteraction('analyze', { url }))).toBeNull();
+    });
+    test('rejects a disabled feature choice', () => {
+        expect(validateAnalyzeInputs(fakeInteraction('analyze', { url, features: 'celebrities' }), withDisabled('celebrities')))
+            .toContain('Feature Disabled');
+    });
+    test('allows all when only some features are disabled', () => {
+        expect(validateAnalyzeInputs(fakeInteraction('analyze', { url, features: 'all' }), withDisabled('celebrities')))
+            .toBeNull();
+    });
+    test('rejects when every feature is disabled', () => {
+        const config = withDisabled('labels', 'text', 'faces', 'moderation', 'celebrities');
+        expect(validateAnalyzeInputs(fakeInteraction('analyze', { url }), config)).toContain('No Features Available');
+    });
+});
+
+// --- validatePpeInputs ---
+
+describe('validatePpeInputs', () => {
+    const url = 'https://example.com/site.jpg';
+
+    test('requires an image', () => {
+        expect(validatePpeInputs(fakeInteraction('ppe'))).toContain('Input Required');
+    });
+    test('accepts a URL without equipment options', () => {
+        expect(validatePpeInputs(fakeInteraction('ppe', { url }))).toBeNull();
+    });
+    test('rejects opting out of every equipment type', () => {
+        const options = { url, require_face_cover: false, require_hand_cover: false, require_head_cover: false };
+        expect(validatePpeInputs(fakeInteraction('ppe', options))).toContain('Nothing To Check');
+    });
+});
+
+describe('getRequiredEquipment', () => {
+    test('requires everything by default', () => {
+        expect(getRequiredEquipment(fakeInteraction('ppe'))).toEqual(['FACE_COVER', 'HAND_COVER', 'HEAD_COVER']);
+    });
+    test('drops equipment set to False', () => {
+        expect(getRequiredEquipment(fakeInteraction('ppe', { require_hand_cover: false })))
+            .toEqual(['FACE_COVER', 'HEAD_COVER']);
+    });
+    test('requires only the selected equipment', () => {
+        expect(getRequiredEquipment(fakeInteraction('ppe', { require_head_cover: true, require_face_cover: false })))
+            .toEqual(['HEAD_COVER']);
+    });
+});
+
 // --- Module exports ---
 
 describe('module exports', () => {
@@ -274,9 +414,119 @@ describe('module exports', () => {
         const names = cmd.data.options.map(o => o.name);
         expect(names).toContain('analyze');
         expect(names).toContain('compare');
+        expect(names).toContain('ppe');
+    });
+
+    test('has collection subcommand group', () => {
+        const group = cmd.data.options.find(o => o.name === 'collection');
+        expect(group).toBeDefined();
+        expect(group.options.map(o => o.name)).toEqual(['create', 'index', 'search', 'list', 'delete']);
     });
 
     test('DM permission is disabled', () => {
         expect(cmd.data.dm_permission).toBe(false);
     });
 });
+
+// --- /rekognition with the mock backend ---
+
+describe('/rekognition analyze', () => {
+    const environment = useMockCommandEnvironment();
+
+    test('replies with the fixture results, an annotated image and a report', async () => {
+        const interaction = fakeCommandInteraction('analyze', { image: fakeAttachment('dog.png') });
+        await cmd.execute(interaction);
+
+        const final = interaction.replies.at(-1);
+        expect(final.content).toContain('Analysis Complete');
+        const embed = final.embeds[0].toJSON();
+        const fields = Object.fromEntries(embed.fields.map(field => [field.name, field.value]));
+        expect(fields['🏷️ Objects & Scenes']).toContain('Dog (98.7%)');
+        expect(fields['📝 Detected Text']).toContain('GOOD BOY');
+        expect(fields['👤 Faces (1)']).toContain('Emotion: HAPPY');
+        expect(embed.footer.text).toBe('Powered by AWS Rekognition');
+        expect(final.files.map(file => file.name)).toEqual(['analysis_report.json', 'annotated.jpg']);
+    });
+
+    test('shows the request ID in the footer', async () => {
+        const interaction = fakeCommandInteraction('analyze', { image: fakeAttachment('dog.png') });
+        await runWithRequestId('abcd1234', () => cmd.execute(interaction));
+        expect(interaction.replies.at(-1).embeds[0].toJSON().footer.text).toBe('Powered by AWS Rekognition • Request abcd1234');
+    });
+
+    test('of a page URL uses its preview image and says so', async () => {
+        const html = '<html><head><meta property="og:image" content="/preview.png"></head></html>';
+        environment.axiosSpy.mockResolvedValueOnce({ data: Buffer.from(html), headers: { 'content-type': 'text/html; charset=utf-8' } });
+
+        const interaction = fakeCommandInteraction('analyze', { url: 'https://93.184.216.34/gallery/42' });
+        await cmd.execute(interaction);
+
+        expect(environment.axiosSpy).toHaveBeenLastCalledWith('https://93.184.216.34/preview.png', expect.anything());
+        expect(interaction.replies.at(-1).embeds[0].toJSON().description)
+            .toBe('**Image:** https://93.184.216.34/preview.png (og:image of https://93.184.216.34/gallery/42)');
+    });
+
+    test('of a page URL shortens long URLs in the description', async () => {
+        const imageUrl = `https://93.184.216.34/${'i'.repeat(2000)}.png`;
+        const html = `<html><head><meta property="og:image" content="${imageUrl}"></head></html>`;
+        environment.axiosSpy.mockResolvedValueOnce({ data: Buffer.from(html), headers: { 'content-type': 'text/html' } });
+
+        const interaction = fakeCommandInteraction('analyze', { url: `https://93.184.216.34/${'p'.repeat(2000)}` });
+        await cmd.execute(interaction);
+
+        const { description } = interaction.replies.at(-1).embeds[0].toJSON();
+        expect(description).toStartWith('**Image:** https://93.184.216.34/iii');
+        expect(description).toContain('… (og:image of https://93.184.216.34/ppp');
+        expect(description.length).toBeLessThan(700);
+    });
+
+    test('of a message link uses the image of that message', async () => {
+        const interaction = messageLinkInteraction('analyze');
+        await cmd.execute(interaction);
+
+        expect(interaction.replies.at(-1).embeds[0].toJSON().description)
+            .toBe('**Image:** image in the linked message (https://discord.com/channels/111/222/333)');
+    });
+
+    test('of the same image again is served from the cache', async () => {
+        await cmd.execute(fakeCommandInteraction('analyze', { image: fakeAttachment('dog.png') }));
+        const interaction = fakeCommandInteraction('analyze', { image: fakeAttachment('dog.png') });
+        await cmd.execute(interaction);
+        expect(interaction.replies.at(-1).embeds[0].toJSON().footer.text).toContain('cached');
+    });
+
+    test('lists failed features with a sanitized reason', async () => {
+        const throttled = { error: { name: 'ThrottlingException', message: 'Rate exceeded for account 123456789012' } };
+        const resilient = backend => new ResilientVisionBackend(backend, { retry: { wait: async () => {} } });
+
+        await withFixtures({ 'detectText.json': throttled }, async () => {
+            const interaction = fakeCommandInteraction('analyze', { image: fakeAttachment('dog.png') });
+            await cmd.execute(interaction);
+
+            const fields = interaction.replies.at(-1).embeds[0].toJSON().fields;
+            const failed = fields.find(field => field.name === '⚠️ Failed Features');
+            expect(failed.value).toBe('• Text Detection (OCR): rate limited by AWS');
+            expect(JSON.stringify(fields)).not.toContain('123456789012');
+            expect(fields.some(field => field.name === '🏷️ Objects & Scenes')).toBe(true);
+        }, resilient);
+    });
+});
+
+describe('/rekognition compare', () => {
+    useMockCommandEnvironment();
+
+    test('replies with the fixture match', async () => {
+        const interaction = fakeCommandInteraction('compare', {
+            source_image: fakeAttachment('a.png'),
+            target_image: fakeAttachment('b.png'),
+            similarity: 90
+        });
+        await cmd.execute(interaction);
+
+        const final = interaction.replies.at(-1);
+        expect(final.content).toContain('Face Comparison Complete');
+        const embed = final.embeds[0].toJSON();
+        expect(JSON.stringify(embed.fields)).toContain('97.3%');
+        expect(final.files[0].name).toBe('comparison_report.json');
+    });
+});
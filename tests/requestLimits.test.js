@@ -0,0 +1,25 @@
+const { describe, test, expect } = require('bun:test');
+const { checkCooldown } = require('../lib/requestLimits.js');
+
+// --- checkCooldown ---
+
+describe('checkCooldown', () => {
+    test('allows the first use', () => {
+        expect(checkCooldown('user-first', 5000, 1000)).toBe(0);
+    });
+
+    test('returns the seconds left while cooling down', () => {
+        checkCooldown('user-wait', 5000, 1000);
+        expect(checkCooldown('user-wait', 5000, 2500)).toBe(4);
+    });
+
+    test('allows use again once the cooldown has passed', () => {
+        checkCooldown('user-again', 5000, 1000);
+        expect(checkCooldown('user-again', 5000, 6000)).toBe(0);
+    });
+
+    test('a zero cooldown never blocks', () => {
+        checkCooldown('user-zero', 0, 1000);
+        expect(checkCooldown('user-zero', 0, 1000)).toBe(0);
+    });
+});
@@ -0,0 +1,184 @@
+const { describe, test, expect } = require('bun:test');
+const {
+    isTransientError,
+    withRetry,
+    CircuitBreaker,
+    _test: { backoffDelay }
+} = require('../lib/resilience.js');
+const { CircuitOpenError, getFailureReason, getUserMessage } = require('../lib/errors.js');
+
+function awsError(name, httpStatusCode = 400) {
+    const error = new Error(name);
+    error.name = name;
+    error.$metadata = { httpStatusCode };
+    return error;
+}
+
+const noWait = async () => {};
+
+// --- Error classification ---
+
+describe('isTransientError', () => {
+    test('throttling, 5xx and network errors are transient', () => {
+        expect(isTransientError(awsError('ThrottlingException'))).toBe(true);
+        expect(isTransientError(awsError('ProvisionedThroughputExceededException'))).toBe(true);
+        expect(isTransientError(awsError('InternalServerError', 500))).toBe(true);
+        expect(isTransientError(awsError('ServiceUnavailable', 503))).toBe(true);
+        expect(isTransientError(Object.assign(new Error('reset'), { code: 'ECONNRESET' }))).toBe(true);
+    });
+
+    test('client errors are not transient', () => {
+        expect(isTransientError(awsError('InvalidImageFormatException'))).toBe(false);
+        expect(isTransientError(awsError('AccessDeniedException', 403))).toBe(false);
+        expect(isTransientError(new Error('boom'))).toBe(false);
+        expect(isTransientError(undefined)).toBe(false);
+    });
+});
+
+// --- Retry ---
+
+describe('withRetry', () => {
+    test('retries transient errors until the call succeeds', async () => {
+        let calls = 0;
+        const result = await withRetry(async () => {
+            calls++;
+            if (calls < 3) throw awsError('ThrottlingException');
+            return 'ok';
+        }, { wait: noWait });
+
+        expect(result).toBe('ok');
+        expect(calls).toBe(3);
+    });
+
+    test('gives up after maxAttempts and rethrows the last error', async () => {
+        let calls = 0;
+        const promise = withRetry(async () => {
+            calls++;
+            throw awsError('ServiceUnavailable', 503);
+        }, { maxAttempts: 4, wait: noWait });
+
+        await expect(promise).rejects.toThrow('ServiceUnavailable');
+        expect(calls).toBe(4);
+    });
+
+    test('does not retry non-transient errors', async () => {
+        let calls = 0;
+        const promise = withRetry(async () => {
+            calls++;
+            throw awsError('InvalidImageFormatException');
+        }, { wait: noWait });
+
+        await expect(promise).rejects.toThrow('InvalidImageFormatException');
+        expect(calls).toBe(1);
+    });
+
+    test('waits with jittered exponential backoff between attempts', async () => {
+        const delays = [];
+        await expect(withRetry(async () => { throw awsError('ThrottlingException'); }, {
+            maxAttempts: 4,
+            baseDelayMs: 100,
+            maxDelayMs: 300,
+            random: () => 0.5,
+            wait: async ms => delays.push(ms)
+        })).rejects.toThrow();
+
+        expect(delays).toEqual([50, 100, 150]);
+    });
+
+    test('backoffDelay stays within the exponential cap', () => {
+        const options = { baseDelayMs: 250, maxDelayMs: 4000 };
+        expect(backoffDelay(0, options, () => 0.999)).toBeLessThan(250);
+        expect(backoffDelay(3, options, () => 0.999)).toBeLessThan(2000);
+        expect(backoffDelay(10, options, () => 0.999)).toBeLessThan(4000);
+        expect(backoffDelay(10, options, () => 0)).toBe(0);
+    });
+});
+
+// --- Circuit breaker ---
+
+describe('CircuitBreaker', () => {
+    const failing = async () => { throw awsError('ServiceUnavailable', 503); };
+
+    test('opens after consecutive transient failures and rejects without calling', async () => {
+        let now = 0;
+        const breaker = new CircuitBreaker({ failureThreshold: 3, resetTimeoutMs: 10000, now: () => now });
+
+        for (let i = 0; i < 3; i++) {
+            await expect(breaker.execute(failing)).rejects.toThrow('ServiceUnavailable');
+        }
+        expect(breaker.getState()).toEqual({ state: 'open', consecutiveFailures: 3 });
+
+        let called = false;
+        now = 2500;
+        const error = await breaker.execute(async () => { called = true; }).catch(e => e);
+        expect(called).toBe(false);
+        expect(error).toBeInstanceOf(CircuitOpenError);
+        expect(error.retryAfterSeconds).toBe(8);
+    });
+
+    test('closes again when the trial call after the timeout succeeds', async () => {
+        let now = 0;
+        const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 1000, now: () => now });
+        await expect(breaker.execute(failing)).rejects.toThrow();
+
+        now = 1000;
+        expect(await breaker.execute(async () => 'ok')).toBe('ok');
+        expect(breaker.getState()).toEqual({ state: 'closed', consecutiveFailures: 0 });
+    });
+
+    test('reopens immediately when the trial call fails', async () => {
+        let now = 0;
+        const breaker = new CircuitBreaker({ failureThreshold: 3, resetTimeoutMs: 1000, now: () => now });
+        for (let i = 0; i < 3; i++) await breaker.execute(failing).catch(() => {});
+
+        now = 1000;
+        await expect(breaker.execute(failing)).rejects.toThrow('ServiceUnavailable');
+        expect(breaker.getState().state).toBe('open');
+        await expect(breaker.execute(failing)).rejects.toBeInstanceOf(CircuitOpenError);
+    });
+
+    test('lets a single trial call through while half-open', async () => {
+        let now = 0;
+        const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 1000, now: () => now });
+        await breaker.execute(failing).catch(() => {});
+
+        now = 1000;
+        let finishTrial;
+        const trial = breaker.execute(() => new Promise(resolve => { finishTrial = resolve; }));
+        let called = false;
+        const error = await breaker.execute(async () => { called = true; }).catch(e => e);
+        expect(called).toBe(false);
+        expect(error).toBeInstanceOf(CircuitOpenError);
+        expect(breaker.getState().state).toBe('half-open');
+
+        finishTrial('ok');
+        expect(await trial).toBe('ok');
+        expect(await breaker.execute(async () => 'next')).toBe('next');
+    });
+
+    test('non-transient errors do not count as failures', async () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 2 });
+        await breaker.execute(failing).catch(() => {});
+        await breaker.execute(async () => { throw awsError('InvalidImageFormatException'); }).catch(() => {});
+        await breaker.execute(failing).catch(() => {});
+
+        expect(breaker.getState()).toEqual({ state: 'closed', consecutiveFailures: 1 });
+    });
+});
+
+// --- User-facing messages ---
+
+describe('error messages', () => {
+    test('getFailureReason gives a short sanitized reason', () => {
+        expect(getFailureReason(awsError('ThrottlingException'))).toBe('rate limited by AWS');
+        expect(getFailureReason(awsError('InternalServerError', 500))).toBe('AWS service error');
+        expect(getFailureReason(awsError('ImageTooLargeException'))).toBe('image too large');
+        expect(getFailureReason(new CircuitOpenError(30))).toBe('temporarily unavailable');
+        expect(getFailureReason(new Error('secret internal details'))).toBe('analysis failed');
+    });
+
+    test('getUserMessage explains throttling and an open circuit', () => {
+        expect(getUserMessage(awsError('ThrottlingException'))).toContain('AWS Is Busy');
+        expect(getUserMessage(new CircuitOpenError(30))).toContain('try again in about 30 second(s)');
+    });
+});
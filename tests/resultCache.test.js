@@ -0,0 +1,200 @@
+const { describe, test, expect, beforeEach, afterEach } = require('bun:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    MemoryCacheBackend,
+    DiskCacheBackend,
+    ResultCache,
+    hashImage,
+    cacheKey,
+    _test: { createResultCacheFromEnv }
+} = require('../lib/resultCache.js');
+const { runWithRequestId } = require('../lib/logger.js');
+const { resultCacheLookupsTotal, resetMetrics } = require('../lib/metrics.js');
+
+// --- Keys ---
+
+describe('cacheKey', () => {
+    test('ignores parameter order', () => {
+        expect(cacheKey('abc', 'labels', { maxLabels: 50, minConfidence: 70 }))
+            .toBe(cacheKey('abc', 'labels', { minConfidence: 70, maxLabels: 50 }));
+    });
+
+    test('differs by feature and parameters', () => {
+        const key = cacheKey('abc', 'labels', { maxLabels: 50 });
+        expect(cacheKey('abc', 'text', { maxLabels: 50 })).not.toBe(key);
+        expect(cacheKey('abc', 'labels', { maxLabels: 10 })).not.toBe(key);
+        expect(cacheKey('abd', 'labels', { maxLabels: 50 })).not.toBe(key);
+    });
+
+    test('hashImage is a SHA-256 hex digest of the bytes', () => {
+        expect(hashImage(Buffer.from('a'))).toHaveLength(64);
+        expect(hashImage(Buffer.from('a'))).toBe(hashImage(Buffer.from('a')));
+        expect(hashImage(Buffer.from('a'))).not.toBe(hashImage(Buffer.from('b')));
+    });
+});
+
+// --- ResultCache ---
+
+describe('ResultCache', () => {
+    let calls;
+    const compute = value => async () => {
+        calls++;
+        return value;
+    };
+
+    beforeEach(() => {
+        calls = 0;
+    });
+
+    test('a hit skips the computation', async () => {
+        const cache = new ResultCache(new MemoryCacheBackend());
+        expect(await cache.getOrCompute('h', 'labels', {}, compute({ Labels: [] })))
+            .toEqual({ value: { Labels: [] }, cached: false });
+        expect(await cache.getOrCompute('h', 'labels', {}, compute({ Labels: ['other'] })))
+            .toEqual({ value: { Labels: [] }, cached: true });
+        expect(calls).toBe(1);
+    });
+
+    test('different parameters miss', async () => {
+        const cache = new ResultCache(new MemoryCacheBackend());
+        await cache.getOrCompute('h', 'labels', { maxLabels: 5 }, compute(1));
+        const result = await cache.getOrCompute('h', 'labels', { maxLabels: 10 }, compute(2));
+        expect(result).toEqual({ value: 2, cached: false });
+    });
+
+    test('expired entries are recomputed', async () => {
+        const cache = new ResultCache(new MemoryCacheBackend(), { ttlSeconds: 60 });
+        await cache.getOrCompute('h', 'text', {}, compute(1), 0);
+        expect((await cache.getOrCompute('h', 'text', {}, compute(2), 59_000)).cached).toBe(true);
+        expect(await cache.getOrCompute('h', 'text', {}, compute(3), 60_000)).toEqual({ value: 3, cached: false });
+    });
+
+    test('failed computations are not cached', async () => {
+        const cache = new ResultCache(new MemoryCacheBackend());
+        await expect(cache.getOrCompute('h', 'faces', {}, async () => { throw new Error('boom'); })).rejects.toThrow('boom');
+        expect((await cache.getOrCompute('h', 'faces', {}, compute(1))).cached).toBe(false);
+    });
+
+    test('a broken backend counts as a miss instead of failing', async () => {
+        const broken = {
+            get: async () => { throw new Error('read'); },
+            set: async () => { throw new Error('write'); },
+            size: async () => 0
+        };
+        const cache = new ResultCache(broken);
+        expect(await cache.getOrCompute('h', 'labels', {}, compute(1))).toEqual({ value: 1, cached: false });
+    });
+
+    test('records the users whose requests wrote or read an entry', async () => {
+        const backend = new MemoryCacheBackend();
+        const cache = new ResultCache(backend);
+        await runWithRequestId('r1', () => cache.getOrCompute('h', 'labels', {}, compute(1)), { userId: 'u1' });
+        await runWithRequestId('r2', () => cache.getOrCompute('h', 'labels', {}, compute(1)), { userId: 'u2' });
+        await cache.getOrCompute('h', 'labels', {}, compute(1));
+        expect((await backend.get(cacheKey('h', 'labels', {}))).userIds).toEqual(['u1', 'u2']);
+
+        expect(await cache.forgetUser('u2')).toBe(1);
+        expect(await cache.forgetUser('u2')).toBe(0);
+        expect(calls).toBe(1);
+    });
+
+    test('counts hits and misses by feature', async () => {
+        resetMetrics();
+        const cache = new ResultCache(new MemoryCacheBackend());
+        await cache.getOrCompute('h', 'labels', {}, compute(1));
+        await cache.getOrCompute('h', 'labels', {}, compute(1));
+        await cache.getOrCompute('h', 'labels', {}, compute(1));
+        await cache.getOrCompute('h', 'text', {}, compute(1));
+        expect(resultCacheLookupsTotal.get({ feature: 'labels', result: 'hit' })).toBe(2);
+        expect(resultCacheLookupsTotal.get({ feature: 'labels', result: 'miss' })).toBe(1);
+        expect(resultCacheLookupsTotal.get({ feature: 'text', result: 'miss' })).toBe(1);
+    });
+});
+
+// --- Backends ---
+
+describe('MemoryCacheBackend', () => {
+    test('evicts the least recently used entry', async () => {
+        const backend = new MemoryCacheBackend({ maxEntries: 2 });
+        await backend.set('a', { value: 1 });
+        await backend.set('b', { value: 2 });
+        await backend.get('a');
+        await backend.set('c', { value: 3 });
+        expect(await backend.get('b')).toBeUndefined();
+        expect(await backend.get('a')).toEqual({ value: 1 });
+        expect(await backend.size()).toBe(2);
+    });
+});
+
+describe('DiskCacheBackend', () => {
+    let cacheDir;
+
+    beforeEach(() => {
+        cacheDir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'result-cache-')), 'cache');
+    });
+
+    afterEach(() => {
+        fs.rmSync(path.dirname(cacheDir), { recursive: true, force: true });
+    });
+
+    test('stores entries across instances', async () => {
+        await new DiskCacheBackend({ cacheDir }).set('a:labels:[]', { value: { Labels: [] }, expiresAt: 5 });
+        expect(await new DiskCacheBackend({ cacheDir }).get('a:labels:[]')).toEqual({ value: { Labels: [] }, expiresAt: 5 });
+    });
+
+    test('returns undefined for missing entries', async () => {
+        expect(await new DiskCacheBackend({ cacheDir }).get('missing')).toBeUndefined();
+        expect(await new DiskCacheBackend({ cacheDir }).size()).toBe(0);
+    });
+
+    test('removes the oldest files beyond the limit', async () => {
+        const backend = new DiskCacheBackend({ cacheDir, maxEntries: 2 });
+        await backend.set('a', { value: 1 });
+        const old = new Date(Date.now() - 60_000);
+        fs.utimesSync(backend.filePath('a'), old, old);
+        await backend.set('b', { value: 2 });
+        await backend.set('c', { value: 3 });
+        expect(await backend.size()).toBe(2);
+        expect(await backend.get('a')).toBeUndefined();
+    });
+
+    test('delete removes an entry', async () => {
+        const backend = new DiskCacheBackend({ cacheDir });
+        await backend.set('a', { value: 1 });
+        await backend.delete('a');
+        expect(await backend.get('a')).toBeUndefined();
+    });
+
+    test('deleteWhere removes the matching entries', async () => {
+        const backend = new DiskCacheBackend({ cacheDir });
+        await backend.set('a', { value: 1, userIds: ['u1'] });
+        await backend.set('b', { value: 2, userIds: ['u2'] });
+        expect(await backend.deleteWhere(entry => entry.userIds.includes('u1'))).toBe(1);
+        expect(await backend.get('a')).toBeUndefined();
+        expect(await backend.get('b')).toEqual({ value: 2, userIds: ['u2'] });
+    });
+});
+
+// --- Cache selection ---
+
+describe('createResultCacheFromEnv', () => {
+    test('defaults to an in-memory cache', () => {
+        const cache = createResultCacheFromEnv({});
+        expect(cache.backend).toBeInstanceOf(MemoryCacheBackend);
+        expect(cache.ttlMs).toBe(86400 * 1000);
+    });
+
+    test('can be turned off', () => {
+        expect(createResultCacheFromEnv({ RESULT_CACHE_BACKEND: 'none' })).toBeNull();
+    });
+
+    test('disk backend lives under DATA_DIR', () => {
+        const cache = createResultCacheFromEnv({ RESULT_CACHE_BACKEND: 'disk', DATA_DIR: '/srv/data', RESULT_CACHE_MAX_ENTRIES: '10', RESULT_CACHE_TTL_SECONDS: '60' });
+        expect(cache.backend).toBeInstanceOf(DiskCacheBackend);
+        expect(cache.backend.cacheDir).toBe(path.join('/srv/data', 'result-cache'));
+        expect(cache.backend.maxEntries).toBe(10);
+        expect(cache.ttlMs).toBe(60_000);
+    });
+});
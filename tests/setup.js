@@ -0,0 +1,12 @@
+// Preloaded by bun test (bunfig.toml)
+
+// Keep test output readable; run with LOG_LEVEL=debug to see the logs
+process.env.LOG_LEVEL ??= 'silent';
+
+const { pathToFileURL } = require('url');
+const { loadFont } = require('jimp');
+const { setFontLoader } = require('../lib/annotate.js');
+
+// jimp mistakes Bun for a web worker and fetch()es fonts, which only works
+// there with a file:// URL
+setFontLoader(fontPath => loadFont(pathToFileURL(fontPath).href));
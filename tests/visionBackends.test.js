@@ -0,0 +1,226 @@
+const { describe, test, expect, beforeAll, afterAll } = require('bun:test');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    RekognitionVisionBackend,
+    MockVisionBackend,
+    ResilientVisionBackend,
+    _test: { createResilientBackend, filterTextDetections }
+} = require('../lib/visionBackends.js');
+const { CircuitBreaker } = require('../lib/resilience.js');
+const { CircuitOpenError } = require('../lib/errors.js');
+
+// --- MockVisionBackend ---
+
+describe('MockVisionBackend', () => {
+    let fixturesDir;
+    const image = Buffer.from('special image');
+    const imageHash = crypto.createHash('sha256').update(image).digest('hex');
+
+    beforeAll(() => {
+        fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vision-fixtures-'));
+        fs.writeFileSync(path.join(fixturesDir, 'detectLabels.json'), JSON.stringify({
+            Labels: [
+                { Name: 'Dog', Confidence: 99 },
+                { Name: 'Cat', Confidence: 80 },
+                { Name: 'Car', Confidence: 60 }
+            ]
+        }));
+        fs.writeFileSync(path.join(fixturesDir, 'detectText.json'), JSON.stringify({
+            error: { name: 'InvalidImageFormatException', message: 'Request has invalid image format' }
+        }));
+        fs.writeFileSync(path.join(fixturesDir, 'compareFaces.json'), JSON.stringify({
+            FaceMatches: [
+                { Similarity: 95, Face: { BoundingBox: { Left: 0, Top: 0, Width: 0.1, Height: 0.1 } } },
+                { Similarity: 70, Face: { BoundingBox: { Left: 0.5, Top: 0, Width: 0.1, Height: 0.1 } } }
+            ],
+            UnmatchedFaces: []
+        }));
+        fs.mkdirSync(path.join(fixturesDir, imageHash));
+        fs.writeFileSync(path.join(fixturesDir, imageHash, 'detectLabels.json'), JSON.stringify({
+            Labels: [{ Name: 'Special', Confidence: 100 }]
+        }));
+    });
+
+    afterAll(() => {
+        fs.rmSync(fixturesDir, { recursive: true, force: true });
+    });
+
+    test('applies minConfidence and maxLabels to the fixture', async () => {
+        const backend = new MockVisionBackend({ fixturesDir });
+        const result = await backend.detectLabels(Buffer.from('any'), { maxLabels: 1, minConfidence: 70 });
+        expect(result.Labels.map(label => label.Name)).toEqual(['Dog']);
+    });
+
+    test('prefers a fixture for the specific image', async () => {
+        const backend = new MockVisionBackend({ fixturesDir });
+        const result = await backend.detectLabels(image);
+        expect(result.Labels.map(label => label.Name)).toEqual(['Special']);
+    });
+
+    test('returns a fresh copy every time', async () => {
+        const backend = new MockVisionBackend({ fixturesDir });
+        (await backend.detectLabels(Buffer.from('any'))).Labels.length = 0;
+        expect((await backend.detectLabels(Buffer.from('any'))).Labels).toHaveLength(2);
+    });
+
+    test('applies label filters and returns image properties only when asked', async () => {
+        const backend = new MockVisionBackend();
+        const names = result => result.Labels.map(label => label.Name);
+
+        const plain = await backend.detectLabels(Buffer.from('any'), { minConfidence: 0 });
+        expect(plain.ImageProperties).toBeUndefined();
+        expect(names(plain)).toHaveLength(7);
+
+        const filtered = await backend.detectLabels(Buffer.from('any'), {
+            minConfidence: 0,
+            imageProperties: true,
+            filters: { LabelCategoryInclusionFilters: ['Animals and Pets', 'Person Description'], LabelExclusionFilters: ['Animal'] }
+        });
+        expect(names(filtered)).toEqual(['Dog', 'Pet', 'Person']);
+        expect(filtered.ImageProperties.DominantColors[0].HexCode).toBe('#4A7B2C');
+
+        const excluded = await backend.detectLabels(Buffer.from('any'), {
+            minConfidence: 0,
+            filters: { LabelInclusionFilters: ['Grass'], LabelCategoryExclusionFilters: ['Animals and Pets'] }
+        });
+        expect(names(excluded)).toEqual(['Grass']);
+    });
+
+    test('throws error fixtures with their AWS error name', async () => {
+        const backend = new MockVisionBackend({ fixturesDir });
+        await expect(backend.detectText(Buffer.from('any'))).rejects.toMatchObject({ name: 'InvalidImageFormatException' });
+    });
+
+    test('looks up celebrity info by ID', async () => {
+        const backend = new MockVisionBackend();
+        await expect(backend.getCelebrityInfo('unknown')).rejects.toMatchObject({ name: 'ResourceNotFoundException' });
+    });
+
+    test('throws when no fixture exists', async () => {
+        const backend = new MockVisionBackend({ fixturesDir });
+        await expect(backend.detectFaces(Buffer.from('any'))).rejects.toThrow('No mock fixture for detectFaces');
+    });
+
+    test('moves matches below the threshold to UnmatchedFaces', async () => {
+        const backend = new MockVisionBackend({ fixturesDir });
+        const result = await backend.compareFaces(Buffer.from('a'), Buffer.from('b'), 80);
+        expect(result.FaceMatches.map(match => match.Similarity)).toEqual([95]);
+        expect(result.UnmatchedFaces).toHaveLength(1);
+    });
+
+    test('the bundled fixtures cover every operation', async () => {
+        const backend = new MockVisionBackend();
+        const image = Buffer.from('any');
+        expect((await backend.detectLabels(image)).Labels.length).toBeGreaterThan(0);
+        expect((await backend.detectText(image)).TextDetections.length).toBeGreaterThan(0);
+        expect((await backend.detectFaces(image)).FaceDetails.length).toBeGreaterThan(0);
+        expect((await backend.detectModerationLabels(image)).ModerationLabels).toEqual([]);
+        expect((await backend.recognizeCelebrities(image)).CelebrityFaces).toEqual([]);
+        expect((await backend.getCelebrityInfo('3Ir0du6')).Name).toBe('Example Celebrity');
+        expect((await backend.compareFaces(image, image, 80)).FaceMatches.length).toBeGreaterThan(0);
+        expect((await backend.detectProtectiveEquipment(image)).Persons.length).toBeGreaterThan(0);
+    });
+});
+
+describe('filterTextDetections', () => {
+    const box = (Left, Top, Height = 0.05) => ({ BoundingBox: { Left, Top, Width: 0.2, Height } });
+    const detections = [
+        { DetectedText: 'TOP LINE', Type: 'LINE', Id: 0, Confidence: 99, Geometry: box(0.1, 0.1) },
+        { DetectedText: 'TOP', Type: 'WORD', Id: 1, ParentId: 0, Confidence: 99, Geometry: box(0.1, 0.1) },
+        { DetectedText: 'LINE', Type: 'WORD', Id: 2, ParentId: 0, Confidence: 60, Geometry: box(0.3, 0.1, 0.01) },
+        { DetectedText: 'BOTTOM', Type: 'LINE', Id: 3, Confidence: 97, Geometry: box(0.1, 0.8) },
+        { DetectedText: 'BOTTOM', Type: 'WORD', Id: 4, ParentId: 3, Confidence: 97, Geometry: box(0.1, 0.8) }
+    ];
+    const texts = result => result.map(detection => `${detection.Type}:${detection.DetectedText}`);
+
+    test('keeps everything without filters', () => {
+        expect(filterTextDetections(detections)).toEqual(detections);
+    });
+
+    test('drops words below the confidence or height minimum', () => {
+        expect(texts(filterTextDetections(detections, { WordFilter: { MinConfidence: 90 } })))
+            .toEqual(['LINE:TOP LINE', 'WORD:TOP', 'LINE:BOTTOM', 'WORD:BOTTOM']);
+        expect(texts(filterTextDetections(detections, { WordFilter: { MinBoundingBoxHeight: 0.02 } })))
+            .toEqual(['LINE:TOP LINE', 'WORD:TOP', 'LINE:BOTTOM', 'WORD:BOTTOM']);
+    });
+
+    test('drops lines outside the regions of interest', () => {
+        const filters = { RegionsOfInterest: [{ BoundingBox: { Left: 0, Top: 0.5, Width: 1, Height: 0.5 } }] };
+        expect(texts(filterTextDetections(detections, filters))).toEqual(['LINE:BOTTOM', 'WORD:BOTTOM']);
+    });
+});
+
+// --- RekognitionVisionBackend ---
+
+describe('RekognitionVisionBackend', () => {
+    test('forwards every call to the Rekognition API wrappers', async () => {
+        const calls = [];
+        const record = name => async (...args) => {
+            calls.push([name, ...args]);
+            return { name };
+        };
+        const backend = new RekognitionVisionBackend({
+            detectLabels: record('detectLabels'),
+            compareFaces: record('compareFaces')
+        });
+
+        expect(await backend.detectLabels('img', { maxLabels: 5 })).toEqual({ name: 'detectLabels' });
+        await backend.compareFaces('a', 'b', 90);
+        expect(calls).toEqual([['detectLabels', 'img', { maxLabels: 5 }], ['compareFaces', 'a', 'b', 90]]);
+    });
+});
+
+// --- ResilientVisionBackend ---
+
+describe('ResilientVisionBackend', () => {
+    function flakyBackend(failures, error = Object.assign(new Error('Rate exceeded'), { name: 'ThrottlingException' })) {
+        const backend = { name: 'flaky', calls: 0 };
+        backend.detectLabels = async () => {
+            backend.calls++;
+            if (backend.calls <= failures) throw error;
+            return { Labels: [] };
+        };
+        return backend;
+    }
+
+    test('keeps the inner backend name and retries transient errors', async () => {
+        const inner = flakyBackend(2);
+        const backend = new ResilientVisionBackend(inner, { retry: { wait: async () => {} } });
+
+        expect(backend.name).toBe('flaky');
+        expect(await backend.detectLabels(Buffer.from('img'))).toEqual({ Labels: [] });
+        expect(inner.calls).toBe(3);
+    });
+
+    test('short-circuits once the backend keeps failing', async () => {
+        const inner = flakyBackend(Infinity);
+        const backend = new ResilientVisionBackend(inner, {
+            retry: { maxAttempts: 2, wait: async () => {} },
+            breaker: new CircuitBreaker({ failureThreshold: 2 })
+        });
+
+        await expect(backend.detectLabels(Buffer.from('img'))).rejects.toThrow('Rate exceeded');
+        await expect(backend.detectLabels(Buffer.from('img'))).rejects.toThrow('Rate exceeded');
+        await expect(backend.detectLabels(Buffer.from('img'))).rejects.toBeInstanceOf(CircuitOpenError);
+        expect(inner.calls).toBe(4);
+    });
+
+    test('createResilientBackend reads its limits from the environment', () => {
+        const backend = createResilientBackend(new MockVisionBackend(), {
+            VISION_RETRY_MAX_ATTEMPTS: '5',
+            VISION_BREAKER_FAILURE_THRESHOLD: '7',
+            VISION_BREAKER_RESET_SECONDS: '60'
+        });
+        expect(backend.name).toBe('mock');
+        expect(backend.retry.maxAttempts).toBe(5);
+        expect(backend.breaker.failureThreshold).toBe(7);
+        expect(backend.breaker.resetTimeoutMs).toBe(60000);
+
+        const defaults = createResilientBackend(new MockVisionBackend(), { VISION_RETRY_MAX_ATTEMPTS: 'lots' });
+        expect(defaults.retry.maxAttempts).toBeUndefined();
+        expect(defaults.breaker.failureThreshold).toBe(5);
+    });
+});